@@ -370,26 +370,29 @@ async function _recalculateTermBalance(pupilId, session, term) {
       return 0;
     }
 
-    // Get base fee from fee structure
-    const feeDocId = `fee_${classId}`;
-    const feeDoc = await db.collection('fee_structures').doc(feeDocId).get();
-    if (!feeDoc.exists) {
+    // Get base fee in force for that session/term
+    const feeStructure = await window.finance.getFeeStructure(classId, session, term);
+    if (!feeStructure) {
       console.warn(`  ⚠️ No fee structure for class ${classId}`);
       return 0;
     }
 
-    const baseFee = Math.round(Number(feeDoc.data().total) || 0);
+    const baseFee = feeStructure.total;
 
     // Apply per-pupil adjustments
-    const amountDue = window.calculateAdjustedFee
+    const adjustedFee = window.calculateAdjustedFee
       ? window.calculateAdjustedFee(pupilData, baseFee, term)
       : baseFee;
 
     // Pupil not enrolled this term
-    if (amountDue === 0) {
+    if (adjustedFee === 0) {
       return 0;
     }
 
+    const familyDiscount = await window.finance.getFamilyDiscount(pupilId, pupilData, adjustedFee, session, term);
+    const optionalFees = await window.finance.getOptionalFees(pupilId, session, term);
+    const amountDue = adjustedFee - (familyDiscount?.amount || 0) + optionalFees.total;
+
     // How much have they actually paid for this term?
     const encodedSession = session.replace(/\//g, '-');
     const paymentDocId = `${pupilId}_${encodedSession}_${term}`;
@@ -472,10 +475,9 @@ window.calculateCurrentOutstanding = async function(pupilId, session, term) {
       };
     }
 
-    const feeDocId = `fee_${classId}`;
-    const feeDoc   = await db.collection('fee_structures').doc(feeDocId).get();
+    const feeStructure = await window.finance.getFeeStructure(classId, session, term);
 
-    if (!feeDoc.exists) {
+    if (!feeStructure) {
       return {
         amountDue: 0, arrears: 0, totalDue: 0, totalPaid: 0,
         balance: 0, credit: 0,
@@ -483,12 +485,12 @@ window.calculateCurrentOutstanding = async function(pupilId, session, term) {
       };
     }
 
-    const baseFee   = Math.round(Number(feeDoc.data().total) || 0);
-    const amountDue = window.calculateAdjustedFee
+    const baseFee     = feeStructure.total;
+    const adjustedFee = window.calculateAdjustedFee
       ? window.calculateAdjustedFee(pupilData, baseFee, term)
       : baseFee;
 
-    if (amountDue === 0 && baseFee > 0) {
+    if (adjustedFee === 0 && baseFee > 0) {
       return {
         amountDue: 0, arrears: 0, totalDue: 0, totalPaid: 0,
         balance: 0, credit: 0,
@@ -496,17 +498,26 @@ window.calculateCurrentOutstanding = async function(pupilId, session, term) {
       };
     }
 
+    // Sibling / family discount rules from Fee Management, then optional extras
+    const familyDiscount = await window.finance.getFamilyDiscount(pupilId, pupilData, adjustedFee, session, term);
+    const optionalFees = await window.finance.getOptionalFees(pupilId, session, term);
+    const amountDue = adjustedFee - (familyDiscount?.amount || 0) + optionalFees.total;
+
     const arrears = await window.calculateCompleteArrears(pupilId, session, term);
 
     const encodedSession = session.replace(/\//g, '-');
     const paymentDocId   = `${pupilId}_${encodedSession}_${term}`;
 
     let totalPaid = 0;
+    let storedPlan = null;
+    let storedHeadsPaid = null;
     try {
       const paymentDoc = await db.collection('payments').doc(paymentDocId).get();
       if (paymentDoc.exists) {
         const raw = paymentDoc.data().totalPaid;
         totalPaid = Math.round(Math.max(0, Number(raw) || 0));
+        storedPlan = paymentDoc.data().instalmentPlan || null;
+        storedHeadsPaid = paymentDoc.data().headsPaid || null;
       }
     } catch (readError) {
       console.warn(`Could not read payment doc for ${pupilId}:`, readError.message);
@@ -540,12 +551,24 @@ window.calculateCurrentOutstanding = async function(pupilId, session, term) {
       term,
       baseFee,
       amountDue,
+      familyDiscount,
+      optionalFees,
       arrears,
       totalDue,
       totalPaid,
       balance,
       credit,   // NEW: positive number when pupil has overpaid, 0 otherwise
-      status
+      status,
+      instalmentPlan: window.finance.evaluateInstalmentPlan(storedPlan, totalPaid),
+      feeHeads: window.finance.buildFeeHeadBreakdown({
+        fees: feeStructure.fees,
+        amountDue,
+        arrears,
+        totalPaid,
+        headsPaid: storedHeadsPaid,
+        priority: await window.finance.getFeeHeadPriority(),
+        optionalFees: optionalFees.items
+      })
     };
 
   } catch (error) {
@@ -585,7 +608,7 @@ window.deleteItem = async function(collection, docId) {
     const itemData = itemDoc.exists ? itemDoc.data() : {};
     
     await db.collection('audit_log').add({
-      action: collection === 'teachers' || collection === 'pupils' ? 'delete_user' : 'delete_item',
+      action: ['teachers', 'pupils', 'users'].includes(collection) ? 'delete_user' : 'delete_item',
       collection: collection,
       documentId: docId,
       deletedData: {
@@ -601,6 +624,10 @@ window.deleteItem = async function(collection, docId) {
     if (collection === 'pupils') {
       await db.collection('pupils').doc(docId).delete();
       await db.collection('users').doc(docId).delete();
+      window.finance.refreshLedgerInBackground(async () => {
+        await window.finance.removePupilLedger(docId);
+        await window.finance.refreshFamilyLedger(docId, itemData);
+      }, `deleted pupil ${docId}`);
       window.showToast?.('Pupil deleted successfully', 'success');
       loadPupils();
     } else if (collection === 'teachers') {
@@ -624,6 +651,9 @@ window.deleteItem = async function(collection, docId) {
         case 'announcements':
           loadAdminAnnouncements();
           break;
+        case 'users':
+          window.loadParents?.();
+          break;
       }
     }
     
@@ -1425,7 +1455,11 @@ function getActionBadge(action) {
     'create_user': '<span style="background:#28a745; color:white; padding:4px 8px; border-radius:4px; font-size:12px; font-weight:600;">➕ CREATE USER</span>',
     'update_settings': '<span style="background:#2196F3; color:white; padding:4px 8px; border-radius:4px; font-size:12px; font-weight:600;">⚙️ UPDATE SETTINGS</span>',
     'promotion_approved': '<span style="background:#4CAF50; color:white; padding:4px 8px; border-radius:4px; font-size:12px; font-weight:600;">✓ PROMOTION APPROVED</span>',
-    'promotion_rejected': '<span style="background:#f44336; color:white; padding:4px 8px; border-radius:4px; font-size:12px; font-weight:600;">✗ PROMOTION REJECTED</span>'
+    'promotion_rejected': '<span style="background:#f44336; color:white; padding:4px 8px; border-radius:4px; font-size:12px; font-weight:600;">✗ PROMOTION REJECTED</span>',
+    'void_payment': '<span style="background:#b91c1c; color:white; padding:4px 8px; border-radius:4px; font-size:12px; font-weight:600;">⊘ VOID PAYMENT</span>',
+    'reversal_payment': '<span style="background:#b91c1c; color:white; padding:4px 8px; border-radius:4px; font-size:12px; font-weight:600;">↩ REVERSE PAYMENT</span>',
+    'refund_payment': '<span style="background:#d97706; color:white; padding:4px 8px; border-radius:4px; font-size:12px; font-weight:600;">💸 REFUND PAYMENT</span>',
+    'attendance_correction': '<span style="background:#0d9488; color:white; padding:4px 8px; border-radius:4px; font-size:12px; font-weight:600;">✎ ATTENDANCE CORRECTION</span>'
   };
   
   return badges[action] || `<span style="color:var(--color-gray-700); font-weight:600;">${action}</span>`;
@@ -1636,6 +1670,9 @@ function loadSectionData(sectionId) {
       case 'alumni':
         loadAlumni();
         break;
+      case 'parents':
+        window.loadParents?.();
+        break;
       case 'audit-log':
         loadAuditLog();
         break;
@@ -1645,6 +1682,9 @@ function loadSectionData(sectionId) {
       case 'settings':
         loadCurrentSettings(); // This already handles hierarchy loading internally
         loadSessionHistory();
+        window.loadAssessmentSchemesPanel?.();
+        window.loadGradingScalesPanel?.();
+        window.loadReportPositionsPanel?.();
         break;
       case 'fee-management':
         loadFeeManagementSection();
@@ -1654,13 +1694,26 @@ function loadSectionData(sectionId) {
         break;
       case 'outstanding-fees':
         loadOutstandingFeesReport();
+        populateAgeingClassFilter();
         break;
       case 'financial-reports':
         loadFinancialReports();
         break;
+      case 'expenses':
+        window.loadExpensesSection?.();
+        break;
+      case 'bank-reconciliation':
+        window.loadBankReconciliation?.();
+        break;
       case 'school-calendar':
          loadSchoolCalendarSection();
          break;
+      case 'attendance-analytics':
+        window.loadAttendanceAnalyticsSection?.();
+        break;
+      case 'attendance-corrections':
+        window.loadAttendanceCorrectionsSection?.();
+        break;
       case 'lesson-notes':
         loadLessonNotesAdminSection();
         break;
@@ -2405,6 +2458,7 @@ totalOperations++;
 await commitCurrentBatch();
 
 console.log(`✅ Promotion completed successfully!`);
+window.finance.markLedgerStale('Pupils promoted').catch(() => {});
 console.log(`   - ${promotedPupils.length} pupils promoted`);
 console.log(`   - ${heldBackPupils.length} pupils held back`);
 console.log(`   - ${manualOverrides.length} manual overrides`);
@@ -2993,7 +3047,8 @@ async function _loadApprovedResults() {
  *     so the teacher portal surfaces the rejection and allows editing.
  *  3. Set every corresponding approved result in the `results` collection
  *     back to status:'draft' — this hides them from pupils immediately.
- *  4. Reload the approved tab.
+ *  4. Rebuild the class rankings without the unlocked subject.
+ *  5. Reload the approved tab.
  */
 async function unlockApprovedResult(submissionId) {
   if (!confirm(
@@ -3091,6 +3146,9 @@ async function unlockApprovedResult(submissionId) {
       await batch.commit();
     }
 
+    // Positions must no longer count the unlocked subject
+    await refreshClassRankings(classId, session, term);
+
     // ── 5. Audit log ────────────────────────────────────────────────────────
     await db.collection('audit_log').add({
       action:           'unlock_results',
@@ -3312,6 +3370,8 @@ async function approveResultSubmission(submissionId) {
 
         console.log(`✅ Published ${copiedCount} results to final collection`);
 
+        await refreshClassRankings(classId, session, term);
+
         window.showToast?.(
             `✓ Results approved and published!\n\n` +
             `${copiedCount} pupil result(s) are now VISIBLE to pupils.`,
@@ -3409,6 +3469,7 @@ window.rejectResultSubmission = rejectResultSubmission;
 let currentResultsPupilId = null;
 let currentResultsSession = null;
 let currentResultsData = null;
+let currentResultsGradingScale = null;
 
 async function loadViewResultsSection() {
   console.log('📊 Loading View Results section...');
@@ -3886,6 +3947,7 @@ async function loadPupilResults() {
         }
         
         const pupilData = pupilDoc.data();
+        currentResultsGradingScale = await window.gradingScales.getScaleForClass(pupilData.class?.id);
         
         // Get pupil's class name
         let className = 'Unknown';
@@ -3924,13 +3986,7 @@ async function loadPupilResults() {
             if (!resultsSnap.empty) {
                 resultsSnap.forEach(doc => {
                     const data = doc.data();
-                    results.push({
-                        term: data.term || 'Unknown',
-                        subject: data.subject || 'Unknown',
-                        caScore: typeof data.caScore === 'number' ? data.caScore : 0,
-                        examScore: typeof data.examScore === 'number' ? data.examScore : 0,
-                        total: (data.caScore || 0) + (data.examScore || 0)
-                    });
+                    results.push(toAdminResultRow(data));
                 });
                 queryMethod = 'primary';
             }
@@ -3963,13 +4019,7 @@ async function loadPupilResults() {
             allResultsSnap.forEach(doc => {
                 const data = doc.data();
                 if (data.session === currentResultsSession) {
-                    results.push({
-                        term: data.term || 'Unknown',
-                        subject: data.subject || 'Unknown',
-                        caScore: typeof data.caScore === 'number' ? data.caScore : 0,
-                        examScore: typeof data.examScore === 'number' ? data.examScore : 0,
-                        total: (data.caScore || 0) + (data.examScore || 0)
-                    });
+                    results.push(toAdminResultRow(data));
                 }
             });
             
@@ -4035,6 +4085,23 @@ async function loadPupilResults() {
     }
 }
 
+/**
+ * Normalise a results document for the admin results view.
+ * Handles scheme-based results and legacy CA/Exam-only documents.
+ */
+function toAdminResultRow(data) {
+    const breakdown = window.assessmentSchemes.getResultBreakdown(data);
+    return {
+        term: data.term || 'Unknown',
+        subject: data.subject || 'Unknown',
+        scheme: breakdown.scheme,
+        components: breakdown.components,
+        caScore: typeof data.caScore === 'number' ? data.caScore : 0,
+        examScore: typeof data.examScore === 'number' ? data.examScore : 0,
+        total: breakdown.total
+    };
+}
+
 function renderResultsDisplay(results, container) {
     container.innerHTML = '';
     
@@ -4061,14 +4128,16 @@ function renderResultsDisplay(results, container) {
         heading.style.fontSize = 'var(--text-xl)';
         termSection.appendChild(heading);
         
+        const columns = window.assessmentSchemes.getDisplayColumns(terms[termName]);
+        const labelSpan = columns.length + 1;
+
         const table = document.createElement('table');
         table.className = 'responsive-table';
         table.innerHTML = `
             <thead>
                 <tr>
                     <th>Subject</th>
-                    <th style="text-align: center;">CA (40)</th>
-                    <th style="text-align: center;">Exam (60)</th>
+                    ${columns.map(c => `<th style="text-align: center;">${c.label}${c.max ? ` (${c.max})` : ''}</th>`).join('')}
                     <th style="text-align: center;">Total (100)</th>
                     <th style="text-align: center;">Grade</th>
                     <th style="text-align: center;">Remark</th>
@@ -4086,16 +4155,15 @@ function renderResultsDisplay(results, container) {
         terms[termName].sort((a, b) => a.subject.localeCompare(b.subject));
         
         terms[termName].forEach(result => {
-            const total = result.caScore + result.examScore;
+            const total = result.total;
             const grade = getGrade(total);
             const remark = getRemark(total);
-            const gradeClass = `grade-${grade}`;
+            const gradeClass = window.gradingScales.getGradeClass(grade, currentResultsGradingScale);
             
             const tr = document.createElement('tr');
             tr.innerHTML = `
                 <td data-label="Subject"><strong>${result.subject}</strong></td>
-                <td data-label="CA" style="text-align: center;">${result.caScore}</td>
-                <td data-label="Exam" style="text-align: center;">${result.examScore}</td>
+                ${columns.map(c => `<td data-label="${c.label}" style="text-align: center;">${c.value(result)}</td>`).join('')}
                 <td data-label="Total" style="text-align: center; font-weight: 700;">${total}</td>
                 <td data-label="Grade" style="text-align: center;" class="${gradeClass}"><strong>${grade}</strong></td>
                 <td data-label="Remark" style="text-align: center;">${remark}</td>
@@ -4110,16 +4178,17 @@ function renderResultsDisplay(results, container) {
         
         // Add term summary
         if (subjectCount > 0) {
+            termTotal = Math.round(termTotal * 10) / 10;
             const average = (termTotal / subjectCount).toFixed(1);
             const avgGrade = getGrade(parseFloat(average));
             
             tbody.innerHTML += `
                 <tr style="background: #f1f5f9; font-weight: 700;">
-                    <td colspan="3"><strong>TERM TOTAL</strong></td>
+                    <td colspan="${labelSpan}"><strong>TERM TOTAL</strong></td>
                     <td colspan="3" style="text-align: center;"><strong>${termTotal} / ${subjectCount * 100}</strong></td>
                 </tr>
                 <tr style="background: #e0f2fe; font-weight: 700; color: #0369a1;">
-                    <td colspan="3"><strong>TERM AVERAGE</strong></td>
+                    <td colspan="${labelSpan}"><strong>TERM AVERAGE</strong></td>
                     <td colspan="3" style="text-align: center;"><strong>${average}% (${avgGrade})</strong></td>
                 </tr>
             `;
@@ -4131,6 +4200,7 @@ function renderResultsDisplay(results, container) {
     
     // Add overall session summary
     if (overallCount > 0) {
+        overallTotal = Math.round(overallTotal * 10) / 10;
         const overallAverage = (overallTotal / overallCount).toFixed(1);
         const overallGrade = getGrade(parseFloat(overallAverage));
         
@@ -4191,26 +4261,14 @@ function renderResultsDisplay(results, container) {
     console.log(`✓ Rendered ${results.length} results successfully`);
 }
 
-function getGrade(score) {
-  if (score >= 75) return 'A1';
-  if (score >= 70) return 'B2';
-  if (score >= 65) return 'B3';
-  if (score >= 60) return 'C4';
-  if (score >= 55) return 'C5';
-  if (score >= 50) return 'C6';
-  if (score >= 45) return 'D7';
-  if (score >= 40) return 'D8';
-  return 'F9';
+// Grades come from the configured grading scale (grading-scales.js);
+// defaults to the scale of the pupil currently shown in View Results
+function getGrade(score, scale = currentResultsGradingScale) {
+  return window.gradingScales.getGrade(score, scale);
 }
 
-function getRemark(score) {
-    if (score >= 75) return 'Excellent';
-    if (score >= 70) return 'Very Good';
-    if (score >= 65) return 'Good';
-    if (score >= 60) return 'Credit';
-    if (score >= 50) return 'Credit';
-    if (score >= 45) return 'Pass';
-    return 'Fail';
+function getRemark(score, scale = currentResultsGradingScale) {
+  return window.gradingScales.getRemark(score, scale);
 }
 
 function clearResultsFilter() {
@@ -4237,6 +4295,7 @@ function clearResultsFilter() {
   currentResultsPupilId = null;
   currentResultsSession = null;
   currentResultsData = null;
+  currentResultsGradingScale = null;
   
   document.getElementById('session-comparison-section').style.display = 'none';
 }
@@ -4279,8 +4338,26 @@ async function exportPupilResults() {
   }
 }
 
+/**
+ * Open every report card of the selected class as one print job
+ */
+function printClassReportCards() {
+  const sessionValue = document.getElementById('filter-session')?.value;
+  const classId = document.getElementById('filter-class')?.value;
+
+  if (!sessionValue || !classId) {
+    window.showToast?.('Select a session and class first', 'warning');
+    return;
+  }
+
+  const params = new URLSearchParams({ classId });
+  if (sessionValue !== 'current') params.set('session', sessionValue);
+  window.open(`print-results.html?${params.toString()}`, '_blank');
+}
+
 // Make functions globally available
 window.loadViewResultsSection = loadViewResultsSection;
+window.printClassReportCards = printClassReportCards;
 window.loadPupilResults = loadPupilResults;
 window.clearResultsFilter = clearResultsFilter;
 window.exportPupilResults = exportPupilResults;
@@ -4341,7 +4418,7 @@ async function loadSessionComparison() {
         };
       }
       
-      const total = (data.caScore || 0) + (data.examScore || 0);
+      const total = window.assessmentSchemes.getResultTotal(data);
       sessionData[session].results.push({
         term: data.term,
         subject: data.subject,
@@ -4587,9 +4664,16 @@ async function loadFeeManagementSection() {
     if (sessionDisplay) sessionDisplay.textContent = settings.session;
     if (termDisplay) termDisplay.textContent = settings.term;
 
+    populateFeeSessionSelector(settings.session);
+
     // Load existing fee structures
     await loadFeeStructures();
 
+    await loadFamilyDiscountRules();
+    await loadOptionalFeeItems();
+    await loadFeeHeadPriority();
+    await window.loadInvoiceSettings?.();
+
     console.log('✓ Fee management section loaded successfully');
   } catch (error) {
     console.error('❌ Error loading fee management:', error);
@@ -4624,8 +4708,53 @@ async function populateFeeClassSelector() {
 }
 
 /**
- * FIXED: Load Fee Structures (Class-Based Display)
- * Replace loadFeeStructures() function
+ * Next session name: '2025/2026' → '2026/2027'
+ */
+function getNextSessionName(session) {
+  const match = String(session || '').match(/(\d{4})\/(\d{4})/);
+  if (!match) return null;
+  return `${parseInt(match[1]) + 1}/${parseInt(match[2]) + 1}`;
+}
+
+/**
+ * Fees are set for the current session or the next one (set up before it starts)
+ */
+function populateFeeSessionSelector(currentSession) {
+  const select = document.getElementById('fee-config-session');
+  if (!select) return;
+
+  const previous = select.value;
+  const sessions = [currentSession, getNextSessionName(currentSession)].filter(Boolean);
+
+  select.innerHTML = sessions.map((session, i) =>
+    `<option value="${session}">${session}${i === 0 ? ' (current)' : ' (next)'}</option>`
+  ).join('');
+
+  if (sessions.includes(previous)) select.value = previous;
+}
+
+function getSelectedFeeSession() {
+  return document.getElementById('fee-config-session')?.value ||
+    document.getElementById('fee-session-display')?.textContent.trim() || '';
+}
+
+/**
+ * One-line description of where a resolved fee structure comes from
+ */
+function describeFeeStructureScope(structure) {
+  if (!structure) return '';
+  switch (structure.source) {
+    case 'term':    return `${structure.term} ${structure.session} fee`;
+    case 'session': return `${structure.session} fee`;
+    case 'carried': return `Carried over from ${structure.session}`;
+    default:        return 'Standing fee (set before fees were versioned)';
+  }
+}
+
+/**
+ * Fee structures in force for the session chosen in the fee form.
+ * A class with no fee of its own for the session shows the fee carried over
+ * from an earlier session; term-only fees are listed under the session fee.
  */
 async function loadFeeStructures() {
   const container = document.getElementById('fee-structures-list');
@@ -4634,10 +4763,16 @@ async function loadFeeStructures() {
   container.innerHTML = '<div style="text-align:center; padding:var(--space-lg);"><div class="spinner"></div><p>Loading fee structures...</p></div>';
   
   try {
-    // ✅ FIX: Query ALL fee structures (no session filter)
-    const snapshot = await db.collection('fee_structures').get();
+    const session = getSelectedFeeSession();
+    const heading = document.getElementById('fee-structures-heading');
+    if (heading) heading.textContent = `Fee Structures for ${session}`;
+
+    const [snapshot, byClass] = await Promise.all([
+      db.collection('fee_structures').get(),
+      window.finance.getAllFeeStructures(true)
+    ]);
     
-    console.log(`Found ${snapshot.size} fee structures`);
+    console.log(`Found ${snapshot.size} fee structure docs`);
     
     if (snapshot.empty) {
       container.innerHTML = `
@@ -4649,53 +4784,52 @@ async function loadFeeStructures() {
       return;
     }
     
-    // ✅ CRITICAL FIX: Check for duplicates by classId
-    const feesByClass = new Map();
-    
+    // Docs that are neither the legacy nor a versioned ID are leftovers from older versions
+    const straysByClass = {};
+    const classNames = {};
     snapshot.forEach(doc => {
       const data = doc.data();
-      const classId = data.classId;
-      
-      if (!feesByClass.has(classId)) {
-        feesByClass.set(classId, []);
-      }
-      
-      feesByClass.get(classId).push({
-        id: doc.id,
-        ...data
-      });
-    });
-    
-    // Log duplicates
-    feesByClass.forEach((fees, classId) => {
-      if (fees.length > 1) {
-        console.warn(`⚠️ DUPLICATE DETECTED: ${fees.length} fee structures for class ${classId}`);
-        console.warn('   IDs:', fees.map(f => f.id));
+      if (!data.classId) return;
+      classNames[data.classId] = classNames[data.classId] || data.className;
+      if (!window.finance.feeStructureKind(doc.id, data)) {
+        straysByClass[data.classId] = (straysByClass[data.classId] || 0) + 1;
       }
     });
+
+    const classIds = Object.keys(classNames)
+      .sort((a, b) => (classNames[a] || '').localeCompare(classNames[b] || ''));
     
+    const TERM_ORDER = ['First Term', 'Second Term', 'Third Term'];
     container.innerHTML = '';
     
-    // Render each unique class (show most recent if duplicates exist)
-    feesByClass.forEach((fees, classId) => {
-      // If duplicates exist, use the most recently updated
-      const feeToShow = fees.length > 1
-        ? fees.reduce((latest, current) => {
-            const latestTime = latest.updatedAt?.toMillis() || 0;
-            const currentTime = current.updatedAt?.toMillis() || 0;
-            return currentTime > latestTime ? current : latest;
-          })
-        : fees[0];
-      
-      const data = feeToShow;
-      
-      const feeItems = Object.entries(data.fees || {})
+    classIds.forEach(classId => {
+      const docs = byClass[classId] || [];
+      const strays = straysByClass[classId] || 0;
+      const className = classNames[classId];
+      const data = window.finance.pickFeeStructure(docs, session, null);
+      const termFees = docs
+        .filter(d => d.session === session && d.term)
+        .sort((a, b) => TERM_ORDER.indexOf(a.term) - TERM_ORDER.indexOf(b.term));
+      const ownFee = data?.source === 'session';
+      
+      const feeItems = Object.entries(data?.fees || {})
         .map(([key, value]) => `
           <div style="display:flex; justify-content:space-between; padding:var(--space-xs) 0;">
             <span style="text-transform:capitalize;">${key.replace(/_/g, ' ')}:</span>
             <strong>₦${parseFloat(value).toLocaleString()}</strong>
           </div>
         `).join('');
+
+      const termItems = termFees.map(fee => `
+        <div style="display:flex; justify-content:space-between; align-items:center; gap:var(--space-sm); padding:var(--space-xs) 0;">
+          <span>${fee.term} only</span>
+          <span>
+            <strong>₦${fee.total.toLocaleString()}</strong>
+            <button class="btn-small btn-secondary" onclick="editFeeStructure('${fee.id}')">Edit</button>
+            <button class="btn-small btn-danger" onclick="deleteFeeStructure('${fee.id}', '${className}')">Delete</button>
+          </span>
+        </div>
+      `).join('');
       
       const card = document.createElement('div');
       card.className = 'fee-structure-card';
@@ -4705,14 +4839,13 @@ async function loadFeeStructures() {
         border-radius: var(--radius-md);
         padding: var(--space-lg);
         margin-bottom: var(--space-md);
-        ${fees.length > 1 ? 'border-left: 4px solid #ff9800;' : ''}
+        ${strays > 0 ? 'border-left: 4px solid #ff9800;' : ''}
       `;
       
-      // ✅ FIX: Show as permanent (not session-specific)
       card.innerHTML = `
-        ${fees.length > 1 ? `
+        ${strays > 0 ? `
           <div style="background: #fff3cd; border: 1px solid #ff9800; border-radius: var(--radius-sm); padding: var(--space-sm); margin-bottom: var(--space-md); font-size: var(--text-sm);">
-            ⚠️ <strong>Note:</strong> ${fees.length} duplicate fee records exist for this class. Showing most recent. 
+            ⚠️ <strong>Note:</strong> ${strays} duplicate fee record(s) from an older version exist for this class and are ignored.
             <button class="btn-small btn-secondary" onclick="fixDuplicateFees('${classId}')" style="margin-left: var(--space-sm);">
               Fix Duplicates
             </button>
@@ -4721,39 +4854,54 @@ async function loadFeeStructures() {
         
         <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:var(--space-md); padding-bottom:var(--space-md); border-bottom:1px solid var(--color-gray-200);">
           <div>
-            <h3 style="margin:0; color:var(--color-primary);">${data.className}</h3>
+            <h3 style="margin:0; color:var(--color-primary);">${className}</h3>
             <p style="margin:var(--space-xs) 0 0; font-size:var(--text-sm); color:var(--color-gray-600);">
-              <strong>Applies to ALL Terms & Sessions</strong>
+              <strong>${data ? describeFeeStructureScope(data) : `No fee in force for ${session}`}</strong>
             </p>
           </div>
           <div style="display:flex; gap:var(--space-sm);">
-            <button class="btn-small btn-primary" onclick="editFeeStructure('${data.id}')">
-              ✏️ Edit
-            </button>
-            <button class="btn-small btn-danger" onclick="deleteFeeStructure('${data.id}', '${data.className}')">
-              Delete
-            </button>
+            ${data ? `
+              <button class="btn-small btn-primary" onclick="editFeeStructure('${data.id}')">
+                ✏️ ${ownFee ? 'Edit' : `Set ${session} Fee`}
+              </button>
+            ` : ''}
+            ${ownFee ? `
+              <button class="btn-small btn-danger" onclick="deleteFeeStructure('${data.id}', '${className}')">
+                Delete
+              </button>
+            ` : ''}
           </div>
         </div>
         
-        <div style="margin-bottom:var(--space-md);">
-          ${feeItems}
-        </div>
-        
-        <div style="padding-top:var(--space-md); border-top:2px solid var(--color-primary); display:flex; justify-content:space-between; align-items:center;">
-          <strong style="font-size:var(--text-lg);">Total per term:</strong>
-          <strong style="font-size:var(--text-xl); color:var(--color-primary);">₦${parseFloat(data.total).toLocaleString()}</strong>
-        </div>
+        ${data ? `
+          <div style="margin-bottom:var(--space-md);">
+            ${feeItems}
+          </div>
+          
+          <div style="padding-top:var(--space-md); border-top:2px solid var(--color-primary); display:flex; justify-content:space-between; align-items:center;">
+            <strong style="font-size:var(--text-lg);">Total per term:</strong>
+            <strong style="font-size:var(--text-xl); color:var(--color-primary);">₦${data.total.toLocaleString()}</strong>
+          </div>
+        ` : ''}
+
+        ${termItems ? `
+          <div style="margin-top:var(--space-md); padding-top:var(--space-sm); border-top:1px dashed var(--color-gray-300); font-size:var(--text-sm);">
+            <strong>Term fees for ${session}</strong>
+            ${termItems}
+          </div>
+        ` : ''}
         
-        <div style="margin-top:var(--space-md); padding:var(--space-sm); background:#e3f2fd; border-left:4px solid #2196F3; border-radius:var(--radius-sm); font-size:var(--text-sm);">
-          ℹ️ This fee structure is <strong>permanent</strong> and applies to all terms and sessions until you edit or delete it.
-        </div>
+        ${data && !ownFee ? `
+          <div style="margin-top:var(--space-md); padding:var(--space-sm); background:#e3f2fd; border-left:4px solid #2196F3; border-radius:var(--radius-sm); font-size:var(--text-sm);">
+            ℹ️ ${session} has no fee of its own for this class yet. Setting one leaves earlier sessions' balances unchanged.
+          </div>
+        ` : ''}
       `;
       
       container.appendChild(card);
     });
     
-    console.log(`✓ Displayed ${feesByClass.size} unique fee structures`);
+    console.log(`✓ Displayed fee structures for ${classIds.length} classes (${session})`);
     
   } catch (error) {
     console.error('❌ Error loading fee structures:', error);
@@ -4763,11 +4911,15 @@ async function loadFeeStructures() {
 
 window.loadFeeStructures = loadFeeStructures;
 
+/**
+ * Archive and delete fee docs for a class that are neither the legacy doc
+ * nor a session/term version (left behind by older versions of this page)
+ */
 async function fixDuplicateFees(classId) {
   if (!confirm(
     `Fix Duplicate Fee Structures?\n\n` +
     `This will:\n` +
-    `• Keep the most recent fee structure\n` +
+    `• Keep the session and term fee structures\n` +
     `• Archive all older duplicates\n` +
     `• Clean up the database\n\n` +
     `Continue?`
@@ -4776,55 +4928,39 @@ async function fixDuplicateFees(classId) {
   }
   
   try {
-    // Get all fee structures for this class
     const snapshot = await db.collection('fee_structures')
       .where('classId', '==', classId)
       .get();
     
-    if (snapshot.size <= 1) {
+    const strays = [];
+    snapshot.forEach(doc => {
+      if (!window.finance.feeStructureKind(doc.id, doc.data())) {
+        strays.push({ id: doc.id, ...doc.data() });
+      }
+    });
+    
+    if (strays.length === 0) {
       window.showToast?.('No duplicates found', 'info');
       return;
     }
     
-    const fees = [];
-    snapshot.forEach(doc => {
-      fees.push({ id: doc.id, ...doc.data() });
-    });
+    const batch = db.batch();
     
-    // Find most recent
-    const mostRecent = fees.reduce((latest, current) => {
-      const latestTime = latest.updatedAt?.toMillis() || latest.createdAt?.toMillis() || 0;
-      const currentTime = current.updatedAt?.toMillis() || current.createdAt?.toMillis() || 0;
-      return currentTime > latestTime ? current : latest;
+    strays.forEach(fee => {
+      batch.set(db.collection('fee_structure_history').doc(), {
+        ...fee,
+        archivedAt: firebase.firestore.FieldValue.serverTimestamp(),
+        archivedBy: auth.currentUser.uid,
+        reason: 'Duplicate cleanup - not a session or term fee structure'
+      });
+      batch.delete(db.collection('fee_structures').doc(fee.id));
     });
     
-    console.log(`Most recent fee structure: ${mostRecent.id}`);
-    
-    // Archive and delete duplicates
-    const batch = db.batch();
-    let deleted = 0;
-    
-    for (const fee of fees) {
-      if (fee.id !== mostRecent.id) {
-        // Archive
-        const archiveRef = db.collection('fee_structure_history').doc();
-        batch.set(archiveRef, {
-          ...fee,
-          archivedAt: firebase.firestore.FieldValue.serverTimestamp(),
-          archivedBy: auth.currentUser.uid,
-          reason: 'Duplicate cleanup - keeping most recent'
-        });
-        
-        // Delete
-        batch.delete(db.collection('fee_structures').doc(fee.id));
-        deleted++;
-      }
-    }
-    
     await batch.commit();
+    window.finance.clearFeeStructureCache();
     
     window.showToast?.(
-      `✓ Cleaned up ${deleted} duplicate(s)\n\nKept most recent fee structure.`,
+      `✓ Cleaned up ${strays.length} duplicate(s)\n\nSession and term fee structures were kept.`,
       'success',
       5000
     );
@@ -4972,13 +5108,10 @@ async function loadPupilPaymentStatus() {
     
     console.log('📊 Loading payment status for:', pupilName);
 
-    // Step 2: Get base fee
-    const feeDocId = `fee_${classId}`;
-    console.log(`Looking up fee structure: ${feeDocId}`);
-    
-    const feeDoc = await db.collection('fee_structures').doc(feeDocId).get();
+    // Step 2: Get base fee in force for this session/term
+    const feeStructure = await window.finance.getFeeStructure(classId, session, term, true);
 
-    if (!feeDoc.exists) {
+    if (!feeStructure) {
       statusContainer.innerHTML = `
         <div class="alert alert-warning">
           <strong>⚠️ Fee Structure Not Configured</strong>
@@ -4989,24 +5122,23 @@ async function loadPupilPaymentStatus() {
       return;
     }
 
-    const feeStructure = feeDoc.data();
-    const baseFee = Number(feeStructure.total) || 0;
+    const baseFee = feeStructure.total;
     
-    console.log(`✓ Base fee for ${className}: ₦${baseFee.toLocaleString()}`);
+    console.log(`✓ Base fee for ${className}: ₦${baseFee.toLocaleString()} (${feeStructure.id})`);
 
     // Step 3: Calculate adjusted fee
     if (typeof window.calculateAdjustedFee !== 'function') {
       throw new Error('CRITICAL ERROR: calculateAdjustedFee() not loaded');
     }
     
-    const amountDue = window.calculateAdjustedFee(pupilData, baseFee, term);
+    const adjustedFee = window.calculateAdjustedFee(pupilData, baseFee, term);
     
     console.log(`📊 Fee calculation:`);
     console.log(`   Base fee: ₦${baseFee.toLocaleString()}`);
-    console.log(`   Adjusted fee: ₦${amountDue.toLocaleString()}`);
+    console.log(`   Adjusted fee: ₦${adjustedFee.toLocaleString()}`);
 
     // Check if pupil is enrolled for this term
-    if (amountDue === 0 && baseFee > 0) {
+    if (adjustedFee === 0 && baseFee > 0) {
       statusContainer.innerHTML = `
         <div class="alert alert-info">
           <strong>ℹ️ ${pupilName} is not enrolled for ${term}</strong>
@@ -5018,6 +5150,11 @@ async function loadPupilPaymentStatus() {
       return;
     }
 
+    // Step 3b: Sibling / family discount, then optional extras (bus, feeding, lessons)
+    const familyDiscount = await window.finance.getFamilyDiscount(pupilId, pupilData, adjustedFee, session, term);
+    const optionalFees = await window.finance.getOptionalFees(pupilId, session, term, true);
+    const amountDue = adjustedFee - (familyDiscount?.amount || 0) + optionalFees.total;
+
     // Step 4: Calculate arrears
     if (typeof window.calculateCompleteArrears !== 'function') {
       throw new Error('CRITICAL ERROR: calculateCompleteArrears() not loaded');
@@ -5044,6 +5181,8 @@ async function loadPupilPaymentStatus() {
     let totalPaid = 0;
     let balance = amountDue + arrears;
     let status = arrears > 0 ? 'owing_with_arrears' : 'owing';
+    let storedPlan = null;
+    let storedHeadsPaid = null;
 
     // ✅ FIXED: Auto-create with transaction guard to prevent race condition
     if (!paymentDoc.exists) {
@@ -5102,6 +5241,8 @@ async function loadPupilPaymentStatus() {
       totalPaid = Number(data.totalPaid) || 0;
       balance = Number(data.balance) || 0;
       status = data.status || (arrears > 0 ? 'owing_with_arrears' : 'owing');
+      storedPlan = data.instalmentPlan || null;
+      storedHeadsPaid = data.headsPaid || null;
       
       console.log(`✓ Payment record found${autoCreated ? ' (auto-created)' : ''}:`);
       console.log(`   Total paid: ₦${totalPaid.toLocaleString()}`);
@@ -5122,13 +5263,13 @@ async function loadPupilPaymentStatus() {
       statusBadge = '<span class="status-badge" style="background:#f44336;">Owing</span>';
     }
 
-    // Build adjustment info
+    // Build adjustment info (the pupil's own adjustment — family discount is shown separately)
     let adjustmentBadge = '';
-    if (amountDue !== baseFee) {
-      const difference = baseFee - amountDue;
+    if (adjustedFee !== baseFee) {
+      const difference = baseFee - adjustedFee;
       const percentDiff = baseFee > 0 ? Math.abs((difference / baseFee) * 100).toFixed(0) : 0;
       
-      if (amountDue === 0) {
+      if (adjustedFee === 0) {
         adjustmentBadge = `
           <div style="background: linear-gradient(135deg, #4CAF50 0%, #388E3C 100%); color: white; padding: var(--space-md); border-radius: var(--radius-md); margin-bottom: var(--space-md); text-align: center;">
             <strong>🎓 FREE EDUCATION APPLIED</strong>
@@ -5137,7 +5278,7 @@ async function loadPupilPaymentStatus() {
             </p>
           </div>
         `;
-      } else if (amountDue < baseFee) {
+      } else if (adjustedFee < baseFee) {
         adjustmentBadge = `
           <div style="background: linear-gradient(135deg, #2196F3 0%, #1976D2 100%); color: white; padding: var(--space-md); border-radius: var(--radius-md); margin-bottom: var(--space-md); text-align: center;">
             <strong>💎 SCHOLARSHIP/DISCOUNT APPLIED</strong>
@@ -5158,6 +5299,28 @@ async function loadPupilPaymentStatus() {
       }
     }
 
+    if (familyDiscount) {
+      adjustmentBadge += `
+        <div style="background: linear-gradient(135deg, #7c3aed 0%, #6d28d9 100%); color: white; padding: var(--space-md); border-radius: var(--radius-md); margin-bottom: var(--space-md); text-align: center;">
+          <strong>👨‍👩‍👧 FAMILY DISCOUNT: ${familyDiscount.rule}</strong>
+          <p style="margin: var(--space-xs) 0 0; opacity: 0.9; font-size: var(--text-sm);">
+            ${window.formatOrdinal(familyDiscount.position)} of ${familyDiscount.familySize} children in school • Saving ₦${familyDiscount.amount.toLocaleString()} this term
+          </p>
+        </div>
+      `;
+    }
+
+    if (optionalFees.items.length > 0) {
+      adjustmentBadge += `
+        <div style="background:#f8fafc; border:1px solid #e2e8f0; padding: var(--space-md); border-radius: var(--radius-md); margin-bottom: var(--space-md);">
+          <strong>🚌 Optional fees this term: ₦${optionalFees.total.toLocaleString()}</strong>
+          <p style="margin: var(--space-xs) 0 0; font-size: var(--text-sm); color: var(--color-gray-600);">
+            ${optionalFees.items.map(item => `${item.name} ₦${item.amount.toLocaleString()}`).join(' • ')}
+          </p>
+        </div>
+      `;
+    }
+
     // Arrears warning — only show if arrears haven't been fully paid off yet
 // totalPaid >= arrears means the arrears portion has been cleared
 const arrearsCleared = totalPaid >= arrears;
@@ -5181,6 +5344,44 @@ const arrearsHTML = (arrears > 0 && !arrearsCleared) ? `
 
     const percentPaid = totalDue > 0 ? Math.round((totalPaid / totalDue) * 100) : 0;
 
+    // Per fee head — books and uniforms are issued once their head is paid
+    paymentFeeHeads = window.finance.buildFeeHeadBreakdown({
+      fees: feeStructure.fees,
+      amountDue,
+      arrears,
+      totalPaid,
+      headsPaid: storedHeadsPaid,
+      priority: await window.finance.getFeeHeadPriority(true),
+      optionalFees: optionalFees.items
+    });
+    const feeHeadRows = [
+      ...paymentFeeHeads.heads,
+      ...(arrears > 0 ? [{ label: 'Arrears', ...paymentFeeHeads.arrears }] : [])
+    ];
+    const feeHeadsHTML = `
+        <div class="table-container" style="margin-bottom:var(--space-lg);">
+          <table class="responsive-table">
+            <thead>
+              <tr><th>Fee Head</th><th>Due</th><th>Paid</th><th>Balance</th></tr>
+            </thead>
+            <tbody>
+              ${feeHeadRows.map(row => `
+                <tr>
+                  <td data-label="Fee Head">${row.label}</td>
+                  <td data-label="Due">₦${row.due.toLocaleString()}</td>
+                  <td data-label="Paid">₦${row.paid.toLocaleString()}</td>
+                  <td data-label="Balance">
+                    ${row.balance > 0
+                      ? `<strong style="color:var(--color-danger-dark);">₦${row.balance.toLocaleString()}</strong>`
+                      : '<span class="status-badge" style="background:#4CAF50;">Paid</span>'}
+                  </td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+    `;
+
     // Render complete UI
     statusContainer.innerHTML = `
       <div style="background:white; border:1px solid var(--color-gray-300); border-radius:var(--radius-md); padding:var(--space-lg);">
@@ -5211,6 +5412,7 @@ const arrearsHTML = (arrears > 0 && !arrearsCleared) ? `
           <div style="text-align:center; padding:var(--space-md); background:var(--color-gray-50); border:1px solid var(--color-gray-300); border-radius:var(--radius-sm);">
             <div style="font-size:var(--text-xs); color:var(--color-gray-600); margin-bottom:var(--space-xs);">Current Term Fee</div>
             <div style="font-size:var(--text-xl); font-weight:700; color:var(--color-gray-900);">₦${amountDue.toLocaleString()}</div>
+            <div style="font-size:var(--text-xs); opacity:0.8; margin-top:var(--space-xs);">${describeFeeStructureScope(feeStructure)}</div>
           </div>
 
           <div style="text-align:center; padding:var(--space-md); background:var(--color-success-light); border:1px solid var(--color-success); border-radius:var(--radius-sm);">
@@ -5227,6 +5429,8 @@ const arrearsHTML = (arrears > 0 && !arrearsCleared) ? `
           </div>
         </div>
 
+        ${feeHeadsHTML}
+
         <div style="margin-top: var(--space-lg); padding: var(--space-md); background: ${balance > 0 ? '#fef2f2' : '#f0fdf4'}; border: 2px solid ${balance > 0 ? '#dc3545' : '#4CAF50'}; border-radius: var(--radius-md);">
           <h4 style="margin: 0 0 var(--space-sm); color: ${balance > 0 ? '#991b1b' : '#065f46'}; display: flex; align-items: center; gap: var(--space-sm);">
             <i data-lucide="${balance > 0 ? 'alert-triangle' : 'check-circle'}" style="width: 18px; height: 18px;"></i>
@@ -5241,6 +5445,9 @@ const arrearsHTML = (arrears > 0 && !arrearsCleared) ? `
       </div>
     `;
 
+    await renderOptionalFeesPanel(optionalFees);
+    renderInstalmentPlanPanel(window.finance.evaluateInstalmentPlan(storedPlan, totalPaid), balance);
+
     if (typeof lucide !== 'undefined') lucide.createIcons();
 
     // Update payment input
@@ -5253,6 +5460,10 @@ const arrearsHTML = (arrears > 0 && !arrearsCleared) ? `
       amountInput.placeholder = `Enter amount (max: ₦${balance.toLocaleString()})`;
     }
 
+    const allocationMode = document.getElementById('payment-allocation-mode');
+    if (allocationMode) allocationMode.value = 'priority';
+    togglePaymentAllocation();
+
     // Load payment history
     await loadPaymentHistory(pupilId, session, term);
     
@@ -5274,114 +5485,605 @@ const arrearsHTML = (arrears > 0 && !arrearsCleared) ? `
 
 window.loadPupilPaymentStatus = loadPupilPaymentStatus;
 
-console.log('✅ Admin payment status fix loaded - now matches pupil portal logic');
-
 /**
- * ✅ FIXED: Load complete payment history with proper query
+ * Manual fee head allocation on the Record Payment form
+ * paymentFeeHeads is the breakdown last shown by loadPupilPaymentStatus()
  */
-async function loadPaymentHistory(pupilId, session, term) {
-  const container = document.getElementById('payment-history-list');
-  if (!container) {
-    console.error('payment-history-list container not found');
+let paymentFeeHeads = null;
+
+function togglePaymentAllocation() {
+  const container = document.getElementById('payment-allocation-heads');
+  const manual = document.getElementById('payment-allocation-mode')?.value === 'manual';
+  if (!container) return;
+
+  if (!manual || !paymentFeeHeads) {
+    container.style.display = 'none';
+    container.innerHTML = '';
     return;
   }
 
-  container.innerHTML = '<div style="text-align:center; padding:var(--space-md);"><div class="spinner"></div></div>';
+  const openHeads = paymentFeeHeads.heads.filter(row => row.balance > 0);
+  container.style.display = 'block';
+  container.innerHTML = openHeads.length === 0
+    ? '<p style="color:var(--color-gray-600);">All fee heads are paid for this term.</p>'
+    : `
+      ${paymentFeeHeads.arrears.balance > 0
+        ? `<p style="font-size:var(--text-sm); color:#991b1b;">₦${paymentFeeHeads.arrears.balance.toLocaleString()} of the amount above clears arrears first — split the rest below.</p>`
+        : ''}
+      <div class="form-row form-row-3">
+        ${openHeads.map(row => `
+          <div class="form-group">
+            <label for="allocate-${row.head}">${row.label}</label>
+            <input type="number" id="allocate-${row.head}" class="payment-allocation-input" data-head="${row.head}"
+                   min="0" max="${row.balance}" step="1" placeholder="0">
+            <small>Owing ₦${row.balance.toLocaleString()}</small>
+          </div>
+        `).join('')}
+      </div>
+    `;
+}
 
-  try {
-    // ✅ FIXED: Query by pupilId and session only (term is already in document ID)
-    const snapshot = await db.collection('payment_transactions')
-      .where('pupilId', '==', pupilId)
-      .where('session', '==', session)
-      .orderBy('paymentDate', 'desc')
-      .get();
+function getManualPaymentAllocation() {
+  if (document.getElementById('payment-allocation-mode')?.value !== 'manual') return null;
 
-    if (snapshot.empty) {
-      container.innerHTML = '<p style="text-align:center; color:var(--color-gray-600); padding:var(--space-lg);">No payment history yet for this session</p>';
-      return;
-    }
+  const allocation = {};
+  document.querySelectorAll('#payment-allocation-heads .payment-allocation-input').forEach(input => {
+    const value = Math.round(parseFloat(input.value) || 0);
+    if (value > 0) allocation[input.dataset.head] = value;
+  });
+  return allocation;
+}
 
-    const transactions = [];
-    snapshot.forEach(doc => {
-      const data = doc.data();
-      transactions.push({
-        id: doc.id,
-        receiptNo: data.receiptNo || 'N/A',
-        amountPaid: data.amountPaid || 0,
-        arrearsPayment: data.arrearsPayment || 0,
-        currentTermPayment: data.currentTermPayment || 0,
-        paymentDate: data.paymentDate || null,
-        paymentMethod: data.paymentMethod || 'Cash',
-        term: data.term || 'N/A',
-        session: data.session || 'N/A',
-        recordedBy: data.recordedBy || 'Unknown'
-      });
-    });
+window.togglePaymentAllocation = togglePaymentAllocation;
 
-    container.innerHTML = transactions.map(txn => {
-      const date = txn.paymentDate ? txn.paymentDate.toDate().toLocaleDateString('en-GB') : 'N/A';
-      const hasArrears = txn.arrearsPayment > 0;
-      const balanceAfter = typeof txn.balanceAfter === 'number' ? txn.balanceAfter : null;
-      
+/**
+ * Optional fee items the selected pupil takes this term (finance.saveOptionalFeeSelection)
+ */
+async function renderOptionalFeesPanel(selected) {
+  const panel = document.getElementById('optional-fees-panel');
+  if (!panel) return;
+
+  const catalogue = await window.finance.getOptionalFeeItems();
+  const selectedIds = selected.items.map(item => item.id);
+  // Ticked items show the price saved with the selection, even if the catalogue changed since
+  const offered = [
+    ...catalogue
+      .filter(item => item.active || selectedIds.includes(item.id))
+      .map(item => ({ ...item, ...selected.items.find(saved => saved.id === item.id) })),
+    ...selected.items
+      .filter(saved => !catalogue.some(item => item.id === saved.id))
+      .map(saved => ({ ...saved, active: false }))
+  ];
+
+  if (offered.length === 0) {
+    panel.style.display = 'none';
+    panel.innerHTML = '';
+    return;
+  }
+
+  const categories = window.finance.OPTIONAL_FEE_CATEGORIES;
+  panel.style.display = 'block';
+  panel.innerHTML = `
+    <h3><i data-lucide="bus" style="width:15px;height:15px;"></i> Optional Fees This Term</h3>
+    <p style="color:var(--color-gray-600); font-size:var(--text-sm);">
+      Tick what this pupil takes this term. Ticked items are added to the amount due; scholarships and family discounts do not apply to them.
+    </p>
+    ${Object.keys(categories).map(category => {
+      const items = offered.filter(item => item.category === category);
+      if (items.length === 0) return '';
+      const isRoute = category === 'transport';
       return `
-        <div style="display:flex; justify-content:space-between; align-items:center; padding:var(--space-md); background:white; border:1px solid var(--color-gray-300); border-radius:var(--radius-sm); margin-bottom:var(--space-sm);">
-          <div style="flex:1;">
-            <div style="font-weight:700; font-size:var(--text-lg); margin-bottom:var(--space-xs);">
-              ₦${Number(txn.amountPaid).toLocaleString()}
-            </div>
-            <div style="font-size:var(--text-sm); color:var(--color-gray-600);">
-              ${date} • ${txn.paymentMethod} • Receipt #${txn.receiptNo} • ${txn.term}
-            </div>
-            ${balanceAfter !== null ? `
-              <div style="font-size:var(--text-sm); margin-top:var(--space-xs); color:${balanceAfter <= 0 ? '#16a34a' : '#b45309'}; font-weight:600;">
-                Balance after payment: ₦${Math.max(0, balanceAfter).toLocaleString()}
-                ${balanceAfter <= 0 ? ' ✅ Fully paid' : ''}
-              </div>
-            ` : ''}
-          </div>
-          <button class="btn-small btn-secondary" onclick="printReceipt('${txn.receiptNo}')">
-            Print Receipt
-          </button>
+        <div class="form-group">
+          <label>${categories[category]}${isRoute ? ' (one route)' : ''}</label>
+          ${isRoute ? `
+            <label style="display:flex; align-items:center; gap:0.5rem; font-weight:400;">
+              <input type="radio" name="optional-fee-transport" value="" ${items.some(item => selectedIds.includes(item.id)) ? '' : 'checked'}>
+              No school bus
+            </label>` : ''}
+          ${items.map(item => `
+            <label style="display:flex; align-items:center; gap:0.5rem; font-weight:400;">
+              <input type="${isRoute ? 'radio' : 'checkbox'}" ${isRoute ? 'name="optional-fee-transport"' : 'class="optional-fee-checkbox"'}
+                     value="${item.id}" ${selectedIds.includes(item.id) ? 'checked' : ''}>
+              ${item.name} — ₦${item.amount.toLocaleString()}${item.active ? '' : ' <em>(no longer offered)</em>'}
+            </label>
+          `).join('')}
         </div>
       `;
-    }).join('');
+    }).join('')}
+    <div class="form-actions">
+      <button class="btn" id="save-optional-fees-btn" onclick="saveOptionalFeeSelection()">Save Selection</button>
+    </div>
+  `;
+}
 
-    console.log(`✓ Loaded ${transactions.length} payment transactions for ${session}`);
+async function saveOptionalFeeSelection() {
+  const pupilId = document.getElementById('payment-pupil-select')?.value;
+  if (!pupilId) return;
+
+  const itemIds = [
+    ...Array.from(document.querySelectorAll('#optional-fees-panel .optional-fee-checkbox:checked')).map(input => input.value),
+    document.querySelector('#optional-fees-panel input[name="optional-fee-transport"]:checked')?.value
+  ].filter(Boolean);
+
+  const saveBtn = document.getElementById('save-optional-fees-btn');
+  const originalHTML = saveBtn?.innerHTML;
+  if (saveBtn) {
+    saveBtn.disabled = true;
+    saveBtn.innerHTML = '<span class="btn-loading">Saving...</span>';
+  }
 
+  try {
+    const settings = await window.getCurrentSettings();
+    const saved = await window.finance.saveOptionalFeeSelection(pupilId, settings.session, settings.term, itemIds);
+    window.showToast?.(
+      saved.items.length > 0
+        ? `✓ Optional fees saved: ${saved.items.map(item => item.name).join(', ')} (₦${saved.total.toLocaleString()} this term)`
+        : '✓ No optional fees for this term',
+      'success',
+      6000
+    );
+    await loadPupilPaymentStatus();
   } catch (error) {
-    console.error('❌ Error loading payment history:', error);
-    container.innerHTML = '<p style="text-align:center; color:var(--color-danger);">Error loading payment history</p>';
+    console.error('Error saving optional fee selection:', error);
+    window.showToast?.(error.message || 'Failed to save optional fees', 'danger');
+  } finally {
+    if (saveBtn) {
+      saveBtn.disabled = false;
+      saveBtn.innerHTML = originalHTML;
+    }
   }
 }
 
-// Make function globally available
-window.loadPaymentHistory = loadPaymentHistory;
+window.saveOptionalFeeSelection = saveOptionalFeeSelection;
 
 /**
- * ✅ FIXED: Load Outstanding Fees Report using canonical calculation
+ * Instalment plan for the selected pupil's term (finance.saveInstalmentPlan)
  */
-async function loadOutstandingFeesReport() {
-  const container = document.getElementById('outstanding-fees-table');
-  if (!container) return;
+const INSTALMENT_STATUS_BADGES = {
+  paid: '<span class="status-badge" style="background:#4CAF50;">Paid</span>',
+  partial: '<span class="status-badge" style="background:#ff9800;">Part paid</span>',
+  overdue: '<span class="status-badge" style="background:#dc3545;">Overdue</span>',
+  upcoming: '<span class="status-badge" style="background:#64748b;">Upcoming</span>'
+};
 
-  const tbody = container.querySelector('tbody');
-  if (!tbody) return;
+function renderInstalmentPlanPanel(plan, balance) {
+  const panel = document.getElementById('instalment-plan-panel');
+  if (!panel) return;
 
-  tbody.innerHTML = '<tr><td colspan="7" class="table-loading">Loading outstanding fees...</td></tr>';
+  if (!plan && balance <= 0) {
+    panel.style.display = 'none';
+    panel.innerHTML = '';
+    return;
+  }
 
-  try {
-    const settings    = await window.getCurrentSettings();
-    const session     = settings.session;
-    const currentTerm = settings.term;
+  panel.style.display = 'block';
 
-    const pupilsSnap = await db.collection('pupils').get();
+  if (!plan) {
+    panel.innerHTML = `
+      <h3><i data-lucide="calendar-clock" style="width:15px;height:15px;"></i> Instalment Plan</h3>
+      <p style="color:var(--color-gray-600); font-size:var(--text-sm);">
+        Split the outstanding ₦${balance.toLocaleString()} into dated instalments. The instalments must add up to the balance.
+      </p>
+      <div id="instalment-rows"></div>
+      <div style="display:flex; justify-content:space-between; align-items:center; margin:var(--space-sm) 0 var(--space-md); flex-wrap:wrap; gap:var(--space-sm);">
+        <button type="button" class="btn-small btn-secondary" onclick="addInstalmentRow()">+ Add instalment</button>
+        <span id="instalment-total" style="font-size:var(--text-sm);"></span>
+      </div>
+      <div class="form-group">
+        <label for="instalment-notes">Notes (Optional)</label>
+        <input type="text" id="instalment-notes" placeholder="e.g. Agreed with father on PTA day">
+      </div>
+      <div class="form-actions">
+        <button class="btn" id="save-instalment-plan-btn" onclick="saveInstalmentPlan()">Save Plan</button>
+      </div>
+    `;
+    panel.dataset.balance = balance;
+
+    // Start with the balance split evenly over two instalments a month apart
+    const first = Math.ceil(balance / 2);
+    const due = new Date();
+    due.setMonth(due.getMonth() + 1);
+    const toISO = d => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    addInstalmentRow(first, window.finance.todayISO());
+    addInstalmentRow(balance - first, toISO(due));
+    return;
+  }
 
-    if (pupilsSnap.empty) {
-      tbody.innerHTML = '<tr><td colspan="7" style="text-align:center; padding:var(--space-2xl);">No pupils enrolled</td></tr>';
-      updateSummaryDisplay(0, 0);
+  const scheduleBadge = plan.scheduleStatus === 'completed'
+    ? '<span class="status-badge" style="background:#4CAF50;">Completed</span>'
+    : plan.scheduleStatus === 'overdue'
+      ? `<span class="status-badge" style="background:#dc3545;">Overdue ₦${plan.overdueAmount.toLocaleString()}</span>`
+      : '<span class="status-badge" style="background:#0f9764;">On schedule</span>';
+
+  panel.innerHTML = `
+    <div style="display:flex; justify-content:space-between; align-items:center; gap:var(--space-sm); flex-wrap:wrap;">
+      <h3 style="margin:0;"><i data-lucide="calendar-clock" style="width:15px;height:15px;"></i> Instalment Plan</h3>
+      ${scheduleBadge}
+    </div>
+    <p style="color:var(--color-gray-600); font-size:var(--text-sm);">
+      ₦${plan.planPaid.toLocaleString()} of ₦${plan.planTotal.toLocaleString()} paid
+      ${plan.nextDue ? ` • Next: ₦${plan.nextDue.amount.toLocaleString()} due ${plan.nextDue.dueDate}` : ''}
+      ${plan.notes ? ` • ${plan.notes}` : ''}
+    </p>
+    <div class="table-container">
+      <table class="responsive-table">
+        <thead>
+          <tr><th>#</th><th>Due Date</th><th>Amount</th><th>Paid</th><th>Status</th></tr>
+        </thead>
+        <tbody>
+          ${plan.instalments.map(inst => `
+            <tr>
+              <td data-label="#">${inst.number}</td>
+              <td data-label="Due Date">${inst.dueDate}</td>
+              <td data-label="Amount">₦${inst.amount.toLocaleString()}</td>
+              <td data-label="Paid">₦${inst.paid.toLocaleString()}</td>
+              <td data-label="Status">${INSTALMENT_STATUS_BADGES[inst.status]}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+    <div class="form-actions">
+      <button class="btn-small btn-danger" onclick="removeInstalmentPlan()">Remove Plan</button>
+    </div>
+  `;
+}
+
+function addInstalmentRow(amount, dueDate) {
+  const rows = document.getElementById('instalment-rows');
+  if (!rows) return;
+
+  const row = document.createElement('div');
+  row.className = 'form-row form-row-2 instalment-row';
+  row.style.alignItems = 'end';
+  row.innerHTML = `
+    <div class="form-group">
+      <label>Amount (₦)</label>
+      <input type="number" class="instalment-amount" min="1" step="1" value="${amount ?? ''}" oninput="updateInstalmentTotal()">
+    </div>
+    <div class="form-group">
+      <label>Due date</label>
+      <div style="display:flex; gap:0.5rem;">
+        <input type="date" class="instalment-due" value="${dueDate || ''}">
+        <button type="button" class="btn-small btn-danger" onclick="this.closest('.instalment-row').remove(); updateInstalmentTotal();" title="Remove instalment">✕</button>
+      </div>
+    </div>
+  `;
+  rows.appendChild(row);
+  updateInstalmentTotal();
+}
+
+function updateInstalmentTotal() {
+  const totalEl = document.getElementById('instalment-total');
+  const panel = document.getElementById('instalment-plan-panel');
+  if (!totalEl || !panel) return;
+
+  const balance = Number(panel.dataset.balance) || 0;
+  const total = Array.from(document.querySelectorAll('#instalment-rows .instalment-amount'))
+    .reduce((sum, input) => sum + (Math.round(Number(input.value)) || 0), 0);
+
+  totalEl.textContent = `Total ₦${total.toLocaleString()} of ₦${balance.toLocaleString()}`;
+  totalEl.style.color = total === balance ? 'var(--color-success-dark)' : 'var(--color-danger)';
+}
+
+async function saveInstalmentPlan() {
+  const pupilId = document.getElementById('payment-pupil-select')?.value;
+  if (!pupilId) return;
+
+  const instalments = Array.from(document.querySelectorAll('#instalment-rows .instalment-row'))
+    .map(row => ({
+      amount: row.querySelector('.instalment-amount')?.value,
+      dueDate: row.querySelector('.instalment-due')?.value
+    }));
+  const notes = document.getElementById('instalment-notes')?.value || '';
+
+  const saveBtn = document.getElementById('save-instalment-plan-btn');
+  const originalHTML = saveBtn?.innerHTML;
+  if (saveBtn) {
+    saveBtn.disabled = true;
+    saveBtn.innerHTML = '<span class="btn-loading">Saving...</span>';
+  }
+
+  try {
+    const settings = await window.getCurrentSettings();
+    const plan = await window.finance.saveInstalmentPlan(pupilId, settings.session, settings.term, instalments, notes);
+
+    window.showToast?.(
+      `✓ Instalment plan saved (${plan.instalments.length} instalments, first due ${plan.instalments[0].dueDate})`,
+      'success',
+      6000
+    );
+    await loadPupilPaymentStatus();
+  } catch (error) {
+    console.error('Error saving instalment plan:', error);
+    window.showToast?.(error.message || 'Failed to save instalment plan', 'danger', 8000);
+  } finally {
+    if (saveBtn) {
+      saveBtn.disabled = false;
+      saveBtn.innerHTML = originalHTML;
+    }
+  }
+}
+
+async function removeInstalmentPlan() {
+  const pupilId = document.getElementById('payment-pupil-select')?.value;
+  if (!pupilId) return;
+
+  if (!confirm('Remove this instalment plan?\n\nPayments already recorded are not affected.')) return;
+
+  try {
+    const settings = await window.getCurrentSettings();
+    await window.finance.removeInstalmentPlan(pupilId, settings.session, settings.term);
+    window.showToast?.('✓ Instalment plan removed', 'success');
+    await loadPupilPaymentStatus();
+  } catch (error) {
+    console.error('Error removing instalment plan:', error);
+    window.showToast?.(error.message || 'Failed to remove instalment plan', 'danger');
+  }
+}
+
+window.addInstalmentRow = addInstalmentRow;
+window.updateInstalmentTotal = updateInstalmentTotal;
+window.saveInstalmentPlan = saveInstalmentPlan;
+window.removeInstalmentPlan = removeInstalmentPlan;
+
+console.log('✅ Admin payment status fix loaded - now matches pupil portal logic');
+
+/**
+ * ✅ FIXED: Load complete payment history with proper query
+ */
+async function loadPaymentHistory(pupilId, session, term) {
+  const container = document.getElementById('payment-history-list');
+  if (!container) {
+    console.error('payment-history-list container not found');
+    return;
+  }
+
+  container.innerHTML = '<div style="text-align:center; padding:var(--space-md);"><div class="spinner"></div></div>';
+
+  try {
+    // ✅ FIXED: Query by pupilId and session only (term is already in document ID)
+    const snapshot = await db.collection('payment_transactions')
+      .where('pupilId', '==', pupilId)
+      .where('session', '==', session)
+      .orderBy('paymentDate', 'desc')
+      .get();
+
+    if (snapshot.empty) {
+      container.innerHTML = '<p style="text-align:center; color:var(--color-gray-600); padding:var(--space-lg);">No payment history yet for this session</p>';
+      return;
+    }
+
+    const transactions = [];
+    snapshot.forEach(doc => {
+      const data = doc.data();
+      transactions.push({
+        id: doc.id,
+        receiptNo: data.receiptNo || 'N/A',
+        amountPaid: data.amountPaid || 0,
+        arrearsPayment: data.arrearsPayment || 0,
+        currentTermPayment: data.currentTermPayment || 0,
+        paymentDate: data.paymentDate || null,
+        paymentMethod: data.paymentMethod || 'Cash',
+        bankReference: data.bankReference || null,
+        term: data.term || 'N/A',
+        session: data.session || 'N/A',
+        recordedBy: data.recordedBy || 'Unknown',
+        transactionType: data.transactionType || null,
+        originalReceiptNo: data.originalReceiptNo || null,
+        reason: data.reason || '',
+        voided: data.voided === true,
+        voidType: data.voidType || null,
+        voidReason: data.voidReason || '',
+        refundedAmount: Number(data.refundedAmount) || 0,
+        allocation: data.allocation || null,
+        optionalFees: data.optionalFees || []
+      });
+    });
+
+    const correctionLabels = { void: 'VOID', reversal: 'REVERSAL', refund: 'REFUND' };
+
+    container.innerHTML = transactions.map(txn => {
+      const date = txn.paymentDate ? txn.paymentDate.toDate().toLocaleDateString('en-GB') : 'N/A';
+      const hasArrears = txn.arrearsPayment > 0;
+      const balanceAfter = typeof txn.balanceAfter === 'number' ? txn.balanceAfter : null;
+      const heldOnReceipt = Number(txn.amountPaid) - txn.refundedAmount;
+
+      // Correction entries (negative amounts) reference the receipt they correct
+      if (txn.transactionType) {
+        return `
+        <div style="display:flex; justify-content:space-between; align-items:center; padding:var(--space-md); background:#fef2f2; border:1px solid #fecaca; border-radius:var(--radius-sm); margin-bottom:var(--space-sm);">
+          <div style="flex:1;">
+            <div style="font-weight:700; font-size:var(--text-lg); margin-bottom:var(--space-xs); color:#b91c1c;">
+              −₦${Math.abs(Number(txn.amountPaid)).toLocaleString()}
+              <span class="status-badge" style="background:#b91c1c; margin-left:var(--space-xs);">${correctionLabels[txn.transactionType] || txn.transactionType}</span>
+            </div>
+            <div style="font-size:var(--text-sm); color:var(--color-gray-600);">
+              ${date} • ${txn.receiptNo} • Against receipt #${txn.originalReceiptNo} • ${txn.term}
+            </div>
+            <div style="font-size:var(--text-sm); margin-top:var(--space-xs); color:#7f1d1d;">Reason: ${txn.reason}</div>
+          </div>
+          <button class="btn-small btn-secondary" onclick="printReceipt('${txn.receiptNo}')">
+            Print
+          </button>
+        </div>
+      `;
+      }
+
+      const correctionActions = txn.voided ? '' : `
+            <button class="btn-small btn-secondary" onclick="openPaymentCorrection('${txn.receiptNo}', 'refund', ${heldOnReceipt})" ${heldOnReceipt > 0 ? '' : 'disabled'}>Refund</button>
+            <button class="btn-small btn-secondary" onclick="openPaymentCorrection('${txn.receiptNo}', 'reversal', ${heldOnReceipt})" ${heldOnReceipt > 0 ? '' : 'disabled'}>Reverse</button>
+            <button class="btn-small btn-danger" onclick="openPaymentCorrection('${txn.receiptNo}', 'void', ${heldOnReceipt})" ${heldOnReceipt > 0 ? '' : 'disabled'}>Void</button>`;
+      
+      return `
+        <div style="display:flex; justify-content:space-between; align-items:center; gap:var(--space-sm); flex-wrap:wrap; padding:var(--space-md); background:white; border:1px solid var(--color-gray-300); border-radius:var(--radius-sm); margin-bottom:var(--space-sm);${txn.voided ? ' opacity:0.7;' : ''}">
+          <div style="flex:1;">
+            <div style="font-weight:700; font-size:var(--text-lg); margin-bottom:var(--space-xs);${txn.voided ? ' text-decoration:line-through;' : ''}">
+              ₦${Number(txn.amountPaid).toLocaleString()}
+              ${txn.voided ? `<span class="status-badge" style="background:#b91c1c; margin-left:var(--space-xs); text-decoration:none;">${txn.voidType === 'reversal' ? 'REVERSED' : 'VOID'}</span>` : ''}
+            </div>
+            <div style="font-size:var(--text-sm); color:var(--color-gray-600);">
+              ${date} • ${txn.paymentMethod} • Receipt #${txn.receiptNo} • ${txn.term}${txn.bankReference ? ` • Ref ${txn.bankReference}` : ''}
+            </div>
+            ${txn.voided ? `<div style="font-size:var(--text-sm); margin-top:var(--space-xs); color:#7f1d1d;">Reason: ${txn.voidReason}</div>` : ''}
+            ${txn.allocation ? `<div style="font-size:var(--text-sm); margin-top:var(--space-xs); color:var(--color-gray-600);">
+              ${Object.entries(txn.allocation).map(([head, value]) => `${window.finance.getFeeHeadLabel(head, txn.optionalFees)} ₦${Number(value).toLocaleString()}`).join(' • ')}
+            </div>` : ''}
+            ${txn.refundedAmount > 0 ? `<div style="font-size:var(--text-sm); margin-top:var(--space-xs); color:#b45309; font-weight:600;">₦${txn.refundedAmount.toLocaleString()} refunded</div>` : ''}
+            ${balanceAfter !== null ? `
+              <div style="font-size:var(--text-sm); margin-top:var(--space-xs); color:${balanceAfter <= 0 ? '#16a34a' : '#b45309'}; font-weight:600;">
+                Balance after payment: ₦${Math.max(0, balanceAfter).toLocaleString()}
+                ${balanceAfter <= 0 ? ' ✅ Fully paid' : ''}
+              </div>
+            ` : ''}
+          </div>
+          <div style="display:flex; gap:var(--space-xs); flex-wrap:wrap;">
+            <button class="btn-small btn-secondary" onclick="printReceipt('${txn.receiptNo}')">
+              Print Receipt
+            </button>
+            ${correctionActions}
+          </div>
+        </div>
+      `;
+    }).join('');
+
+    console.log(`✓ Loaded ${transactions.length} payment transactions for ${session}`);
+
+  } catch (error) {
+    console.error('❌ Error loading payment history:', error);
+    container.innerHTML = '<p style="text-align:center; color:var(--color-danger);">Error loading payment history</p>';
+  }
+}
+
+// Make function globally available
+window.loadPaymentHistory = loadPaymentHistory;
+
+/**
+ * Void / reverse / refund a receipt (finance.reversePayment)
+ */
+const PAYMENT_CORRECTION_COPY = {
+  void: {
+    title: 'Void Receipt',
+    help: 'Use when the payment was recorded by mistake. The receipt is cancelled and prints with a VOID watermark.'
+  },
+  reversal: {
+    title: 'Reverse Payment',
+    help: 'Use when the money never arrived, e.g. a bounced transfer or failed POS charge. The receipt is cancelled.'
+  },
+  refund: {
+    title: 'Refund Payment',
+    help: 'Use when money is handed back to the parent. The receipt stays valid for the amount kept.'
+  }
+};
+
+function openPaymentCorrection(receiptNo, type, heldOnReceipt) {
+  const modal = document.getElementById('payment-correction-modal');
+  const copy = PAYMENT_CORRECTION_COPY[type];
+  if (!modal || !copy) return;
+
+  modal.dataset.receiptNo = receiptNo;
+  modal.dataset.type = type;
+
+  document.getElementById('payment-correction-title').textContent = copy.title;
+  document.getElementById('payment-correction-help').textContent = copy.help;
+  document.getElementById('payment-correction-receipt').textContent =
+    `Receipt #${receiptNo} · ₦${Number(heldOnReceipt).toLocaleString()} held on this receipt`;
+
+  const amountGroup = document.getElementById('payment-correction-amount-group');
+  const amountInput = document.getElementById('payment-correction-amount');
+  amountGroup.style.display = type === 'refund' ? 'block' : 'none';
+  amountInput.max = heldOnReceipt;
+  amountInput.value = type === 'refund' ? heldOnReceipt : '';
+
+  document.getElementById('payment-correction-reason').value = '';
+  modal.style.display = 'block';
+  document.getElementById('payment-correction-reason').focus();
+}
+
+function closePaymentCorrection() {
+  const modal = document.getElementById('payment-correction-modal');
+  if (modal) modal.style.display = 'none';
+}
+
+async function submitPaymentCorrection() {
+  const modal = document.getElementById('payment-correction-modal');
+  const receiptNo = modal?.dataset.receiptNo;
+  const type = modal?.dataset.type;
+  if (!receiptNo || !type) return;
+
+  const reason = document.getElementById('payment-correction-reason').value.trim();
+  const amount = parseFloat(document.getElementById('payment-correction-amount').value);
+
+  if (reason.length < 5) {
+    window.showToast?.('Please give a reason (at least 5 characters)', 'warning');
+    return;
+  }
+
+  const label = PAYMENT_CORRECTION_COPY[type].title.toLowerCase();
+  if (!confirm(`Confirm: ${label} for receipt #${receiptNo}?\n\nThis updates the pupil's balance and is recorded in the audit log.`)) {
+    return;
+  }
+
+  const submitBtn = document.getElementById('payment-correction-submit');
+  const originalHTML = submitBtn.innerHTML;
+  submitBtn.disabled = true;
+  submitBtn.innerHTML = '<span class="btn-loading">Saving...</span>';
+
+  try {
+    const result = await window.finance.reversePayment(receiptNo, type, { reason, amount });
+
+    window.showToast?.(
+      `✓ ${PAYMENT_CORRECTION_COPY[type].title} recorded (#${result.receiptNo})\n` +
+      `₦${result.amount.toLocaleString()} • New balance: ₦${result.newBalance.toLocaleString()}`,
+      'success',
+      8000
+    );
+
+    closePaymentCorrection();
+    await loadPupilPaymentStatus();
+  } catch (error) {
+    console.error('❌ Error recording payment correction:', error);
+    window.showToast?.(error.message || 'Failed to record correction', 'danger', 8000);
+  } finally {
+    submitBtn.disabled = false;
+    submitBtn.innerHTML = originalHTML;
+  }
+}
+
+window.openPaymentCorrection = openPaymentCorrection;
+window.closePaymentCorrection = closePaymentCorrection;
+window.submitPaymentCorrection = submitPaymentCorrection;
+
+/**
+ * ✅ FIXED: Load Outstanding Fees Report using canonical calculation
+ */
+async function loadOutstandingFeesReport() {
+  const container = document.getElementById('outstanding-fees-table');
+  if (!container) return;
+
+  const tbody = container.querySelector('tbody');
+  if (!tbody) return;
+
+  tbody.innerHTML = '<tr><td colspan="7" class="table-loading">Loading outstanding fees...</td></tr>';
+
+  try {
+    const settings    = await window.getCurrentSettings();
+    const session     = settings.session;
+    const currentTerm = settings.term;
+
+    const [pupilsSnap, ledger] = await Promise.all([
+      db.collection('pupils').get(),
+      window.finance.getLedgerMap(session, currentTerm)
+    ]);
+
+    if (pupilsSnap.empty) {
+      tbody.innerHTML = '<tr><td colspan="7" style="text-align:center; padding:var(--space-2xl);">No pupils enrolled</td></tr>';
+      updateSummaryDisplay(0, 0);
       return;
     }
 
+    renderLedgerStaleNotice('outstanding-ledger-notice');
+
     const outstandingPupils = [];
     const alumniWithBalance = [];   // FIX 5: track alumni separately
     let totalOutstanding    = 0;
@@ -5396,8 +6098,8 @@ async function loadOutstandingFeesReport() {
       if (isAlumni) {
         // FIX 5: Still check alumni for outstanding balances instead of silently skipping.
         try {
-          const result = await window.calculateCurrentOutstanding(pupilId, session, currentTerm);
-          if (!result.reason && result.balance > 0) {
+          const result = ledger[pupilId];
+          if (result && result.balance > 0) {
             console.warn(
               `⚠️ Alumni ${pupilData.name} has outstanding balance: ₦${result.balance.toLocaleString()}`
             );
@@ -5410,8 +6112,8 @@ async function loadOutstandingFeesReport() {
       }
 
       try {
-        const result = await window.calculateCurrentOutstanding(pupilId, session, currentTerm);
-        if (result.reason) continue;
+        const result = ledger[pupilId];
+        if (!result) continue;
         if (result.balance > 0) {
           outstandingPupils.push(result);
           totalOutstanding += result.balance;
@@ -5455,14 +6157,27 @@ async function loadOutstandingFeesReport() {
           </strong>`;
       }
 
+      const familyNote = pupil.familyDiscount
+        ? `<br><span style="color:#6d28d9; font-size:0.85em;" title="Family discount">👨‍👩‍👧 ${pupil.familyDiscount.rule} (−₦${pupil.familyDiscount.amount.toLocaleString()})</span>`
+        : '';
+
       const arrearsNote = pupil.arrears > 0
         ? `<br><span style="color:#dc3545; font-size:0.85em; font-weight:600;">+ ₦${pupil.arrears.toLocaleString()} arrears</span>`
         : '';
 
+      // Instalment plan: on schedule vs overdue, plus the next instalment
+      const plan = pupil.instalmentPlan;
+      const planNote = plan && plan.scheduleStatus !== 'completed'
+        ? `<br><span class="status-badge" style="background:${plan.scheduleStatus === 'overdue' ? '#dc3545' : '#0f9764'}; margin-top:4px;">
+             ${plan.scheduleStatus === 'overdue' ? `Plan overdue ₦${plan.overdueAmount.toLocaleString()}` : 'Plan on schedule'}
+           </span>
+           ${plan.nextDue ? `<br><span style="font-size:0.85em; color:var(--color-gray-600);">Next: ₦${plan.nextDue.amount.toLocaleString()} due ${plan.nextDue.dueDate}</span>` : ''}`
+        : '';
+
       tr.innerHTML = `
         <td data-label="Pupil Name">${pupil.pupilName}</td>
         <td data-label="Class">${pupil.className}</td>
-        <td data-label="Amount Due">${feeDisplay}${arrearsNote}</td>
+        <td data-label="Amount Due">${feeDisplay}${familyNote}${arrearsNote}</td>
         <td data-label="Total Paid">₦${pupil.totalPaid.toLocaleString()}</td>
         <td data-label="Balance" class="text-bold text-danger">₦${pupil.balance.toLocaleString()}</td>
         <td data-label="Status">
@@ -5471,7 +6186,7 @@ async function loadOutstandingFeesReport() {
             pupil.arrears > 0              ? '#dc3545' :
                                              '#f44336'};">
             ${pupil.status === 'partial' ? 'Partial' : pupil.arrears > 0 ? 'With Arrears' : 'Owing'}
-          </span>
+          </span>${planNote}
         </td>
         <td data-label="Term">${currentTerm}</td>
       `;
@@ -5516,29 +6231,262 @@ async function loadOutstandingFeesReport() {
       });
     }
 
-    tbody.appendChild(fragment);
+    tbody.appendChild(fragment);
+
+    updateSummaryDisplay(
+      outstandingPupils.length + alumniWithBalance.length,
+      totalOutstanding
+    );
+
+    if (errorCount > 0) {
+      window.showToast?.(
+        `Report loaded with ${errorCount} error(s). Some pupils may be missing.`,
+        'warning', 6000
+      );
+    }
+
+  } catch (error) {
+    console.error('❌ Error loading outstanding fees:', error);
+    tbody.innerHTML = `<tr><td colspan="7" style="text-align:center; color:var(--color-danger);">Error: ${error.message}</td></tr>`;
+    updateSummaryDisplay(0, 0);
+  }
+}
+
+window.loadOutstandingFeesReport = loadOutstandingFeesReport;
+console.log('✅ loadOutstandingFeesReport() FIX 5 loaded');
+
+/**
+ * ═══════════════════════════════════════════════════════════
+ * DEBTOR AGEING & DEFAULTERS (Outstanding Fees section)
+ * ═══════════════════════════════════════════════════════════
+ */
+let lastAgeingReport = null;
+let ageingTrendChart = null;
+
+async function populateAgeingClassFilter() {
+  const select = document.getElementById('ageing-class-filter');
+  if (!select || select.options.length > 1) return;
+
+  try {
+    const snapshot = await db.collection('classes').orderBy('name').get();
+    snapshot.forEach(doc => {
+      const opt = document.createElement('option');
+      opt.value = doc.id;
+      opt.textContent = doc.data().name;
+      select.appendChild(opt);
+    });
+  } catch (error) {
+    console.error('Error populating ageing class filter:', error);
+  }
+}
+
+async function loadDebtorAgeing() {
+  const btn = document.getElementById('run-ageing-btn');
+  const container = document.getElementById('ageing-results');
+  if (!container) return;
+
+  const originalHTML = btn?.innerHTML;
+  if (btn) {
+    btn.disabled = true;
+    btn.innerHTML = '<span class="btn-loading">Analysing balances...</span>';
+  }
+  container.innerHTML = '<p class="table-loading">Working through every owing pupil...</p>';
+
+  try {
+    const settings = await window.getCurrentSettings();
+    const classId = document.getElementById('ageing-class-filter')?.value || null;
+    const chronicTerms = document.getElementById('ageing-chronic-terms')?.value || 2;
+
+    const [report, trend] = await Promise.all([
+      window.finance.getDebtorAgeingReport(settings.session, settings.term, { classId, chronicTerms }),
+      window.finance.getClassArrearsTrend(settings.session, settings.term)
+    ]);
+
+    report.trend = classId
+      ? { ...trend, classes: trend.classes.filter(cls => cls.classId === classId) }
+      : trend;
+    lastAgeingReport = report;
+
+    renderDebtorAgeing(report);
+
+    document.getElementById('ageing-csv-btn')?.removeAttribute('disabled');
+    document.getElementById('ageing-pdf-btn')?.removeAttribute('disabled');
+
+    if (report.errorCount > 0) {
+      window.showToast?.(`Ageing complete with ${report.errorCount} error(s). Some pupils may be missing.`, 'warning', 6000);
+    }
+
+  } catch (error) {
+    console.error('Error running debtor ageing:', error);
+    container.innerHTML = `<p style="color:var(--color-danger);">Error: ${error.message}</p>`;
+    window.handleError?.(error, 'Failed to run ageing analysis');
+  } finally {
+    if (btn) {
+      btn.disabled = false;
+      btn.innerHTML = originalHTML;
+    }
+  }
+}
+
+function renderDebtorAgeing(report) {
+  const container = document.getElementById('ageing-results');
+  if (!container) return;
+
+  const buckets = window.finance.AGEING_BUCKETS;
+  const money = value => `₦${Math.round(value).toLocaleString()}`;
+  const cardStyles = ['stat-card--warning', 'stat-card--primary', 'stat-card--purple', 'stat-card--danger'];
+
+  if (report.rows.length === 0) {
+    container.innerHTML = `<p style="color:var(--color-success); margin-top:1rem;">✓ No outstanding balances for ${report.term}.</p>`;
+    return;
+  }
+
+  const bucketCards = buckets.map((bucket, i) => `
+    <div class="stat-card ${cardStyles[i]}">
+      <div class="stat-value">${money(report.totals[bucket.key])}</div>
+      <div class="stat-label">${bucket.label}</div>
+    </div>
+  `).join('');
+
+  const classRows = report.byClass.map(cls => `
+    <tr>
+      <td data-label="Class">${cls.className}</td>
+      <td data-label="Pupils Owing">${cls.pupils}</td>
+      ${buckets.map(b => `<td data-label="${b.label}">${money(cls[b.key])}</td>`).join('')}
+      <td data-label="Total" class="text-bold">${money(cls.balance)}</td>
+    </tr>
+  `).join('');
+
+  const defaulterRows = report.defaulters.map(row => `
+    <tr>
+      <td data-label="Pupil">${row.pupilName}${row.isAlumni ? ' <em style="color:#856404;">(Alumni)</em>' : ''}</td>
+      <td data-label="Class">${row.className}</td>
+      <td data-label="Terms Owing">${row.termsOwing}</td>
+      <td data-label="Owing Since">${row.oldest?.session ? `${row.oldest.term}, ${row.oldest.session}` : 'Before records'}</td>
+      <td data-label="Older than Current Term">${money(row.balance - row.currentTerm)}</td>
+      <td data-label="Balance" class="text-bold text-danger">${money(row.balance)}</td>
+      <td data-label="Contact">${row.parentName || '-'}${row.contact ? `<br><span style="font-size:0.85em;">${row.contact}</span>` : ''}</td>
+    </tr>
+  `).join('');
+
+  container.innerHTML = `
+    <div class="stats-grid finance-stats" style="margin:1.5rem 0;">${bucketCards}</div>
+
+    <h4 style="margin:1rem 0 0.5rem;">Ageing by Class</h4>
+    <div class="table-container">
+      <table class="responsive-table">
+        <thead>
+          <tr>
+            <th>Class</th><th>Pupils Owing</th>
+            ${buckets.map(b => `<th>${b.label}</th>`).join('')}
+            <th>Total</th>
+          </tr>
+        </thead>
+        <tbody>${classRows}</tbody>
+      </table>
+    </div>
+
+    <h4 style="margin:1.5rem 0 0.5rem;">Chronic Defaulters (${report.defaulters.length}) — owing from ${report.chronicTerms}+ terms</h4>
+    ${report.defaulters.length > 0 ? `
+      <div class="table-container">
+        <table class="responsive-table">
+          <thead>
+            <tr><th>Pupil</th><th>Class</th><th>Terms Owing</th><th>Owing Since</th><th>Older than Current Term</th><th>Balance</th><th>Parent</th></tr>
+          </thead>
+          <tbody>${defaulterRows}</tbody>
+        </table>
+      </div>
+    ` : '<p style="color:var(--color-success);">✓ No chronic defaulters at this threshold.</p>'}
+
+    <h4 style="margin:1.5rem 0 0.5rem;">Outstanding by Class — Last ${report.trend.periods.length} Terms</h4>
+    <p style="font-size:0.8rem; color:#64748b; margin:0 0 0.5rem;">From the balances stored on each term's payment records.</p>
+    <div style="position:relative; height:280px;"><canvas id="ageing-trend-chart"></canvas></div>
+  `;
 
-    updateSummaryDisplay(
-      outstandingPupils.length + alumniWithBalance.length,
-      totalOutstanding
-    );
+  renderAgeingTrendChart(report.trend);
+}
 
-    if (errorCount > 0) {
-      window.showToast?.(
-        `Report loaded with ${errorCount} error(s). Some pupils may be missing.`,
-        'warning', 6000
-      );
+function renderAgeingTrendChart(trend) {
+  const canvas = document.getElementById('ageing-trend-chart');
+  if (!canvas || typeof Chart === 'undefined') return;
+
+  if (ageingTrendChart) ageingTrendChart.destroy();
+
+  const palette = ['#00b2ff', '#dc3545', '#0f9764', '#ff9800', '#6d28d9', '#0d9488', '#f59e0b', '#64748b'];
+
+  ageingTrendChart = new Chart(canvas.getContext('2d'), {
+    type: 'line',
+    data: {
+      labels: trend.periods.map(p => p.label),
+      datasets: trend.classes.map((cls, i) => ({
+        label: cls.className,
+        data: cls.values,
+        borderColor: palette[i % palette.length],
+        backgroundColor: palette[i % palette.length],
+        tension: 0.2,
+        fill: false
+      }))
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: { legend: { position: 'bottom' } },
+      scales: {
+        y: { beginAtZero: true, ticks: { callback: value => `₦${Number(value).toLocaleString()}` } }
+      }
     }
+  });
+}
 
-  } catch (error) {
-    console.error('❌ Error loading outstanding fees:', error);
-    tbody.innerHTML = `<tr><td colspan="7" style="text-align:center; color:var(--color-danger);">Error: ${error.message}</td></tr>`;
-    updateSummaryDisplay(0, 0);
+function exportDebtorAgeingCSV() {
+  const report = lastAgeingReport;
+  if (!report) {
+    window.showToast?.('Run the ageing analysis first', 'warning');
+    return;
+  }
+
+  const buckets = window.finance.AGEING_BUCKETS;
+  const rows = [
+    ['Pupil', 'Admission No', 'Class', ...buckets.map(b => b.label), 'Balance', 'Terms Owing', 'Owing Since', 'Chronic', 'Parent', 'Contact'],
+    ...report.rows.map(row => [
+      row.pupilName,
+      row.admissionNo,
+      row.className + (row.isAlumni ? ' (Alumni)' : ''),
+      ...buckets.map(b => row[b.key]),
+      row.balance,
+      row.termsOwing,
+      row.oldest?.session ? `${row.oldest.term} ${row.oldest.session}` : 'Before records',
+      row.chronic ? 'Yes' : 'No',
+      row.parentName,
+      row.contact
+    ]),
+    [],
+    ['TOTAL', '', '', ...buckets.map(b => report.totals[b.key]), report.totals.balance],
+    [],
+    ['CLASS TREND', ...report.trend.periods.map(p => p.label)],
+    ...report.trend.classes.map(cls => [cls.className, ...cls.values])
+  ];
+
+  const csv = rows
+    .map(row => row.map(v => `"${String(v ?? '').replace(/"/g, '""')}"`).join(','))
+    .join('\n');
+
+  downloadCSV(csv, `Debtor_Ageing_${report.session.replace(/\//g, '-')}_${report.term.replace(/\s+/g, '_')}_${new Date().toISOString().split('T')[0]}.csv`);
+  window.showToast?.(`✓ Exported ${report.rows.length} debtor(s)`, 'success');
+}
+
+function exportDebtorAgeingPDF() {
+  if (!lastAgeingReport) {
+    window.showToast?.('Run the ageing analysis first', 'warning');
+    return;
   }
+  window.generateDebtorAgeingReport?.(lastAgeingReport);
 }
 
-window.loadOutstandingFeesReport = loadOutstandingFeesReport;
-console.log('✅ loadOutstandingFeesReport() FIX 5 loaded');
+window.populateAgeingClassFilter = populateAgeingClassFilter;
+window.loadDebtorAgeing = loadDebtorAgeing;
+window.exportDebtorAgeingCSV = exportDebtorAgeingCSV;
+window.exportDebtorAgeingPDF = exportDebtorAgeingPDF;
 
 /**
  * Show detailed fee breakdown in modal
@@ -5612,7 +6560,12 @@ async function loadFinancialReports() {
 
     console.log(`📊 Generating financial report for ${session} - ${currentTerm}`);
 
-    const pupilsSnap = await db.collection('pupils').get();
+    const [pupilsSnap, ledger] = await Promise.all([
+      db.collection('pupils').get(),
+      window.finance.getLedgerMap(session, currentTerm)
+    ]);
+
+    loadLedgerStatus();
 
     if (pupilsSnap.empty) {
       updateFinancialDisplays(0, 0, 0, 0, 0, 0, 0, session, currentTerm);
@@ -5633,6 +6586,7 @@ async function loadFinancialReports() {
     let processedCount = 0;
     let skippedCount   = 0;
     let errorCount     = 0;
+    const results      = [];
 
     for (const pupilDoc of pupilsSnap.docs) {
       const pupilId   = pupilDoc.id;
@@ -5644,13 +6598,15 @@ async function loadFinancialReports() {
       }
 
       try {
-        const result = await window.calculateCurrentOutstanding(pupilId, session, currentTerm);
+        const result = ledger[pupilId];
 
-        if (result.reason) {
+        if (!result) {
           skippedCount++;
           continue;
         }
 
+        results.push(result);
+
         // FIX 6: Accumulate current fees and arrears separately
         totalCurrentFees += result.amountDue;
         totalArrears     += result.arrears;
@@ -5725,6 +6681,8 @@ async function loadFinancialReports() {
       overallRateEl.textContent = `${overallCollectionRate}%`;
     }
 
+    renderFeeHeadReport(window.finance.summariseFeeHeads(results));
+
     console.log(`✅ Financial report generated successfully`);
 
   } catch (error) {
@@ -5736,6 +6694,117 @@ async function loadFinancialReports() {
 window.loadFinancialReports = loadFinancialReports;
 console.log('✅ loadFinancialReports() FIX 6 loaded');
 
+/**
+ * ═══════════════════════════════════════════════════════════
+ * BALANCE LEDGER STATUS & VERIFICATION (Financial Reports section)
+ * ═══════════════════════════════════════════════════════════
+ */
+async function loadLedgerStatus() {
+  const container = document.getElementById('ledger-status');
+  if (!container) return;
+
+  try {
+    const settings = await window.getCurrentSettings();
+    const status = await window.finance.getLedgerStatus();
+    const last = status.terms?.[window.finance.ledgerTermKey(settings.session, settings.term)];
+    const verifiedAt = last?.verifiedAt?.toDate ? last.verifiedAt.toDate().toLocaleString('en-GB') : null;
+
+    container.innerHTML = `
+      ${status.stale ? `<div class="alert alert-warning">⚠️ Balances may be out of date: ${status.staleReason || 'a school-wide fee setting changed'}. Run a verification to bring them up to date.</div>` : ''}
+      <p style="font-size:0.875rem; margin:0 0 0.75rem;">
+        ${verifiedAt
+          ? `Last verified ${verifiedAt}${last.verifiedBy ? ` by ${last.verifiedBy}` : ''} — ${last.checked} pupils checked, ${last.driftCount + last.missingCount + last.orphanedCount} difference(s) ${last.repaired ? 'corrected' : 'found'}.`
+          : 'Not verified yet this term.'}
+      </p>
+    `;
+  } catch (error) {
+    console.error('Error loading ledger status:', error);
+    container.innerHTML = '';
+  }
+}
+
+async function renderLedgerStaleNotice(containerId) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  try {
+    const status = await window.finance.getLedgerStatus();
+    container.innerHTML = status.stale
+      ? `<div class="alert alert-warning" style="margin-bottom:1rem;">⚠️ Balances may be out of date (${status.staleReason || 'a school-wide fee setting changed'}). Verify the balance ledger under Financial Reports.</div>`
+      : '';
+  } catch (error) {
+    container.innerHTML = '';
+  }
+}
+
+async function runLedgerVerification() {
+  const btn = document.getElementById('verify-ledger-btn');
+  const results = document.getElementById('ledger-verify-results');
+  const originalHTML = btn?.innerHTML;
+
+  if (btn) {
+    btn.disabled = true;
+    btn.innerHTML = '<span class="btn-loading">Verifying...</span>';
+  }
+
+  try {
+    const settings = await window.getCurrentSettings();
+    const report = await window.finance.verifyLedger(settings.session, settings.term, {
+      repair: true,
+      onProgress: (done, total) => {
+        if (btn) btn.innerHTML = `<span class="btn-loading">Verifying ${done}/${total}...</span>`;
+      }
+    });
+
+    const issueLabels = { drift: 'Balance differed', missing: 'Missing from ledger', orphaned: 'No longer billed' };
+    const money = value => typeof value === 'number' ? `₦${value.toLocaleString()}` : (value ?? '—');
+
+    if (results) {
+      results.innerHTML = report.drift.length === 0
+        ? `<div class="alert alert-success" style="margin-top:1rem;">✓ Ledger matches source for all ${report.checked} pupils.</div>`
+        : `
+          <div class="alert alert-info" style="margin-top:1rem;">
+            ${report.drift.length} difference(s) found and corrected (${report.checked} pupils checked).
+          </div>
+          <div class="table-container">
+            <table class="responsive-table">
+              <thead><tr><th>Pupil</th><th>Issue</th><th>Fields (ledger → actual)</th></tr></thead>
+              <tbody>
+                ${report.drift.map(item => `
+                  <tr>
+                    <td data-label="Pupil">${item.pupilName || item.pupilId}${item.className ? ` <span style="color:#64748b;">(${item.className})</span>` : ''}</td>
+                    <td data-label="Issue">${issueLabels[item.issue] || item.issue}</td>
+                    <td data-label="Fields">${item.fields.map(f => `${f.field}: ${money(f.ledger)} → ${money(f.actual)}`).join('<br>') || '—'}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+        `;
+    }
+
+    if (report.errors > 0) {
+      window.showToast?.(`Verification finished with ${report.errors} error(s). Check console.`, 'warning', 6000);
+    } else {
+      window.showToast?.('✓ Balance ledger verified', 'success');
+    }
+
+    await loadFinancialReports();
+
+  } catch (error) {
+    console.error('Error verifying ledger:', error);
+    window.handleError?.(error, 'Failed to verify balance ledger');
+  } finally {
+    if (btn) {
+      btn.disabled = false;
+      btn.innerHTML = originalHTML;
+    }
+  }
+}
+
+window.loadLedgerStatus = loadLedgerStatus;
+window.runLedgerVerification = runLedgerVerification;
+
 // Helper function (keep existing one)
 function updateFinancialDisplays(
     totalExpected,
@@ -5774,6 +6843,26 @@ function updateFinancialDisplays(
     if (termEl) termEl.textContent = term || '—';
 }
 
+function renderFeeHeadReport(rows) {
+    const tbody = document.querySelector('#report-fee-heads-table tbody');
+    if (!tbody) return;
+
+    if (rows.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" style="text-align:center; color:var(--color-gray-600);">No fees configured for this term</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = rows.map(row => `
+        <tr>
+            <td data-label="Fee Head">${row.label}</td>
+            <td data-label="Expected">₦${row.due.toLocaleString()}</td>
+            <td data-label="Collected">₦${row.paid.toLocaleString()}</td>
+            <td data-label="Outstanding">₦${row.balance.toLocaleString()}</td>
+            <td data-label="Rate">${row.due > 0 ? ((row.paid / row.due) * 100).toFixed(1) : 0}%</td>
+        </tr>
+    `).join('');
+}
+
 function updateSummaryDisplay(count, total) {
     const countEl = document.getElementById('outstanding-count');
     const totalEl = document.getElementById('outstanding-total');
@@ -5791,155 +6880,477 @@ window.calculateSessionBalanceSafe = calculateSessionBalanceSafe;
 window.updateFinancialDisplays = updateFinancialDisplays;
 window.updateSummaryDisplay = updateSummaryDisplay;
 
-console.log('✅ COMPLETE FINANCIAL SYSTEM FIX LOADED');
-console.log('   - Outstanding fees: Pupil-based with class fee matching');
-console.log('   - Financial reports: Pupil-based with class fee matching');
-console.log('   - CSV export: Pupil-based with class fee matching');
-console.log('   - PDF export: Pupil-based with class fee matching');
+console.log('✅ COMPLETE FINANCIAL SYSTEM FIX LOADED');
+console.log('   - Outstanding fees: Pupil-based with class fee matching');
+console.log('   - Financial reports: Pupil-based with class fee matching');
+console.log('   - CSV export: Pupil-based with class fee matching');
+console.log('   - PDF export: Pupil-based with class fee matching');
+
+
+// Make functions globally available
+window.updateFinancialDisplays = updateFinancialDisplays;
+
+/**
+ * Save a class fee structure for the session chosen in the form — for the whole
+ * session or one term only. Earlier sessions keep the fee they were charged.
+ */
+async function saveFeeStructure() {
+  const classSelect = document.getElementById('fee-config-class');
+  const classId = classSelect?.value;
+  const className = classSelect?.selectedOptions[0]?.dataset.className;
+  const session = getSelectedFeeSession();
+  const term = document.getElementById('fee-config-scope')?.value || null;
+
+  if (!classId) {
+    window.showToast?.('Please select a class', 'warning');
+    return;
+  }
+
+  if (!session) {
+    window.showToast?.('Please select a session', 'warning');
+    return;
+  }
+
+  // ✅ FIXED: Round all fee components to whole naira on input
+  // Guards against: user typing decimals, copy-paste with fractions,
+  // and legacy Firestore documents with unrounded float values
+  const tuition  = Math.round(parseFloat(document.getElementById('fee-tuition')?.value)  || 0);
+  const examFee  = Math.round(parseFloat(document.getElementById('fee-exam')?.value)      || 0);
+  const uniform  = Math.round(parseFloat(document.getElementById('fee-uniform')?.value)   || 0);
+  const books    = Math.round(parseFloat(document.getElementById('fee-books')?.value)     || 0);
+  const pta      = Math.round(parseFloat(document.getElementById('fee-pta')?.value)       || 0);
+  const other    = Math.round(parseFloat(document.getElementById('fee-other')?.value)     || 0);
+
+  const feeBreakdown = {
+    tuition,
+    exam_fee: examFee,
+    uniform,
+    books,
+    pta,
+    other
+  };
+
+  // Sum of already-rounded integers — total will always be a whole number
+  const total = tuition + examFee + uniform + books + pta + other;
+
+  if (total <= 0) {
+    window.showToast?.('Please enter at least one fee amount', 'warning');
+    return;
+  }
+
+  const saveBtn = document.getElementById('save-fee-structure-btn');
+  const isEditing = saveBtn?.dataset.editingId;
+  const scopeLabel = term ? `${term} ${session}` : session;
+
+  if (saveBtn) {
+    saveBtn.disabled = true;
+    saveBtn.innerHTML = '<span class="btn-loading">Saving...</span>';
+  }
+
+  try {
+    const feeDocId = window.finance.feeStructureDocId(classId, session, term);
+
+    const existingFeeDoc = await db.collection('fee_structures').doc(feeDocId).get();
+    const updatingSameDoc = isEditing === feeDocId;
+
+    if (existingFeeDoc.exists && !updatingSameDoc) {
+      const existingData = existingFeeDoc.data();
+      const existingTotal = Math.round(Number(existingData.total) || 0);
+
+      const confirmation = confirm(
+        `⚠️ FEE STRUCTURE ALREADY EXISTS\n\n` +
+        `Class: ${className}\n` +
+        `Applies to: ${scopeLabel}\n\n` +
+        `Current fee: ₦${existingTotal.toLocaleString()} per term\n` +
+        `New fee: ₦${total.toLocaleString()} per term\n\n` +
+        `This will UPDATE the existing fee structure.\n\n` +
+        `Continue?`
+      );
+
+      if (!confirmation) {
+        window.showToast?.('Operation cancelled', 'info');
+        return;
+      }
+    }
+
+    if (existingFeeDoc.exists) {
+      await db.collection('fee_structure_history').add({
+        ...existingFeeDoc.data(),
+        archivedAt: firebase.firestore.FieldValue.serverTimestamp(),
+        archivedBy: auth.currentUser.uid,
+        reason: updatingSameDoc ? 'Fee structure edited' : 'Fee structure updated'
+      });
+    }
+
+    const createdAt = existingFeeDoc.exists
+      ? (existingFeeDoc.data()?.createdAt || firebase.firestore.FieldValue.serverTimestamp())
+      : firebase.firestore.FieldValue.serverTimestamp();
+
+    await db.collection('fee_structures').doc(feeDocId).set({
+      classId,
+      className,
+      session,
+      term,
+      fees: feeBreakdown,
+      total,
+      createdAt,
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      lastModifiedBy: auth.currentUser.uid
+    });
+
+    window.finance.clearFeeStructureCache();
+    window.finance.refreshLedgerInBackground(
+      () => window.finance.refreshClassLedger(classId),
+      `fee structure for ${className}`
+    );
+
+    const action = existingFeeDoc.exists ? 'updated' : 'created';
+
+    window.showToast?.(
+      `✓ Fee structure ${action} for ${className} (${scopeLabel})!\n\n` +
+      `Per-term fee: ₦${total.toLocaleString()}\n\n` +
+      (term
+        ? `Applies to ${term} of ${session} only.`
+        : `Applies from ${session} until a later session gets its own fee.`),
+      'success',
+      8000
+    );
+
+    resetFeeStructureForm();
+
+    await loadFeeStructures();
+
+  } catch (error) {
+    console.error('❌ Error saving fee structure:', error);
+    window.showToast?.('Failed to save fee structure: ' + error.message, 'danger');
+  } finally {
+    if (saveBtn) {
+      saveBtn.disabled = false;
+      saveBtn.innerHTML = saveBtn.dataset.editingId ? '✏️ Update Fee Structure' : '💾 Save Fee Structure';
+    }
+  }
+}
+
+function resetFeeStructureForm() {
+  const classSelect = document.getElementById('fee-config-class');
+  if (classSelect) {
+    classSelect.value = '';
+    classSelect.disabled = false;
+  }
+
+  const scopeSelect = document.getElementById('fee-config-scope');
+  if (scopeSelect) {
+    scopeSelect.value = '';
+    scopeSelect.disabled = false;
+  }
+
+  ['fee-tuition', 'fee-exam', 'fee-uniform', 'fee-books', 'fee-pta', 'fee-other'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.value = '';
+  });
+
+  const saveBtn = document.getElementById('save-fee-structure-btn');
+  if (saveBtn) delete saveBtn.dataset.editingId;
+}
+
+window.saveFeeStructure = saveFeeStructure;
+
+/**
+ * Family / sibling discount rules (settings/feeDiscounts — see finance.js)
+ */
+async function loadFamilyDiscountRules() {
+  const enabledInput = document.getElementById('family-discount-enabled');
+  const rulesList = document.getElementById('family-discount-rules');
+  if (!enabledInput || !rulesList) return;
+
+  try {
+    const config = await window.finance.getFamilyDiscountRules(true);
+    enabledInput.checked = config.enabled;
+    rulesList.innerHTML = '';
+
+    const rules = config.rules.length > 0
+      ? config.rules
+      : [{ position: 2, percent: '' }];
+    rules.forEach(rule => addFamilyDiscountRuleRow(rule.position, rule.percent));
+  } catch (error) {
+    console.error('Error loading family discount rules:', error);
+    rulesList.innerHTML = '<p style="color:var(--color-danger);">Could not load family discount rules</p>';
+  }
+}
+
+function addFamilyDiscountRuleRow(position, percent) {
+  const rulesList = document.getElementById('family-discount-rules');
+  if (!rulesList) return;
+
+  const lastPosition = Array.from(rulesList.querySelectorAll('.family-rule-position'))
+    .reduce((max, input) => Math.max(max, parseInt(input.value, 10) || 0), 1);
+
+  const row = document.createElement('div');
+  row.className = 'form-row form-row-2 family-rule-row';
+  row.style.alignItems = 'end';
+  row.innerHTML = `
+    <div class="form-group">
+      <label>Child position</label>
+      <input type="number" class="family-rule-position" min="2" step="1" value="${position || lastPosition + 1}">
+    </div>
+    <div class="form-group">
+      <label>Discount (%)</label>
+      <div style="display:flex; gap:0.5rem;">
+        <input type="number" class="family-rule-percent" min="0" max="100" step="0.5" placeholder="e.g. 10" value="${percent ?? ''}">
+        <button type="button" class="btn-small btn-danger" onclick="this.closest('.family-rule-row').remove()" title="Remove rule">✕</button>
+      </div>
+    </div>
+  `;
+  rulesList.appendChild(row);
+}
+
+async function saveFamilyDiscountRules() {
+  const enabled = document.getElementById('family-discount-enabled')?.checked || false;
+  const rules = Array.from(document.querySelectorAll('#family-discount-rules .family-rule-row'))
+    .map(row => ({
+      position: row.querySelector('.family-rule-position')?.value,
+      percent: row.querySelector('.family-rule-percent')?.value
+    }))
+    .filter(rule => rule.position !== '' || rule.percent !== '');
+
+  const saveBtn = document.getElementById('save-family-discounts-btn');
+  const originalHTML = saveBtn?.innerHTML;
+  if (saveBtn) {
+    saveBtn.disabled = true;
+    saveBtn.innerHTML = '<span class="btn-loading">Saving...</span>';
+  }
+
+  try {
+    const saved = await window.finance.saveFamilyDiscountRules(enabled, rules);
 
+    window.showToast?.(
+      enabled
+        ? `✓ Family discounts saved (${saved.length} rule${saved.length === 1 ? '' : 's'}). They apply to balances and new payments from now on.`
+        : '✓ Family discounts turned off',
+      'success',
+      6000
+    );
 
-// Make functions globally available
-window.updateFinancialDisplays = updateFinancialDisplays;
+    await loadFamilyDiscountRules();
+  } catch (error) {
+    console.error('Error saving family discount rules:', error);
+    window.showToast?.(error.message || 'Failed to save family discounts', 'danger', 6000);
+  } finally {
+    if (saveBtn) {
+      saveBtn.disabled = false;
+      saveBtn.innerHTML = originalHTML;
+    }
+  }
+}
+
+window.loadFamilyDiscountRules = loadFamilyDiscountRules;
+window.addFamilyDiscountRuleRow = addFamilyDiscountRuleRow;
+window.saveFamilyDiscountRules = saveFamilyDiscountRules;
 
 /**
- * FIXED: Fee Structure ID - Class-Based (No Session)
- * Replace saveFeeStructure() function
+ * Payment allocation order for fee heads (settings/feeAllocation — see finance.js)
  */
-async function saveFeeStructure() {
-  const classSelect = document.getElementById('fee-config-class');
-  const classId = classSelect?.value;
-  const className = classSelect?.selectedOptions[0]?.dataset.className;
+async function loadFeeHeadPriority() {
+  const list = document.getElementById('fee-head-priority-list');
+  if (!list) return;
 
-  if (!classId) {
-    window.showToast?.('Please select a class', 'warning');
-    return;
+  try {
+    renderFeeHeadPriority(await window.finance.getFeeHeadPriority(true));
+  } catch (error) {
+    console.error('Error loading fee allocation order:', error);
+    list.innerHTML = '<li style="color:var(--color-danger);">Could not load allocation order</li>';
   }
+}
 
-  // ✅ FIXED: Round all fee components to whole naira on input
-  // Guards against: user typing decimals, copy-paste with fractions,
-  // and legacy Firestore documents with unrounded float values
-  const tuition  = Math.round(parseFloat(document.getElementById('fee-tuition')?.value)  || 0);
-  const examFee  = Math.round(parseFloat(document.getElementById('fee-exam')?.value)      || 0);
-  const uniform  = Math.round(parseFloat(document.getElementById('fee-uniform')?.value)   || 0);
-  const books    = Math.round(parseFloat(document.getElementById('fee-books')?.value)     || 0);
-  const pta      = Math.round(parseFloat(document.getElementById('fee-pta')?.value)       || 0);
-  const other    = Math.round(parseFloat(document.getElementById('fee-other')?.value)     || 0);
+function renderFeeHeadPriority(priority) {
+  const list = document.getElementById('fee-head-priority-list');
+  if (!list) return;
 
-  const feeBreakdown = {
-    tuition,
-    exam_fee: examFee,
-    uniform,
-    books,
-    pta,
-    other
-  };
+  list.innerHTML = priority.map((head, index) => `
+    <li data-head="${head}" style="margin-bottom:0.5rem;">
+      <span style="display:inline-block; min-width:120px; font-weight:600;">${window.finance.FEE_HEADS[head]}</span>
+      <button type="button" class="btn-small btn-secondary" onclick="moveFeeHead(${index}, -1)" ${index === 0 ? 'disabled' : ''} title="Move up">↑</button>
+      <button type="button" class="btn-small btn-secondary" onclick="moveFeeHead(${index}, 1)" ${index === priority.length - 1 ? 'disabled' : ''} title="Move down">↓</button>
+    </li>
+  `).join('');
+}
 
-  // Sum of already-rounded integers — total will always be a whole number
-  const total = tuition + examFee + uniform + books + pta + other;
+function getFeeHeadPriorityFromList() {
+  return Array.from(document.querySelectorAll('#fee-head-priority-list li[data-head]'))
+    .map(item => item.dataset.head);
+}
 
-  if (total <= 0) {
-    window.showToast?.('Please enter at least one fee amount', 'warning');
-    return;
-  }
+function moveFeeHead(index, direction) {
+  const priority = getFeeHeadPriorityFromList();
+  const target = index + direction;
+  if (target < 0 || target >= priority.length) return;
 
-  const saveBtn = document.getElementById('save-fee-structure-btn');
-  const isEditing = saveBtn?.dataset.editingId;
+  [priority[index], priority[target]] = [priority[target], priority[index]];
+  renderFeeHeadPriority(priority);
+}
 
+async function saveFeeHeadPriority() {
+  const saveBtn = document.getElementById('save-fee-head-priority-btn');
+  const originalHTML = saveBtn?.innerHTML;
   if (saveBtn) {
     saveBtn.disabled = true;
     saveBtn.innerHTML = '<span class="btn-loading">Saving...</span>';
   }
 
   try {
-    const feeDocId = `fee_${classId}`;
+    const saved = await window.finance.saveFeeHeadPriority(getFeeHeadPriorityFromList());
+    window.showToast?.(
+      `✓ Allocation order saved: ${saved.map(head => window.finance.FEE_HEADS[head]).join(' → ')}`,
+      'success',
+      6000
+    );
+    renderFeeHeadPriority(saved);
+  } catch (error) {
+    console.error('Error saving fee allocation order:', error);
+    window.showToast?.(error.message || 'Failed to save allocation order', 'danger');
+  } finally {
+    if (saveBtn) {
+      saveBtn.disabled = false;
+      saveBtn.innerHTML = originalHTML;
+    }
+  }
+}
 
-    const existingFeeDoc = await db.collection('fee_structures').doc(feeDocId).get();
+window.loadFeeHeadPriority = loadFeeHeadPriority;
 
-    if (existingFeeDoc.exists && !isEditing) {
-      const existingData = existingFeeDoc.data();
-      const existingTotal = Math.round(Number(existingData.total) || 0);
+/**
+ * Optional fee items catalogue (fee_items — see finance.js)
+ */
+async function loadOptionalFeeItems() {
+  const tbody = document.getElementById('optional-fee-items-table');
+  if (!tbody) return;
 
-      const confirmation = confirm(
-        `⚠️ FEE STRUCTURE ALREADY EXISTS\n\n` +
-        `Class: ${className}\n\n` +
-        `Current fee: ₦${existingTotal.toLocaleString()} per term\n` +
-        `New fee: ₦${total.toLocaleString()} per term\n\n` +
-        `This will UPDATE the existing fee structure.\n\n` +
-        `Continue?`
-      );
+  try {
+    const items = await window.finance.getOptionalFeeItems(true);
+    const categories = window.finance.OPTIONAL_FEE_CATEGORIES;
 
-      if (!confirmation) {
-        window.showToast?.('Operation cancelled', 'info');
-        return;
-      }
+    if (items.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="5" style="text-align:center; color:var(--color-gray-600);">No optional fee items yet</td></tr>';
+      return;
     }
 
-    if (isEditing || existingFeeDoc.exists) {
-      const oldDoc = await db.collection('fee_structures').doc(feeDocId).get();
-      if (oldDoc.exists) {
-        await db.collection('fee_structure_history').add({
-          ...oldDoc.data(),
-          archivedAt: firebase.firestore.FieldValue.serverTimestamp(),
-          archivedBy: auth.currentUser.uid,
-          reason: isEditing ? 'Fee structure edited' : 'Fee structure updated'
-        });
-      }
-    }
+    tbody.innerHTML = items.map(item => `
+      <tr${item.active ? '' : ' style="opacity:0.6;"'}>
+        <td data-label="Item">${item.name}</td>
+        <td data-label="Category">${categories[item.category] || item.category}</td>
+        <td data-label="Per Term">₦${item.amount.toLocaleString()}</td>
+        <td data-label="Status">
+          <span class="status-badge" style="background:${item.active ? '#4CAF50' : '#64748b'};">${item.active ? 'Offered' : 'Withdrawn'}</span>
+        </td>
+        <td data-label="Actions">
+          <button class="btn-small btn-secondary" onclick="editOptionalFeeItem('${item.id}')">Edit</button>
+          <button class="btn-small ${item.active ? 'btn-danger' : 'btn-secondary'}" onclick="toggleOptionalFeeItem('${item.id}', ${!item.active})">
+            ${item.active ? 'Withdraw' : 'Offer again'}
+          </button>
+        </td>
+      </tr>
+    `).join('');
+  } catch (error) {
+    console.error('Error loading optional fee items:', error);
+    tbody.innerHTML = '<tr><td colspan="5" style="text-align:center; color:var(--color-danger);">Could not load optional fee items</td></tr>';
+  }
+}
 
-    const createdAt = existingFeeDoc.exists
-      ? (existingFeeDoc.data()?.createdAt || firebase.firestore.FieldValue.serverTimestamp())
-      : firebase.firestore.FieldValue.serverTimestamp();
+function resetOptionalFeeItemForm() {
+  document.getElementById('optional-item-name').value = '';
+  document.getElementById('optional-item-category').value = 'transport';
+  document.getElementById('optional-item-amount').value = '';
 
-    await db.collection('fee_structures').doc(feeDocId).set({
-      classId,
-      className,
-      fees: feeBreakdown,
-      total,
-      createdAt,
-      updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
-      lastModifiedBy: auth.currentUser.uid
-    });
+  const saveBtn = document.getElementById('save-optional-item-btn');
+  if (saveBtn) delete saveBtn.dataset.editingId;
+  const cancelBtn = document.getElementById('cancel-optional-item-btn');
+  if (cancelBtn) cancelBtn.style.display = 'none';
+}
 
-    const action = existingFeeDoc.exists ? 'updated' : 'created';
+async function editOptionalFeeItem(itemId) {
+  const item = (await window.finance.getOptionalFeeItems()).find(entry => entry.id === itemId);
+  if (!item) return;
 
-    window.showToast?.(
-      `✓ Fee structure ${action} for ${className}!\n\n` +
-      `Per-term fee: ₦${total.toLocaleString()}\n\n` +
-      `This fee applies to all terms until changed.`,
-      'success',
-      8000
-    );
+  document.getElementById('optional-item-name').value = item.name;
+  document.getElementById('optional-item-category').value = item.category;
+  document.getElementById('optional-item-amount').value = item.amount;
 
-    document.getElementById('fee-config-class').value = '';
-    ['fee-tuition', 'fee-exam', 'fee-uniform', 'fee-books', 'fee-pta', 'fee-other'].forEach(id => {
-      const el = document.getElementById(id);
-      if (el) el.value = '';
-    });
+  document.getElementById('save-optional-item-btn').dataset.editingId = itemId;
+  document.getElementById('cancel-optional-item-btn').style.display = 'inline-flex';
+  document.getElementById('optional-item-name').focus();
+}
 
-    if (saveBtn) {
-      saveBtn.textContent = '💾 Save Fee Structure';
-      delete saveBtn.dataset.editingId;
-    }
+async function saveOptionalFeeItem() {
+  const saveBtn = document.getElementById('save-optional-item-btn');
+  const editingId = saveBtn?.dataset.editingId || null;
+  const originalHTML = saveBtn?.innerHTML;
 
-    if (classSelect) classSelect.disabled = false;
+  if (saveBtn) {
+    saveBtn.disabled = true;
+    saveBtn.innerHTML = '<span class="btn-loading">Saving...</span>';
+  }
 
-    await loadFeeStructures();
+  try {
+    const existing = editingId
+      ? (await window.finance.getOptionalFeeItems()).find(entry => entry.id === editingId)
+      : null;
 
+    await window.finance.saveOptionalFeeItem({
+      name: document.getElementById('optional-item-name').value,
+      category: document.getElementById('optional-item-category').value,
+      amount: document.getElementById('optional-item-amount').value,
+      active: existing ? existing.active : true
+    }, editingId);
+
+    window.showToast?.(
+      editingId
+        ? '✓ Fee item updated. Selections already saved keep the price they were charged at.'
+        : '✓ Fee item added',
+      'success',
+      6000
+    );
+    resetOptionalFeeItemForm();
+    await loadOptionalFeeItems();
   } catch (error) {
-    console.error('❌ Error saving fee structure:', error);
-    window.showToast?.('Failed to save fee structure: ' + error.message, 'danger');
+    console.error('Error saving optional fee item:', error);
+    window.showToast?.(error.message || 'Failed to save fee item', 'danger');
   } finally {
     if (saveBtn) {
       saveBtn.disabled = false;
-      saveBtn.innerHTML = isEditing ? '✏️ Update Fee Structure' : '💾 Save Fee Structure';
+      saveBtn.innerHTML = originalHTML;
     }
   }
 }
 
-window.saveFeeStructure = saveFeeStructure;
+async function toggleOptionalFeeItem(itemId, active) {
+  const item = (await window.finance.getOptionalFeeItems()).find(entry => entry.id === itemId);
+  if (!item) return;
+
+  if (!active && !confirm(`Withdraw "${item.name}"?\n\nIt can no longer be chosen. Pupils already signed up for a term keep paying for it.`)) {
+    return;
+  }
+
+  try {
+    await window.finance.saveOptionalFeeItem({ ...item, active }, itemId);
+    window.showToast?.(`✓ ${item.name} ${active ? 'offered again' : 'withdrawn'}`, 'success');
+    await loadOptionalFeeItems();
+  } catch (error) {
+    console.error('Error updating optional fee item:', error);
+    window.showToast?.(error.message || 'Failed to update fee item', 'danger');
+  }
+}
+
+window.loadOptionalFeeItems = loadOptionalFeeItems;
+window.resetOptionalFeeItemForm = resetOptionalFeeItemForm;
+window.editOptionalFeeItem = editOptionalFeeItem;
+window.saveOptionalFeeItem = saveOptionalFeeItem;
+window.toggleOptionalFeeItem = toggleOptionalFeeItem;
+window.moveFeeHead = moveFeeHead;
+window.saveFeeHeadPriority = saveFeeHeadPriority;
 
 /**
- * ✅ FIXED: Edit fee structure - Works with permanent (class-based) fee structures
+ * Load a fee structure into the form. A session or term fee is edited in place;
+ * a carried-over or standing fee is a starting point for the selected session's own fee.
  */
 async function editFeeStructure(feeDocId) {
   try {
@@ -5951,6 +7362,8 @@ async function editFeeStructure(feeDocId) {
     }
     
     const data = feeDoc.data();
+    const session = getSelectedFeeSession();
+    const inPlace = window.finance.feeStructureKind(feeDoc.id, data) === 'versioned' && data.session === session;
     
     // Populate form with existing data
     const classSelect = document.getElementById('fee-config-class');
@@ -5958,6 +7371,12 @@ async function editFeeStructure(feeDocId) {
       classSelect.value = data.classId;
       classSelect.disabled = true; // Prevent changing class during edit
     }
+
+    const scopeSelect = document.getElementById('fee-config-scope');
+    if (scopeSelect) {
+      scopeSelect.value = inPlace ? (data.term || '') : '';
+      scopeSelect.disabled = inPlace;
+    }
     
     document.getElementById('fee-tuition').value = data.fees?.tuition || 0;
     document.getElementById('fee-exam').value = data.fees?.exam_fee || 0;
@@ -5969,14 +7388,19 @@ async function editFeeStructure(feeDocId) {
     // Change button text and add data attribute
     const saveBtn = document.getElementById('save-fee-structure-btn');
     if (saveBtn) {
-      saveBtn.textContent = '✏️ Update Fee Structure';
-      saveBtn.dataset.editingId = feeDocId;
+      if (inPlace) {
+        saveBtn.textContent = '✏️ Update Fee Structure';
+        saveBtn.dataset.editingId = feeDocId;
+      } else {
+        saveBtn.textContent = `💾 Save ${session} Fee`;
+        delete saveBtn.dataset.editingId;
+      }
     }
     
     // Update form title
     const formTitle = document.querySelector('#fee-management h3');
     if (formTitle) {
-      formTitle.textContent = `Edit Fee Structure: ${data.className}`;
+      formTitle.textContent = `${inPlace ? 'Edit' : 'Set'} Fee Structure: ${data.className}`;
     }
     
     // Scroll to form
@@ -5989,9 +7413,12 @@ async function editFeeStructure(feeDocId) {
     }
     
     window.showToast?.(
-      `Editing fee structure for ${data.className}\n\n` +
-      `Note: You cannot change which class this fee applies to.\n` +
-      `Current fee: ₦${data.total.toLocaleString()} per term`,
+      inPlace
+        ? `Editing ${data.term ? data.term + ' ' : ''}${data.session} fee for ${data.className}\n\n` +
+          `Current fee: ₦${Number(data.total).toLocaleString()} per term`
+        : `Setting the ${session} fee for ${data.className}\n\n` +
+          `Starting from ₦${Number(data.total).toLocaleString()} per term. ` +
+          `Earlier sessions keep their fee.`,
       'info',
       6000
     );
@@ -6003,8 +7430,9 @@ async function editFeeStructure(feeDocId) {
 }
 
 /**
- * ✅ FIXED: Delete fee structure - Works with permanent (class-based) fee structures
- * No longer depends on session field since fees are now permanent
+ * Delete a session or term fee structure. Refused once payments exist for the
+ * period it covers (any period for the standing fee). The period then falls
+ * back to the earlier session's fee.
  */
 async function deleteFeeStructure(docId, className) {
   try {
@@ -6018,17 +7446,32 @@ async function deleteFeeStructure(docId, className) {
     const feeData = feeDoc.data();
     const classId = feeData.classId;
     const total = Math.round(Number(feeData.total) || 0);
+    const versioned = window.finance.feeStructureKind(docId, feeData) === 'versioned';
+    const scopeLabel = versioned
+      ? `${feeData.term ? feeData.term + ' ' : ''}${feeData.session}`
+      : 'all sessions';
 
     // ✅ Check payments AND transactions — both constitute financial history
+    let paymentsQuery = db.collection('payments').where('classId', '==', classId);
+    let transactionsQuery = db.collection('payment_transactions').where('classId', '==', classId);
+    if (versioned) {
+      paymentsQuery = paymentsQuery.where('session', '==', feeData.session);
+      transactionsQuery = transactionsQuery.where('session', '==', feeData.session);
+      if (feeData.term) {
+        paymentsQuery = paymentsQuery.where('term', '==', feeData.term);
+        transactionsQuery = transactionsQuery.where('term', '==', feeData.term);
+      }
+    }
+
     const [paymentsSnap, transactionsSnap] = await Promise.all([
-      db.collection('payments').where('classId', '==', classId).limit(1).get(),
-      db.collection('payment_transactions').where('classId', '==', classId).limit(1).get()
+      paymentsQuery.limit(1).get(),
+      transactionsQuery.limit(1).get()
     ]);
 
     if (!paymentsSnap.empty || !transactionsSnap.empty) {
       window.showToast?.(
-        `🚫 Cannot delete fee structure for ${className}.\n\n` +
-        `Financial records exist for this class. ` +
+        `🚫 Cannot delete fee structure for ${className} (${scopeLabel}).\n\n` +
+        `Financial records exist for this class in that period. ` +
         `Use Edit to change the fee amount instead.`,
         'danger',
         8000
@@ -6038,8 +7481,10 @@ async function deleteFeeStructure(docId, className) {
 
     const confirmation = confirm(
       `⚠️ DELETE FEE STRUCTURE FOR ${className}?\n\n` +
+      `Applies to: ${scopeLabel}\n` +
       `Fee per term: ₦${total.toLocaleString()}\n\n` +
-      `No payment records exist for this class.\n` +
+      `No payment records exist for this period.\n` +
+      (versioned ? `The period will fall back to the earlier fee.\n` : '') +
       `A backup will be archived before deletion.\n\n` +
       `This cannot be undone. Continue?`
     );
@@ -6052,6 +7497,8 @@ async function deleteFeeStructure(docId, className) {
     batch.set(db.collection('fee_structure_history').doc(), {
       classId,
       className,
+      session: feeData.session || null,
+      term: feeData.term || null,
       fees: feeData.fees || {},
       total,
       deletedBy: auth.currentUser.uid,
@@ -6064,8 +7511,15 @@ async function deleteFeeStructure(docId, className) {
     batch.delete(db.collection('fee_structures').doc(docId));
 
     await batch.commit();
+    window.finance.clearFeeStructureCache();
+    if (feeData.classId) {
+      window.finance.refreshLedgerInBackground(
+        () => window.finance.refreshClassLedger(feeData.classId),
+        `fee structure for ${className}`
+      );
+    }
 
-    window.showToast?.(`✓ Fee structure for ${className} deleted and archived.`, 'success', 5000);
+    window.showToast?.(`✓ Fee structure for ${className} (${scopeLabel}) deleted and archived.`, 'success', 5000);
 
     await loadFeeStructures();
 
@@ -6075,6 +7529,136 @@ async function deleteFeeStructure(docId, className) {
   }
 }
 
+/**
+ * Copy last session's fees into the session chosen in the fee form, raised by a
+ * percentage (see finance.copySessionFeeStructures)
+ */
+function getFeeCopyOptions() {
+  const toSession = getSelectedFeeSession();
+  return {
+    fromSession: window.finance.getPreviousSessionName(toSession),
+    toSession,
+    percent: parseFloat(document.getElementById('fee-copy-percent')?.value),
+    roundTo: parseInt(document.getElementById('fee-copy-round')?.value, 10) || 1,
+    overwrite: !!document.getElementById('fee-copy-overwrite')?.checked
+  };
+}
+
+function renderFeeCopyPreview(result, options) {
+  const container = document.getElementById('fee-copy-preview');
+  if (!container) return;
+
+  if (result.copied.length === 0) {
+    container.innerHTML = `<div class="alert alert-warning">Nothing to copy from ${options.fromSession} — ${
+      result.skipped.length > 0 ? result.skipped.map(s => `${s.className}: ${s.reason}`).join('; ') : 'no fee structures found'
+    }.</div>`;
+    return;
+  }
+
+  container.innerHTML = `
+    <table class="responsive-table">
+      <thead>
+        <tr><th>Class</th><th>${options.fromSession}</th><th>${options.toSession}</th><th>Change</th></tr>
+      </thead>
+      <tbody>
+        ${result.copied.map(row => `
+          <tr>
+            <td data-label="Class">${row.className}${row.replaced ? ' <span class="status-badge" style="background:#ff9800;">Replaces existing</span>' : ''}</td>
+            <td data-label="${options.fromSession}">₦${row.oldTotal.toLocaleString()}</td>
+            <td data-label="${options.toSession}"><strong>₦${row.newTotal.toLocaleString()}</strong></td>
+            <td data-label="Change">${row.newTotal >= row.oldTotal ? '+' : '−'}₦${Math.abs(row.newTotal - row.oldTotal).toLocaleString()}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+    ${result.skipped.length > 0 ? `
+      <p style="font-size:var(--text-sm); color:var(--color-gray-600); margin-top:var(--space-sm);">
+        Skipped: ${result.skipped.map(s => `${s.className} (${s.reason})`).join(', ')}
+      </p>
+    ` : ''}
+  `;
+}
+
+async function previewFeeCopy() {
+  const options = getFeeCopyOptions();
+  try {
+    const result = await window.finance.copySessionFeeStructures(
+      options.fromSession, options.toSession, options.percent,
+      { roundTo: options.roundTo, overwrite: options.overwrite, dryRun: true }
+    );
+    renderFeeCopyPreview(result, options);
+  } catch (error) {
+    console.error('Error previewing fee copy:', error);
+    window.showToast?.(error.message || 'Failed to preview fee copy', 'danger');
+  }
+}
+
+async function copyLastSessionFees() {
+  const options = getFeeCopyOptions();
+  const btn = document.getElementById('copy-fees-btn');
+
+  try {
+    const preview = await window.finance.copySessionFeeStructures(
+      options.fromSession, options.toSession, options.percent,
+      { roundTo: options.roundTo, overwrite: options.overwrite, dryRun: true }
+    );
+    renderFeeCopyPreview(preview, options);
+
+    if (preview.copied.length === 0) return;
+
+    if (!confirm(
+      `Copy ${options.fromSession} fees to ${options.toSession}?\n\n` +
+      `Increase: ${options.percent}%\n` +
+      `Classes: ${preview.copied.length}` +
+      (preview.skipped.length > 0 ? ` (${preview.skipped.length} skipped)` : '') + `\n\n` +
+      `Balances for ${options.fromSession} and earlier are not affected.\n\n` +
+      `Continue?`
+    )) {
+      return;
+    }
+
+    if (btn) {
+      btn.disabled = true;
+      btn.innerHTML = '<span class="btn-loading">Copying fees...</span>';
+    }
+
+    const result = await window.finance.copySessionFeeStructures(
+      options.fromSession, options.toSession, options.percent,
+      { roundTo: options.roundTo, overwrite: options.overwrite }
+    );
+
+    window.finance.refreshLedgerInBackground(async () => {
+      for (const copied of result.copied) {
+        await window.finance.refreshClassLedger(copied.classId);
+      }
+    }, `fees copied to ${options.toSession}`);
+
+    window.showToast?.(
+      `✓ ${result.copied.length} class fee structure(s) set for ${options.toSession}` +
+      (result.skipped.length > 0 ? `\n\n${result.skipped.length} class(es) skipped` : ''),
+      'success',
+      6000
+    );
+
+    const container = document.getElementById('fee-copy-preview');
+    if (container) container.innerHTML = '';
+
+    await loadFeeStructures();
+
+  } catch (error) {
+    console.error('Error copying fees:', error);
+    window.handleError?.(error, error.message || 'Failed to copy fees');
+  } finally {
+    if (btn) {
+      btn.disabled = false;
+      btn.innerHTML = '📋 Copy Fees';
+    }
+  }
+}
+
+window.previewFeeCopy = previewFeeCopy;
+window.copyLastSessionFees = copyLastSessionFees;
+
 /**
  * FIXED: Generate Payment Records (Class-Based Fee Lookup)
  * Replace generatePaymentRecordsForClass() function
@@ -6092,15 +7676,13 @@ async function generatePaymentRecordsForClass(classId, className, session, term,
       return { success: true, count: 0, skipped: 0, total: 0 };
     }
     
-    // ✅ FIX: Get persistent fee structure (class-based)
-    const feeDocId = `fee_${classId}`;
-    const feeDoc = await db.collection('fee_structures').doc(feeDocId).get();
+    // Fee in force for this session/term
+    const feeStructure = await window.finance.getFeeStructure(classId, session, term, true);
     
-    if (!feeDoc.exists) {
+    if (!feeStructure) {
       throw new Error(`No fee structure configured for class: ${className}`);
     }
     
-    const feeStructure = feeDoc.data();
     const actualFeePerTerm = feeStructure.total || 0;
     
     if (actualFeePerTerm === 0) {
@@ -6232,11 +7814,10 @@ async function ensureAllPupilsHavePaymentRecords() {
       return;
     }
 
-    const feeStructuresSnap = await db.collection('fee_structures').get();
-    const feeStructureMap   = {};
-    feeStructuresSnap.forEach(doc => {
-      const data = doc.data();
-      feeStructureMap[data.classId] = Math.round(Number(data.total) || 0);
+    const feeStructureMap = {};
+    const feesInForce = await window.finance.getFeeStructureMap(session, term, true);
+    Object.entries(feesInForce).forEach(([classId, fee]) => {
+      feeStructureMap[classId] = fee.total;
     });
 
     if (Object.keys(feeStructureMap).length === 0) {
@@ -6268,11 +7849,15 @@ async function ensureAllPupilsHavePaymentRecords() {
         const baseFee = feeStructureMap[classId];
         if (!baseFee) { totalSkipped++; continue; }
 
-        const amountDue = window.calculateAdjustedFee
+        const adjustedFee = window.calculateAdjustedFee
           ? window.calculateAdjustedFee(pupilData, baseFee, term)
           : baseFee;
 
-        if (amountDue === 0 && baseFee > 0) { totalSkipped++; continue; }
+        if (adjustedFee === 0 && baseFee > 0) { totalSkipped++; continue; }
+
+        const familyDiscount = await window.finance.getFamilyDiscount(pupilId, pupilData, adjustedFee, session, term);
+        const optionalFees = await window.finance.getOptionalFees(pupilId, session, term);
+        const amountDue = adjustedFee - (familyDiscount?.amount || 0) + optionalFees.total;
 
         const paymentDocId = `${pupilId}_${encodedSession}_${term}`;
         const paymentRef   = db.collection('payments').doc(paymentDocId);
@@ -6330,6 +7915,7 @@ async function ensureAllPupilsHavePaymentRecords() {
             term,
             baseFee,
             adjustedFee: amountDue,
+            familyDiscount: familyDiscount || null,
             amountDue,
             arrears,
             totalDue:    amountDue + arrears,
@@ -6418,6 +8004,8 @@ async function recordPayment() {
 
   const paymentMethod = document.getElementById('payment-method')?.value;
   const notes = document.getElementById('payment-notes')?.value?.trim() || '';
+  const reference = document.getElementById('payment-reference')?.value?.trim() || '';
+  const allocation = getManualPaymentAllocation();
 
   if (!pupilId || !classId) {
     window.showToast?.('Please select a pupil and class', 'warning');
@@ -6459,7 +8047,9 @@ async function recordPayment() {
       {
         amountPaid,
         paymentMethod: paymentMethod || 'Cash',
-        notes
+        notes,
+        reference,
+        allocation
       }
     );
 
@@ -6473,6 +8063,13 @@ async function recordPayment() {
       }
     }
 
+    const headLines = Object.entries(result.allocation || {})
+      .filter(([head]) => head !== 'arrears')
+      .map(([head, value]) => `\n  • ${window.finance.getFeeHeadLabel(head, result.optionalFees)}: ₦${value.toLocaleString()}`);
+    if (headLines.length > 0) {
+      message += `\n\nApplied to:${headLines.join('')}`;
+    }
+
     message += `\n\nNew Balance: ₦${(result.newBalance || 0).toLocaleString()}`;
 
     window.showToast?.(message, 'success', 10000);
@@ -6480,6 +8077,8 @@ async function recordPayment() {
     if (amountInput) amountInput.value = '';
     const notesInput = document.getElementById('payment-notes');
     if (notesInput) notesInput.value = '';
+    const referenceInput = document.getElementById('payment-reference');
+    if (referenceInput) referenceInput.value = '';
 
     await loadPupilPaymentStatus();
 
@@ -6665,7 +8264,10 @@ async function exportFinancialCSV(session, term) {
     try {
         window.showToast?.('Preparing CSV export...', 'info', 2000);
 
-        const pupilsSnap = await db.collection('pupils').get();
+        const [pupilsSnap, ledger] = await Promise.all([
+            db.collection('pupils').get(),
+            window.finance.getLedgerMap(session, term)
+        ]);
         
         if (pupilsSnap.empty) {
             window.showToast?.('No pupils found', 'warning');
@@ -6673,6 +8275,7 @@ async function exportFinancialCSV(session, term) {
         }
 
         const reportData = [];
+        const results = [];
         
         let processedCount = 0;
         let skippedCount = 0;
@@ -6685,15 +8288,16 @@ async function exportFinancialCSV(session, term) {
             const pupilData = pupilDoc.data();
             
             try {
-                // Use the SINGLE SOURCE OF TRUTH
-                const result = await window.calculateCurrentOutstanding(pupilId, session, term);
+                // Precomputed from the canonical calculation (balance ledger)
+                const result = ledger[pupilId];
                 
                 // Skip if no fee configured
-                if (result.reason) {
+                if (!result) {
                     skippedCount++;
                     continue;
                 }
                 
+                results.push(result);
                 reportData.push({
                     pupilName: result.pupilName,
                     className: result.className,
@@ -6764,6 +8368,12 @@ async function exportFinancialCSV(session, term) {
         csvRows.push(['Total Outstanding', '', '', '', '', totalOutstanding, '', '', '']);
         csvRows.push(['Collection Rate', '', '', '', '', collectionRate + '%', '', '', '']);
 
+        csvRows.push([]);
+        csvRows.push(['FEE HEADS', 'Expected', 'Collected', 'Outstanding', '', '', '', '', '']);
+        window.finance.summariseFeeHeads(results).forEach(row => {
+            csvRows.push([`"${row.label}"`, row.due, row.paid, row.balance, '', '', '', '', '']);
+        });
+
         const csvContent = csvRows.join('\n');
         const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
         const url = window.URL.createObjectURL(blob);
@@ -6795,7 +8405,10 @@ async function exportFinancialPDF(session, term) {
 
         window.showToast?.('Preparing PDF export...', 'info', 2000);
 
-        const pupilsSnap = await db.collection('pupils').get();
+        const [pupilsSnap, ledger] = await Promise.all([
+            db.collection('pupils').get(),
+            window.finance.getLedgerMap(session, term)
+        ]);
         
         if (pupilsSnap.empty) {
             window.showToast?.('No pupils found', 'warning');
@@ -6803,6 +8416,7 @@ async function exportFinancialPDF(session, term) {
         }
 
         const reportData = [];
+        const results = [];
         
         let processedCount = 0;
         let skippedCount = 0;
@@ -6815,15 +8429,16 @@ async function exportFinancialPDF(session, term) {
             const pupilData = pupilDoc.data();
             
             try {
-                // Use the SINGLE SOURCE OF TRUTH
-                const result = await window.calculateCurrentOutstanding(pupilId, session, term);
+                // Precomputed from the canonical calculation (balance ledger)
+                const result = ledger[pupilId];
                 
                 // Skip if no fee configured
-                if (result.reason) {
+                if (!result) {
                     skippedCount++;
                     continue;
                 }
                 
+                results.push(result);
                 reportData.push({
                     pupilName: result.pupilName,
                     className: result.className,
@@ -6904,6 +8519,23 @@ async function exportFinancialPDF(session, term) {
         doc.text(`Total Outstanding:  ₦${totalOutstanding.toLocaleString()}`, 14, finalY + 32);
         doc.text(`Collection Rate:    ${collectionRate}%`, 14, finalY + 38);
 
+        const feeHeadRows = window.finance.summariseFeeHeads(results);
+        if (feeHeadRows.length > 0) {
+            doc.autoTable({
+                startY: finalY + 46,
+                head: [['Fee Head', 'Expected', 'Collected', 'Outstanding']],
+                body: feeHeadRows.map(row => [
+                    row.label,
+                    `₦${row.due.toLocaleString()}`,
+                    `₦${row.paid.toLocaleString()}`,
+                    `₦${row.balance.toLocaleString()}`
+                ]),
+                theme: 'grid',
+                styles: { fontSize: 8 },
+                headStyles: { fillColor: [0, 178, 255] }
+            });
+        }
+
         doc.save(`Financial_Report_${session.replace(/\//g, '-')}_${term}_${new Date().toISOString().split('T')[0]}.pdf`);
         
         window.showToast?.(`✓ PDF exported: ${reportData.length} pupils`, 'success');
@@ -8134,6 +9766,7 @@ const pupilData = {
     gender: document.getElementById('pupil-gender')?.value || '',
     parentName: document.getElementById('pupil-parent-name')?.value.trim() || '',
     parentEmail: document.getElementById('pupil-parent-email')?.value.trim() || '',
+    familyId: document.getElementById('pupil-family-id')?.value.trim().toUpperCase() || '',
     contact: document.getElementById('pupil-contact')?.value.trim() || '',
     address: document.getElementById('pupil-address')?.value.trim() || '',
     class: {
@@ -8160,8 +9793,17 @@ const pupilData = {
         // UPDATE EXISTING PUPIL
         console.log(`📝 Updating pupil: ${pupilId}`);
         
+        const previousData = (await db.collection('pupils').doc(pupilId).get()).data() || {};
         await db.collection('pupils').doc(pupilId).update(pupilData);
         
+        // Class, fee adjustment and family changes move this pupil's (and siblings') balances
+        window.finance.refreshLedgerInBackground(async () => {
+          await window.finance.refreshFamilyLedger(pupilId, { ...previousData, ...pupilData });
+          if (window.finance.getFamilyKey(previousData) !== window.finance.getFamilyKey({ ...previousData, ...pupilData })) {
+            await window.finance.refreshFamilyLedger(pupilId, previousData);
+          }
+        }, `pupil ${name}`);
+        
         // Update email if changed
         if (email) {
           const userDoc = await db.collection('users').doc(pupilId).get();
@@ -8229,22 +9871,23 @@ try {
   const session = settings.session;
   const term = settings.term;
   
-  // FIXED: Use permanent class-based fee structure ID (not session-based)
-  const feeDocId = `fee_${classId}`;
-  const feeDoc = await db.collection('fee_structures').doc(feeDocId).get();
+  // Fee in force for the current session/term
+  const feeData = await window.finance.getFeeStructure(classId, session, term, true);
   
-  if (feeDoc.exists) {
-    const feeData = feeDoc.data();
-    const baseFee = Number(feeData.total) || 0;
+  if (feeData) {
+    const baseFee = feeData.total;
     
     // Calculate adjusted fee for this specific pupil
-    const amountDue = window.calculateAdjustedFee
+    const adjustedFee = window.calculateAdjustedFee
       ? window.calculateAdjustedFee(pupilData, baseFee, term)
       : baseFee;
     
-    if (amountDue === 0 && baseFee > 0) {
+    if (adjustedFee === 0 && baseFee > 0) {
       console.log(`ℹ️ Pupil not enrolled for ${term}, skipping payment record`);
     } else {
+      const familyDiscount = await window.finance.getFamilyDiscount(uid, pupilData, adjustedFee, session, term, true);
+      const amountDue = adjustedFee - (familyDiscount?.amount || 0);
+
       console.log(`✓ Found fee structure for ${classData.name}: ₦${baseFee.toLocaleString()}`);
       
       // Calculate arrears from previous session
@@ -8266,6 +9909,7 @@ try {
         term: term,
         baseFee: baseFee,
         adjustedFee: amountDue,
+        familyDiscount: familyDiscount || null,
         amountDue: amountDue,
         arrears: arrears,
         totalDue: amountDue + arrears,
@@ -8287,6 +9931,11 @@ try {
   // Do not throw — pupil was created successfully
 }
         
+        window.finance.refreshLedgerInBackground(
+          () => window.finance.refreshFamilyLedger(uid, pupilData),
+          `new pupil ${name}`
+        );
+        
         window.showToast?.(
           `✓ Pupil "${name}" added successfully!\n\nPassword reset email sent to ${email}`,
           'success',
@@ -9018,6 +10667,7 @@ async function editPupil(uid) {
     document.getElementById('pupil-gender').value = data.gender || '';
     document.getElementById('pupil-parent-name').value = data.parentName || '';
     document.getElementById('pupil-parent-email').value = data.parentEmail || '';
+    document.getElementById('pupil-family-id').value = data.familyId || '';
     document.getElementById('pupil-contact').value = data.contact || '';
     document.getElementById('pupil-address').value = data.address || '';
     document.getElementById('pupil-email').value = data.email || '';
@@ -10371,13 +12021,9 @@ const encodedNewSess  = newSessionName.replace(/\//g, '-');
 
 const pupilsSnap = await db.collection('pupils').get();
 
-// Pre-load all fee structures once
-const feeStructuresSnap = await db.collection('fee_structures').get();
-const feeStructureMap   = {};
-feeStructuresSnap.forEach(doc => {
-  const d = doc.data();
-  feeStructureMap[d.classId] = Math.round(Number(d.total) || 0);
-});
+// Pre-load the fees in force for the old Third Term and the new First Term once
+const oldFeesInForce = await window.finance.getFeeStructureMap(oldSessionName, 'Third Term', true);
+const newFeesInForce = await window.finance.getFeeStructureMap(newSessionName, 'First Term');
 
 let prevTermRepaired   = 0;
 let newDocsCreated     = 0;
@@ -10399,7 +12045,7 @@ for (const pupilDoc of pupilsSnap.docs) {
   if (pupilData.status === 'alumni' || pupilData.isActive === false) continue;
   if (!classId) continue;
 
-  const baseFee = feeStructureMap[classId] || 0;
+  const baseFee = oldFeesInForce[classId]?.total || 0;
   if (baseFee === 0) continue;
 
   const thirdTermAmountDue = window.calculateAdjustedFee
@@ -10524,7 +12170,7 @@ for (const pupilDoc of pupilsSnap.docs) {
     continue;
   }
 
-  const baseFee = feeStructureMap[classId] || 0;
+  const baseFee = newFeesInForce[classId]?.total || 0;
   if (baseFee === 0) {
     skippedCount++;
     continue;
@@ -11066,12 +12712,9 @@ async function migrateArrearsOnTermChange(oldTerm, newTerm, session) {
       return { success: true, count: 0, totalArrears: 0 };
     }
 
-    const feeStructuresSnap = await db.collection('fee_structures').get();
-    const feeStructureMap = {};
-    feeStructuresSnap.forEach(doc => {
-      const data = doc.data();
-      feeStructureMap[data.classId] = Math.round(Number(data.total) || 0);
-    });
+    // A term may carry its own fee, so resolve the old and new terms separately
+    const oldTermFees = await window.finance.getFeeStructureMap(session, oldTerm, true);
+    const newTermFees = await window.finance.getFeeStructureMap(session, newTerm);
 
     // ─── Step 2: Build/repair previous term docs ──────────────────────────
     // We must do this BEFORE calculating new-term arrears, because
@@ -11086,7 +12729,7 @@ async function migrateArrearsOnTermChange(oldTerm, newTerm, session) {
       if (pupilData.status === 'alumni' || pupilData.isActive === false) continue;
       if (!classId) continue;
 
-      const baseFee = feeStructureMap[classId] || 0;
+      const baseFee = oldTermFees[classId]?.total || 0;
       if (baseFee === 0) continue;
 
       const oldTermAmountDue = window.calculateAdjustedFee
@@ -11216,7 +12859,7 @@ async function migrateArrearsOnTermChange(oldTerm, newTerm, session) {
         continue;
       }
 
-      const baseFee = feeStructureMap[classId] || 0;
+      const baseFee = newTermFees[classId]?.total || 0;
       if (baseFee === 0) {
         skippedCount++;
         continue;
@@ -11412,16 +13055,15 @@ async function migratePaymentRecordsToAdjustedFees() {
         const pupilInfo = pupilDoc.data();
         
         // Get base fee
-        const feeDocId = `fee_${classId}`;
-        const feeDoc = await db.collection('fee_structures').doc(feeDocId).get();
+        const feeStructure = await window.finance.getFeeStructure(classId, session, term);
         
-        if (!feeDoc.exists) {
+        if (!feeStructure) {
           console.warn(`Fee structure not found for class ${classId}, skipping`);
           skipped++;
           continue;
         }
         
-        const baseFee = Number(feeDoc.data().total) || 0;
+        const baseFee = feeStructure.total;
         
         // ✅ RECALCULATE adjusted fee
         const newAmountDue = window.calculateAdjustedFee(pupilInfo, baseFee, term);
@@ -11974,7 +13616,7 @@ async function exportResultsData() {
 
         const rows = snap.docs.map(doc => {
             const r = doc.data();
-            const total = (Number(r.caScore) || 0) + (Number(r.examScore) || 0);
+            const total = window.assessmentSchemes.getResultTotal(r);
             return [
                 r.pupilId || '',
                 r.term || '',
@@ -12297,6 +13939,21 @@ async function _approveSubmissionSilently(submissionId, submissionDataHint) {
   await batch.commit();
 
   console.log(`✅ Silently approved submission ${submissionId}: ${copiedCount} results published`);
+
+  await refreshClassRankings(classId, session, term);
+}
+
+/**
+ * Rebuild class/subject positions once a subject is published or unlocked.
+ * Non-fatal: the approval or unlock has already succeeded, and admins can
+ * recalculate from Settings.
+ */
+async function refreshClassRankings(classId, session, term) {
+  try {
+    await window.resultRankings?.refresh(classId, session, term);
+  } catch (error) {
+    console.error('⚠️ Results changed but rankings could not be updated:', error);
+  }
 }
 
 /**
@@ -12341,16 +13998,13 @@ window.updateResultsBulkButtons = updateResultsBulkButtons;
    Returns all stats needed by the UI.
 ------------------------------------------------------------ */
 
-function computePreviewStats(drafts) {
+function computePreviewStats(drafts, scale) {
   if (!drafts || drafts.length === 0) {
     return null;
   }
 
-  const scores = drafts.map(d => {
-    const ca   = Number(d.caScore)   || 0;
-    const exam = Number(d.examScore) || 0;
-    return ca + exam;
-  });
+  // Weighted totals out of 100 — scheme-aware, legacy CA/Exam drafts still sum correctly
+  const scores = drafts.map(d => window.assessmentSchemes.getResultTotal(d));
 
   const total   = scores.reduce((sum, s) => sum + s, 0);
   const average = total / scores.length;
@@ -12360,10 +14014,11 @@ function computePreviewStats(drafts) {
   const failed  = scores.length - passed;
   const passRate = ((passed / scores.length) * 100).toFixed(1);
 
-  // Grade distribution using existing getGrade() logic
-  const gradeMap = { A1: 0, B2: 0, B3: 0, C4: 0, C5: 0, C6: 0, D7: 0, D8: 0, F9: 0 };
+  // Grade distribution using the class's grading scale
+  const gradeMap = {};
+  scale.bands.forEach(b => { gradeMap[b.grade] = 0; });
   scores.forEach(s => {
-    const g = getGrade(s);
+    const g = getGrade(s, scale);
     gradeMap[g] = (gradeMap[g] || 0) + 1;
   });
 
@@ -12376,6 +14031,7 @@ function computePreviewStats(drafts) {
     failed,
     passRate,
     gradeMap,
+    scale,
     scores
   };
 }
@@ -12396,8 +14052,8 @@ function renderResultPreviewPanel(stats, meta) {
   }
 
   const avgNum      = parseFloat(stats.average);
-  const avgGrade    = getGrade(avgNum);
-  const avgRemark   = getRemark(avgNum);
+  const avgGrade    = getGrade(avgNum, stats.scale);
+  const avgRemark   = getRemark(avgNum, stats.scale);
 
   // Colour coding for average
   const avgColor =
@@ -12406,12 +14062,17 @@ function renderResultPreviewPanel(stats, meta) {
                    '#dc2626';
 
   // Grade bar — only grades that have at least 1 pupil
-  const gradeOrder = ['A1','B2','B3','C4','C5','C6','D7','D8','F9'];
-  const gradeColors = {
+  const gradeOrder = stats.scale.bands.map(b => b.grade);
+  const ladderColors = {
     A1: '#16a34a', B2: '#22c55e', B3: '#4ade80',
     C4: '#84cc16', C5: '#a3e635', C6: '#facc15',
     D7: '#fb923c', D8: '#f97316', F9: '#dc2626'
   };
+  const gradeColors = {};
+  gradeOrder.forEach(g => {
+    const rung = window.gradingScales.getGradeClass(g, stats.scale).replace('grade-', '');
+    gradeColors[g] = ladderColors[rung] || '#64748b';
+  });
 
   const gradeBars = gradeOrder
     .filter(g => stats.gradeMap[g] > 0)
@@ -12710,7 +14371,8 @@ async function toggleResultPreview(submissionId, classId, term, subject, session
       }
     });
 
-    const stats = computePreviewStats(validDrafts);
+    const scale = await window.gradingScales.getScaleForClass(classId);
+    const stats = computePreviewStats(validDrafts, scale);
     const meta  = { subject, className, term, session };
     const html  = renderResultPreviewPanel(stats, meta);
 
@@ -0,0 +1,689 @@
+/**
+ * FAHMID NURSERY & PRIMARY SCHOOL
+ * Assessment Schemes Module
+ * Admin-defined score components (CA1, CA2, project, exam...) per class or section
+ *
+ * @version 1.0.0
+ * @date 2026-03-02
+ *
+ * FIRESTORE SCHEMA — settings/assessmentSchemes
+ * {
+ *   default:  { components: [...] } | null    // school-wide scheme
+ *   sections: { nursery: {...}, primary: {...} }
+ *   classes:  { <classId>: {...} }            // per-class override
+ *   updatedAt, updatedBy
+ * }
+ *
+ * A component is { key: "ca1", label: "CA 1", max: 20, weight: 20, type: "ca" | "exam" }.
+ * Weights must add up to 100 so every subject total stays out of 100.
+ * A class belongs to a section through classes/{id}.section ("nursery" | "primary").
+ *
+ * Resolution order: class override → section scheme → school default → legacy CA 40 / Exam 60.
+ *
+ * Result documents keep a snapshot of the scheme they were entered with
+ * (`assessmentScheme`) plus `scores`, `total`, and the legacy `caScore` /
+ * `examScore` fields, so older readers and older documents keep working.
+ */
+
+'use strict';
+
+const SCHEMES_DOC = 'assessmentSchemes';
+
+const SCHOOL_SECTIONS = {
+  nursery: 'Nursery',
+  primary: 'Primary'
+};
+
+// Matches the original hard-coded "CA Score (40)" / "Exam Score (60)" entry table
+const LEGACY_ASSESSMENT_SCHEME = Object.freeze({
+  name: 'Standard (CA 40 / Exam 60)',
+  components: [
+    { key: 'ca',   label: 'CA',   max: 40, weight: 40, type: 'ca' },
+    { key: 'exam', label: 'Exam', max: 60, weight: 60, type: 'exam' }
+  ]
+});
+
+const assessmentSchemes = {
+  LEGACY: LEGACY_ASSESSMENT_SCHEME,
+  SECTIONS: SCHOOL_SECTIONS,
+
+  _configCache: null,
+  _classCache: {},
+
+  /**
+   * Load the raw scheme configuration (cached for the page lifetime)
+   */
+  async getConfig(forceRefresh = false) {
+    if (this._configCache && !forceRefresh) return this._configCache;
+
+    try {
+      const doc = await db.collection('settings').doc(SCHEMES_DOC).get();
+      const data = doc.exists ? doc.data() : {};
+      this._configCache = {
+        default: data.default || null,
+        sections: data.sections || {},
+        classes: data.classes || {}
+      };
+    } catch (error) {
+      console.error('Error loading assessment schemes:', error);
+      this._configCache = { default: null, sections: {}, classes: {} };
+    }
+
+    return this._configCache;
+  },
+
+  /**
+   * Look up which section ("nursery" | "primary") a class belongs to
+   */
+  async getClassSection(classId) {
+    if (!classId) return null;
+    if (this._classCache[classId] !== undefined) return this._classCache[classId];
+
+    try {
+      const classDoc = await db.collection('classes').doc(classId).get();
+      const section = classDoc.exists ? (classDoc.data().section || null) : null;
+      this._classCache[classId] = section;
+      return section;
+    } catch (error) {
+      console.error('Error reading class section:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Resolve the scheme that applies to a class
+   * @returns {Promise<{name: string, components: Array, source: string}>}
+   */
+  async getSchemeForClass(classId) {
+    const config = await this.getConfig();
+
+    if (classId && this.isValid(config.classes[classId])) {
+      return { ...config.classes[classId], source: 'class' };
+    }
+
+    const section = await this.getClassSection(classId);
+    if (section && this.isValid(config.sections[section])) {
+      return { ...config.sections[section], source: section };
+    }
+
+    if (this.isValid(config.default)) {
+      return { ...config.default, source: 'default' };
+    }
+
+    return { ...LEGACY_ASSESSMENT_SCHEME, source: 'legacy' };
+  },
+
+  /**
+   * Validate a scheme definition
+   * @returns {{valid: boolean, errors: string[]}}
+   */
+  validate(scheme) {
+    const errors = [];
+    const components = Array.isArray(scheme?.components) ? scheme.components : [];
+
+    if (components.length === 0) {
+      errors.push('At least one assessment component is required');
+    }
+
+    const keys = new Set();
+    let weightTotal = 0;
+    let examCount = 0;
+
+    components.forEach((c, i) => {
+      const label = c.label || `Component ${i + 1}`;
+      if (!c.key || !/^[a-z][a-z0-9_]*$/.test(c.key)) {
+        errors.push(`${label}: invalid key`);
+      } else if (keys.has(c.key)) {
+        errors.push(`${label}: duplicate component`);
+      }
+      keys.add(c.key);
+
+      if (!(Number(c.max) > 0)) errors.push(`${label}: maximum must be greater than 0`);
+      if (!(Number(c.weight) > 0)) errors.push(`${label}: weight must be greater than 0`);
+      weightTotal += Number(c.weight) || 0;
+      if (c.type === 'exam') examCount++;
+    });
+
+    if (components.length > 0 && Math.abs(weightTotal - 100) > 0.001) {
+      errors.push(`Weights must add up to 100 (currently ${weightTotal})`);
+    }
+
+    if (examCount > 1) {
+      errors.push('Only one component can be marked as the exam');
+    }
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  isValid(scheme) {
+    return !!scheme && this.validate(scheme).valid;
+  },
+
+  /**
+   * Turn a component label into a Firestore-safe key ("CA 1" → "ca_1")
+   */
+  makeKey(label, existingKeys = []) {
+    let base = String(label || 'component')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+    if (!base || !/^[a-z]/.test(base)) base = `c_${base || 'component'}`;
+
+    let key = base;
+    let n = 2;
+    while (existingKeys.includes(key)) key = `${base}_${n++}`;
+    return key;
+  },
+
+  /**
+   * Weighted total out of 100 for a set of raw component scores
+   */
+  computeTotal(scores, scheme) {
+    const components = scheme?.components || LEGACY_ASSESSMENT_SCHEME.components;
+    const total = components.reduce((sum, c) => {
+      const raw = Number(scores?.[c.key]) || 0;
+      return sum + (raw / Number(c.max)) * Number(c.weight);
+    }, 0);
+    return Math.round(total * 10) / 10;
+  },
+
+  /**
+   * Split a weighted total into legacy CA / Exam figures for old readers
+   */
+  computeLegacySplit(scores, scheme) {
+    const components = scheme?.components || LEGACY_ASSESSMENT_SCHEME.components;
+    let caScore = 0;
+    let examScore = 0;
+
+    components.forEach(c => {
+      const weighted = ((Number(scores?.[c.key]) || 0) / Number(c.max)) * Number(c.weight);
+      if (c.type === 'exam') examScore += weighted;
+      else caScore += weighted;
+    });
+
+    return {
+      caScore: Math.round(caScore * 10) / 10,
+      examScore: Math.round(examScore * 10) / 10
+    };
+  },
+
+  /**
+   * Build the fields stored on a results / results_draft document
+   */
+  buildResultFields(scores, scheme) {
+    const components = scheme?.components || LEGACY_ASSESSMENT_SCHEME.components;
+    const cleanScores = {};
+    components.forEach(c => {
+      cleanScores[c.key] = Number(scores?.[c.key]) || 0;
+    });
+
+    const { caScore, examScore } = this.computeLegacySplit(cleanScores, scheme);
+
+    return {
+      scores: cleanScores,
+      assessmentScheme: {
+        name: scheme?.name || '',
+        components: components.map(c => ({
+          key: c.key,
+          label: c.label,
+          max: Number(c.max),
+          weight: Number(c.weight),
+          type: c.type === 'exam' ? 'exam' : 'ca'
+        }))
+      },
+      total: this.computeTotal(cleanScores, scheme),
+      caScore,
+      examScore
+    };
+  },
+
+  /**
+   * Read the components and raw scores of any result document,
+   * including legacy two-field documents that have no scheme snapshot.
+   */
+  getResultBreakdown(data) {
+    const hasSnapshot = data?.assessmentScheme?.components?.length && data?.scores;
+    const scheme = hasSnapshot ? data.assessmentScheme : LEGACY_ASSESSMENT_SCHEME;
+    const scores = hasSnapshot
+      ? data.scores
+      : { ca: Number(data?.caScore) || 0, exam: Number(data?.examScore) || 0 };
+
+    return {
+      scheme,
+      components: scheme.components.map(c => ({
+        ...c,
+        score: Number(scores[c.key]) || 0
+      })),
+      total: this.getResultTotal(data),
+      isLegacy: !hasSnapshot
+    };
+  },
+
+  /**
+   * Subject total out of 100 for any result document
+   */
+  getResultTotal(data) {
+    if (!data) return 0;
+    if (typeof data.total === 'number' && data.assessmentScheme) return data.total;
+    if (data.assessmentScheme?.components?.length && data.scores) {
+      return this.computeTotal(data.scores, data.assessmentScheme);
+    }
+    return (Number(data.caScore) || 0) + (Number(data.examScore) || 0);
+  },
+
+  /**
+   * Short signature used to tell whether a set of results share one layout
+   */
+  signature(scheme) {
+    return (scheme?.components || [])
+      .map(c => `${c.key}:${c.max}:${c.weight}`)
+      .join('|');
+  },
+
+  /**
+   * Pick display columns for a set of results built from getResultBreakdown():
+   * the shared components when every result used the same scheme, otherwise
+   * the weighted CA / Exam split stored on every document.
+   * @param {Array<{scheme, components, caScore, examScore}>} results
+   * @returns {Array<{label: string, max: number, value: Function}>}
+   */
+  getDisplayColumns(results) {
+    const signatures = new Set(results.map(r => this.signature(r.scheme)));
+
+    if (signatures.size === 1) {
+      return results[0].components.map(c => ({
+        label: c.label,
+        max: c.max,
+        value: r => (r.components.find(x => x.key === c.key) || {}).score ?? 0
+      }));
+    }
+
+    return [
+      { label: 'C.A.', max: '', value: r => r.caScore },
+      { label: 'Exam', max: '', value: r => r.examScore }
+    ];
+  },
+
+  /**
+   * Persist scheme configuration (admin only)
+   * @param {'default'|'section'|'class'} scope
+   * @param {string|null} scopeId - section key or class ID
+   * @param {object|null} scheme - null removes the override
+   */
+  async saveScheme(scope, scopeId, scheme) {
+    if (scheme) {
+      const { valid, errors } = this.validate(scheme);
+      if (!valid) throw new Error(errors.join('\n'));
+    }
+
+    const ref = db.collection('settings').doc(SCHEMES_DOC);
+    const value = scheme
+      ? {
+          name: scheme.name || '',
+          components: scheme.components.map(c => ({
+            key: c.key,
+            label: c.label.trim(),
+            max: Number(c.max),
+            weight: Number(c.weight),
+            type: c.type === 'exam' ? 'exam' : 'ca'
+          }))
+        }
+      : firebase.firestore.FieldValue.delete();
+
+    let fieldPath = 'default';
+    if (scope === 'section') fieldPath = `sections.${scopeId}`;
+    if (scope === 'class') fieldPath = `classes.${scopeId}`;
+
+    const exists = (await ref.get()).exists;
+    const meta = {
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      updatedBy: auth.currentUser?.uid || 'unknown'
+    };
+
+    if (exists) {
+      await ref.update({ [fieldPath]: value, ...meta });
+    } else if (scheme) {
+      const nested = scope === 'default'
+        ? { default: value }
+        : { [scope === 'section' ? 'sections' : 'classes']: { [scopeId]: value } };
+      await ref.set({ ...nested, ...meta });
+    }
+
+    this._configCache = null;
+    console.log(`✓ Assessment scheme saved (${scope}${scopeId ? ': ' + scopeId : ''})`);
+  },
+
+  /**
+   * Assign a class to a school section (admin only)
+   */
+  async setClassSection(classId, section) {
+    await db.collection('classes').doc(classId).update({
+      section: section || firebase.firestore.FieldValue.delete()
+    });
+    this._classCache[classId] = section || null;
+  }
+};
+
+window.assessmentSchemes = assessmentSchemes;
+
+/* ─────────────────────────────────────────────────────────────────
+   ADMIN SETTINGS PANEL
+   Rendered into #assessment-schemes-container on the Settings page
+───────────────────────────────────────────────────────────────── */
+
+let _schemeEditorState = {
+  scope: 'default',
+  scopeId: null,
+  components: [],
+  classes: []
+};
+
+async function loadAssessmentSchemesPanel() {
+  const container = document.getElementById('assessment-schemes-container');
+  if (!container) return;
+
+  container.innerHTML = `
+    <div style="text-align:center; padding:var(--space-lg); color:var(--color-gray-600);">
+      <div class="spinner" style="margin:0 auto var(--space-sm);"></div>
+      Loading assessment schemes...
+    </div>`;
+
+  try {
+    const [config, classesSnap] = await Promise.all([
+      assessmentSchemes.getConfig(true),
+      db.collection('classes').orderBy('name').get()
+    ]);
+
+    _schemeEditorState.classes = classesSnap.docs.map(doc => ({
+      id: doc.id,
+      name: doc.data().name || 'Unnamed Class',
+      section: doc.data().section || ''
+    }));
+    _schemeEditorState.classes.forEach(c => {
+      assessmentSchemes._classCache[c.id] = c.section || null;
+    });
+
+    container.innerHTML = _buildSchemesPanelHTML();
+    _selectSchemeScope(_schemeEditorState.scope, _schemeEditorState.scopeId, config);
+    _renderClassSectionTable();
+
+  } catch (error) {
+    console.error('Error loading assessment schemes panel:', error);
+    container.innerHTML = `<p style="color:var(--color-danger);">Failed to load assessment schemes.</p>`;
+  }
+}
+
+function _buildSchemesPanelHTML() {
+  const classOptions = _schemeEditorState.classes
+    .map(c => `<option value="class:${c.id}">Class — ${c.name}</option>`)
+    .join('');
+
+  return `
+    <div class="form-group">
+      <label for="scheme-scope">Edit scheme for</label>
+      <select id="scheme-scope" onchange="onSchemeScopeChange(this.value)">
+        <option value="default">School default</option>
+        ${Object.entries(SCHOOL_SECTIONS).map(([key, label]) =>
+          `<option value="section:${key}">${label} section</option>`).join('')}
+        ${classOptions}
+      </select>
+      <small id="scheme-scope-hint"></small>
+    </div>
+
+    <div class="table-container">
+      <table class="responsive-table">
+        <thead>
+          <tr>
+            <th>Component</th>
+            <th style="text-align:center;">Max Score</th>
+            <th style="text-align:center;">Weight (%)</th>
+            <th style="text-align:center;">Type</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody id="scheme-components-tbody"></tbody>
+      </table>
+    </div>
+
+    <div id="scheme-weight-summary" style="margin:0.75rem 0; font-size:0.875rem;"></div>
+
+    <div class="form-actions">
+      <button type="button" class="btn btn-secondary" onclick="addSchemeComponent()">
+        ➕ Add Component
+      </button>
+      <button type="button" class="btn" onclick="saveAssessmentScheme()" id="save-scheme-btn">
+        💾 Save Scheme
+      </button>
+      <button type="button" class="btn btn-danger" onclick="removeAssessmentScheme()" id="remove-scheme-btn">
+        Remove Override
+      </button>
+    </div>
+
+    <h4 style="margin:1.5rem 0 0.5rem; font-size:0.9375rem; color:#0f172a;">Class Sections</h4>
+    <p style="font-size:0.8125rem; color:#64748b; margin:0 0 0.75rem;">
+      Assign each class to a section so section-wide schemes apply to it.
+    </p>
+    <div class="table-container">
+      <table class="responsive-table">
+        <thead>
+          <tr><th>Class</th><th>Section</th></tr>
+        </thead>
+        <tbody id="class-section-tbody"></tbody>
+      </table>
+    </div>
+  `;
+}
+
+function _selectSchemeScope(scope, scopeId, config) {
+  _schemeEditorState.scope = scope;
+  _schemeEditorState.scopeId = scopeId;
+
+  const select = document.getElementById('scheme-scope');
+  if (select) select.value = scope === 'default' ? 'default' : `${scope}:${scopeId}`;
+
+  let stored = null;
+  if (scope === 'default') stored = config.default;
+  if (scope === 'section') stored = config.sections[scopeId];
+  if (scope === 'class') stored = config.classes[scopeId];
+
+  const hint = document.getElementById('scheme-scope-hint');
+  const removeBtn = document.getElementById('remove-scheme-btn');
+
+  if (stored) {
+    if (hint) hint.textContent = 'A custom scheme is saved for this scope.';
+  } else if (hint) {
+    hint.textContent = scope === 'default'
+      ? 'No school default saved — the standard CA 40 / Exam 60 scheme is in use.'
+      : 'No override saved — this scope inherits the next scheme up. Edit and save to override.';
+  }
+  if (removeBtn) removeBtn.disabled = !stored;
+
+  const base = stored || (scope === 'default' ? LEGACY_ASSESSMENT_SCHEME : config.default || LEGACY_ASSESSMENT_SCHEME);
+  _schemeEditorState.components = base.components.map(c => ({ ...c }));
+  _renderSchemeComponents();
+}
+
+async function onSchemeScopeChange(value) {
+  const config = await assessmentSchemes.getConfig();
+  if (value === 'default') {
+    _selectSchemeScope('default', null, config);
+    return;
+  }
+  const [scope, scopeId] = value.split(':');
+  _selectSchemeScope(scope, scopeId, config);
+}
+
+function _renderSchemeComponents() {
+  const tbody = document.getElementById('scheme-components-tbody');
+  if (!tbody) return;
+
+  tbody.innerHTML = '';
+  _schemeEditorState.components.forEach((c, index) => {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td data-label="Component">
+        <input type="text" value="${c.label || ''}" data-index="${index}" data-prop="label"
+               placeholder="e.g. CA 1" style="width:100%; max-width:180px;">
+      </td>
+      <td data-label="Max Score" style="text-align:center;">
+        <input type="number" min="1" step="1" value="${c.max}" data-index="${index}" data-prop="max"
+               style="width:80px;">
+      </td>
+      <td data-label="Weight (%)" style="text-align:center;">
+        <input type="number" min="1" max="100" step="1" value="${c.weight}" data-index="${index}" data-prop="weight"
+               style="width:80px;">
+      </td>
+      <td data-label="Type" style="text-align:center;">
+        <select data-index="${index}" data-prop="type">
+          <option value="ca" ${c.type !== 'exam' ? 'selected' : ''}>Continuous</option>
+          <option value="exam" ${c.type === 'exam' ? 'selected' : ''}>Exam</option>
+        </select>
+      </td>
+      <td style="text-align:center;">
+        <button type="button" class="btn-small btn-danger" onclick="removeSchemeComponent(${index})"
+                ${_schemeEditorState.components.length <= 1 ? 'disabled' : ''}>✕</button>
+      </td>
+    `;
+    tbody.appendChild(tr);
+  });
+
+  tbody.querySelectorAll('[data-prop]').forEach(input => {
+    input.addEventListener('input', e => {
+      const idx = parseInt(e.target.dataset.index);
+      const prop = e.target.dataset.prop;
+      const comp = _schemeEditorState.components[idx];
+      if (!comp) return;
+      comp[prop] = (prop === 'max' || prop === 'weight') ? Number(e.target.value) : e.target.value;
+      _updateSchemeWeightSummary();
+    });
+  });
+
+  _updateSchemeWeightSummary();
+}
+
+function _updateSchemeWeightSummary() {
+  const summary = document.getElementById('scheme-weight-summary');
+  if (!summary) return;
+
+  const total = _schemeEditorState.components.reduce((s, c) => s + (Number(c.weight) || 0), 0);
+  const ok = Math.abs(total - 100) < 0.001;
+  summary.innerHTML = ok
+    ? `<span style="color:#16a34a;">✓ Weights total 100%</span>`
+    : `<span style="color:#dc2626;">⚠️ Weights total ${total}% — they must add up to 100%</span>`;
+}
+
+function addSchemeComponent() {
+  _schemeEditorState.components.push({ key: '', label: '', max: 10, weight: 10, type: 'ca' });
+  _renderSchemeComponents();
+}
+
+function removeSchemeComponent(index) {
+  if (_schemeEditorState.components.length <= 1) return;
+  _schemeEditorState.components.splice(index, 1);
+  _renderSchemeComponents();
+}
+
+async function saveAssessmentScheme() {
+  const btn = document.getElementById('save-scheme-btn');
+
+  // Derive stable keys from labels; keep existing keys so old scores still map
+  const usedKeys = [];
+  const components = _schemeEditorState.components.map(c => {
+    const label = (c.label || '').trim();
+    const key = c.key && !usedKeys.includes(c.key) ? c.key : assessmentSchemes.makeKey(label, usedKeys);
+    usedKeys.push(key);
+    return { ...c, key, label };
+  });
+
+  if (components.some(c => !c.label)) {
+    window.showToast?.('Every component needs a name', 'warning');
+    return;
+  }
+
+  const scheme = { components };
+  const { valid, errors } = assessmentSchemes.validate(scheme);
+  if (!valid) {
+    window.showToast?.(`Cannot save scheme:\n${errors.join('\n')}`, 'warning', 6000);
+    return;
+  }
+
+  if (btn) {
+    btn.disabled = true;
+    btn.innerHTML = '<span class="btn-loading">Saving...</span>';
+  }
+
+  try {
+    await assessmentSchemes.saveScheme(_schemeEditorState.scope, _schemeEditorState.scopeId, scheme);
+    window.showToast?.('✓ Assessment scheme saved. New result entry will use it.', 'success');
+    await loadAssessmentSchemesPanel();
+  } catch (error) {
+    console.error('Error saving assessment scheme:', error);
+    window.handleError?.(error, 'Failed to save assessment scheme');
+  } finally {
+    if (btn) {
+      btn.disabled = false;
+      btn.innerHTML = '💾 Save Scheme';
+    }
+  }
+}
+
+async function removeAssessmentScheme() {
+  const { scope, scopeId } = _schemeEditorState;
+  const label = scope === 'default' ? 'the school default scheme' : 'this override';
+
+  if (!confirm(`Remove ${label}?\n\nResults already entered keep the scheme they were saved with.`)) return;
+
+  try {
+    await assessmentSchemes.saveScheme(scope, scopeId, null);
+    window.showToast?.('✓ Scheme override removed', 'success');
+    await loadAssessmentSchemesPanel();
+  } catch (error) {
+    console.error('Error removing assessment scheme:', error);
+    window.handleError?.(error, 'Failed to remove scheme');
+  }
+}
+
+function _renderClassSectionTable() {
+  const tbody = document.getElementById('class-section-tbody');
+  if (!tbody) return;
+
+  if (_schemeEditorState.classes.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="2" style="text-align:center; color:var(--color-gray-600);">No classes created yet</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = _schemeEditorState.classes.map(c => `
+    <tr>
+      <td data-label="Class"><strong>${c.name}</strong></td>
+      <td data-label="Section">
+        <select onchange="updateClassSection('${c.id}', this.value)">
+          <option value="" ${!c.section ? 'selected' : ''}>— Not set —</option>
+          ${Object.entries(SCHOOL_SECTIONS).map(([key, label]) =>
+            `<option value="${key}" ${c.section === key ? 'selected' : ''}>${label}</option>`).join('')}
+        </select>
+      </td>
+    </tr>
+  `).join('');
+}
+
+async function updateClassSection(classId, section) {
+  try {
+    await assessmentSchemes.setClassSection(classId, section);
+    const cls = _schemeEditorState.classes.find(c => c.id === classId);
+    if (cls) cls.section = section;
+    window.showToast?.(`✓ ${cls?.name || 'Class'} section updated`, 'success', 2500);
+  } catch (error) {
+    console.error('Error updating class section:', error);
+    window.handleError?.(error, 'Failed to update class section');
+  }
+}
+
+window.loadAssessmentSchemesPanel = loadAssessmentSchemesPanel;
+window.onSchemeScopeChange = onSchemeScopeChange;
+window.addSchemeComponent = addSchemeComponent;
+window.removeSchemeComponent = removeSchemeComponent;
+window.saveAssessmentScheme = saveAssessmentScheme;
+window.removeAssessmentScheme = removeAssessmentScheme;
+window.updateClassSection = updateClassSection;
+
+console.log('✓ Assessment schemes module loaded');
@@ -0,0 +1,610 @@
+/**
+ * FAHMID NURSERY & PRIMARY SCHOOL
+ * Attendance Analytics Module
+ * School-wide view of the daily registers, plus the admin Attendance Analytics section
+ *
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @requires attendance-daily.js    (window.dailyAttendance — statuses and presence values)
+ * @requires school-calendar-admin.js (window.schoolCalendar.filterSchoolDays)
+ *
+ * Read-only: works from daily_attendance/{classId}_{date} records for one
+ * session + term. Days the calendar marks as holidays or breaks are dropped
+ * before anything is counted, the same rule recalculateCumulativeTotals uses.
+ *
+ * Attendance rate = present value / days marked, where late counts 1,
+ * half-day 0.5, and excused or absent 0. A half day breaks an absence streak.
+ */
+
+'use strict';
+
+const attendanceAnalytics = {
+  WEEKDAYS: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'],
+
+  /**
+   * Monday of the week a YYYY-MM-DD date falls in
+   */
+  weekOf(date) {
+    return window.dailyAttendance.formatDateISO(
+      window.dailyAttendance.getMondayOfWeek(new Date(date + 'T12:00:00'))
+    );
+  },
+
+  /**
+   * Daily records, classes and pupils for a term, school days only
+   * @returns {Promise<{days: Array<object>, classes: Array<object>, pupils: Array<object>, excludedDays: number}>}
+   */
+  async loadTerm(session, term) {
+    const [attendanceSnap, classesSnap, pupilsSnap] = await Promise.all([
+      db.collection('daily_attendance')
+        .where('session', '==', session)
+        .where('term', '==', term)
+        .get(),
+      db.collection('classes').orderBy('name').get(),
+      db.collection('pupils').get()
+    ]);
+
+    const allDays = attendanceSnap.docs
+      .map(doc => doc.data())
+      .filter(day => day.date && day.records);
+
+    const dates = [...new Set(allDays.map(day => day.date))];
+    const schoolDates = new Set(window.schoolCalendar
+      ? await window.schoolCalendar.filterSchoolDays(dates, session, term)
+      : dates);
+
+    const days = allDays
+      .filter(day => schoolDates.has(day.date))
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    return {
+      days,
+      classes: classesSnap.docs.map(doc => ({ id: doc.id, name: doc.data().name })),
+      pupils: pupilsSnap.docs.map(doc => ({
+        id: doc.id,
+        name: doc.data().name || 'Unnamed pupil',
+        admissionNo: doc.data().admissionNo || '',
+        classId: doc.data().class?.id || '',
+        className: doc.data().class?.name || ''
+      })),
+      excludedDays: allDays.length - days.length
+    };
+  },
+
+  /**
+   * Rates by class and week, per-pupil figures, absence streaks and day-of-week pattern
+   * @param {{threshold: number, streakLength: number, classId?: string}} options
+   */
+  analyse(data, { threshold = 90, streakLength = 3, classId = '' } = {}) {
+    const presenceValue = status => window.dailyAttendance.getPresenceValue(status);
+    const classNames = Object.fromEntries(data.classes.map(cls => [cls.id, cls.name]));
+    const pupilInfo = Object.fromEntries(data.pupils.map(pupil => [pupil.id, pupil]));
+    const days = classId ? data.days.filter(day => day.classId === classId) : data.days;
+
+    const weeks = [...new Set(days.map(day => this.weekOf(day.date)))].sort();
+    const classStats = {};
+    const weekdays = this.WEEKDAYS.map(name => ({ name, present: 0, marked: 0, absences: 0 }));
+    const pupils = {};
+
+    days.forEach(day => {
+      const week = this.weekOf(day.date);
+      const weekday = new Date(day.date + 'T12:00:00').getDay() - 1;
+
+      if (!classStats[day.classId]) {
+        classStats[day.classId] = {
+          classId: day.classId,
+          className: classNames[day.classId] || day.classId,
+          present: 0,
+          marked: 0,
+          daysMarked: 0,
+          weeks: {}
+        };
+      }
+      const cls = classStats[day.classId];
+      cls.daysMarked++;
+      if (!cls.weeks[week]) cls.weeks[week] = { present: 0, marked: 0 };
+
+      Object.entries(day.records).forEach(([pupilId, status]) => {
+        const value = presenceValue(status);
+
+        cls.present += value;
+        cls.marked++;
+        cls.weeks[week].present += value;
+        cls.weeks[week].marked++;
+
+        if (weekdays[weekday]) {
+          weekdays[weekday].present += value;
+          weekdays[weekday].marked++;
+          if (value === 0) weekdays[weekday].absences++;
+        }
+
+        if (!pupils[pupilId]) {
+          const info = pupilInfo[pupilId];
+          pupils[pupilId] = {
+            pupilId,
+            name: info?.name || 'Removed pupil',
+            admissionNo: info?.admissionNo || '',
+            className: classNames[day.classId] || info?.className || '',
+            daysMarked: 0,
+            present: 0,
+            absent: 0,
+            late: 0,
+            excused: 0,
+            halfDay: 0,
+            longestStreak: null,
+            currentStreak: null,
+            _run: null
+          };
+        }
+        const pupil = pupils[pupilId];
+        pupil.daysMarked++;
+        pupil.present += value;
+        pupil.absent += 1 - value;
+        if (status === 'late') pupil.late++;
+        else if (status === 'excused') pupil.excused++;
+        else if (status === 'half-day') pupil.halfDay++;
+
+        // Days are in date order, so runs of zero-presence days are streaks
+        if (value === 0) {
+          pupil._run = pupil._run
+            ? { ...pupil._run, end: day.date, days: pupil._run.days + 1 }
+            : { start: day.date, end: day.date, days: 1 };
+          if (!pupil.longestStreak || pupil._run.days > pupil.longestStreak.days) {
+            pupil.longestStreak = pupil._run;
+          }
+        } else {
+          pupil._run = null;
+        }
+      });
+    });
+
+    const rate = (present, marked) => (marked > 0 ? (present / marked) * 100 : null);
+
+    const pupilRows = Object.values(pupils).map(({ _run, ...pupil }) => ({
+      ...pupil,
+      currentStreak: _run,
+      rate: rate(pupil.present, pupil.daysMarked)
+    })).sort((a, b) => a.name.localeCompare(b.name));
+
+    const classRows = Object.values(classStats)
+      .map(cls => ({
+        ...cls,
+        rate: rate(cls.present, cls.marked),
+        weekly: weeks.map(week => (cls.weeks[week] ? rate(cls.weeks[week].present, cls.weeks[week].marked) : null))
+      }))
+      .sort((a, b) => a.className.localeCompare(b.className));
+
+    const totalPresent = classRows.reduce((sum, cls) => sum + cls.present, 0);
+    const totalMarked = classRows.reduce((sum, cls) => sum + cls.marked, 0);
+
+    return {
+      threshold,
+      streakLength,
+      weeks,
+      schoolDays: new Set(days.map(day => day.date)).size,
+      overallRate: rate(totalPresent, totalMarked),
+      classes: classRows,
+      pupils: pupilRows,
+      belowThreshold: pupilRows
+        .filter(pupil => pupil.rate !== null && pupil.rate < threshold)
+        .sort((a, b) => a.rate - b.rate),
+      streaks: pupilRows
+        .filter(pupil => pupil.longestStreak && pupil.longestStreak.days >= streakLength)
+        .sort((a, b) => b.longestStreak.days - a.longestStreak.days),
+      weekdays: weekdays.map(day => ({ ...day, rate: rate(day.present, day.marked) }))
+    };
+  },
+
+  /**
+   * One pupil's day-by-day history from already loaded term data
+   * @returns {Array<{date, className, status, reason}>}
+   */
+  getPupilHistory(data, pupilId) {
+    const classNames = Object.fromEntries(data.classes.map(cls => [cls.id, cls.name]));
+    const reasons = window.dailyAttendance.EXCUSE_REASONS;
+
+    return data.days
+      .filter(day => day.records[pupilId] !== undefined)
+      .map(day => ({
+        date: day.date,
+        className: classNames[day.classId] || day.classId,
+        status: window.dailyAttendance.STATUSES[day.records[pupilId]] ? day.records[pupilId] : 'absent',
+        reason: day.records[pupilId] === 'excused' ? (reasons[day.excuseReasons?.[pupilId]] || '') : ''
+      }));
+  }
+};
+
+window.attendanceAnalytics = attendanceAnalytics;
+
+/* ─────────────────────────────────────────────────────────────────
+   ADMIN — ATTENDANCE ANALYTICS SECTION
+───────────────────────────────────────────────────────────────── */
+
+let _analyticsData = null;
+let _analyticsResult = null;
+let _analyticsContext = null;
+let _classRatesChart = null;
+
+const ATTENDANCE_STATUS_COLOURS = {
+  present: '#0f9764',
+  late: '#d97706',
+  'half-day': '#0369a1',
+  excused: '#6d28d9',
+  absent: '#dc2626'
+};
+
+function formatAttendanceRate(value) {
+  return value === null ? '—' : `${value.toFixed(1)}%`;
+}
+
+function formatAttendanceDays(value) {
+  return Number.isInteger(value) ? String(value) : value.toFixed(1);
+}
+
+async function loadAttendanceAnalyticsSection() {
+  try {
+    const settings = await window.getCurrentSettings();
+    const sessionDisplay = document.getElementById('analytics-session-display');
+    if (sessionDisplay) sessionDisplay.textContent = settings.session;
+
+    const termSelect = document.getElementById('analytics-term');
+    if (termSelect && !termSelect.dataset.initialised) {
+      termSelect.value = settings.term;
+      termSelect.dataset.initialised = 'true';
+    }
+
+    await runAttendanceAnalytics();
+  } catch (error) {
+    console.error('Error loading attendance analytics:', error);
+    window.showToast?.('Failed to load attendance analytics', 'danger');
+  }
+}
+
+/**
+ * Reload registers for the chosen term, then analyse
+ */
+async function runAttendanceAnalytics() {
+  const container = document.getElementById('analytics-results');
+  const btn = document.getElementById('run-analytics-btn');
+  if (!container) return;
+
+  const originalHTML = btn?.innerHTML;
+  if (btn) {
+    btn.disabled = true;
+    btn.innerHTML = '<span class="btn-loading">Analysing registers...</span>';
+  }
+  container.innerHTML = `
+    <div class="loading-container">
+      <div class="spinner"></div>
+      <p>Reading daily registers...</p>
+    </div>`;
+
+  try {
+    const settings = await window.getCurrentSettings();
+    const term = document.getElementById('analytics-term')?.value || settings.term;
+
+    _analyticsData = await attendanceAnalytics.loadTerm(settings.session, term);
+    _analyticsContext = { session: settings.session, term };
+
+    const classFilter = document.getElementById('analytics-class-filter');
+    if (classFilter) {
+      const selected = classFilter.value;
+      classFilter.innerHTML = '<option value="">All classes</option>' + _analyticsData.classes
+        .map(cls => `<option value="${cls.id}">${window.escapeHTML(cls.name)}</option>`)
+        .join('');
+      classFilter.value = selected;
+    }
+
+    renderAttendanceAnalytics();
+  } catch (error) {
+    console.error('Error running attendance analytics:', error);
+    container.innerHTML = '<div class="alert alert-warning">Could not load attendance registers. Check connection and try again.</div>';
+    window.handleError?.(error, 'Failed to analyse attendance');
+  } finally {
+    if (btn) {
+      btn.disabled = false;
+      btn.innerHTML = originalHTML;
+    }
+  }
+}
+
+/**
+ * Re-analyse loaded data when the class, threshold or streak length changes
+ */
+function renderAttendanceAnalytics() {
+  const container = document.getElementById('analytics-results');
+  if (!container || !_analyticsData) return;
+
+  const esc = window.escapeHTML;
+  const threshold = Math.min(100, Math.max(0, parseFloat(document.getElementById('analytics-threshold')?.value) || 90));
+  const streakLength = Math.max(2, parseInt(document.getElementById('analytics-streak')?.value, 10) || 3);
+  const classId = document.getElementById('analytics-class-filter')?.value || '';
+
+  const result = attendanceAnalytics.analyse(_analyticsData, { threshold, streakLength, classId });
+  _analyticsResult = result;
+
+  if (result.schoolDays === 0) {
+    container.innerHTML = `<div class="alert alert-info">No registers have been marked for ${esc(_analyticsContext.term)} ${esc(_analyticsContext.session)}${classId ? ' in this class' : ''} yet.</div>`;
+    return;
+  }
+
+  const weekLabel = week => new Date(week + 'T12:00:00').toLocaleDateString('en-GB', { day: '2-digit', month: 'short' });
+  const pupilLink = pupil => `<a href="#" onclick="showPupilAttendanceHistory('${pupil.pupilId}'); return false;">${esc(pupil.name)}</a>`;
+  const streakText = streak => `${streak.days} day${streak.days !== 1 ? 's' : ''} (${window.dailyAttendance.formatDateDisplay(streak.start)} – ${window.dailyAttendance.formatDateDisplay(streak.end)})`;
+  const worstWeekday = result.weekdays
+    .filter(day => day.rate !== null)
+    .sort((a, b) => a.rate - b.rate)[0];
+
+  container.innerHTML = `
+    <div class="stats-grid finance-stats">
+      <div class="stat-card stat-card--primary">
+        <div class="stat-label">Overall Attendance</div>
+        <div class="stat-value">${formatAttendanceRate(result.overallRate)}</div>
+        <div class="stat-sublabel">${result.schoolDays} school day(s) marked</div>
+      </div>
+      <div class="stat-card stat-card--danger">
+        <div class="stat-label">Below ${result.threshold}%</div>
+        <div class="stat-value">${result.belowThreshold.length}</div>
+        <div class="stat-sublabel">of ${result.pupils.length} pupil(s)</div>
+      </div>
+      <div class="stat-card stat-card--warning">
+        <div class="stat-label">Absence Streaks</div>
+        <div class="stat-value">${result.streaks.length}</div>
+        <div class="stat-sublabel">${result.streakLength}+ school days in a row</div>
+      </div>
+      <div class="stat-card stat-card--purple">
+        <div class="stat-label">Weakest Day</div>
+        <div class="stat-value">${worstWeekday ? worstWeekday.name : '—'}</div>
+        <div class="stat-sublabel">${worstWeekday ? formatAttendanceRate(worstWeekday.rate) : ''}</div>
+      </div>
+    </div>
+    ${_analyticsData.excludedDays > 0
+      ? `<p style="font-size:0.8rem; color:#64748b; margin:0.5rem 0 0;">${_analyticsData.excludedDays} register(s) on calendar holidays or breaks were left out.</p>`
+      : ''}
+
+    <h4 style="margin:1.5rem 0 0.5rem;">Class Attendance by Week</h4>
+    <div style="position:relative; height:280px;"><canvas id="analytics-class-chart"></canvas></div>
+    <div class="table-container" style="margin-top:1rem;">
+      <table class="responsive-table">
+        <thead>
+          <tr><th>Class</th><th>Days Marked</th>${result.weeks.map(week => `<th>w/c ${weekLabel(week)}</th>`).join('')}<th>Term</th></tr>
+        </thead>
+        <tbody>
+          ${result.classes.map(cls => `
+            <tr>
+              <td data-label="Class"><strong>${esc(cls.className)}</strong></td>
+              <td data-label="Days Marked">${cls.daysMarked}</td>
+              ${cls.weekly.map((value, i) => `<td data-label="w/c ${weekLabel(result.weeks[i])}" style="color:${value !== null && value < result.threshold ? 'var(--color-danger)' : 'inherit'};">${formatAttendanceRate(value)}</td>`).join('')}
+              <td data-label="Term"><strong>${formatAttendanceRate(cls.rate)}</strong></td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+
+    <h4 style="margin:1.5rem 0 0.5rem;">Pupils Below ${result.threshold}%</h4>
+    ${result.belowThreshold.length === 0
+      ? '<div class="alert alert-success">✓ Every pupil is at or above the threshold.</div>'
+      : `<div class="table-container">
+          <table class="responsive-table">
+            <thead><tr><th>Pupil</th><th>Class</th><th>Rate</th><th>Absent</th><th>Excused</th><th>Late</th><th>Half Days</th></tr></thead>
+            <tbody>
+              ${result.belowThreshold.map(pupil => `
+                <tr>
+                  <td data-label="Pupil">${pupilLink(pupil)}</td>
+                  <td data-label="Class">${esc(pupil.className)}</td>
+                  <td data-label="Rate"><span class="status-badge" style="background:${pupil.rate < result.threshold - 15 ? '#dc3545' : '#d97706'};">${formatAttendanceRate(pupil.rate)}</span></td>
+                  <td data-label="Absent">${formatAttendanceDays(pupil.absent)} of ${pupil.daysMarked}</td>
+                  <td data-label="Excused">${pupil.excused}</td>
+                  <td data-label="Late">${pupil.late}</td>
+                  <td data-label="Half Days">${pupil.halfDay}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>`}
+
+    <h4 style="margin:1.5rem 0 0.5rem;">Consecutive Absences (${result.streakLength}+ days)</h4>
+    ${result.streaks.length === 0
+      ? '<div class="alert alert-success">✓ No absence streaks this term.</div>'
+      : `<div class="table-container">
+          <table class="responsive-table">
+            <thead><tr><th>Pupil</th><th>Class</th><th>Longest Streak</th><th>Current</th></tr></thead>
+            <tbody>
+              ${result.streaks.map(pupil => `
+                <tr>
+                  <td data-label="Pupil">${pupilLink(pupil)}</td>
+                  <td data-label="Class">${esc(pupil.className)}</td>
+                  <td data-label="Longest Streak">${streakText(pupil.longestStreak)}</td>
+                  <td data-label="Current">${pupil.currentStreak
+                    ? `<span class="status-badge" style="background:#dc3545;">Absent ${pupil.currentStreak.days} day(s) running</span>`
+                    : '—'}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>`}
+
+    <h4 style="margin:1.5rem 0 0.5rem;">Day-of-Week Pattern</h4>
+    <div class="table-container">
+      <table class="responsive-table">
+        <thead><tr><th>Day</th><th>Attendance</th><th>Absences</th><th></th></tr></thead>
+        <tbody>
+          ${result.weekdays.map(day => `
+            <tr>
+              <td data-label="Day">${day.name}</td>
+              <td data-label="Attendance">${formatAttendanceRate(day.rate)}</td>
+              <td data-label="Absences">${day.absences}</td>
+              <td data-label="">
+                ${day.rate === null ? '' : `
+                  <div style="background:#e5e7eb; border-radius:4px; height:8px; min-width:120px;">
+                    <div style="background:${day.rate < result.threshold ? '#d97706' : '#0f9764'}; width:${day.rate}%; height:8px; border-radius:4px;"></div>
+                  </div>`}
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+
+    <div id="analytics-pupil-history"></div>
+  `;
+
+  renderClassRatesChart(result);
+}
+
+function renderClassRatesChart(result) {
+  const canvas = document.getElementById('analytics-class-chart');
+  if (!canvas || typeof Chart === 'undefined') return;
+
+  if (_classRatesChart) _classRatesChart.destroy();
+
+  const palette = ['#00b2ff', '#dc3545', '#0f9764', '#ff9800', '#6d28d9', '#0d9488', '#f59e0b', '#64748b'];
+
+  _classRatesChart = new Chart(canvas.getContext('2d'), {
+    type: 'line',
+    data: {
+      labels: result.weeks.map(week => new Date(week + 'T12:00:00').toLocaleDateString('en-GB', { day: '2-digit', month: 'short' })),
+      datasets: result.classes.map((cls, i) => ({
+        label: cls.className,
+        data: cls.weekly,
+        borderColor: palette[i % palette.length],
+        backgroundColor: palette[i % palette.length],
+        tension: 0.2,
+        spanGaps: true,
+        fill: false
+      }))
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: { legend: { position: 'bottom' } },
+      scales: {
+        y: { min: 0, max: 100, ticks: { callback: value => `${value}%` } }
+      }
+    }
+  });
+}
+
+/**
+ * Drill-down: one pupil's register for the term
+ */
+function showPupilAttendanceHistory(pupilId) {
+  const panel = document.getElementById('analytics-pupil-history');
+  if (!panel || !_analyticsData) return;
+
+  const esc = window.escapeHTML;
+  const pupil = _analyticsResult?.pupils.find(row => row.pupilId === pupilId);
+  const history = attendanceAnalytics.getPupilHistory(_analyticsData, pupilId);
+  const statuses = window.dailyAttendance.STATUSES;
+
+  panel.innerHTML = `
+    <div class="form-section" style="margin-top:1.5rem;">
+      <h3><i data-lucide="user" style="width:15px;height:15px;"></i> ${esc(pupil?.name || 'Pupil')} — Day by Day</h3>
+      <p style="font-size:0.875rem; color:#64748b; margin:0 0 1rem;">
+        ${esc(pupil?.className || '')} · ${formatAttendanceRate(pupil?.rate ?? null)} attendance ·
+        ${formatAttendanceDays(pupil?.present || 0)} present of ${history.length} day(s) marked
+      </p>
+      <div class="table-container">
+        <table class="responsive-table">
+          <thead><tr><th>Date</th><th>Day</th><th>Class</th><th>Status</th><th>Reason</th></tr></thead>
+          <tbody>
+            ${history.map(entry => `
+              <tr>
+                <td data-label="Date">${entry.date}</td>
+                <td data-label="Day">${new Date(entry.date + 'T12:00:00').toLocaleDateString('en-GB', { weekday: 'long' })}</td>
+                <td data-label="Class">${esc(entry.className)}</td>
+                <td data-label="Status"><span class="status-badge" style="background:${ATTENDANCE_STATUS_COLOURS[entry.status]};">${statuses[entry.status].label}</span></td>
+                <td data-label="Reason">${esc(entry.reason || '—')}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+      <div class="form-actions">
+        <button class="btn btn-secondary" onclick="exportPupilAttendanceHistoryCSV('${pupilId}')">📥 Export History CSV</button>
+      </div>
+    </div>
+  `;
+
+  if (typeof lucide !== 'undefined') lucide.createIcons();
+  panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function attendanceRowsToCSV(rows) {
+  return rows
+    .map(row => row.map(v => `"${String(v ?? '').replace(/"/g, '""')}"`).join(','))
+    .join('\n');
+}
+
+function exportAttendanceAnalyticsCSV() {
+  const result = _analyticsResult;
+  if (!result || !_analyticsContext) {
+    window.showToast?.('Run the analysis first', 'warning');
+    return;
+  }
+
+  const belowThreshold = new Set(result.belowThreshold.map(pupil => pupil.pupilId));
+  const rows = [
+    ['Pupil', 'Admission No', 'Class', 'Days Marked', 'Present', 'Absent', 'Late', 'Excused', 'Half Days', 'Rate %', 'Longest Absence Streak', 'Currently Absent (days)', `Below ${result.threshold}%`],
+    ...result.pupils.map(pupil => [
+      pupil.name,
+      pupil.admissionNo,
+      pupil.className,
+      pupil.daysMarked,
+      pupil.present,
+      pupil.absent,
+      pupil.late,
+      pupil.excused,
+      pupil.halfDay,
+      pupil.rate === null ? '' : pupil.rate.toFixed(1),
+      pupil.longestStreak?.days || 0,
+      pupil.currentStreak?.days || 0,
+      belowThreshold.has(pupil.pupilId) ? 'Yes' : 'No'
+    ]),
+    [],
+    ['CLASS', 'Days Marked', ...result.weeks.map(week => `w/c ${week}`), 'Term %'],
+    ...result.classes.map(cls => [
+      cls.className,
+      cls.daysMarked,
+      ...cls.weekly.map(value => (value === null ? '' : value.toFixed(1))),
+      cls.rate === null ? '' : cls.rate.toFixed(1)
+    ]),
+    [],
+    ['DAY', 'Attendance %', 'Absences'],
+    ...result.weekdays.map(day => [day.name, day.rate === null ? '' : day.rate.toFixed(1), day.absences])
+  ];
+
+  const { session, term } = _analyticsContext;
+  downloadCSV(attendanceRowsToCSV(rows), `Attendance_Analytics_${session.replace(/\//g, '-')}_${term.replace(/\s+/g, '_')}_${new Date().toISOString().split('T')[0]}.csv`);
+  window.showToast?.(`✓ Exported ${result.pupils.length} pupil(s)`, 'success');
+}
+
+function exportPupilAttendanceHistoryCSV(pupilId) {
+  if (!_analyticsData || !_analyticsContext) return;
+
+  const pupil = _analyticsResult?.pupils.find(row => row.pupilId === pupilId);
+  const statuses = window.dailyAttendance.STATUSES;
+  const rows = [
+    ['Date', 'Day', 'Class', 'Status', 'Reason'],
+    ...attendanceAnalytics.getPupilHistory(_analyticsData, pupilId).map(entry => [
+      entry.date,
+      new Date(entry.date + 'T12:00:00').toLocaleDateString('en-GB', { weekday: 'long' }),
+      entry.className,
+      statuses[entry.status].label,
+      entry.reason
+    ])
+  ];
+
+  const name = (pupil?.name || 'Pupil').replace(/\s+/g, '_');
+  downloadCSV(attendanceRowsToCSV(rows), `Attendance_${name}_${_analyticsContext.term.replace(/\s+/g, '_')}.csv`);
+}
+
+window.loadAttendanceAnalyticsSection = loadAttendanceAnalyticsSection;
+window.runAttendanceAnalytics = runAttendanceAnalytics;
+window.renderAttendanceAnalytics = renderAttendanceAnalytics;
+window.showPupilAttendanceHistory = showPupilAttendanceHistory;
+window.exportAttendanceAnalyticsCSV = exportAttendanceAnalyticsCSV;
+window.exportPupilAttendanceHistoryCSV = exportPupilAttendanceHistoryCSV;
+
+console.log('✓ Attendance analytics module loaded');
@@ -0,0 +1,461 @@
+/**
+ * FAHMID NURSERY & PRIMARY SCHOOL
+ * Attendance Corrections Module
+ * Correction requests for locked registers, and the admin Attendance Corrections section
+ *
+ * @version 1.0.0
+ * @date 2026-10-19
+ *
+ * A day's register is read-only once its lock window has passed (see EDIT LOCK
+ * in attendance-daily.js). Teachers then ask for a single pupil's status to be
+ * changed; an admin approves (the change is applied and written to audit_log
+ * with before and after values) or rejects it.
+ *
+ * Approval claims the request first (pending → approving, in a transaction) so
+ * two admins cannot apply the same change twice. The claim records the register
+ * value it found, so an interrupted approval (tab closed, totals or closing step
+ * failed) can be retried once the claim is stale: re-applying writes the same
+ * status, and only the claim that closes the request writes the audit entry.
+ *
+ * FIRESTORE SCHEMA — attendance_corrections/{autoId}
+ * {
+ *   classId, className, date: '2026-01-15', term, session,
+ *   pupilId, pupilName,
+ *   currentStatus,                 // register value when the request was filed
+ *   requestedStatus, excuseReason, // excuseReason only for 'excused'
+ *   reason,                        // teacher's explanation
+ *   status: 'pending' | 'approving' | 'approved' | 'rejected',
+ *   requestedBy, requestedByEmail, requestedByName, requestedAt,
+ *   claimId, claimedBy, claimedAt, // set while an approval is in progress
+ *   claimBefore,                   // register value when first claimed
+ *   reviewedBy, reviewedAt, rejectionReason,
+ *   before                         // register value when approved
+ * }
+ *
+ * @requires attendance-daily.js (window.dailyAttendance)
+ */
+
+'use strict';
+
+// An 'approving' claim older than this can be taken over by another approval
+const CORRECTION_CLAIM_STALE_MS = 10 * 60 * 1000;
+
+const attendanceCorrections = {
+  getStatusLabel(status, excuseReason) {
+    const def = window.dailyAttendance.STATUSES[status];
+    if (!def) return status ? String(status) : 'Not marked';
+    const reason = status === 'excused' ? window.dailyAttendance.EXCUSE_REASONS[excuseReason] : '';
+    return reason ? `${def.label} (${reason})` : def.label;
+  },
+
+  /**
+   * File a request to change one pupil's status on a locked day
+   * @returns {Promise<string>} request id
+   */
+  async submitRequest(input) {
+    const { classId, className, date, term, session, pupilId, pupilName, currentStatus, requestedStatus } = input;
+    const excuseReason = requestedStatus === 'excused' ? input.excuseReason : '';
+    const reason = String(input.reason || '').trim();
+
+    if (!classId || !date || !term || !session || !pupilId) {
+      throw new Error('Missing class, date or pupil for the correction request');
+    }
+    if (!window.dailyAttendance.STATUSES[requestedStatus]) {
+      throw new Error('Choose the status the register should show');
+    }
+    if (requestedStatus === 'excused' && !window.dailyAttendance.EXCUSE_REASONS[excuseReason]) {
+      throw new Error('Choose a reason for the excused absence');
+    }
+    if (requestedStatus === currentStatus && requestedStatus !== 'excused') {
+      throw new Error('The register already shows that status');
+    }
+    if (reason.length < 5) {
+      throw new Error('Please explain why the register is wrong (at least 5 characters)');
+    }
+
+    const pending = await db.collection('attendance_corrections')
+      .where('classId', '==', classId)
+      .where('date', '==', date)
+      .where('pupilId', '==', pupilId)
+      .where('status', '==', 'pending')
+      .get();
+    if (!pending.empty) {
+      throw new Error(`A correction for ${pupilName || 'this pupil'} on this day is already waiting for approval`);
+    }
+
+    const user = auth.currentUser;
+    const teacherDoc = await db.collection('teachers').doc(user.uid).get();
+    const requestedByName = teacherDoc.exists
+      ? teacherDoc.data().fullName || teacherDoc.data().name
+      : user.displayName || user.email;
+
+    const ref = await db.collection('attendance_corrections').add({
+      classId,
+      className: className || '',
+      date,
+      term,
+      session,
+      pupilId,
+      pupilName: pupilName || '',
+      currentStatus: currentStatus || null,
+      requestedStatus,
+      excuseReason: excuseReason || null,
+      reason,
+      status: 'pending',
+      requestedBy: user.uid,
+      requestedByEmail: user.email || '',
+      requestedByName: requestedByName || '',
+      requestedAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+
+    return ref.id;
+  },
+
+  /**
+   * Requests by status ('' for all), newest first
+   */
+  async getRequests(status = 'pending') {
+    const query = status
+      ? db.collection('attendance_corrections').where('status', '==', status)
+      : db.collection('attendance_corrections').orderBy('requestedAt', 'desc').limit(200);
+    const snap = await query.get();
+
+    return snap.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => (b.requestedAt?.toMillis?.() || 0) - (a.requestedAt?.toMillis?.() || 0));
+  },
+
+  /**
+   * A teacher's own requests, newest first
+   */
+  async getRequestsBy(uid, limit = 10) {
+    const snap = await db.collection('attendance_corrections')
+      .where('requestedBy', '==', uid)
+      .get();
+
+    return snap.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => (b.requestedAt?.toMillis?.() || 0) - (a.requestedAt?.toMillis?.() || 0))
+      .slice(0, limit);
+  },
+
+  /**
+   * An interrupted approval: claimed but not closed, and the claim has expired
+   * (or was given up by the admin who made it)
+   */
+  isStaleClaim(request, now = Date.now()) {
+    if (request.status !== 'approving') return false;
+    const claimedAt = request.claimedAt?.toMillis?.();
+    return !claimedAt || now - claimedAt >= CORRECTION_CLAIM_STALE_MS;
+  },
+
+  /**
+   * Apply the requested change to the locked register and log it.
+   * Also resumes a stale 'approving' claim.
+   */
+  async approve(requestId) {
+    const ref = db.collection('attendance_corrections').doc(requestId);
+    const registerRef = id => db.collection('daily_attendance').doc(id);
+    const claimId = db.collection('attendance_corrections').doc().id;
+
+    // Claim the request atomically — only one admin gets past this point
+    const request = await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists) throw new Error('Correction request not found');
+
+      const data = doc.data();
+      if (data.status === 'approving' && !this.isStaleClaim(data)) {
+        throw new Error('This request is already being approved. If that approval was interrupted, try again in a few minutes.');
+      }
+      if (data.status !== 'pending' && data.status !== 'approving') {
+        throw new Error(`This request has already been ${data.status}`);
+      }
+
+      // A resumed claim keeps the value found before the first attempt changed it
+      let claimBefore = data.claimBefore || null;
+      if (!claimBefore) {
+        const register = await transaction.get(registerRef(`${data.classId}_${data.date}`));
+        const registerData = register.exists ? register.data() : {};
+        claimBefore = {
+          status: registerData.records?.[data.pupilId] ?? null,
+          excuseReason: registerData.excuseReasons?.[data.pupilId] || null
+        };
+      }
+
+      transaction.update(ref, {
+        status: 'approving',
+        claimId,
+        claimBefore,
+        claimedBy: auth.currentUser?.email || 'unknown',
+        claimedAt: firebase.firestore.FieldValue.serverTimestamp()
+      });
+      return { ...data, claimBefore, resumed: data.status === 'approving' };
+    });
+
+    // Let the claim be retried straight away rather than after it goes stale
+    const expireClaim = () => ref.update({ claimedAt: null })
+      .catch(expireError => console.error('Could not release correction claim:', expireError));
+
+    let change;
+    try {
+      change = await this._applyRequest(request);
+      change.before = request.claimBefore;
+    } catch (error) {
+      if (error.registerUpdated || request.resumed) {
+        await expireClaim();
+        throw new Error(error.registerUpdated
+          ? 'The register was corrected, but attendance totals could not be recalculated. Approve the request again to finish.'
+          : error.message);
+      }
+      // Nothing was applied — release the claim so the request can be approved again
+      await ref.update({ status: 'pending', claimId: null, claimBefore: null, claimedBy: null, claimedAt: null })
+        .catch(releaseError => console.error('Could not release correction request:', releaseError));
+      throw error;
+    }
+
+    // The register is already corrected, so the request must not go back to pending
+    try {
+      await window.retryWithBackoff(
+        () => this._finaliseApproval(ref, requestId, request, change, claimId),
+        3,
+        'Close correction request'
+      );
+    } catch (error) {
+      console.error('Correction applied but request could not be closed:', error);
+      if (error.claimLost) throw error;
+      await expireClaim();
+      throw new Error('The register was corrected, but the request could not be marked approved or logged. Approve the request again to finish.');
+    }
+
+    return change;
+  },
+
+  /**
+   * Write the requested status to the register and recalculate totals
+   * @returns {Promise<{before, after}>}
+   */
+  async _applyRequest(request) {
+    const pupilsSnap = await db.collection('pupils').where('class.id', '==', request.classId).get();
+    const pupils = pupilsSnap.docs.map(pupilDoc => ({
+      id: pupilDoc.id,
+      name: pupilDoc.data().name || '',
+      gender: pupilDoc.data().gender || ''
+    }));
+
+    return window.dailyAttendance.applyCorrection(
+      request.classId, request.date, request.term, request.session, request.requestedBy,
+      request.pupilId, request.requestedStatus, pupils, request.excuseReason || ''
+    );
+  },
+
+  /**
+   * Mark the claimed request approved and write the audit entry together —
+   * only while this approval still holds the claim, so there is one audit entry
+   */
+  _finaliseApproval(ref, requestId, request, change, claimId) {
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (doc.data()?.status !== 'approving' || doc.data().claimId !== claimId) {
+        const error = new Error('Another approval of this request has taken over and will close it.');
+        error.claimLost = true;
+        throw error;
+      }
+
+      transaction.update(ref, {
+        status: 'approved',
+        before: change.before,
+        reviewedBy: auth.currentUser?.email || 'unknown',
+        reviewedAt: firebase.firestore.FieldValue.serverTimestamp()
+      });
+      transaction.set(db.collection('audit_log').doc(), {
+        action: 'attendance_correction',
+        collection: 'daily_attendance',
+        documentId: `${request.classId}_${request.date}`,
+        changes: {
+          pupilId: request.pupilId,
+          pupilName: request.pupilName,
+          className: request.className,
+          date: request.date,
+          before: change.before,
+          after: change.after,
+          reason: request.reason,
+          requestedBy: request.requestedByEmail,
+          requestId
+        },
+        performedBy: auth.currentUser.uid,
+        performedByEmail: auth.currentUser.email,
+        timestamp: firebase.firestore.FieldValue.serverTimestamp(),
+        userAgent: navigator.userAgent
+      });
+    });
+  },
+
+  async reject(requestId, rejectionReason) {
+    const ref = db.collection('attendance_corrections').doc(requestId);
+
+    // Same status check as approve, inside a transaction, so a request being approved cannot be rejected
+    await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists) throw new Error('Correction request not found');
+
+      const status = doc.data().status;
+      if (status === 'approving') throw new Error('This request is already being approved');
+      if (status !== 'pending') throw new Error(`This request has already been ${status}`);
+
+      transaction.update(ref, {
+        status: 'rejected',
+        rejectionReason: String(rejectionReason || '').trim() || 'No reason provided',
+        reviewedBy: auth.currentUser?.email || 'unknown',
+        reviewedAt: firebase.firestore.FieldValue.serverTimestamp()
+      });
+    });
+  }
+};
+
+window.attendanceCorrections = attendanceCorrections;
+
+/* ─────────────────────────────────────────────────────────────────
+   ADMIN — ATTENDANCE CORRECTIONS SECTION
+───────────────────────────────────────────────────────────────── */
+
+async function loadAttendanceCorrectionsSection() {
+  try {
+    const lockInput = document.getElementById('attendance-lock-hours');
+    if (lockInput) lockInput.value = await window.dailyAttendance.getLockHours(true);
+
+    await loadAttendanceCorrections();
+  } catch (error) {
+    console.error('Error loading attendance corrections section:', error);
+    window.showToast?.('Failed to load attendance corrections', 'danger');
+  }
+}
+
+async function loadAttendanceCorrections() {
+  const tbody = document.querySelector('#attendance-corrections-table tbody');
+  if (!tbody) return;
+
+  tbody.innerHTML = '<tr><td colspan="7" class="table-loading">Loading correction requests...</td></tr>';
+
+  try {
+    const status = document.getElementById('correction-status-filter')?.value ?? 'pending';
+    const requests = await attendanceCorrections.getRequests(status);
+    const esc = window.escapeHTML;
+
+    if (requests.length === 0) {
+      tbody.innerHTML = `<tr><td colspan="7" style="text-align:center; color:var(--color-gray-600);">No ${status || ''} correction requests.</td></tr>`;
+      return;
+    }
+
+    const badgeColours = { pending: '#d97706', approving: '#2563eb', approved: '#0f9764', rejected: '#b91c1c' };
+
+    tbody.innerHTML = requests.map(request => `
+      <tr>
+        <td data-label="Date">${esc(window.dailyAttendance.formatDateDisplay(request.date))}</td>
+        <td data-label="Class">${esc(request.className || request.classId)}</td>
+        <td data-label="Pupil">${esc(request.pupilName || request.pupilId)}</td>
+        <td data-label="Change">
+          ${esc(attendanceCorrections.getStatusLabel(request.before?.status ?? request.currentStatus, request.before?.excuseReason))}
+          → <strong>${esc(attendanceCorrections.getStatusLabel(request.requestedStatus, request.excuseReason))}</strong>
+        </td>
+        <td data-label="Reason">
+          ${esc(request.reason)}
+          ${request.rejectionReason ? `<br><span style="font-size:0.8125rem; color:var(--color-danger);">Rejected: ${esc(request.rejectionReason)}</span>` : ''}
+        </td>
+        <td data-label="Requested By">
+          ${esc(request.requestedByName || request.requestedByEmail)}
+          <br><span style="font-size:0.8125rem; color:var(--color-gray-600);">${request.requestedAt ? request.requestedAt.toDate().toLocaleString('en-GB') : '—'}</span>
+        </td>
+        <td data-label="Actions">
+          ${request.status === 'pending' ? `
+            <button class="btn-small btn-success" onclick="approveAttendanceCorrection('${request.id}', this)">Approve</button>
+            <button class="btn-small btn-danger" onclick="rejectAttendanceCorrection('${request.id}')">Reject</button>
+          ` : attendanceCorrections.isStaleClaim(request) ? `
+            <span class="status-badge" style="background:${badgeColours.approving};">INTERRUPTED</span>
+            <br><button class="btn-small btn-success" onclick="approveAttendanceCorrection('${request.id}', this)">Finish Approval</button>
+          ` : `
+            <span class="status-badge" style="background:${badgeColours[request.status] || '#64748b'};">${esc(request.status.toUpperCase())}</span>
+            <br><span style="font-size:0.8125rem; color:var(--color-gray-600);">${esc(request.reviewedBy || request.claimedBy || '')}</span>
+          `}
+        </td>
+      </tr>
+    `).join('');
+  } catch (error) {
+    console.error('Error loading attendance corrections:', error);
+    tbody.innerHTML = '<tr><td colspan="7" style="text-align:center; color:var(--color-danger);">Error loading correction requests - please refresh</td></tr>';
+  }
+}
+
+async function saveAttendanceLockWindow() {
+  const btn = document.getElementById('save-attendance-lock-btn');
+  const originalHTML = btn?.innerHTML;
+  if (btn) {
+    btn.disabled = true;
+    btn.innerHTML = '<span class="btn-loading">Saving...</span>';
+  }
+
+  try {
+    const hours = await window.dailyAttendance.saveLockHours(document.getElementById('attendance-lock-hours')?.value);
+    window.showToast?.(
+      hours > 0
+        ? `✓ Registers now lock ${hours} hour(s) after the day ends`
+        : '✓ Register locking turned off — teachers can edit any day',
+      'success'
+    );
+  } catch (error) {
+    console.error('Error saving attendance lock window:', error);
+    window.showToast?.(error.message || 'Failed to save lock window', 'danger');
+  } finally {
+    if (btn) {
+      btn.disabled = false;
+      btn.innerHTML = originalHTML;
+    }
+  }
+}
+
+async function approveAttendanceCorrection(requestId, btn) {
+  if (!confirm('Apply this correction to the register? The change is recorded in the audit log.')) return;
+
+  const originalHTML = btn?.innerHTML;
+  if (btn) {
+    btn.disabled = true;
+    btn.innerHTML = '<span class="btn-loading">Applying...</span>';
+  }
+
+  try {
+    const change = await attendanceCorrections.approve(requestId);
+    window.showToast?.(
+      `✓ Register corrected: ${attendanceCorrections.getStatusLabel(change.before.status, change.before.excuseReason)} → ${attendanceCorrections.getStatusLabel(change.after.status, change.after.excuseReason)}`,
+      'success'
+    );
+    await loadAttendanceCorrections();
+  } catch (error) {
+    console.error('Error approving attendance correction:', error);
+    window.handleError?.(error, error.message || 'Failed to approve correction');
+    if (btn) {
+      btn.disabled = false;
+      btn.innerHTML = originalHTML;
+    }
+  }
+}
+
+async function rejectAttendanceCorrection(requestId) {
+  const reason = prompt('Reason for rejection (optional):');
+  if (reason === null) return;
+
+  try {
+    await attendanceCorrections.reject(requestId, reason);
+    window.showToast?.('✓ Correction request rejected', 'success');
+    await loadAttendanceCorrections();
+  } catch (error) {
+    console.error('Error rejecting attendance correction:', error);
+    window.handleError?.(error, error.message || 'Failed to reject correction');
+  }
+}
+
+window.loadAttendanceCorrectionsSection = loadAttendanceCorrectionsSection;
+window.loadAttendanceCorrections = loadAttendanceCorrections;
+window.saveAttendanceLockWindow = saveAttendanceLockWindow;
+window.approveAttendanceCorrection = approveAttendanceCorrection;
+window.rejectAttendanceCorrection = rejectAttendanceCorrection;
+
+console.log('✓ Attendance corrections module loaded');
@@ -8,12 +8,170 @@
  * - Daily records stored in daily_attendance/{classId}_{date}
  * - Cumulative totals auto-updated in existing attendance collection
  *
+ * STATUSES: records hold one of present | late | half-day | excused | absent.
+ * Late counts as a full day present, half-day as half present / half absent,
+ * excused as absent (with the reason kept in excuseReasons). Any other value
+ * is treated as absent, as before.
+ *
+ * EDIT LOCK: a day's register becomes read-only `lockHours` after the day
+ * ends (settings/attendanceLock, default 48, 0 = off). Teachers then file a
+ * correction request (attendance-corrections.js) which an admin applies.
+ *
  * @version 1.0.0
  * @requires firebase-init.js (db, auth)
  */
 
 'use strict';
 
+/* ══════════════════════════════════════════
+   ATTENDANCE STATUSES
+══════════════════════════════════════════ */
+
+/**
+ * presentValue is the fraction of the day counted as present
+ * in timesPresent; the remainder goes to timesAbsent.
+ */
+const ATTENDANCE_STATUSES = {
+    present:    { label: 'Present',  code: 'P', presentValue: 1 },
+    late:       { label: 'Late',     code: 'L', presentValue: 1 },
+    'half-day': { label: 'Half Day', code: 'H', presentValue: 0.5 },
+    excused:    { label: 'Excused',  code: 'E', presentValue: 0 },
+    absent:     { label: 'Absent',   code: 'A', presentValue: 0 }
+};
+
+const EXCUSE_REASONS = {
+    sick:      'Sick',
+    medical:   'Medical appointment',
+    family:    'Family',
+    religious: 'Religious observance',
+    other:     'Other'
+};
+
+function getPresenceValue(status) {
+    return ATTENDANCE_STATUSES[status]?.presentValue ?? 0;
+}
+
+/**
+ * Count a day's records: present/absent totals (half-days split) by gender,
+ * plus how many pupils were late, excused or on a half day.
+ */
+function tallyDailyRecords(records, pupils) {
+    const pupilMap = {};
+    (pupils || []).forEach(p => { if (p && p.id) pupilMap[p.id] = p; });
+
+    const totals = {
+        totalPresent: 0, totalAbsent: 0,
+        boyPresent: 0, girlPresent: 0,
+        boyAbsent: 0, girlAbsent: 0,
+        totalLate: 0, totalExcused: 0, totalHalfDay: 0
+    };
+
+    Object.entries(records).forEach(([pupilId, status]) => {
+        const pupil = pupilMap[pupilId];
+        const isBoy = pupil?.gender?.toLowerCase() === 'male' || pupil?.gender?.toLowerCase() === 'm';
+        const present = getPresenceValue(status);
+
+        totals.totalPresent += present;
+        totals.totalAbsent  += 1 - present;
+        if (isBoy) {
+            totals.boyPresent += present;
+            totals.boyAbsent  += 1 - present;
+        } else {
+            totals.girlPresent += present;
+            totals.girlAbsent  += 1 - present;
+        }
+
+        if (status === 'late') totals.totalLate++;
+        else if (status === 'excused') totals.totalExcused++;
+        else if (status === 'half-day') totals.totalHalfDay++;
+    });
+
+    return totals;
+}
+
+/**
+ * Keep reasons only for excused pupils; every excused pupil needs one.
+ * @param {Object} pupilNames - { pupilId: name } for the error message
+ */
+function cleanExcuseReasons(records, excuseReasons, pupilNames = {}) {
+    const cleaned = {};
+    Object.entries(records).forEach(([pupilId, status]) => {
+        if (status !== 'excused') return;
+        const reason = excuseReasons?.[pupilId];
+        if (!EXCUSE_REASONS[reason]) {
+            throw new Error(`Choose a reason for ${pupilNames[pupilId] || 'each excused pupil'}'s excused absence`);
+        }
+        cleaned[pupilId] = reason;
+    });
+    return cleaned;
+}
+
+/* ══════════════════════════════════════════
+   EDIT LOCK
+══════════════════════════════════════════ */
+
+const LOCK_SETTINGS_DOC  = 'attendanceLock';
+const DEFAULT_LOCK_HOURS = 48;
+let lockHoursCache = null;
+
+/**
+ * Hours after the end of a day during which its register can still be edited
+ * @returns {Promise<number>} 0 when locking is turned off
+ */
+async function getLockHours(forceRefresh = false) {
+    if (lockHoursCache !== null && !forceRefresh) return lockHoursCache;
+
+    try {
+        const doc   = await db.collection('settings').doc(LOCK_SETTINGS_DOC).get();
+        const hours = doc.exists ? Number(doc.data().lockHours) : DEFAULT_LOCK_HOURS;
+        lockHoursCache = Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_LOCK_HOURS;
+    } catch (error) {
+        console.warn('Could not load attendance lock window — using default:', error);
+        return DEFAULT_LOCK_HOURS;
+    }
+    return lockHoursCache;
+}
+
+async function saveLockHours(hours) {
+    const value = Number(hours);
+    if (!Number.isInteger(value) || value < 0 || value > 720) {
+        throw new Error('Lock window must be a whole number of hours between 0 and 720');
+    }
+
+    await db.collection('settings').doc(LOCK_SETTINGS_DOC).set({
+        lockHours: value,
+        updatedBy: auth.currentUser?.email || 'unknown',
+        updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+    lockHoursCache = value;
+    return value;
+}
+
+/**
+ * Moment a day's register becomes read-only, or null when locking is off.
+ * The lock is checked in the browser against the device clock only — a device
+ * with a wrong date can edit past the window. It keeps honest mistakes out of
+ * old registers; enforcing it needs Firestore rules using request.time.
+ */
+function getLockTime(date, lockHours) {
+    if (!lockHours) return null;
+    const lockTime = new Date(`${date}T00:00:00`);
+    lockTime.setDate(lockTime.getDate() + 1);
+    lockTime.setTime(lockTime.getTime() + lockHours * 60 * 60 * 1000);
+    return lockTime;
+}
+
+function isDayLocked(date, lockHours, now = new Date()) {
+    const lockTime = getLockTime(date, lockHours);
+    return !!lockTime && now >= lockTime;
+}
+
+function lockedError(date) {
+    const error = new Error(`The register for ${formatDateDisplay(date)} is locked. Submit a correction request for the admin to approve.`);
+    error.code = 'attendance-locked';
+    return error;
+}
+
 /* ══════════════════════════════════════════
    DAILY ATTENDANCE DATA LAYER
 ══════════════════════════════════════════ */
@@ -27,10 +185,12 @@
  * @param {string} term
  * @param {string} session
  * @param {string} teacherId
- * @param {Object} records - { pupilId: 'present'|'absent', ... }
+ * @param {Object} records - { pupilId: 'present'|'late'|'half-day'|'excused'|'absent', ... }
  * @param {Array}  pupils  - full pupil objects [{ id, name, gender }]
+ * @param {Object} [excuseReasons] - { pupilId: 'sick'|'family'|... } for excused pupils
+ * @returns {Promise<{queued: boolean}>} queued = saved to the offline outbox instead
  */
-async function markDailyAttendance(classId, date, term, session, teacherId, records, pupils) {
+async function markDailyAttendance(classId, date, term, session, teacherId, records, pupils, excuseReasons = {}) {
     if (!classId || !date || !term || !session || !teacherId) {
         throw new Error('markDailyAttendance: missing required parameters');
     }
@@ -39,27 +199,38 @@ async function markDailyAttendance(classId, date, term, session, teacherId, reco
         throw new Error('markDailyAttendance: records object is empty or invalid');
     }
 
-    const docId = `${classId}_${date}`;
+    const pupilNames = {};
+    (pupils || []).forEach(p => { if (p && p.id) pupilNames[p.id] = p.name; });
+    excuseReasons = cleanExcuseReasons(records, excuseReasons, pupilNames);
 
-    let totalPresent = 0, totalAbsent = 0;
-    let boyPresent = 0, girlPresent = 0;
-    let boyAbsent = 0, girlAbsent = 0;
+    // Offline: keep the register on the device and replay it on reconnect
+    if (window.offlineOutbox?.shouldQueue()) {
+        await window.offlineOutbox.enqueue('attendance', `Attendance — ${formatDateDisplay(date)}`, {
+            classId, date, term, session, teacherId, records, excuseReasons,
+            pupils: (pupils || []).map(p => ({ id: p.id, name: p.name || '', gender: p.gender || '' }))
+        });
+        console.log(`⏳ Daily attendance queued offline: ${classId}_${date}`);
+        return { queued: true };
+    }
 
-    const pupilMap = {};
-    (pupils || []).forEach(p => { if (p && p.id) pupilMap[p.id] = p; });
+    await writeDailyAttendance(classId, date, term, session, teacherId, records, pupils, excuseReasons);
+    return { queued: false };
+}
 
-    Object.entries(records).forEach(([pupilId, status]) => {
-        const pupil = pupilMap[pupilId];
-        const isBoy = pupil?.gender?.toLowerCase() === 'male' || pupil?.gender?.toLowerCase() === 'm';
+/**
+ * Write the daily record and refresh cumulative totals (online path of markDailyAttendance)
+ */
+async function writeDailyAttendance(classId, date, term, session, teacherId, records, pupils, excuseReasons = {}) {
+    const docId = `${classId}_${date}`;
 
-        if (status === 'present') {
-            totalPresent++;
-            if (isBoy) boyPresent++; else girlPresent++;
-        } else {
-            totalAbsent++;
-            if (isBoy) boyAbsent++; else girlAbsent++;
-        }
-    });
+    // A locked day with no register can still be marked late, but not re-marked
+    if (isDayLocked(date, await getLockHours())) {
+        const existing = await db.collection('daily_attendance').doc(docId).get();
+        if (existing.exists) throw lockedError(date);
+    }
+
+    const totals = tallyDailyRecords(records, pupils);
+    const { totalPresent, totalAbsent } = totals;
 
     const docData = {
         classId,
@@ -68,13 +239,9 @@ async function markDailyAttendance(classId, date, term, session, teacherId, reco
         session,
         teacherId,
         records,
-        totalPresent,
-        totalAbsent,
+        excuseReasons,
+        ...totals,
         totalPupils: Object.keys(records).length,
-        boyPresent,
-        girlPresent,
-        boyAbsent,
-        girlAbsent,
         markedAt: firebase.firestore.FieldValue.serverTimestamp(),
         updatedAt: firebase.firestore.FieldValue.serverTimestamp()
     };
@@ -98,11 +265,42 @@ async function markDailyAttendance(classId, date, term, session, teacherId, reco
     console.log(`✓ Daily attendance marked: ${docId} (${totalPresent} present, ${totalAbsent} absent)`);
 }
 
+/**
+ * Outbox replay — skipped as a conflict when the day was re-marked on the server
+ * after the offline register was taken
+ */
+async function replayQueuedAttendance(payload, entry) {
+    const { classId, date, term, session, teacherId, records, pupils, excuseReasons } = payload;
+
+    if (!entry.force) {
+        const ref = db.collection('daily_attendance').doc(`${classId}_${date}`);
+        const conflict = await window.offlineOutbox.findConflict(ref, entry);
+        if (conflict) return { conflict };
+    }
+
+    await writeDailyAttendance(classId, date, term, session, teacherId, records, pupils, excuseReasons || {});
+    return {};
+}
+
+window.offlineOutbox?.registerHandler('attendance', replayQueuedAttendance);
+
 /**
  * Update a single pupil's status for a specific day.
  * Triggers full recalculation to keep cumulative totals consistent.
+ * excuseReason is required when newStatus is 'excused'.
+ * Throws (code 'attendance-locked') once the day's lock window has passed.
+ */
+async function updatePupilAttendanceForDay(classId, date, term, session, teacherId, pupilId, newStatus, pupils, excuseReason) {
+    if (isDayLocked(date, await getLockHours())) throw lockedError(date);
+    return applyPupilStatusChange(classId, date, term, session, teacherId, pupilId, newStatus, pupils, excuseReason);
+}
+
+/**
+ * The write behind updatePupilAttendanceForDay, without the lock check —
+ * also used to apply an approved correction request
+ * @returns {Promise<{before: {status, excuseReason}, after: {status, excuseReason}}>}
  */
-async function updatePupilAttendanceForDay(classId, date, term, session, teacherId, pupilId, newStatus, pupils) {
+async function applyPupilStatusChange(classId, date, term, session, teacherId, pupilId, newStatus, pupils, excuseReason) {
     const docId = `${classId}_${date}`;
     const docRef = db.collection('daily_attendance').doc(docId);
     const snap = await docRef.get();
@@ -113,47 +311,51 @@ async function updatePupilAttendanceForDay(classId, date, term, session, teacher
 
     const existing = snap.data();
     const updatedRecords = { ...existing.records, [pupilId]: newStatus };
+    const pupilNames = {};
+    pupils.forEach(p => { pupilNames[p.id] = p.name; });
+    const excuseReasons = cleanExcuseReasons(
+        updatedRecords,
+        { ...(existing.excuseReasons || {}), [pupilId]: excuseReason },
+        pupilNames
+    );
 
     // Recompute stats
-    const pupilMap = {};
-    pupils.forEach(p => { pupilMap[p.id] = p; });
-
-    let totalPresent = 0, totalAbsent = 0;
-    let boyPresent = 0, girlPresent = 0;
-    let boyAbsent = 0, girlAbsent = 0;
-
-    Object.entries(updatedRecords).forEach(([pid, status]) => {
-        const pupil = pupilMap[pid];
-        const isBoy = pupil?.gender?.toLowerCase() === 'male' || pupil?.gender?.toLowerCase() === 'm';
-        if (status === 'present') {
-            totalPresent++;
-            if (isBoy) boyPresent++; else girlPresent++;
-        } else {
-            totalAbsent++;
-            if (isBoy) boyAbsent++; else girlAbsent++;
-        }
-    });
-
     await docRef.update({
         records: updatedRecords,
-        totalPresent,
-        totalAbsent,
-        boyPresent,
-        girlPresent,
-        boyAbsent,
-        girlAbsent,
+        excuseReasons,
+        ...tallyDailyRecords(updatedRecords, pupils),
         updatedAt: firebase.firestore.FieldValue.serverTimestamp()
     });
 
     // FIXED: removed erroneous 'date' argument — correct parameter order is (classId, term, session, teacherId, pupils)
-    await recalculateCumulativeTotals(classId, term, session, teacherId, pupils);
+    try {
+        await recalculateCumulativeTotals(classId, term, session, teacherId, pupils);
+    } catch (error) {
+        // The register itself has changed — callers must not treat this as nothing applied
+        error.registerUpdated = true;
+        throw error;
+    }
     console.log(`✓ Updated ${pupilId} to '${newStatus}' on ${date}`);
+
+    return {
+        before: {
+            status: existing.records?.[pupilId] ?? null,
+            excuseReason: existing.excuseReasons?.[pupilId] || null
+        },
+        after: {
+            status: newStatus,
+            excuseReason: excuseReasons[pupilId] || null
+        }
+    };
 }
 
 /**
  * Delete a day's attendance record and recalculate cumulative.
+ * Not allowed once the day is locked.
  */
 async function deleteDailyAttendance(classId, date, term, session, teacherId, pupils) {
+    if (isDayLocked(date, await getLockHours())) throw lockedError(date);
+
     const docId = `${classId}_${date}`;
     await db.collection('daily_attendance').doc(docId).delete();
     await recalculateCumulativeTotals(classId, term, session, teacherId, pupils);
@@ -168,6 +370,9 @@ async function deleteDailyAttendance(classId, date, term, session, teacherId, pu
  *   = number of days that have a daily_attendance record
  *     AND are NOT marked as public_holiday / mid_term_break / special_break
  *
+ * Each attendance doc also carries days { date: status } and excuseReasons
+ * { date: reason } — the per-pupil path the pupil portal calendar reads.
+ *
  * SAFETY: Never produces negative numbers. Falls back to raw day count
  *         if school_calendar is unavailable (preserves existing behaviour).
  *
@@ -214,7 +419,7 @@ async function recalculateCumulativeTotals(classId, term, session, teacherId, pu
     const pupilCounts = {};
     pupils.forEach(p => {
         if (p && p.id) {
-            pupilCounts[p.id] = { timesPresent: 0, timesAbsent: 0 };
+            pupilCounts[p.id] = { timesPresent: 0, timesAbsent: 0, timesLate: 0, timesExcused: 0, timesHalfDay: 0, days: {}, excuseReasons: {} };
         }
     });
 
@@ -239,12 +444,20 @@ async function recalculateCumulativeTotals(classId, term, session, teacherId, pu
         if (data.records && typeof data.records === 'object') {
             Object.entries(data.records).forEach(([pupilId, status]) => {
                 if (!pupilCounts[pupilId]) {
-                    pupilCounts[pupilId] = { timesPresent: 0, timesAbsent: 0 };
+                    pupilCounts[pupilId] = { timesPresent: 0, timesAbsent: 0, timesLate: 0, timesExcused: 0, timesHalfDay: 0, days: {}, excuseReasons: {} };
                 }
-                if (status === 'present') {
-                    pupilCounts[pupilId].timesPresent++;
-                } else {
-                    pupilCounts[pupilId].timesAbsent++;
+                const counts  = pupilCounts[pupilId];
+                const present = getPresenceValue(status);
+                counts.timesPresent += present;
+                counts.timesAbsent  += 1 - present;
+                if (status === 'late') counts.timesLate++;
+                else if (status === 'excused') counts.timesExcused++;
+                else if (status === 'half-day') counts.timesHalfDay++;
+
+                // Per-pupil day history for the pupil portal calendar
+                counts.days[date] = status;
+                if (status === 'excused' && data.excuseReasons?.[pupilId]) {
+                    counts.excuseReasons[date] = data.excuseReasons[pupilId];
                 }
             });
         }
@@ -297,7 +510,7 @@ async function recalculateCumulativeTotals(classId, term, session, teacherId, pu
             const timesAbsent  = Math.max(0, counts.timesAbsent);
             const timesOpened  = totalSchoolDays;
 
-            batch.set(ref, {
+            const docData = {
                 pupilId,
                 term,
                 teacherId,
@@ -308,9 +521,17 @@ async function recalculateCumulativeTotals(classId, term, session, teacherId, pu
                 timesOpened,
                 timesPresent,
                 timesAbsent,
+                timesLate: counts.timesLate,
+                timesExcused: counts.timesExcused,
+                timesHalfDay: counts.timesHalfDay,
+                days: counts.days,
+                excuseReasons: counts.excuseReasons,
                 derivedFromDailyRecords: true,
                 updatedAt: firebase.firestore.FieldValue.serverTimestamp()
-            }, { merge: true });
+            };
+
+            // mergeFields, not merge: the days map must be replaced so deleted registers drop out
+            batch.set(ref, docData, { mergeFields: Object.keys(docData) });
         });
 
         try {
@@ -367,29 +588,43 @@ function generateWeeklySummary(weekDates, dailyRecords, pupils) {
         if (!record) return;
 
         summary.totalDaysMarked++;
+        // Recount from records so days saved before late/excused/half-day existed match
+        const totals = tallyDailyRecords(record.records || {}, pupils);
+        const total  = Object.keys(record.records || {}).length;
         summary.dailyStats[date] = {
-            present: record.totalPresent || 0,
-            absent: record.totalAbsent || 0,
-            total: record.totalPupils || 0,
-            percentage: record.totalPupils > 0
-                ? Math.round((record.totalPresent / record.totalPupils) * 100)
+            present: totals.totalPresent,
+            absent: totals.totalAbsent,
+            late: totals.totalLate,
+            excused: totals.totalExcused,
+            halfDay: totals.totalHalfDay,
+            total,
+            percentage: total > 0
+                ? Math.round((totals.totalPresent / total) * 100)
                 : 0
         };
     });
 
     pupils.forEach(pupil => {
-        let present = 0, absent = 0;
+        let present = 0, absent = 0, late = 0, excused = 0, halfDay = 0;
         weekDates.forEach(date => {
             const record = dailyRecords[date];
             if (!record?.records) return;
             const status = record.records[pupil.id];
-            if (status === 'present') present++;
-            else if (status === 'absent') absent++;
+            if (status === undefined) return;
+            const value = getPresenceValue(status);
+            present += value;
+            absent  += 1 - value;
+            if (status === 'late') late++;
+            else if (status === 'excused') excused++;
+            else if (status === 'half-day') halfDay++;
         });
         summary.pupilWeeklyStats[pupil.id] = {
             name: pupil.name,
             present,
             absent,
+            late,
+            excused,
+            halfDay,
             percentage: (present + absent) > 0
                 ? Math.round((present / (present + absent)) * 100)
                 : 0
@@ -475,6 +710,17 @@ window.dailyAttendance = {
     weeklySummary: generateWeeklySummary,
     hasMarked: hasAttendanceForDate,
     getMarkedDates,
+    // Edit lock
+    getLockHours,
+    saveLockHours,
+    getLockTime,
+    isDayLocked,
+    applyCorrection: applyPupilStatusChange,
+    // Statuses
+    STATUSES: ATTENDANCE_STATUSES,
+    EXCUSE_REASONS,
+    getPresenceValue,
+    tally: tallyDailyRecords,
     // Utilities
     formatDateDisplay,
     formatDateISO,
@@ -17,6 +17,7 @@
  *                              window.currentUser, window.paginateTable,
  *                              window._saveAttendanceFromInputs)
  * @requires attendance-daily.js (window.dailyAttendance)
+ * @requires attendance-corrections.js (window.attendanceCorrections)
  * @requires firebase-init.js    (db)
  */
 
@@ -28,6 +29,20 @@
 
 let currentWeekMonday = null;
 let _modalDate        = null;   // shared across open/save/close
+let _lockHours        = 0;      // register edit window, refreshed with each week render
+
+// Register cell symbol per status (statuses are defined in attendance-daily.js)
+const REGISTER_SYMBOLS = {
+    present:    '✓',
+    late:       'L',
+    'half-day': '½',
+    excused:    'E',
+    absent:     '✗'
+};
+
+function formatDays(n) {
+    return Number.isInteger(n) ? String(n) : n.toFixed(1);
+}
 
 /* ══════════════════════════════════════════════════════════════
    § 2  SECTION ENTRY POINT
@@ -227,6 +242,9 @@ function buildDailyRegisterShell(term) {
     <!-- Weekly summary (FIX-D: outside scroll container) -->
     <div id="weekly-summary-panel" style="display:none;"></div>
 
+    <!-- Correction requests for locked days -->
+    <div id="att-correction-requests" style="display:none;"></div>
+
     <!-- Action row -->
     <div class="att-action-row">
         <button class="att-btn-print" onclick="printAttendanceRegister()">
@@ -333,14 +351,17 @@ async function renderWeekRegister(term) {
         const session  = settings.session;
         const pupils   = window.allPupils || [];
 
-        const { dailyRecords } = await window.dailyAttendance.fetchGrid(
-            classId, term, session, startDate, endDate
-        );
+        const [{ dailyRecords }, lockHours] = await Promise.all([
+            window.dailyAttendance.fetchGrid(classId, term, session, startDate, endDate),
+            window.dailyAttendance.getLockHours()
+        ]);
+        _lockHours = lockHours;
 
         const summary = window.dailyAttendance.weeklySummary(weekDates, dailyRecords, pupils);
 
         grid.innerHTML = buildRegisterTable(pupils, weekDates, dailyRecords);
         buildWeeklySummaryPanel(summary, weekDates);
+        loadMyCorrectionRequests();
 
     } catch (err) {
         console.error('renderWeekRegister error:', err);
@@ -368,6 +389,7 @@ function buildRegisterTable(pupils, weekDates, dailyRecords) {
     let headerCells = weekDates.map(date => {
         const isToday   = date === today;
         const hasRecord = !!dailyRecords[date];
+        const isLocked  = hasRecord && window.dailyAttendance.isDayLocked(date, _lockHours);
         const d         = new Date(date + 'T12:00:00');
         const dayName   = d.toLocaleDateString('en-GB', { weekday: 'short' });
         const dayNum    = d.getDate();
@@ -377,38 +399,42 @@ function buildRegisterTable(pupils, weekDates, dailyRecords) {
                 <span>${dayName}</span>
                 <span class="att-day-num">${dayNum} ${mon}</span>
                 ${hasRecord ? '<span class="att-day-dot" title="Marked"></span>' : ''}
+                ${isLocked ? '<span class="att-day-lock" title="Locked — request a correction to change">🔒</span>' : ''}
                 ${isToday ? '<span class="att-today-chip">TODAY</span>' : ''}
             </div>
         </th>`;
     }).join('');
 
     // ── ROWS ─────────────────────────────────────────────────────────────────
+    const statuses = window.dailyAttendance.STATUSES;
+
     let bodyRows = pupils.map((pupil, idx) => {
         let weekPresent = 0, weekAbsent = 0;
         const isBoy = pupil.gender?.toLowerCase() === 'male' || pupil.gender?.toLowerCase() === 'm';
 
         const statusCells = weekDates.map(date => {
             const record = dailyRecords[date];
-            const status = record?.records?.[pupil.id];
-            if (status === 'present') {
-                weekPresent++;
-                return `<td class="att-cell att-cell--present"
-                    role="button" tabindex="0"
-                    title="Present — click to toggle"
-                    aria-label="${pupil.name}, ${window.dailyAttendance.formatDateDisplay(date)}: Present"
-                    onclick="togglePupilStatusInDay('${pupil.id}','${date}','present')"
-                    onkeydown="if(event.key==='Enter'||event.key===' ')togglePupilStatusInDay('${pupil.id}','${date}','present')">✓</td>`;
-            } else if (status === 'absent') {
-                weekAbsent++;
-                return `<td class="att-cell att-cell--absent"
-                    role="button" tabindex="0"
-                    title="Absent — click to toggle"
-                    aria-label="${pupil.name}, ${window.dailyAttendance.formatDateDisplay(date)}: Absent"
-                    onclick="togglePupilStatusInDay('${pupil.id}','${date}','absent')"
-                    onkeydown="if(event.key==='Enter'||event.key===' ')togglePupilStatusInDay('${pupil.id}','${date}','absent')">✗</td>`;
-            } else {
+            const stored = record?.records?.[pupil.id];
+            if (stored === undefined) {
                 return `<td class="att-cell att-cell--unmarked" aria-label="Not marked">—</td>`;
             }
+
+            const status  = statuses[stored] ? stored : 'absent';
+            const present = window.dailyAttendance.getPresenceValue(status);
+            weekPresent += present;
+            weekAbsent  += 1 - present;
+
+            const reason = status === 'excused'
+                ? ` (${window.dailyAttendance.EXCUSE_REASONS[record.excuseReasons?.[pupil.id]] || 'no reason'})`
+                : '';
+            const label  = `${statuses[status].label}${reason}`;
+            const locked = window.dailyAttendance.isDayLocked(date, _lockHours);
+            return `<td class="att-cell att-cell--${status}${locked ? ' att-cell--locked' : ''}"
+                role="button" tabindex="0"
+                title="${label} — ${locked ? 'locked, click to request a correction' : 'click to change'}"
+                aria-label="${pupil.name}, ${window.dailyAttendance.formatDateDisplay(date)}: ${label}"
+                onclick="openStatusPicker(event,'${pupil.id}','${date}','${status}')"
+                onkeydown="if(event.key==='Enter'||event.key===' ')openStatusPicker(event,'${pupil.id}','${date}','${status}')">${REGISTER_SYMBOLS[status]}</td>`;
         }).join('');
 
         const total    = weekPresent + weekAbsent;
@@ -419,8 +445,8 @@ function buildRegisterTable(pupils, weekDates, dailyRecords) {
             <td class="att-td-name">${pupil.name || '—'}</td>
             <td class="att-td-gen">${isBoy ? 'M' : 'F'}</td>
             ${statusCells}
-            <td class="att-td-total">${weekPresent}</td>
-            <td class="att-td-total">${weekAbsent}</td>
+            <td class="att-td-total">${formatDays(weekPresent)}</td>
+            <td class="att-td-total">${formatDays(weekAbsent)}</td>
             <td class="att-td-total ${pctClass}">${pct !== null ? pct + '%' : '—'}</td>
         </tr>`;
     }).join('');
@@ -428,7 +454,7 @@ function buildRegisterTable(pupils, weekDates, dailyRecords) {
     // ── TOTALS FOOTER ────────────────────────────────────────────────────────
     const totalCells = weekDates.map(date => {
         const rec = dailyRecords[date];
-        return `<td class="att-td-footer">${rec ? `${rec.totalPresent ?? '?'}/${rec.totalPupils ?? '?'}` : '—'}</td>`;
+        return `<td class="att-td-footer">${rec ? `${rec.totalPresent !== undefined ? formatDays(rec.totalPresent) : '?'}/${rec.totalPupils ?? '?'}` : '—'}</td>`;
     }).join('');
 
     return `
@@ -451,7 +477,13 @@ function buildRegisterTable(pupils, weekDates, dailyRecords) {
                 <td colspan="3" class="att-td-footer" style="font-size:.7rem;color:#1e40af;">↓ Summary</td>
             </tr>
         </tbody>
-    </table>`;
+    </table>
+    <p class="att-register-key">
+        ${Object.entries(statuses).map(([status, def]) =>
+            `<span class="att-key-chip att-cell--${status}">${REGISTER_SYMBOLS[status]}</span> ${def.label}`
+        ).join(' &nbsp; ')}
+        &nbsp;·&nbsp; Half day counts as ½ present
+    </p>`;
 }
 
 /* ══════════════════════════════════════════════════════════════
@@ -470,10 +502,16 @@ function buildWeeklySummaryPanel(summary, weekDates) {
     const cards = markedDays.map(date => {
         const s       = summary.dailyStats[date];
         const pctCls  = s.percentage >= 75 ? 'att-pct--good' : s.percentage >= 50 ? 'att-pct--warn' : 'att-pct--bad';
+        const extras  = [
+            s.late    ? `${s.late} late`        : '',
+            s.halfDay ? `${s.halfDay} half day` : '',
+            s.excused ? `${s.excused} excused`  : ''
+        ].filter(Boolean).join(' · ');
         return `<div class="att-summary-card">
             <div class="att-summary-card__day">${window.dailyAttendance.formatDateDisplay(date)}</div>
-            <div class="att-summary-card__count">${s.present}<span class="att-summary-card__of">/${s.total}</span></div>
+            <div class="att-summary-card__count">${formatDays(s.present)}<span class="att-summary-card__of">/${s.total}</span></div>
             <div class="att-summary-card__pct ${pctCls}">${s.percentage}%</div>
+            ${extras ? `<div class="att-summary-card__extra">${extras}</div>` : ''}
         </div>`;
     }).join('');
 
@@ -524,6 +562,10 @@ async function openMarkTodayModal(dateOverride) {
         const docId = `${classId}_${_modalDate}`;
         const snap  = await db.collection('daily_attendance').doc(docId).get();
         const existingRecords = snap.exists ? snap.data().records : {};
+        const existingReasons = snap.exists ? (snap.data().excuseReasons || {}) : {};
+        const statuses        = window.dailyAttendance.STATUSES;
+        const reasonOptions   = Object.entries(window.dailyAttendance.EXCUSE_REASONS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
 
         body.innerHTML = `
         <div class="att-modal-date-group">
@@ -546,28 +588,35 @@ async function openMarkTodayModal(dateOverride) {
                 <thead>
                     <tr>
                         <th>Name</th>
-                        <th style="color:#15803d;">✓ Present</th>
-                        <th style="color:#dc2626;">✗ Absent</th>
+                        ${Object.entries(statuses).map(([status, def]) =>
+                            `<th class="att-modal-th--${status}">${REGISTER_SYMBOLS[status]} ${def.label}</th>`
+                        ).join('')}
+                        <th class="att-modal-th--reason">Reason</th>
                     </tr>
                 </thead>
                 <tbody>
                     ${pupils.map((pupil, idx) => {
-                        const status = existingRecords[pupil.id] || 'present';
+                        const status = statuses[existingRecords[pupil.id]]
+                            ? existingRecords[pupil.id]
+                            : (existingRecords[pupil.id] ? 'absent' : 'present');
                         return `<tr class="${idx % 2 === 0 ? '' : 'att-modal-row--alt'}">
                             <td>${pupil.name}</td>
+                            ${Object.entries(statuses).map(([value, def]) => `
                             <td style="text-align:center;">
-                                <input type="radio" name="status_${pupil.id}" value="present"
+                                <input type="radio" name="status_${pupil.id}" value="${value}"
                                        data-pupil="${pupil.id}"
-                                       class="att-radio att-radio--present"
-                                       aria-label="${pupil.name} — Present"
-                                       ${status === 'present' ? 'checked' : ''}>
-                            </td>
-                            <td style="text-align:center;">
-                                <input type="radio" name="status_${pupil.id}" value="absent"
-                                       data-pupil="${pupil.id}"
-                                       class="att-radio att-radio--absent"
-                                       aria-label="${pupil.name} — Absent"
-                                       ${status === 'absent' ? 'checked' : ''}>
+                                       class="att-radio att-radio--${value}"
+                                       aria-label="${pupil.name} — ${def.label}"
+                                       onchange="syncExcuseReason('${pupil.id}')"
+                                       ${status === value ? 'checked' : ''}>
+                            </td>`).join('')}
+                            <td>
+                                <select class="att-reason-select" id="reason_${pupil.id}"
+                                        aria-label="${pupil.name} — reason for excused absence"
+                                        ${status === 'excused' ? '' : 'disabled'}>
+                                    <option value="">—</option>
+                                    ${reasonOptions}
+                                </select>
                             </td>
                         </tr>`;
                     }).join('')}
@@ -575,6 +624,11 @@ async function openMarkTodayModal(dateOverride) {
             </table>
         </div>`;
 
+        Object.entries(existingReasons).forEach(([pupilId, reason]) => {
+            const select = document.getElementById(`reason_${pupilId}`);
+            if (select) select.value = reason;
+        });
+
         if (footer) footer.style.display = 'flex';
 
     } catch (err) {
@@ -599,9 +653,21 @@ function markAllModalPupils(status) {
     (window.allPupils || []).forEach(pupil => {
         const radio = document.querySelector(`input[name="status_${pupil.id}"][value="${status}"]`);
         if (radio) radio.checked = true;
+        syncExcuseReason(pupil.id);
     });
 }
 
+// The reason dropdown is only used for excused pupils
+function syncExcuseReason(pupilId) {
+    const select  = document.getElementById(`reason_${pupilId}`);
+    const checked = document.querySelector(`input[name="status_${pupilId}"]:checked`);
+    if (!select) return;
+    const excused   = checked?.value === 'excused';
+    select.disabled = !excused;
+    if (!excused) select.value = '';
+    else if (!select.value) select.focus();
+}
+
 /* ══════════════════════════════════════════════════════════════
    § 13  SAVE MODAL ATTENDANCE
    FIX-E: single function, no patch chain, loading state built in.
@@ -627,18 +693,33 @@ async function saveModalAttendance() {
         saveBtn.innerHTML   = `<span class="att-spinner"></span> Saving…`;
     }
 
-    // Collect radio values
-    const records = {};
+    // Collect radio values and excuse reasons
+    const records       = {};
+    const excuseReasons = {};
     pupils.forEach(pupil => {
         const checked = document.querySelector(`input[name="status_${pupil.id}"]:checked`);
         records[pupil.id] = checked ? checked.value : 'absent';
+        if (records[pupil.id] === 'excused') {
+            excuseReasons[pupil.id] = document.getElementById(`reason_${pupil.id}`)?.value || '';
+        }
     });
 
     try {
         const settings = await window.getCurrentSettings();
         const session  = settings.session;
 
-        await window.dailyAttendance.mark(classId, date, term, session, teacherId, records, pupils);
+        const { queued } = await window.dailyAttendance.mark(
+            classId, date, term, session, teacherId, records, pupils, excuseReasons
+        );
+
+        if (queued) {
+            window.showToast?.(
+                `⏳ You are offline — attendance for ${window.dailyAttendance.formatDateDisplay(date)} saved on this device and will sync when you reconnect`,
+                'warning', 6000
+            );
+            closeMarkDayModal();
+            return;
+        }
 
         window.showToast?.(
             `✓ Attendance saved for ${window.dailyAttendance.formatDateDisplay(date)}`,
@@ -658,11 +739,175 @@ async function saveModalAttendance() {
 }
 
 /* ══════════════════════════════════════════════════════════════
-   § 14  QUICK TOGGLE (click a cell to flip present/absent)
+   § 14  QUICK CHANGE (click a cell to pick a new status)
 ══════════════════════════════════════════════════════════════ */
 
-async function togglePupilStatusInDay(pupilId, date, currentStatus) {
-    const newStatus = currentStatus === 'present' ? 'absent' : 'present';
+function openStatusPicker(event, pupilId, date, currentStatus) {
+    event.preventDefault();
+    event.stopPropagation();
+    closeStatusPicker();
+
+    const cell     = event.currentTarget;
+    const statuses = window.dailyAttendance.STATUSES;
+    const picker   = document.createElement('div');
+    picker.id        = 'att-status-picker';
+    picker.className = 'att-status-picker';
+    picker.setAttribute('role', 'menu');
+    picker.innerHTML = window.dailyAttendance.isDayLocked(date, _lockHours)
+        ? buildCorrectionForm(pupilId, date, currentStatus)
+        : `
+        ${Object.entries(statuses).filter(([status]) => status !== 'excused').map(([status, def]) => `
+            <button class="att-status-picker__btn att-cell--${status}" role="menuitem"
+                    ${status === currentStatus ? 'disabled' : ''}
+                    onclick="setPupilStatusInDay('${pupilId}','${date}','${status}')">
+                ${REGISTER_SYMBOLS[status]} ${def.label}
+            </button>`).join('')}
+        <div class="att-status-picker__excuse">
+            <select id="att-picker-reason" aria-label="Reason for excused absence">
+                <option value="">Excused — reason…</option>
+                ${Object.entries(window.dailyAttendance.EXCUSE_REASONS)
+                    .map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+            </select>
+            <button class="att-status-picker__btn att-cell--excused" role="menuitem"
+                    onclick="setPupilStatusInDay('${pupilId}','${date}','excused',document.getElementById('att-picker-reason').value)">
+                ${REGISTER_SYMBOLS.excused} Excuse
+            </button>
+        </div>`;
+
+    document.body.appendChild(picker);
+
+    const rect = cell.getBoundingClientRect();
+    const left = Math.min(rect.left + window.scrollX, window.scrollX + document.documentElement.clientWidth - picker.offsetWidth - 8);
+    picker.style.top  = `${rect.bottom + window.scrollY + 4}px`;
+    picker.style.left = `${Math.max(8, left)}px`;
+    picker.querySelector('button:not([disabled]), select')?.focus();
+
+    setTimeout(() => document.addEventListener('click', _closePickerOnOutsideClick), 0);
+}
+
+// Locked days: the picker becomes a correction request for the admin
+function buildCorrectionForm(pupilId, date, currentStatus) {
+    const statuses  = window.dailyAttendance.STATUSES;
+    const lockTime  = window.dailyAttendance.getLockTime(date, _lockHours);
+
+    return `
+        <p class="att-status-picker__locked">
+            🔒 Locked since ${lockTime.toLocaleString('en-GB', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}.
+            Request a correction:
+        </p>
+        <select id="att-correction-status" aria-label="Correct status"
+                onchange="document.getElementById('att-correction-excuse').disabled = this.value !== 'excused'">
+            ${Object.entries(statuses).map(([status, def]) => `
+                <option value="${status}" ${status === currentStatus && status !== 'excused' ? 'disabled' : ''}>${REGISTER_SYMBOLS[status]} ${def.label}</option>`).join('')}
+        </select>
+        <select id="att-correction-excuse" aria-label="Reason for excused absence" disabled>
+            <option value="">Excused — reason…</option>
+            ${Object.entries(window.dailyAttendance.EXCUSE_REASONS)
+                .map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+        </select>
+        <textarea id="att-correction-reason" rows="2" maxlength="300"
+                  placeholder="Why is the register wrong?" aria-label="Reason for the correction"></textarea>
+        <button class="att-status-picker__btn att-status-picker__btn--request" role="menuitem"
+                onclick="submitAttendanceCorrection('${pupilId}','${date}','${currentStatus}', this)">
+            Send to Admin
+        </button>`;
+}
+
+async function submitAttendanceCorrection(pupilId, date, currentStatus, btn) {
+    const term    = document.getElementById('attendance-term')?.value || 'First Term';
+    const cls     = window.assignedClasses?.[0];
+    const pupil   = (window.allPupils || []).find(p => p.id === pupilId);
+
+    if (!cls) return;
+
+    if (btn) {
+        btn.disabled  = true;
+        btn.innerHTML = `<span class="att-spinner"></span> Sending…`;
+    }
+
+    try {
+        const settings = await window.getCurrentSettings();
+        const requestedStatus = document.getElementById('att-correction-status')?.value;
+
+        await window.attendanceCorrections.submitRequest({
+            classId:       cls.id,
+            className:     cls.name,
+            date,
+            term,
+            session:       settings.session,
+            pupilId,
+            pupilName:     pupil?.name || '',
+            currentStatus,
+            requestedStatus,
+            excuseReason:  document.getElementById('att-correction-excuse')?.value,
+            reason:        document.getElementById('att-correction-reason')?.value
+        });
+
+        closeStatusPicker();
+        window.showToast?.(
+            `✓ Correction for ${pupil?.name || 'pupil'} on ${window.dailyAttendance.formatDateDisplay(date)} sent to the admin for approval`,
+            'success', 5000
+        );
+        loadMyCorrectionRequests();
+
+    } catch (err) {
+        window.showToast?.(err.message, 'danger');
+        if (btn) {
+            btn.disabled  = false;
+            btn.innerHTML = 'Send to Admin';
+        }
+    }
+}
+
+async function loadMyCorrectionRequests() {
+    const panel = document.getElementById('att-correction-requests');
+    const uid   = window.currentUser?.uid;
+    if (!panel || !uid || !window.attendanceCorrections) return;
+
+    try {
+        const requests = await window.attendanceCorrections.getRequestsBy(uid);
+        if (requests.length === 0) { panel.style.display = 'none'; return; }
+
+        const esc = window.escapeHTML;
+        const label = (status, reason) => window.attendanceCorrections.getStatusLabel(status, reason);
+
+        panel.innerHTML = `
+        <div class="att-summary-inner">
+            <p class="att-summary-title">✎ My Correction Requests</p>
+            <ul class="att-correction-list">
+                ${requests.map(request => `
+                <li>
+                    <span class="att-correction-badge att-correction-badge--${esc(request.status)}">${esc(request.status)}</span>
+                    <strong>${esc(request.pupilName)}</strong>, ${window.dailyAttendance.formatDateDisplay(request.date)}:
+                    ${esc(label(request.currentStatus))} → ${esc(label(request.requestedStatus, request.excuseReason))}
+                    ${request.rejectionReason ? `<span class="att-correction-note">— ${esc(request.rejectionReason)}</span>` : ''}
+                </li>`).join('')}
+            </ul>
+        </div>`;
+        panel.style.display = 'block';
+
+    } catch (err) {
+        console.warn('Could not load correction requests:', err);
+        panel.style.display = 'none';
+    }
+}
+
+function _closePickerOnOutsideClick(e) {
+    if (!e.target.closest('#att-status-picker')) closeStatusPicker();
+}
+
+function closeStatusPicker() {
+    document.getElementById('att-status-picker')?.remove();
+    document.removeEventListener('click', _closePickerOnOutsideClick);
+}
+
+async function setPupilStatusInDay(pupilId, date, newStatus, excuseReason) {
+    if (newStatus === 'excused' && !excuseReason) {
+        window.showToast?.('Choose a reason for the excused absence', 'warning');
+        return;
+    }
+    closeStatusPicker();
+
     const term      = document.getElementById('attendance-term')?.value || 'First Term';
     const classId   = window.assignedClasses?.[0]?.id;
     const teacherId = window.currentUser?.uid;
@@ -676,10 +921,11 @@ async function togglePupilStatusInDay(pupilId, date, currentStatus) {
         const pupilName  = pupils.find(p => p.id === pupilId)?.name || 'pupil';
 
         await window.dailyAttendance.updatePupil(
-            classId, date, term, session, teacherId, pupilId, newStatus, pupils
+            classId, date, term, session, teacherId, pupilId, newStatus, pupils, excuseReason
         );
+        const statusLabel = window.dailyAttendance.STATUSES[newStatus].label.toLowerCase();
         window.showToast?.(
-            `✓ ${pupilName} marked ${newStatus} on ${window.dailyAttendance.formatDateDisplay(date)}`,
+            `✓ ${pupilName} marked ${statusLabel} on ${window.dailyAttendance.formatDateDisplay(date)}`,
             'success', 3000
         );
         await renderWeekRegister(term);
@@ -743,12 +989,12 @@ async function loadManualAttendanceLegacy(term) {
                             style="width:100%;max-width:100px;" placeholder="0">
                     </td>
                     <td data-label="Times Present">
-                        <input type="number" min="0" value="${ex.timesPresent || ''}"
+                        <input type="number" min="0" step="0.5" value="${ex.timesPresent || ''}"
                             data-pupil="${pupil.id}" data-field="timesPresent"
                             style="width:100%;max-width:100px;" placeholder="0">
                     </td>
                     <td data-label="Times Absent">
-                        <input type="number" min="0" value="${ex.timesAbsent || ''}"
+                        <input type="number" min="0" step="0.5" value="${ex.timesAbsent || ''}"
                             data-pupil="${pupil.id}" data-field="timesAbsent"
                             style="width:100%;max-width:100px;" placeholder="0">
                     </td>`;
@@ -841,18 +1087,35 @@ function buildPrintHTML(className, term, session, pupils, allDates, dailyRecords
         if (wk.length === 5 || i === allDates.length - 1) { weeks.push([...wk]); wk = []; }
     });
 
+    const statuses       = window.dailyAttendance.STATUSES;
+    const excuseReasons  = window.dailyAttendance.EXCUSE_REASONS;
+    const excusedEntries = [];
+
     const pupilRows = pupils.map(pupil => {
-        let totalPresent = 0, totalAbsent = 0;
+        let totalPresent = 0, totalAbsent = 0, totalLate = 0, totalExcused = 0;
         const cells = allDates.map(date => {
-            const status = dailyRecords[date]?.records?.[pupil.id];
-            if (status === 'present') { totalPresent++; return { s: 'P', cls: 'p-cell' }; }
-            if (status === 'absent')  { totalAbsent++;  return { s: 'A', cls: 'a-cell' }; }
-            return { s: '', cls: '' };
+            const stored = dailyRecords[date]?.records?.[pupil.id];
+            if (stored === undefined) return { s: '', cls: '' };
+
+            const status  = statuses[stored] ? stored : 'absent';
+            const present = window.dailyAttendance.getPresenceValue(status);
+            totalPresent += present;
+            totalAbsent  += 1 - present;
+            if (status === 'late') totalLate++;
+            if (status === 'excused') {
+                totalExcused++;
+                excusedEntries.push({
+                    name: pupil.name,
+                    date,
+                    reason: excuseReasons[dailyRecords[date].excuseReasons?.[pupil.id]] || '—'
+                });
+            }
+            return { s: statuses[status].code, cls: `${status}-cell` };
         });
         const pct = (totalPresent + totalAbsent) > 0
             ? Math.round((totalPresent / (totalPresent + totalAbsent)) * 100) + '%'
             : '—';
-        return { pupil, cells, totalPresent, totalAbsent, pct };
+        return { pupil, cells, totalPresent, totalAbsent, totalLate, totalExcused, pct };
     });
 
     return `<!DOCTYPE html>
@@ -874,9 +1137,12 @@ function buildPrintHTML(className, term, session, pupils, allDates, dailyRecords
   .n{text-align:left!important;min-width:120px;max-width:150px}
   .g{width:24px}.dc{width:30px;font-size:7pt}
   .tc{font-weight:700;background:#e3f2fd}
-  .p-cell{background:#dcfce7;color:#15803d;font-weight:700}
-  .a-cell{background:#fee2e2;color:#dc2626;font-weight:700}
-  tr:nth-child(even) td:not(.p-cell):not(.a-cell){background:#f8faff}
+  .present-cell{background:#dcfce7;color:#15803d;font-weight:700}
+  .late-cell{background:#fef3c7;color:#b45309;font-weight:700}
+  .half-day-cell{background:#e0f2fe;color:#0369a1;font-weight:700}
+  .excused-cell{background:#ede9fe;color:#6d28d9;font-weight:700}
+  .absent-cell{background:#fee2e2;color:#dc2626;font-weight:700}
+  tr:nth-child(even) td:not([class$="-cell"]){background:#f8faff}
   .tr td{background:#dbeafe!important;font-weight:700}
   .wk-sum{margin-top:12px;border:1px solid #1565c0;padding:8px}
   .sigs{margin-top:20px;display:grid;grid-template-columns:1fr 1fr 1fr;gap:20px}
@@ -904,7 +1170,7 @@ function buildPrintHTML(className, term, session, pupils, allDates, dailyRecords
         const d = new Date(date + 'T12:00:00');
         return `<th class="dc">${d.toLocaleDateString('en-GB',{weekday:'narrow'})}<br>${d.getDate()}<br>${d.toLocaleDateString('en-GB',{month:'short'})}</th>`;
     }).join('')}
-    <th class="tc">Pres</th><th class="tc">Abs</th><th class="tc">%</th>
+    <th class="tc">Pres</th><th class="tc">Abs</th><th class="tc">Late</th><th class="tc">Exc</th><th class="tc">%</th>
   </tr></thead>
   <tbody>
   ${pupilRows.map(row => {
@@ -913,20 +1179,22 @@ function buildPrintHTML(className, term, session, pupils, allDates, dailyRecords
         <td class="n">${row.pupil.name}</td>
         <td class="g">${isBoy ? 'M' : 'F'}</td>
         ${row.cells.map(c => `<td class="${c.cls}">${c.s}</td>`).join('')}
-        <td class="tc">${row.totalPresent}</td>
-        <td class="tc">${row.totalAbsent}</td>
+        <td class="tc">${formatDays(row.totalPresent)}</td>
+        <td class="tc">${formatDays(row.totalAbsent)}</td>
+        <td class="tc">${row.totalLate}</td>
+        <td class="tc">${row.totalExcused}</td>
         <td class="tc">${row.pct}</td>
       </tr>`;
   }).join('')}
   <tr class="tr">
     <td class="n" colspan="2"><strong>DAILY TOTAL PRESENT</strong></td>
-    ${allDates.map(d => `<td>${dailyRecords[d]?.totalPresent ?? '—'}</td>`).join('')}
-    <td></td><td></td><td></td>
+    ${allDates.map(d => `<td>${dailyRecords[d]?.totalPresent !== undefined ? formatDays(dailyRecords[d].totalPresent) : '—'}</td>`).join('')}
+    <td></td><td></td><td></td><td></td><td></td>
   </tr>
   <tr class="tr">
     <td class="n" colspan="2"><strong>DAILY TOTAL ABSENT</strong></td>
-    ${allDates.map(d => `<td>${dailyRecords[d]?.totalAbsent ?? '—'}</td>`).join('')}
-    <td></td><td></td><td></td>
+    ${allDates.map(d => `<td>${dailyRecords[d]?.totalAbsent !== undefined ? formatDays(dailyRecords[d].totalAbsent) : '—'}</td>`).join('')}
+    <td></td><td></td><td></td><td></td><td></td>
   </tr>
   <tr class="tr">
     <td class="n" colspan="2"><strong>% ATTENDANCE</strong></td>
@@ -936,7 +1204,7 @@ function buildPrintHTML(className, term, session, pupils, allDates, dailyRecords
         const pct = rec.totalPupils > 0 ? Math.round((rec.totalPresent / rec.totalPupils) * 100) : '—';
         return `<td>${pct}${typeof pct === 'number' ? '%' : ''}</td>`;
     }).join('')}
-    <td></td><td></td><td></td>
+    <td></td><td></td><td></td><td></td><td></td>
   </tr>
   </tbody>
 </table>
@@ -962,21 +1230,37 @@ function buildPrintHTML(className, term, session, pupils, allDates, dailyRecords
         return `<tr>
           <td>Wk ${wi+1} (${startD})</td>
           <td>${wkDates.length}</td>
-          <td>${boyPres}</td><td>${girlPres}</td>
-          <td>${totPres}</td><td>${totAbs}</td><td>${pct}</td>
+          <td>${formatDays(boyPres)}</td><td>${formatDays(girlPres)}</td>
+          <td>${formatDays(totPres)}</td><td>${formatDays(totAbs)}</td><td>${pct}</td>
         </tr>`;
     }).join('')}
     </tbody>
   </table>
 </div>
 
+${excusedEntries.length > 0 ? `
+<div class="wk-sum">
+  <strong>EXCUSED ABSENCES</strong>
+  <table style="margin-top:6px;font-size:8pt;" cellspacing="0">
+    <thead><tr><th>Pupil</th><th>Date</th><th>Reason</th></tr></thead>
+    <tbody>
+    ${excusedEntries.map(e => `<tr>
+      <td class="n">${e.name}</td>
+      <td>${new Date(e.date + 'T12:00:00').toLocaleDateString('en-GB', { day: '2-digit', month: 'short' })}</td>
+      <td>${e.reason}</td>
+    </tr>`).join('')}
+    </tbody>
+  </table>
+</div>` : ''}
+
 <div class="sigs">
   <div class="sig">_____________________________<br>Class Teacher's Signature &amp; Date</div>
   <div class="sig">_____________________________<br>Head Teacher's Signature &amp; Date</div>
   <div class="sig">_____________________________<br>School Stamp</div>
 </div>
 <p style="margin-top:8px;font-size:7pt;text-align:center;color:#666;">
-  Key: P = Present &nbsp;|&nbsp; A = Absent &nbsp;|&nbsp; — = Not marked<br>
+  Key: ${Object.values(statuses).map(def => `${def.code} = ${def.label}`).join(' &nbsp;|&nbsp; ')} &nbsp;|&nbsp; — = Not marked
+  &nbsp;(a half day counts as ½ present, ½ absent)<br>
   This register is a legal school document. Handle with care.
 </p>
 </body></html>`;
@@ -995,7 +1279,11 @@ window.closeMarkDayModal             = closeMarkDayModal;
 window.handleModalBackdropClick      = handleModalBackdropClick;
 window.markAllModalPupils            = markAllModalPupils;
 window.saveModalAttendance           = saveModalAttendance;
-window.togglePupilStatusInDay        = togglePupilStatusInDay;
+window.syncExcuseReason              = syncExcuseReason;
+window.openStatusPicker              = openStatusPicker;
+window.closeStatusPicker             = closeStatusPicker;
+window.setPupilStatusInDay           = setPupilStatusInDay;
+window.submitAttendanceCorrection    = submitAttendanceCorrection;
 window.printAttendanceRegister       = printAttendanceRegister;
 window.saveAllAttendanceManual       = saveAllAttendanceManual;
 
@@ -0,0 +1,874 @@
+/**
+ * FAHMID NURSERY & PRIMARY SCHOOL
+ * Bank Reconciliation Module
+ * Import a bank statement, match transfers to pupils and post them as fee payments
+ *
+ * @version 1.0.0
+ * @date 2026-10-19
+ *
+ * FIRESTORE SCHEMA — bank_reconciliation/{lineKey}
+ * {
+ *   reference, date: '2026-01-15', amount, narration, fileName,
+ *   status: 'posting' | 'posted' | 'review' | 'ignored',
+ *   pupilId, pupilName,          // posted pupil, or the suggestion for a review line
+ *   receiptNo,                   // when posted
+ *   note,                        // why the line is in review / was ignored
+ *   claimedAt,                   // when posting started
+ *   importedAt, importedBy, resolvedAt, resolvedBy
+ * }
+ * lineKey is `ref_{reference}` (the reference normalised as finance does, URI-encoded),
+ * or a hash of date, amount and narration when the bank gives no reference, so a
+ * statement can be imported any number of times and each transfer is posted at most
+ * once. Posted payments also carry `bankReference` and `bankLineKey` on
+ * payment_transactions, and finance.recordPayment() refuses a reference that is
+ * already on a live receipt — which also catches transfers recorded by hand.
+ * A line stuck in 'posting' (tab closed mid-post) is resolved from its receipt
+ * once stale: marked posted if one exists, otherwise returned to the review queue.
+ *
+ * Matching (credit lines only):
+ *   1. an admission number found in the narration
+ *   2. every part of a pupil's name found in the narration
+ *   3. no text match: the amount equals exactly one pupil's stored balance for the
+ *      term — suggested, but not ticked for posting
+ * A text match is ticked when the amount does not exceed the pupil's balance.
+ * Everything not posted goes to the review queue, where it is assigned to a pupil
+ * by hand or ignored (e.g. credits that are not school fees).
+ *
+ * Payments are posted to the current session and term with method 'bank'.
+ *
+ * @requires finance.js, SheetJS (XLSX)
+ */
+
+'use strict';
+
+const BANK_DATE_HEADERS = ['date', 'transaction date', 'trans date', 'txn date', 'value date', 'posting date', 'post date'];
+const BANK_NARRATION_HEADERS = ['narration', 'description', 'details', 'transaction details', 'remarks', 'particulars', 'memo'];
+const BANK_REFERENCE_HEADERS = ['reference', 'ref', 'ref no', 'reference no', 'reference number', 'transaction ref',
+  'transaction reference', 'transaction id', 'session id', 'cheque no'];
+const BANK_CREDIT_HEADERS = ['credit', 'credits', 'credit amount', 'deposit', 'deposits', 'money in', 'lodgement', 'cr'];
+const BANK_AMOUNT_HEADERS = ['amount', 'transaction amount'];
+
+// A line left in 'posting' longer than this was interrupted
+const BANK_POSTING_STALE_MS = 10 * 60 * 1000;
+
+// Parsed statement awaiting confirmation
+let _pendingStatement = null;
+
+const bankReconciliation = {
+  normaliseHeader(header) {
+    return String(header || '')
+      .toLowerCase()
+      .replace(/\(.*?\)/g, '')
+      .replace(/[._-]+/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  },
+
+  /**
+   * Upper-case words only: "TRF/FNPS-0042 ADA OKAFOR" → "TRF FNPS 0042 ADA OKAFOR"
+   */
+  normaliseText(text) {
+    return String(text || '').toUpperCase().replace(/[^A-Z0-9]+/g, ' ').trim();
+  },
+
+  compact(text) {
+    return String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  },
+
+  /**
+   * "₦45,000.00", "45000", "(1,200.00)" → number; NaN when not an amount
+   */
+  parseAmount(value) {
+    if (typeof value === 'number') return value;
+    let text = String(value || '').trim();
+    if (!text) return NaN;
+
+    const negative = /^\(.*\)$/.test(text) || /^-/.test(text);
+    text = text.replace(/NGN|₦|,|\s|\(|\)|-/gi, '').replace(/CR$/i, '');
+    const amount = parseFloat(text);
+    return Number.isFinite(amount) ? (negative ? -amount : amount) : NaN;
+  },
+
+  /**
+   * Statement date → 'YYYY-MM-DD'. Day-first (15/01/2026) as Nigerian banks export,
+   * ISO, or an Excel date serial. '' when unreadable.
+   */
+  parseDate(value) {
+    if (typeof value === 'number' && value > 20000) {
+      return new Date(Math.round((value - 25569) * 86400 * 1000)).toISOString().slice(0, 10);
+    }
+
+    const text = String(value || '').trim();
+    const pad = n => String(n).padStart(2, '0');
+
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (match) return `${match[1]}-${pad(match[2])}-${pad(match[3])}`;
+
+    match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/);
+    if (match) {
+      const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+      return `${year}-${pad(match[2])}-${pad(match[1])}`;
+    }
+
+    const parsed = Date.parse(text);
+    return Number.isNaN(parsed) ? '' : new Date(parsed).toISOString().slice(0, 10);
+  },
+
+  hash(text) {
+    let h = 5381;
+    for (let i = 0; i < text.length; i++) {
+      h = ((h << 5) + h + text.charCodeAt(i)) >>> 0;
+    }
+    return h.toString(16);
+  },
+
+  /**
+   * Firestore ID for a statement line — the duplicate guard
+   */
+  lineKey(line) {
+    const reference = window.finance.normaliseBankReference(line.reference);
+    return reference
+      ? `ref_${encodeURIComponent(reference)}`
+      : `line_${this.hash(`${line.date}|${line.amount}|${this.normaliseText(line.narration)}`)}`;
+  },
+
+  /**
+   * Read statement rows into credit lines
+   * @param {Array<Array>} rows - sheet rows; the header is the first row naming a narration column
+   * @returns {{error?: string, lines: Array, debits: number}}
+   */
+  parseStatement(rows) {
+    if (!rows || rows.length < 2) {
+      return { error: 'The file has no data rows' };
+    }
+
+    const headerIndex = rows.findIndex(r => r.some(cell =>
+      BANK_NARRATION_HEADERS.includes(this.normaliseHeader(cell))
+    ));
+    if (headerIndex === -1) {
+      return { error: 'No "Narration" or "Description" column found in the header row' };
+    }
+
+    const headers = rows[headerIndex].map(h => this.normaliseHeader(h));
+    const col = names => headers.findIndex(h => names.includes(h));
+    const dateCol = col(BANK_DATE_HEADERS);
+    const narrationCol = col(BANK_NARRATION_HEADERS);
+    const referenceCol = col(BANK_REFERENCE_HEADERS);
+    const creditCol = col(BANK_CREDIT_HEADERS);
+    const amountCol = col(BANK_AMOUNT_HEADERS);
+
+    if (creditCol === -1 && amountCol === -1) {
+      return { error: 'No "Credit" or "Amount" column found in the header row' };
+    }
+
+    const lines = [];
+    let debits = 0;
+
+    rows.slice(headerIndex + 1).forEach((row, i) => {
+      const amount = this.parseAmount(row[creditCol >= 0 ? creditCol : amountCol]);
+      if (!Number.isFinite(amount) || amount <= 0) {
+        debits++;
+        return;
+      }
+
+      const line = {
+        rowNumber: headerIndex + i + 2,
+        date: dateCol >= 0 ? this.parseDate(row[dateCol]) : '',
+        narration: String(row[narrationCol] ?? '').trim(),
+        reference: referenceCol >= 0 ? String(row[referenceCol] ?? '').trim() : '',
+        amount: Math.round(amount)
+      };
+      line.key = this.lineKey(line);
+      lines.push(line);
+    });
+
+    return { lines, debits };
+  },
+
+  /**
+   * Pupils whose admission number or full name appears in a narration
+   * @returns {Array<{pupil, reason}>}
+   */
+  findTextMatches(narration, pupils) {
+    const text = this.normaliseText(narration);
+    const compactText = this.compact(narration);
+    const words = new Set(text.split(' '));
+
+    const byAdmission = pupils.filter(p => {
+      const admission = this.compact(p.admissionNo);
+      if (!admission) return false;
+      // Short or all-digit numbers ("42", "1034") must stand alone so amounts and
+      // account numbers do not match; "FNPS/2024/0042" may be run together with other text
+      return admission.length < 4 || /^\d+$/.test(admission) ? words.has(admission) : compactText.includes(admission);
+    });
+    if (byAdmission.length > 0) {
+      return byAdmission.map(pupil => ({ pupil, reason: `Admission no. ${pupil.admissionNo}` }));
+    }
+
+    return pupils
+      .filter(p => {
+        const parts = this.normaliseText(p.name).split(' ').filter(part => part.length >= 2);
+        return parts.length >= 2 && parts.every(part => words.has(part));
+      })
+      .map(pupil => ({ pupil, reason: 'Name in narration' }));
+  },
+
+  /**
+   * Classify each statement line: duplicate, queued (already in review),
+   * matched (ticked for posting), suggested (amount-only) or review
+   */
+  async matchLines(lines, session, term) {
+    const [pupilsSnap, paymentsSnap] = await Promise.all([
+      db.collection('pupils').get(),
+      db.collection('payments').where('session', '==', session).where('term', '==', term).get()
+    ]);
+
+    const pupils = pupilsSnap.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(p => p.status !== 'alumni' && p.isActive !== false);
+
+    const storedBalances = {};
+    paymentsSnap.forEach(doc => {
+      storedBalances[doc.data().pupilId] = Math.round(Number(doc.data().balance) || 0);
+    });
+
+    // Lines seen before, and references already on receipts
+    const existing = {};
+    await Promise.all(lines.map(async line => {
+      const doc = await db.collection('bank_reconciliation').doc(line.key).get();
+      if (doc.exists) existing[line.key] = await this.resolveStalePosting(line.key, doc.data());
+    }));
+
+    const receiptsByReference = {};
+    const references = [...new Set(lines
+      .map(line => window.finance.normaliseBankReference(line.reference))
+      .filter(Boolean))];
+    for (let i = 0; i < references.length; i += 10) {
+      const snap = await db.collection('payment_transactions')
+        .where('bankReference', 'in', references.slice(i, i + 10))
+        .get();
+      snap.forEach(doc => {
+        if (!doc.data().voided) receiptsByReference[doc.data().bankReference] = doc.data();
+      });
+    }
+
+    const balances = {};
+    const getBalance = async pupilId => {
+      if (balances[pupilId] === undefined) {
+        const result = await window.finance.calculateCurrentOutstanding(pupilId, session, term);
+        balances[pupilId] = result.reason ? null : Math.round(result.balance || 0);
+      }
+      return balances[pupilId];
+    };
+
+    const seenKeys = new Set();
+    const results = [];
+
+    for (const line of lines) {
+      const result = { ...line, status: 'review', selected: false, pupil: null, balance: null, note: '' };
+      results.push(result);
+
+      if (seenKeys.has(line.key)) {
+        result.status = 'duplicate';
+        result.note = 'Repeated in this file';
+        continue;
+      }
+      seenKeys.add(line.key);
+
+      const previous = existing[line.key];
+      if (previous) {
+        result.status = previous.status === 'review' ? 'queued' : 'duplicate';
+        result.note =
+          previous.status === 'posted' ? `Already posted — receipt ${previous.receiptNo} (${previous.pupilName})` :
+          previous.status === 'ignored' ? `Ignored earlier${previous.note ? `: ${previous.note}` : ''}` :
+          previous.status === 'review' ? 'Already in the review queue' :
+          'Being posted by another user';
+        continue;
+      }
+
+      const receipt = receiptsByReference[window.finance.normaliseBankReference(line.reference)];
+      if (receipt) {
+        result.status = 'duplicate';
+        result.note = `Already recorded — receipt ${receipt.receiptNo} (${receipt.pupilName})`;
+        continue;
+      }
+
+      const matches = this.findTextMatches(line.narration, pupils);
+
+      if (matches.length > 1) {
+        result.note = `Narration matches ${matches.length} pupils: ${matches.map(m => m.pupil.name).join(', ')}`;
+        continue;
+      }
+
+      if (matches.length === 1) {
+        const { pupil, reason } = matches[0];
+        const balance = await getBalance(pupil.id);
+        result.pupil = pupil;
+        result.balance = balance;
+
+        if (balance === null) {
+          result.note = `${reason} — but ${pupil.name} has no fee for ${term}`;
+        } else if (line.amount > balance + 1) {
+          result.note = `${reason} — ₦${line.amount.toLocaleString()} exceeds balance ₦${balance.toLocaleString()}`;
+        } else {
+          result.status = 'matched';
+          result.selected = true;
+          result.note = reason;
+        }
+        continue;
+      }
+
+      const byAmount = pupils.filter(p => line.amount > 0 && storedBalances[p.id] === line.amount);
+      if (byAmount.length === 1) {
+        result.status = 'suggested';
+        result.pupil = byAmount[0];
+        result.balance = await getBalance(byAmount[0].id);
+        result.note = 'Amount equals this pupil\'s balance — check before posting';
+        continue;
+      }
+
+      result.note = byAmount.length > 1
+        ? `No pupil in narration; ${byAmount.length} pupils owe exactly this amount`
+        : 'No pupil found in narration';
+    }
+
+    return { lines: results, pupils };
+  },
+
+  lineRecord(line) {
+    return {
+      reference: line.reference || '',
+      date: line.date || '',
+      amount: line.amount,
+      narration: line.narration || '',
+      fileName: line.fileName || ''
+    };
+  },
+
+  isStalePosting(data, now = Date.now()) {
+    if (data.status !== 'posting') return false;
+    const claimedAt = data.claimedAt?.toMillis?.();
+    return !claimedAt || now - claimedAt >= BANK_POSTING_STALE_MS;
+  },
+
+  /**
+   * The live receipt recorded for a statement line, if any
+   */
+  async findReceiptForLine(key, reference) {
+    const snap = await db.collection('payment_transactions').where('bankLineKey', '==', key).get();
+    const live = snap.docs.map(doc => doc.data()).find(tx => !tx.voided);
+    // Lines posted before receipts carried bankLineKey
+    return live || (reference ? window.finance.findPaymentByReference(reference) : null);
+  },
+
+  markPosted(ref, receipt) {
+    return ref.set({
+      status: 'posted',
+      pupilId: receipt.pupilId,
+      pupilName: receipt.pupilName,
+      receiptNo: receipt.receiptNo,
+      note: '',
+      resolvedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      resolvedBy: auth.currentUser.uid
+    }, { merge: true });
+  },
+
+  /**
+   * Settle a line left in 'posting' by an interrupted post: posted when a receipt
+   * exists, otherwise back to review. Lines still being posted are returned as they are.
+   * @returns {Promise<object>} the line's data after resolving
+   */
+  async resolveStalePosting(key, data) {
+    if (!this.isStalePosting(data)) return data;
+
+    const ref = db.collection('bank_reconciliation').doc(key);
+    const receipt = await this.findReceiptForLine(key, data.reference);
+    if (receipt) {
+      await this.markPosted(ref, receipt);
+      return { ...data, status: 'posted', receiptNo: receipt.receiptNo, pupilName: receipt.pupilName };
+    }
+
+    const note = 'Posting was interrupted and no receipt was recorded — post it again';
+    const reset = await db.runTransaction(async transaction => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists || !this.isStalePosting(doc.data())) return false;
+      transaction.update(ref, { status: 'review', note, claimedAt: null });
+      return true;
+    });
+    return reset ? { ...data, status: 'review', note } : data;
+  },
+
+  /**
+   * Post one statement line as a payment. The line is claimed in a transaction
+   * first so two admins cannot post it at the same time; on failure it goes back
+   * to the review queue with the reason — unless a receipt was recorded, or that
+   * cannot be checked, in which case it is left 'posting' for resolveStalePosting().
+   */
+  async postLine(line, pupilId, session, term) {
+    const ref = db.collection('bank_reconciliation').doc(line.key);
+
+    await db.runTransaction(async transaction => {
+      const doc = await transaction.get(ref);
+      const status = doc.exists ? doc.data().status : null;
+      if (status === 'posted' || status === 'posting' || status === 'ignored') {
+        throw new Error(`This transfer is already ${status}${doc.data().receiptNo ? ` (receipt ${doc.data().receiptNo})` : ''}`);
+      }
+      transaction.set(ref, {
+        ...this.lineRecord(line),
+        status: 'posting',
+        pupilId,
+        claimedAt: firebase.firestore.FieldValue.serverTimestamp(),
+        ...(doc.exists ? {} : {
+          importedAt: firebase.firestore.FieldValue.serverTimestamp(),
+          importedBy: auth.currentUser.uid
+        })
+      }, { merge: true });
+    });
+
+    let result;
+    let posted;
+    try {
+      const pupilDoc = await db.collection('pupils').doc(pupilId).get();
+      if (!pupilDoc.exists) throw new Error('Pupil not found');
+      const pupilData = pupilDoc.data();
+
+      const classId = window.finance.getClassIdSafely(pupilData);
+      if (!classId) throw new Error(`${pupilData.name} has no class assigned`);
+
+      result = await window.finance.recordPayment(
+        pupilId,
+        pupilData.name,
+        classId,
+        pupilData.class?.name || '',
+        session,
+        term,
+        {
+          amountPaid: line.amount,
+          paymentMethod: 'bank',
+          reference: line.reference || '',
+          bankLineKey: line.key,
+          notes: `Bank transfer${line.date ? ` ${line.date}` : ''}: ${line.narration}`.slice(0, 300)
+        }
+      );
+      posted = { pupilId, pupilName: pupilData.name, receiptNo: result.receiptNo };
+
+    } catch (error) {
+      // recordPayment may have committed before failing — never requeue a line that has a receipt
+      let receipt;
+      try {
+        receipt = await this.findReceiptForLine(line.key, line.reference);
+      } catch (lookupError) {
+        console.error('Could not check for a receipt — line left as posting:', lookupError);
+        throw error;
+      }
+
+      if (receipt) {
+        await this.markPosted(ref, receipt).catch(markError => console.error('Could not mark line posted:', markError));
+      } else {
+        await ref.set({
+          status: 'review',
+          note: String(error.message || 'Posting failed').split('\n')[0],
+          claimedAt: null
+        }, { merge: true });
+      }
+      throw error;
+    }
+
+    // The payment is recorded; if this fails the line stays 'posting' and is
+    // resolved from the receipt's bankLineKey once stale
+    await window.retryWithBackoff(() => this.markPosted(ref, posted), 3, 'Mark transfer posted')
+      .catch(error => console.error('Payment recorded but line not marked posted:', error));
+
+    return result;
+  },
+
+  /**
+   * Put lines that were not posted into the review queue, keeping any suggested pupil
+   */
+  async queueLines(lines) {
+    for (let i = 0; i < lines.length; i += 400) {
+      const batch = db.batch();
+      lines.slice(i, i + 400).forEach(line => {
+        batch.set(db.collection('bank_reconciliation').doc(line.key), {
+          ...this.lineRecord(line),
+          status: 'review',
+          pupilId: line.pupil?.id || null,
+          pupilName: line.pupil?.name || null,
+          note: line.note || '',
+          importedAt: firebase.firestore.FieldValue.serverTimestamp(),
+          importedBy: auth.currentUser.uid
+        });
+      });
+      await batch.commit();
+    }
+  },
+
+  async ignoreLine(key, note) {
+    await db.collection('bank_reconciliation').doc(key).set({
+      status: 'ignored',
+      note: note || '',
+      resolvedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      resolvedBy: auth.currentUser.uid
+    }, { merge: true });
+  },
+
+  /**
+   * Lines awaiting review, including interrupted posts that had no receipt
+   */
+  async getReviewQueue() {
+    const snap = await db.collection('bank_reconciliation').where('status', 'in', ['review', 'posting']).get();
+    const lines = await Promise.all(snap.docs.map(async doc => ({
+      key: doc.id,
+      ...await this.resolveStalePosting(doc.id, doc.data())
+    })));
+    return lines
+      .filter(line => line.status === 'review')
+      .sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+  }
+};
+
+window.bankReconciliation = bankReconciliation;
+
+/* ─────────────────────────────────────────────────────────────────
+   ADMIN — BANK RECONCILIATION SECTION
+───────────────────────────────────────────────────────────────── */
+
+const BANK_LINE_BADGES = {
+  matched:   { label: 'Matched',   color: '#16a34a' },
+  suggested: { label: 'Suggested', color: '#d97706' },
+  review:    { label: 'Review',    color: '#6b7280' },
+  queued:    { label: 'In queue',  color: '#2563eb' },
+  duplicate: { label: 'Recorded',  color: '#991b1b' }
+};
+
+let _bankPupils = [];
+
+async function loadBankReconciliation() {
+  try {
+    const settings = await window.getCurrentSettings();
+    const sessionDisplay = document.getElementById('bank-session-display');
+    const termDisplay = document.getElementById('bank-term-display');
+    if (sessionDisplay) sessionDisplay.textContent = settings.session;
+    if (termDisplay) termDisplay.textContent = settings.term;
+
+    const pupilsSnap = await db.collection('pupils').get();
+    _bankPupils = pupilsSnap.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(p => p.status !== 'alumni' && p.isActive !== false)
+      .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+    const options = document.getElementById('bank-pupil-options');
+    if (options) {
+      options.innerHTML = _bankPupils.map(p =>
+        `<option value="${window.escapeHTML(bankPupilLabel(p))}"></option>`
+      ).join('');
+    }
+
+    await loadBankReviewQueue();
+  } catch (error) {
+    console.error('Error loading bank reconciliation:', error);
+    window.showToast?.('Failed to load bank reconciliation', 'danger');
+  }
+}
+
+function bankPupilLabel(pupil) {
+  return `${pupil.name}${pupil.admissionNo ? ` — ${pupil.admissionNo}` : ''} (${pupil.class?.name || 'No class'})`;
+}
+
+function findBankPupilByLabel(label) {
+  return _bankPupils.find(p => bankPupilLabel(p) === String(label || '').trim()) || null;
+}
+
+async function handleBankStatementFile(event) {
+  const file = event.target.files?.[0];
+  if (!file) return;
+
+  const panel = document.getElementById('bank-statement-preview');
+  if (panel) panel.innerHTML = '<div style="text-align:center; padding:var(--space-lg);"><div class="spinner"></div><p>Matching statement lines...</p></div>';
+
+  try {
+    const buffer = await file.arrayBuffer();
+    // raw: CSV cells stay as the bank wrote them (no US-style date guessing);
+    // Excel dates arrive as serial numbers and amounts as numbers
+    const workbook = XLSX.read(buffer, { type: 'array', raw: true });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', blankrows: false, raw: true });
+
+    const parsed = bankReconciliation.parseStatement(rows);
+    if (parsed.error) {
+      if (panel) panel.innerHTML = '';
+      window.showToast?.(parsed.error, 'danger', 7000);
+      return;
+    }
+
+    const settings = await window.getCurrentSettings();
+    parsed.lines.forEach(line => { line.fileName = file.name; });
+    const { lines } = await bankReconciliation.matchLines(parsed.lines, settings.session, settings.term);
+
+    _pendingStatement = {
+      lines,
+      debits: parsed.debits,
+      fileName: file.name,
+      session: settings.session,
+      term: settings.term
+    };
+    renderBankStatementPreview();
+
+  } catch (error) {
+    console.error('Error reading bank statement:', error);
+    if (panel) panel.innerHTML = '';
+    window.handleError?.(error, 'Could not read the statement. Use a .csv or .xlsx export from your bank.');
+  } finally {
+    event.target.value = '';
+  }
+}
+
+function renderBankStatementPreview() {
+  const panel = document.getElementById('bank-statement-preview');
+  if (!panel || !_pendingStatement) return;
+
+  const { lines, debits, fileName, session, term } = _pendingStatement;
+  const esc = window.escapeHTML;
+  const count = status => lines.filter(l => l.status === status).length;
+  const selected = lines.filter(l => l.selected);
+  const toQueue = lines.filter(l => !l.selected && ['matched', 'suggested', 'review'].includes(l.status));
+
+  const rowHtml = lines.map((line, i) => {
+    const badge = BANK_LINE_BADGES[line.status];
+    const postable = ['matched', 'suggested'].includes(line.status);
+    return `
+      <tr style="${line.status === 'duplicate' ? 'opacity:0.6;' : ''}">
+        <td data-label="Post">
+          ${postable ? `<input type="checkbox" ${line.selected ? 'checked' : ''} onchange="toggleBankLine(${i}, this.checked)">` : ''}
+        </td>
+        <td data-label="Date">${esc(line.date || '—')}</td>
+        <td data-label="Reference">${esc(line.reference || '—')}</td>
+        <td data-label="Narration" style="max-width:280px; word-break:break-word;">${esc(line.narration)}</td>
+        <td data-label="Amount"><strong>₦${line.amount.toLocaleString()}</strong></td>
+        <td data-label="Pupil">
+          ${line.pupil ? `<strong>${esc(line.pupil.name)}</strong><br><small>${esc(line.pupil.class?.name || '')}${line.balance !== null ? ` · balance ₦${line.balance.toLocaleString()}` : ''}</small>` : '—'}
+        </td>
+        <td data-label="Status" style="font-size:0.8125rem;">
+          <span class="status-badge" style="background:${badge.color};">${badge.label}</span>
+          <div style="margin-top:0.25rem;">${esc(line.note)}</div>
+        </td>
+      </tr>`;
+  }).join('');
+
+  panel.innerHTML = `
+    <div class="alert alert-info" style="margin:var(--space-md) 0;">
+      <strong>🏦 ${esc(fileName)}</strong> — posting to ${session}, ${term}
+      <p style="margin:0.5rem 0 0;">
+        ${lines.length} credit line(s): <strong>${count('matched')}</strong> matched,
+        ${count('suggested')} suggested, ${count('review')} need review,
+        ${count('queued')} already in the queue, ${count('duplicate')} already recorded.
+        ${debits > 0 ? `${debits} debit/blank line(s) ignored.` : ''}
+      </p>
+    </div>
+    <div class="table-container" style="max-height:420px; overflow:auto;">
+      <table class="responsive-table">
+        <thead>
+          <tr><th>Post</th><th>Date</th><th>Reference</th><th>Narration</th><th>Amount</th><th>Pupil</th><th>Status</th></tr>
+        </thead>
+        <tbody>${rowHtml}</tbody>
+      </table>
+    </div>
+    <div class="form-actions" style="flex-wrap:wrap;">
+      <button class="btn" id="post-bank-lines-btn" onclick="postBankStatement()" ${selected.length + toQueue.length === 0 ? 'disabled' : ''}>
+        Post ${selected.length} Payment(s)${toQueue.length > 0 ? ` &amp; Queue ${toQueue.length} for Review` : ''}
+      </button>
+      <button class="btn btn-secondary" onclick="cancelBankStatement()">Cancel</button>
+    </div>
+  `;
+}
+
+function toggleBankLine(index, checked) {
+  const line = _pendingStatement?.lines[index];
+  if (!line) return;
+  line.selected = checked;
+  renderBankStatementPreview();
+}
+
+function cancelBankStatement() {
+  _pendingStatement = null;
+  const panel = document.getElementById('bank-statement-preview');
+  if (panel) panel.innerHTML = '';
+}
+
+async function postBankStatement() {
+  if (!_pendingStatement) return;
+
+  const { lines, session, term } = _pendingStatement;
+  const selected = lines.filter(l => l.selected && l.pupil);
+  const toQueue = lines.filter(l => !l.selected && ['matched', 'suggested', 'review'].includes(l.status));
+
+  const settings = await window.getCurrentSettings();
+  if (settings.session !== session || settings.term !== term) {
+    window.showToast?.('The school term changed since the statement was matched. Please import it again.', 'warning', 6000);
+    cancelBankStatement();
+    return;
+  }
+
+  const total = selected.reduce((sum, l) => sum + l.amount, 0);
+  if (!confirm(
+    `Post ${selected.length} bank transfer(s) totalling ₦${total.toLocaleString()} to ${term}, ${session}?\n\n` +
+    (toQueue.length > 0 ? `${toQueue.length} other line(s) will go to the review queue.\n\n` : '') +
+    `Continue?`
+  )) {
+    return;
+  }
+
+  const btn = document.getElementById('post-bank-lines-btn');
+  if (btn) {
+    btn.disabled = true;
+    btn.innerHTML = '<span class="btn-loading">Posting payments...</span>';
+  }
+
+  let posted = 0;
+  const failed = [];
+
+  try {
+    for (const line of selected) {
+      try {
+        await bankReconciliation.postLine(line, line.pupil.id, session, term);
+        posted++;
+      } catch (error) {
+        console.warn(`Bank line ${line.rowNumber} not posted:`, error.message);
+        failed.push(line);
+      }
+    }
+
+    await bankReconciliation.queueLines(toQueue);
+
+    window.showToast?.(
+      `✓ ${posted} payment(s) posted` +
+      (toQueue.length > 0 ? `\n${toQueue.length} line(s) queued for review` : '') +
+      (failed.length > 0 ? `\n\n⚠️ ${failed.length} line(s) could not be posted and were moved to the review queue` : ''),
+      failed.length > 0 ? 'warning' : 'success',
+      8000
+    );
+
+    cancelBankStatement();
+    await loadBankReviewQueue();
+
+  } catch (error) {
+    console.error('Error posting bank statement:', error);
+    window.handleError?.(error, 'Failed to post bank statement');
+    if (btn) {
+      btn.disabled = false;
+      btn.textContent = 'Retry';
+    }
+  }
+}
+
+async function loadBankReviewQueue() {
+  const container = document.getElementById('bank-review-queue');
+  if (!container) return;
+
+  try {
+    const queue = await bankReconciliation.getReviewQueue();
+    const esc = window.escapeHTML;
+
+    if (queue.length === 0) {
+      container.innerHTML = '<p style="text-align:center; color:var(--color-gray-600);">No statement lines waiting for review.</p>';
+      return;
+    }
+
+    container.innerHTML = `
+      <div class="table-container">
+        <table class="responsive-table">
+          <thead>
+            <tr><th>Date</th><th>Reference</th><th>Narration</th><th>Amount</th><th>Pupil</th><th>Actions</th></tr>
+          </thead>
+          <tbody>
+            ${queue.map(line => {
+              const suggested = _bankPupils.find(p => p.id === line.pupilId);
+              return `
+                <tr>
+                  <td data-label="Date">${esc(line.date || '—')}</td>
+                  <td data-label="Reference">${esc(line.reference || '—')}</td>
+                  <td data-label="Narration" style="max-width:260px; word-break:break-word;">
+                    ${esc(line.narration)}
+                    ${line.note ? `<div style="font-size:0.8125rem; color:var(--color-gray-600); margin-top:0.25rem;">${esc(line.note)}</div>` : ''}
+                  </td>
+                  <td data-label="Amount"><strong>₦${Number(line.amount).toLocaleString()}</strong></td>
+                  <td data-label="Pupil">
+                    <input type="text" list="bank-pupil-options" id="bank-review-pupil-${line.key}"
+                           value="${suggested ? esc(bankPupilLabel(suggested)) : ''}" placeholder="Type a name or admission no." style="min-width:200px;">
+                  </td>
+                  <td data-label="Actions" style="white-space:nowrap;">
+                    <button class="btn-small btn-primary" onclick="postBankReviewLine('${line.key}')">Post</button>
+                    <button class="btn-small btn-secondary" onclick="ignoreBankReviewLine('${line.key}')">Ignore</button>
+                  </td>
+                </tr>`;
+            }).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+
+  } catch (error) {
+    console.error('Error loading review queue:', error);
+    container.innerHTML = '<p style="text-align:center; color:var(--color-danger);">Error loading review queue</p>';
+  }
+}
+
+async function postBankReviewLine(key) {
+  const pupil = findBankPupilByLabel(document.getElementById(`bank-review-pupil-${key}`)?.value);
+  if (!pupil) {
+    window.showToast?.('Choose a pupil from the list first', 'warning');
+    return;
+  }
+
+  try {
+    const doc = await db.collection('bank_reconciliation').doc(key).get();
+    if (!doc.exists || doc.data().status !== 'review') {
+      window.showToast?.('This line is no longer in the review queue', 'info');
+      await loadBankReviewQueue();
+      return;
+    }
+
+    const line = { key, ...doc.data() };
+    const settings = await window.getCurrentSettings();
+
+    if (!confirm(
+      `Post ₦${Number(line.amount).toLocaleString()} to ${pupil.name} for ${settings.term}, ${settings.session}?\n\n` +
+      `${line.reference ? `Reference: ${line.reference}\n` : ''}${line.narration}`
+    )) {
+      return;
+    }
+
+    const result = await bankReconciliation.postLine(line, pupil.id, settings.session, settings.term);
+    window.showToast?.(`✓ Posted to ${pupil.name} — receipt ${result.receiptNo}`, 'success', 6000);
+
+  } catch (error) {
+    console.error('Error posting review line:', error);
+    window.showToast?.(`Could not post: ${String(error.message).split('\n')[0]}`, 'danger', 8000);
+  }
+
+  await loadBankReviewQueue();
+}
+
+async function ignoreBankReviewLine(key) {
+  const note = prompt('Why is this credit not a fee payment? (e.g. supplier refund, loan)');
+  if (note === null) return;
+
+  try {
+    await bankReconciliation.ignoreLine(key, note.trim());
+    window.showToast?.('Line ignored — it will not be offered again', 'info');
+    await loadBankReviewQueue();
+  } catch (error) {
+    console.error('Error ignoring review line:', error);
+    window.handleError?.(error, 'Failed to ignore line');
+  }
+}
+
+window.loadBankReconciliation = loadBankReconciliation;
+window.handleBankStatementFile = handleBankStatementFile;
+window.toggleBankLine = toggleBankLine;
+window.cancelBankStatement = cancelBankStatement;
+window.postBankStatement = postBankStatement;
+window.postBankReviewLine = postBankReviewLine;
+window.ignoreBankReviewLine = ignoreBankReviewLine;
+
+console.log('✓ Bank reconciliation module loaded');
@@ -0,0 +1,103 @@
+/**
+ * FAHMID NURSERY & PRIMARY SCHOOL
+ * Cumulative Results Module
+ * First, second and third term totals side by side, plus the annual average
+ *
+ * @version 1.0.0
+ * @date 2026-03-08
+ *
+ * Built on the existing approved `results` documents of a session — nothing extra is stored.
+ *
+ * Annual average per subject = mean of the terms that subject was taken.
+ * Cumulative annual average  = mean of the subject annual averages.
+ * The same figure is used on the cumulative report card, in the pupil portal
+ * and for promotion (teacher.js calculatePupilAverage(..., 'annual')).
+ */
+
+'use strict';
+
+const SESSION_TERMS = ['First Term', 'Second Term', 'Third Term'];
+
+const cumulativeResults = {
+  TERMS: SESSION_TERMS,
+
+  /**
+   * Build the cumulative view from a session's result documents
+   * @param {Array<object>} resultDocs - raw `results` document data
+   * @returns {{subjects: Array, termTotals: object, annualAverage: number, subjectCount: number}}
+   */
+  build(resultDocs) {
+    const round1 = n => Math.round(n * 10) / 10;
+    const bySubject = {};
+    const termTotals = {};
+
+    SESSION_TERMS.forEach(term => {
+      termTotals[term] = { total: 0, count: 0, average: null };
+    });
+
+    resultDocs.forEach(data => {
+      if (!data?.subject || !SESSION_TERMS.includes(data.term)) return;
+      const total = window.assessmentSchemes.getResultTotal(data);
+
+      if (!bySubject[data.subject]) bySubject[data.subject] = {};
+      bySubject[data.subject][data.term] = total;
+
+      termTotals[data.term].total += total;
+      termTotals[data.term].count++;
+    });
+
+    SESSION_TERMS.forEach(term => {
+      const t = termTotals[term];
+      t.total = round1(t.total);
+      t.average = t.count > 0 ? round1(t.total / t.count) : null;
+    });
+
+    const subjects = Object.keys(bySubject)
+      .sort((a, b) => a.localeCompare(b))
+      .map(subject => {
+        const terms = {};
+        const taken = [];
+        SESSION_TERMS.forEach(term => {
+          const score = bySubject[subject][term];
+          terms[term] = typeof score === 'number' ? score : null;
+          if (typeof score === 'number') taken.push(score);
+        });
+        return {
+          subject,
+          terms,
+          termCount: taken.length,
+          annualTotal: round1(taken.reduce((s, x) => s + x, 0)),
+          annualAverage: round1(taken.reduce((s, x) => s + x, 0) / taken.length)
+        };
+      });
+
+    const annualAverage = subjects.length > 0
+      ? round1(subjects.reduce((s, x) => s + x.annualAverage, 0) / subjects.length)
+      : 0;
+
+    return { subjects, termTotals, annualAverage, subjectCount: subjects.length };
+  },
+
+  /**
+   * Load a pupil's approved results for a session and build the cumulative view
+   */
+  async getForPupil(pupilId, session) {
+    // pupilId + session only, status filtered client-side (avoids a composite index)
+    const snap = await db.collection('results')
+      .where('pupilId', '==', pupilId)
+      .where('session', '==', session)
+      .get();
+
+    const docs = [];
+    snap.forEach(doc => {
+      const data = doc.data();
+      if (!data.status || data.status === 'approved') docs.push(data);
+    });
+
+    return this.build(docs);
+  }
+};
+
+window.cumulativeResults = cumulativeResults;
+
+console.log('✓ Cumulative results module loaded');
@@ -0,0 +1,433 @@
+/**
+ * FAHMID NURSERY & PRIMARY SCHOOL
+ * Expenses Module
+ * School expenditure by category, termly budgets, and the admin Expenses section
+ *
+ * @version 1.0.0
+ * @date 2026-10-19
+ *
+ * FIRESTORE SCHEMA — expenses/{autoId}
+ * {
+ *   category: 'salaries' | 'utilities' | 'maintenance' | 'supplies' | 'other',
+ *   description, vendor, amount, date: '2026-01-15', paymentMethod,
+ *   attachmentRef,                 // voucher / invoice number or where the paper copy is filed
+ *   session, term,                 // the term the expense is reported in
+ *   recordedBy, recordedByEmail, createdAt,
+ *   voided, voidReason, voidedAt, voidedBy   // expenses are voided, never deleted
+ * }
+ *
+ * FIRESTORE SCHEMA — expense_budgets/{session}_{term}
+ * { session, term, budgets: { [category]: amount }, updatedAt, updatedBy }
+ *
+ * The comprehensive financial report sets these against fees collected for the
+ * term in its income-vs-expenditure statement.
+ */
+
+'use strict';
+
+const expenses = {
+  CATEGORIES: {
+    salaries: 'Salaries',
+    utilities: 'Utilities',
+    maintenance: 'Maintenance',
+    supplies: 'Supplies',
+    other: 'Other'
+  },
+
+  PAYMENT_METHODS: ['Bank Transfer', 'Cash', 'Cheque', 'POS'],
+
+  getCategoryLabel(category) {
+    return this.CATEGORIES[category] || this.CATEGORIES.other;
+  },
+
+  budgetDocId(session, term) {
+    return `${session.replace(/\//g, '-')}_${term}`;
+  },
+
+  /**
+   * Validate and normalise an expense before saving
+   */
+  cleanExpense(input) {
+    const amount = Math.round((Number(input.amount) || 0) * 100) / 100;
+    const expense = {
+      category: this.CATEGORIES[input.category] ? input.category : 'other',
+      description: String(input.description || '').trim(),
+      vendor: String(input.vendor || '').trim(),
+      amount,
+      date: String(input.date || '').trim(),
+      paymentMethod: this.PAYMENT_METHODS.includes(input.paymentMethod) ? input.paymentMethod : 'Cash',
+      attachmentRef: String(input.attachmentRef || '').trim()
+    };
+
+    if (!expense.description) throw new Error('Describe what the expense was for');
+    if (!expense.vendor) throw new Error('Enter the vendor or payee');
+    if (!(amount > 0)) throw new Error('Enter an amount greater than zero');
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(expense.date)) throw new Error('Enter the date the expense was paid');
+
+    return expense;
+  },
+
+  async recordExpense(input, session, term) {
+    const expense = this.cleanExpense(input);
+
+    const ref = await db.collection('expenses').add({
+      ...expense,
+      session,
+      term,
+      voided: false,
+      recordedBy: auth.currentUser?.uid || 'unknown',
+      recordedByEmail: auth.currentUser?.email || '',
+      createdAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+
+    return ref.id;
+  },
+
+  /**
+   * Void an expense entered in error; the record stays for the audit trail
+   */
+  async voidExpense(expenseId, reason) {
+    const cleanedReason = String(reason || '').trim();
+    if (cleanedReason.length < 5) {
+      throw new Error('Please give a reason (at least 5 characters)');
+    }
+
+    const ref = db.collection('expenses').doc(expenseId);
+    const doc = await ref.get();
+    if (!doc.exists) throw new Error('Expense not found');
+    if (doc.data().voided) throw new Error('This expense has already been voided');
+
+    const batch = db.batch();
+    batch.update(ref, {
+      voided: true,
+      voidReason: cleanedReason,
+      voidedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      voidedBy: auth.currentUser?.email || 'unknown'
+    });
+    batch.set(db.collection('audit_log').doc(), {
+      action: 'void_expense',
+      collection: 'expenses',
+      documentId: expenseId,
+      changes: {
+        category: doc.data().category,
+        vendor: doc.data().vendor,
+        amount: doc.data().amount,
+        reason: cleanedReason
+      },
+      performedBy: auth.currentUser.uid,
+      performedByEmail: auth.currentUser.email,
+      timestamp: firebase.firestore.FieldValue.serverTimestamp(),
+      userAgent: navigator.userAgent
+    });
+    await batch.commit();
+  },
+
+  /**
+   * Expenses reported in a term, newest first (voided ones included)
+   */
+  async getExpenses(session, term) {
+    const snap = await db.collection('expenses')
+      .where('session', '==', session)
+      .where('term', '==', term)
+      .get();
+
+    return snap.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => b.date.localeCompare(a.date));
+  },
+
+  async getBudgets(session, term) {
+    const doc = await db.collection('expense_budgets').doc(this.budgetDocId(session, term)).get();
+    return doc.exists ? (doc.data().budgets || {}) : {};
+  },
+
+  async saveBudgets(session, term, budgets) {
+    const cleaned = {};
+    Object.keys(this.CATEGORIES).forEach(category => {
+      const amount = Math.round(Number(budgets[category]) || 0);
+      if (amount < 0) throw new Error(`${this.getCategoryLabel(category)} budget cannot be negative`);
+      if (amount > 0) cleaned[category] = amount;
+    });
+
+    await db.collection('expense_budgets').doc(this.budgetDocId(session, term)).set({
+      session,
+      term,
+      budgets: cleaned,
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      updatedBy: auth.currentUser?.email || 'unknown'
+    });
+
+    return cleaned;
+  },
+
+  /**
+   * Spending per category against budget (voided expenses excluded)
+   * @returns {{total, totalBudget, byCategory: Array<{category, label, spent, budget, remaining, percentUsed, count}>}}
+   */
+  summarise(expenseList, budgets = {}) {
+    const live = expenseList.filter(expense => !expense.voided);
+
+    const byCategory = Object.entries(this.CATEGORIES).map(([category, label]) => {
+      const items = live.filter(expense => expense.category === category);
+      const spent = items.reduce((sum, expense) => sum + expense.amount, 0);
+      const budget = Number(budgets[category]) || 0;
+      return {
+        category,
+        label,
+        spent,
+        budget,
+        remaining: budget - spent,
+        percentUsed: budget > 0 ? (spent / budget) * 100 : null,
+        count: items.length
+      };
+    });
+
+    return {
+      total: byCategory.reduce((sum, row) => sum + row.spent, 0),
+      totalBudget: byCategory.reduce((sum, row) => sum + row.budget, 0),
+      byCategory
+    };
+  },
+
+};
+
+window.expenses = expenses;
+
+/* ─────────────────────────────────────────────────────────────────
+   ADMIN — EXPENSES SECTION
+───────────────────────────────────────────────────────────────── */
+
+let _expenseList = [];
+
+async function loadExpensesSection() {
+  try {
+    const settings = await window.getCurrentSettings();
+    const sessionDisplay = document.getElementById('expense-session-display');
+    const termDisplay = document.getElementById('expense-term-display');
+    if (sessionDisplay) sessionDisplay.textContent = settings.session;
+    if (termDisplay) termDisplay.textContent = settings.term;
+
+    const categorySelect = document.getElementById('expense-category');
+    if (categorySelect && categorySelect.options.length === 0) {
+      categorySelect.innerHTML = Object.entries(expenses.CATEGORIES)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`)
+        .join('');
+    }
+
+    const filter = document.getElementById('expense-category-filter');
+    if (filter && filter.options.length <= 1) {
+      filter.innerHTML += Object.entries(expenses.CATEGORIES)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`)
+        .join('');
+    }
+
+    const dateInput = document.getElementById('expense-date');
+    if (dateInput && !dateInput.value) dateInput.value = new Date().toISOString().split('T')[0];
+
+    await loadExpenses();
+  } catch (error) {
+    console.error('Error loading expenses section:', error);
+    window.showToast?.('Failed to load expenses', 'danger');
+  }
+}
+
+async function loadExpenses() {
+  const tbody = document.querySelector('#expenses-table tbody');
+  if (!tbody) return;
+
+  tbody.innerHTML = '<tr><td colspan="7" class="table-loading">Loading expenses...</td></tr>';
+
+  try {
+    const settings = await window.getCurrentSettings();
+    const [expenseList, budgets] = await Promise.all([
+      expenses.getExpenses(settings.session, settings.term),
+      expenses.getBudgets(settings.session, settings.term)
+    ]);
+    _expenseList = expenseList;
+
+    Object.keys(expenses.CATEGORIES).forEach(category => {
+      const input = document.getElementById(`expense-budget-${category}`);
+      if (input) input.value = budgets[category] || '';
+    });
+
+    renderExpenseBudgetSummary(expenses.summarise(expenseList, budgets));
+    renderExpenses();
+  } catch (error) {
+    console.error('Error loading expenses:', error);
+    tbody.innerHTML = '<tr><td colspan="7" style="text-align:center; color:var(--color-danger);">Error loading expenses - please refresh</td></tr>';
+  }
+}
+
+function renderExpenses() {
+  const tbody = document.querySelector('#expenses-table tbody');
+  if (!tbody) return;
+
+  const esc = window.escapeHTML;
+  const category = document.getElementById('expense-category-filter')?.value || '';
+  const rows = category ? _expenseList.filter(expense => expense.category === category) : _expenseList;
+
+  if (rows.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="7" style="text-align:center; color:var(--color-gray-600);">No expenses recorded for this term.</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = rows.map(expense => `
+    <tr${expense.voided ? ' style="opacity:0.6;"' : ''}>
+      <td data-label="Date">${esc(expense.date)}</td>
+      <td data-label="Category">${esc(expenses.getCategoryLabel(expense.category))}</td>
+      <td data-label="Description">
+        <span${expense.voided ? ' style="text-decoration:line-through;"' : ''}>${esc(expense.description)}</span>
+        ${expense.voided ? `<br><span class="status-badge" style="background:#b91c1c;">VOID</span> <span style="font-size:0.8125rem;">${esc(expense.voidReason)}</span>` : ''}
+      </td>
+      <td data-label="Vendor">${esc(expense.vendor)}</td>
+      <td data-label="Amount"><strong>₦${expense.amount.toLocaleString()}</strong><br><span style="font-size:0.8125rem; color:var(--color-gray-600);">${esc(expense.paymentMethod)}</span></td>
+      <td data-label="Attachment Ref">${esc(expense.attachmentRef || '—')}</td>
+      <td data-label="Actions">
+        ${expense.voided ? '' : `<button class="btn-small btn-danger" onclick="voidExpenseEntry('${expense.id}')">Void</button>`}
+      </td>
+    </tr>
+  `).join('');
+}
+
+function renderExpenseBudgetSummary(summary) {
+  const totalEl = document.getElementById('expense-total');
+  const budgetEl = document.getElementById('expense-budget-total');
+  const remainingEl = document.getElementById('expense-budget-remaining');
+  if (totalEl) totalEl.textContent = `₦${summary.total.toLocaleString()}`;
+  if (budgetEl) budgetEl.textContent = summary.totalBudget > 0 ? `₦${summary.totalBudget.toLocaleString()}` : 'Not set';
+  if (remainingEl) {
+    remainingEl.textContent = summary.totalBudget > 0
+      ? `₦${(summary.totalBudget - summary.total).toLocaleString()}`
+      : '—';
+  }
+
+  const tbody = document.querySelector('#expense-budget-table tbody');
+  if (!tbody) return;
+
+  tbody.innerHTML = summary.byCategory.map(row => {
+    const over = row.budget > 0 && row.spent > row.budget;
+    const percent = row.percentUsed === null ? null : Math.min(100, row.percentUsed);
+    return `
+      <tr>
+        <td data-label="Category">${row.label}</td>
+        <td data-label="Budget">${row.budget > 0 ? `₦${row.budget.toLocaleString()}` : '—'}</td>
+        <td data-label="Spent">₦${row.spent.toLocaleString()} <span style="color:var(--color-gray-600); font-size:0.8125rem;">(${row.count})</span></td>
+        <td data-label="Remaining" style="color:${over ? 'var(--color-danger)' : 'inherit'}; font-weight:${over ? '700' : '400'};">
+          ${row.budget > 0 ? `${over ? '−' : ''}₦${Math.abs(row.remaining).toLocaleString()}${over ? ' over' : ''}` : '—'}
+        </td>
+        <td data-label="Used">
+          ${percent === null ? '—' : `
+            <div style="background:#e5e7eb; border-radius:4px; height:8px; min-width:80px;">
+              <div style="background:${over ? '#dc3545' : row.percentUsed >= 80 ? '#d97706' : '#0f9764'}; width:${percent}%; height:8px; border-radius:4px;"></div>
+            </div>
+            <span style="font-size:0.8125rem;">${row.percentUsed.toFixed(0)}%</span>`}
+        </td>
+      </tr>
+    `;
+  }).join('');
+}
+
+function resetExpenseForm() {
+  document.getElementById('expense-form')?.reset();
+  const dateInput = document.getElementById('expense-date');
+  if (dateInput) dateInput.value = new Date().toISOString().split('T')[0];
+}
+
+async function saveExpense(event) {
+  event?.preventDefault();
+
+  const submitBtn = document.querySelector('#expense-form button[type="submit"]');
+  const originalHTML = submitBtn?.innerHTML;
+  if (submitBtn) {
+    submitBtn.disabled = true;
+    submitBtn.innerHTML = '<span class="btn-loading">Saving...</span>';
+  }
+
+  try {
+    const settings = await window.getCurrentSettings();
+    const input = {
+      category: document.getElementById('expense-category')?.value,
+      description: document.getElementById('expense-description')?.value,
+      vendor: document.getElementById('expense-vendor')?.value,
+      amount: document.getElementById('expense-amount')?.value,
+      date: document.getElementById('expense-date')?.value,
+      paymentMethod: document.getElementById('expense-payment-method')?.value,
+      attachmentRef: document.getElementById('expense-attachment-ref')?.value
+    };
+
+    await expenses.recordExpense(input, settings.session, settings.term);
+    window.showToast?.(
+      `✓ ${expenses.getCategoryLabel(input.category)} expense of ₦${Number(input.amount).toLocaleString()} recorded`,
+      'success'
+    );
+
+    resetExpenseForm();
+    await loadExpenses();
+  } catch (error) {
+    console.error('Error saving expense:', error);
+    window.showToast?.(error.message || 'Failed to save expense', 'danger');
+  } finally {
+    if (submitBtn) {
+      submitBtn.disabled = false;
+      submitBtn.innerHTML = originalHTML;
+    }
+  }
+}
+
+async function saveExpenseBudgets() {
+  const btn = document.getElementById('save-expense-budgets-btn');
+  const originalHTML = btn?.innerHTML;
+  if (btn) {
+    btn.disabled = true;
+    btn.innerHTML = '<span class="btn-loading">Saving...</span>';
+  }
+
+  try {
+    const settings = await window.getCurrentSettings();
+    const budgets = {};
+    Object.keys(expenses.CATEGORIES).forEach(category => {
+      budgets[category] = document.getElementById(`expense-budget-${category}`)?.value;
+    });
+
+    await expenses.saveBudgets(settings.session, settings.term, budgets);
+    window.showToast?.(`✓ Budgets saved for ${settings.term}`, 'success');
+    await loadExpenses();
+  } catch (error) {
+    console.error('Error saving budgets:', error);
+    window.showToast?.(error.message || 'Failed to save budgets', 'danger');
+  } finally {
+    if (btn) {
+      btn.disabled = false;
+      btn.innerHTML = originalHTML;
+    }
+  }
+}
+
+async function voidExpenseEntry(expenseId) {
+  const expense = _expenseList.find(entry => entry.id === expenseId);
+  if (!expense) return;
+
+  const reason = prompt(
+    `Void ₦${expense.amount.toLocaleString()} to ${expense.vendor}?\n\n` +
+    'The record is kept but no longer counted. Give a reason:'
+  );
+  if (reason === null) return;
+
+  try {
+    await expenses.voidExpense(expenseId, reason);
+    window.showToast?.('✓ Expense voided', 'success');
+    await loadExpenses();
+  } catch (error) {
+    console.error('Error voiding expense:', error);
+    window.showToast?.(error.message || 'Failed to void expense', 'danger');
+  }
+}
+
+window.loadExpensesSection = loadExpensesSection;
+window.renderExpenses = renderExpenses;
+window.resetExpenseForm = resetExpenseForm;
+window.saveExpense = saveExpense;
+window.saveExpenseBudgets = saveExpenseBudgets;
+window.voidExpenseEntry = voidExpenseEntry;
+
+console.log('✓ Expenses module loaded');
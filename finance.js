@@ -11,10 +11,85 @@
  * ✅ Consistent arrears logic (First Term: full session, Later Terms: previous term only)
  * ✅ Atomic payment recording with Firestore transactions
  * ✅ All functions used by admin.js and pupil.js
+ *
+ * FAMILY DISCOUNTS — settings/feeDiscounts
+ * {
+ *   enabled: true,
+ *   rules: [{ position: 2, percent: 10 }, { position: 3, percent: 15 }],
+ *   updatedAt, updatedBy
+ * }
+ * A rule applies to the child at that position and every later child that has
+ * no rule of its own ("15% off the 3rd and later children"). Siblings are grouped
+ * by the pupil's `familyId` when set, otherwise by parent email (case-insensitive).
+ * Only active pupils enrolled for the term count; the eldest pays the full fee.
+ * The discount is taken off the fee after the pupil's own adjustments.
+ *
+ * INSTALMENT PLANS — payments/{pupilId}_{session}_{term}.instalmentPlan
+ * {
+ *   instalments: [{ amount: 30000, dueDate: '2026-01-15' }, ...],   // ascending dates
+ *   startingPaid: 10000,   // totalPaid when the plan was agreed
+ *   notes, createdAt, createdBy
+ * }
+ * The instalments add up to the balance at the time the plan was agreed; payments
+ * made after that fill them in date order. An instalment is overdue the day after
+ * its due date if it is not fully covered.
+ *
+ * FEE HEAD ALLOCATION — settings/feeAllocation { priority: ['tuition', 'books', ...] }
+ * Each payment clears arrears first, then is spread over the class fee heads
+ * (fee_structures.fees) in priority order, or as chosen by the bursar.
+ *   payment_transactions.allocation  { arrears: 5000, tuition: 20000, books: 3000 }
+ *   payments.headsPaid               { tuition: 45000, books: 3000, ... }  // current term only
+ * Pupil adjustments and family discounts scale every head by the same ratio.
+ *
+ * FEE STRUCTURES — fee_structures/fee_{classId}_{session}[_{term}]
+ * { classId, className, session: '2025/2026', term: null | 'Second Term', fees, total }
+ * A session's fee stays in force for later sessions until one of them gets its own;
+ * a term fee overrides the session fee for that term only. The unversioned
+ * fee_{classId} doc from before fees were versioned covers every earlier period.
+ * payment_transactions.feeStructureId records which doc a payment was charged against.
+ *
+ * INVOICES — invoices/{invoiceNo}   (INV{year}{00001}, counters/invoice_counter_{year})
+ * { pupilId, pupilName, admissionNo, classId, className, session, term, feeStructureId,
+ *   baseFee, heads: [{ head, label, amount }], adjustments: [{ label, amount }],
+ *   optionalFees: [{ name, amount }], amountDue, arrears, totalPaid, totalDue, balance,
+ *   dueDate, issuedAt, issuedBy, supersededBy }
+ * A snapshot of the bill when issued; re-issuing with changed figures supersedes it.
+ * Bank details for invoices live in settings/invoiceSettings.
+ *
+ * BALANCE LEDGER — fee_ledger/{pupilId}_{session}_{term}
+ * { pupilId, pupilName, classId, className, session, term, isAlumni, baseFee, amountDue,
+ *   familyDiscount, optionalFeesTotal, arrears, totalDue, totalPaid, balance, credit, status,
+ *   feeHeads, instalmentPlan (stored plan), updatedAt }
+ * A cache of calculateCurrentOutstanding() for reports; never a source of truth.
+ * settings/feeLedgerStatus { stale, staleReason, terms: { '{session}_{term}': last verification } }
+ *
+ * OPTIONAL FEES — fee_items/{itemId} { name, category, amount, active }
+ *                 fee_selections/{pupilId}_{session}_{term} { pupilId, session, term, itemIds,
+ *                   items: [{ id, name, category, amount }] }
+ * Extras such as the school bus (one item per route), feeding and extra lessons.
+ * A selection keeps the name and price each item had when it was saved, so later
+ * catalogue changes never reprice past terms (selections saved before `items`
+ * existed fall back to the live catalogue).
+ * Selected items are added to the term's amount due after adjustments and family
+ * discounts (scholarships do not cover them) and are tracked as their own fee heads
+ * (`optional:{itemId}`). Items are deactivated rather than deleted.
  */
 
 'use strict';
 
+const FAMILY_DISCOUNTS_DOC = 'feeDiscounts';
+const FAMILY_CACHE_MS = 30000;
+const FEE_ALLOCATION_DOC = 'feeAllocation';
+const OPTIONAL_HEAD_PREFIX = 'optional:';
+const INVOICE_SETTINGS_DOC = 'invoiceSettings';
+// Up to 2 writes per invoice (new + superseded) plus the counter, under Firestore's 500
+const INVOICE_CHUNK_SIZE = 200;
+const AGEING_TERM_ORDER = ['First Term', 'Second Term', 'Third Term'];
+const AGEING_MAX_TERMS = 12;
+const LEDGER_COLLECTION = 'fee_ledger';
+const LEDGER_STATUS_DOC = 'feeLedgerStatus';
+const LEDGER_CHECK_FIELDS = ['classId', 'amountDue', 'arrears', 'totalDue', 'totalPaid', 'balance', 'status'];
+
 const finance = {
 
   /**
@@ -62,11 +137,10 @@ const finance = {
       }
       console.log(`   ✓ Class ID: ${classId}`);
 
-      // Step 3: Get base fee
-      const feeDocId = `fee_${classId}`;
-      const feeDoc   = await db.collection('fee_structures').doc(feeDocId).get();
+      // Step 3: Get base fee in force for this session/term
+      const feeStructure = await this.getFeeStructure(classId, session, term);
 
-      if (!feeDoc.exists) {
+      if (!feeStructure) {
         console.warn(`   ⚠️ No fee structure for class ${classId}`);
         return {
           pupilId,
@@ -81,13 +155,13 @@ const finance = {
         };
       }
 
-      const baseFee   = Math.round(Number(feeDoc.data().total) || 0);
-      console.log(`   ✓ Base fee: ₦${baseFee.toLocaleString()}`);
+      const baseFee   = feeStructure.total;
+      console.log(`   ✓ Base fee: ₦${baseFee.toLocaleString()} (${feeStructure.id}, ${feeStructure.source})`);
 
       // Step 4: Calculate adjusted fee
-      const amountDue = this.calculateAdjustedFee(pupilData, baseFee, term);
+      const adjustedFee = this.calculateAdjustedFee(pupilData, baseFee, term);
 
-      if (amountDue === 0 && baseFee > 0) {
+      if (adjustedFee === 0 && baseFee > 0) {
         return {
           pupilId,
           pupilName: pupilData.name,
@@ -101,6 +175,13 @@ const finance = {
         };
       }
 
+      // Step 4b: Sibling / family discount from fee settings
+      const familyDiscount = await this.getFamilyDiscount(pupilId, pupilData, adjustedFee, session, term);
+
+      // Step 4c: Optional items the pupil takes this term (bus, feeding, lessons)
+      const optionalFees = await this.getOptionalFees(pupilId, session, term);
+      const amountDue = adjustedFee - (familyDiscount?.amount || 0) + optionalFees.total;
+
       if (amountDue !== baseFee) {
         console.log(`   ✓ Adjusted fee: ₦${amountDue.toLocaleString()} (was ₦${baseFee.toLocaleString()})`);
       }
@@ -114,10 +195,14 @@ const finance = {
       const paymentDocId   = `${pupilId}_${encodedSession}_${term}`;
 
       let totalPaid = 0;
+      let storedPlan = null;
+      let storedHeadsPaid = null;
       try {
         const paymentDoc = await db.collection('payments').doc(paymentDocId).get();
         if (paymentDoc.exists) {
           totalPaid = Math.round(Math.max(0, Number(paymentDoc.data().totalPaid) || 0));
+          storedPlan = paymentDoc.data().instalmentPlan || null;
+          storedHeadsPaid = paymentDoc.data().headsPaid || null;
         }
       } catch (error) {
         console.warn('   ⚠️ Could not read payment doc:', error.message);
@@ -135,18 +220,7 @@ const finance = {
       const credit     = rawBalance < 0 ? Math.abs(rawBalance) : 0;
 
       // FIXED: Status now includes 'overpaid'.
-      let status;
-      if (rawBalance < 0) {
-        status = 'overpaid';
-      } else if (balance === 0) {
-        status = totalPaid > 0 ? 'paid' : 'owing';
-      } else if (totalPaid > 0) {
-        status = 'partial';
-      } else if (arrears > 0) {
-        status = 'owing_with_arrears';
-      } else {
-        status = 'owing';
-      }
+      const status = this.getPaymentStatus(totalDue, totalPaid, arrears);
 
       console.log(`   ═══════════════════════════════════════`);
       console.log(`   Total Due:  ₦${totalDue.toLocaleString()}`);
@@ -157,6 +231,17 @@ const finance = {
       console.log(`   Status:     ${status}`);
       console.log(`   ═══════════════════════════════════════\n`);
 
+      const instalmentPlan = this.evaluateInstalmentPlan(storedPlan, totalPaid);
+      const feeHeads = this.buildFeeHeadBreakdown({
+        fees: feeStructure.fees,
+        amountDue,
+        arrears,
+        totalPaid,
+        headsPaid: storedHeadsPaid,
+        priority: await this.getFeeHeadPriority(),
+        optionalFees: optionalFees.items
+      });
+
       return {
         pupilId,
         pupilName:  pupilData.name,
@@ -166,12 +251,16 @@ const finance = {
         term,
         baseFee,
         amountDue,
+        familyDiscount,   // null, or { rule, position, familySize, percent, amount }
+        optionalFees,     // { items: [{ id, name, category, amount }], total }
         arrears,
         totalDue,
         totalPaid,
         balance,
         credit,   // positive number when overpaid, 0 otherwise
-        status
+        status,
+        instalmentPlan,   // null, or evaluateInstalmentPlan() result
+        feeHeads          // buildFeeHeadBreakdown() result
       };
 
     } catch (error) {
@@ -180,6 +269,21 @@ const finance = {
     }
   },
 
+  /**
+   * ═══════════════════════════════════════════════════════════
+   * HELPER: Payment Status
+   * ═══════════════════════════════════════════════════════════
+   * Shared by calculateCurrentOutstanding, recordPayment and reversePayment
+   * @returns {'overpaid'|'paid'|'partial'|'owing_with_arrears'|'owing'}
+   */
+  getPaymentStatus(totalDue, totalPaid, arrears) {
+    const rawBalance = totalDue - totalPaid;
+    if (rawBalance < 0) return 'overpaid';
+    if (rawBalance === 0) return totalPaid > 0 ? 'paid' : 'owing';
+    if (totalPaid > 0) return 'partial';
+    return arrears > 0 ? 'owing_with_arrears' : 'owing';
+  },
+
   /**
    * ═══════════════════════════════════════════════════════════
    * HELPER: Safely Extract Class ID
@@ -257,6 +361,209 @@ const finance = {
     return finalFee;
   },
 
+  /**
+   * ═══════════════════════════════════════════════════════════
+   * FAMILY DISCOUNTS: Sibling rules from fee settings
+   * ═══════════════════════════════════════════════════════════
+   */
+  _familyRulesCache: null,
+  _familyMembersCache: {},
+
+  async getFamilyDiscountRules(forceRefresh = false) {
+    if (this._familyRulesCache && !forceRefresh) return this._familyRulesCache;
+
+    try {
+      const doc = await db.collection('settings').doc(FAMILY_DISCOUNTS_DOC).get();
+      const data = doc.exists ? doc.data() : {};
+      this._familyRulesCache = {
+        enabled: data.enabled === true,
+        rules: (Array.isArray(data.rules) ? data.rules : [])
+          .map(rule => ({ position: parseInt(rule.position, 10), percent: Number(rule.percent) || 0 }))
+          .filter(rule => rule.position >= 2 && rule.percent > 0)
+          .sort((a, b) => a.position - b.position)
+      };
+    } catch (error) {
+      console.warn('[FINANCE] Could not load family discount rules:', error.message);
+      this._familyRulesCache = { enabled: false, rules: [] };
+    }
+
+    return this._familyRulesCache;
+  },
+
+  /**
+   * Validate and save the family discount rules (admin only)
+   */
+  async saveFamilyDiscountRules(enabled, rules) {
+    const cleaned = (rules || []).map(rule => ({
+      position: parseInt(rule.position, 10),
+      percent: Math.round((Number(rule.percent) || 0) * 100) / 100
+    }));
+
+    const positions = new Set();
+    cleaned.forEach(rule => {
+      if (!Number.isInteger(rule.position) || rule.position < 2) {
+        throw new Error('Child position must be 2 or higher (the first child pays the full fee)');
+      }
+      if (!(rule.percent > 0 && rule.percent <= 100)) {
+        throw new Error(`Discount for child ${rule.position} must be between 0 and 100%`);
+      }
+      if (positions.has(rule.position)) {
+        throw new Error(`There is more than one rule for child ${rule.position}`);
+      }
+      positions.add(rule.position);
+    });
+
+    if (enabled && cleaned.length === 0) {
+      throw new Error('Add at least one rule before enabling family discounts');
+    }
+
+    cleaned.sort((a, b) => a.position - b.position);
+
+    await db.collection('settings').doc(FAMILY_DISCOUNTS_DOC).set({
+      enabled: !!enabled,
+      rules: cleaned,
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      updatedBy: auth.currentUser?.uid || 'unknown'
+    });
+
+    this._familyRulesCache = null;
+    this._familyMembersCache = {};
+    await this.markLedgerStale('Family discount rules changed');
+    return cleaned;
+  },
+
+  /**
+   * Family grouping key: explicit familyId, else parent email
+   */
+  getFamilyKey(pupilData) {
+    const familyId = String(pupilData?.familyId || '').trim();
+    if (familyId) return `family:${familyId}`;
+
+    const email = String(pupilData?.parentEmail || '').trim().toLowerCase();
+    return email ? `email:${email}` : null;
+  },
+
+  /**
+   * Was this pupil enrolled in a given session + term?
+   * Uses admissionSession + admissionTerm directly instead of relying on
+   * createdAt, which can be wrong for legacy/migrated records. Alumni count
+   * up to and including their graduation session.
+   */
+  wasEnrolledIn(pupilData, checkSession, checkTerm) {
+    const termOrder = { 'First Term': 1, 'Second Term': 2, 'Third Term': 3 };
+    const admissionSession = pupilData.admissionSession || null;
+    const admissionTerm    = pupilData.admissionTerm    || 'First Term';
+    const exitTerm         = pupilData.exitTerm         || 'Third Term';
+
+    // Check exit term — pupil may have left before this term
+    if ((termOrder[checkTerm] || 1) > (termOrder[exitTerm] || 3)) return false;
+
+    // Compare sessions by start year
+    const sessionStartYear = (s) => {
+      const m = (s || '').match(/(\d{4})\//);
+      return m ? parseInt(m[1]) : 0;
+    };
+
+    const checkYear = sessionStartYear(checkSession);
+    const graduationYear = sessionStartYear(pupilData.graduationSession);
+    if (graduationYear && checkYear > graduationYear) return false;
+
+    if (!admissionSession) {
+      // Legacy data: no session recorded. Use admissionTerm as a
+      // within-session guard. Cannot compare sessions, so trust termOrder.
+      return (termOrder[checkTerm] || 1) >= (termOrder[admissionTerm] || 1);
+    }
+
+    const admissionYear = sessionStartYear(admissionSession);
+
+    if (checkYear < admissionYear) return false;
+    if (checkYear > admissionYear) return true;
+
+    // Same session: compare terms
+    if ((termOrder[admissionTerm] || 1) > (termOrder[checkTerm] || 1)) return false;
+
+    return true;
+  },
+
+  /**
+   * Siblings enrolled in the session/term being priced, eldest first.
+   * Membership comes from enrolment in that term, not current status, so a
+   * sibling graduating later does not reprice a younger child's past terms.
+   */
+  async getFamilyMembers(pupilData, session, term, forceRefresh = false) {
+    const familyKey = this.getFamilyKey(pupilData);
+    if (!familyKey) return [];
+
+    const cached = this._familyMembersCache[familyKey];
+    let docs;
+
+    if (cached && !forceRefresh && Date.now() - cached.at < FAMILY_CACHE_MS) {
+      docs = cached.docs;
+    } else {
+      let query;
+      if (familyKey.startsWith('family:')) {
+        query = db.collection('pupils').where('familyId', '==', String(pupilData.familyId).trim());
+      } else {
+        // parentEmail is stored as typed — query the exact and lower-case forms
+        const email = String(pupilData.parentEmail).trim();
+        query = db.collection('pupils').where('parentEmail', 'in', [...new Set([email, email.toLowerCase()])]);
+      }
+
+      const snap = await query.get();
+      docs = snap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      this._familyMembersCache[familyKey] = { at: Date.now(), docs };
+    }
+
+    return docs
+      .filter(p => this.getFamilyKey(p) === familyKey)
+      .filter(p => this.wasEnrolledIn(p, session, term))
+      .sort((a, b) =>
+        (a.dob || '9999').localeCompare(b.dob || '9999') ||
+        (a.name || '').localeCompare(b.name || '') ||
+        a.id.localeCompare(b.id)
+      );
+  },
+
+  /**
+   * Family discount for one pupil
+   * @param {number} fee - term fee after the pupil's own adjustments
+   * @returns {Promise<null|{rule: string, position: number, familySize: number, percent: number, amount: number}>}
+   */
+  async getFamilyDiscount(pupilId, pupilData, fee, session, term, forceRefresh = false) {
+    if (!(fee > 0)) return null;
+
+    const config = await this.getFamilyDiscountRules(forceRefresh);
+    if (!config.enabled || config.rules.length === 0) return null;
+
+    if (!this.getFamilyKey(pupilData)) return null;
+
+    try {
+      const members = await this.getFamilyMembers(pupilData, session, term, forceRefresh);
+      const position = members.findIndex(m => m.id === pupilId) + 1;
+      if (position < 2) return null;
+
+      const rule = config.rules.filter(r => r.position <= position).pop();
+      if (!rule) return null;
+
+      const amount = Math.round(fee * (rule.percent / 100));
+      const isLastRule = rule === config.rules[config.rules.length - 1];
+      const ruleLabel = `${window.formatOrdinal(rule.position)} child${isLastRule ? ' and later' : ''} — ${rule.percent}% off`;
+
+      console.log(`   [FINANCE] Family discount: ${window.formatOrdinal(position)} of ${members.length} children → ${ruleLabel} (₦${amount.toLocaleString()})`);
+
+      return {
+        rule: ruleLabel,
+        position,
+        familySize: members.length,
+        percent: rule.percent,
+        amount
+      };
+    } catch (error) {
+      console.warn('[FINANCE] Could not resolve family discount:', error.message);
+      return null;
+    }
+  },
+
   /**
    * ═══════════════════════════════════════════════════════════
    * CORE CALCULATION: Complete Arrears (No Double-Counting)
@@ -636,17 +943,20 @@ async _recalculateTermBalance(pupilId, session, term) {
 
     // ── FEE RESOLUTION ────────────────────────────────────────────────────────
     if (resolvedBaseFee === null) {
-      const feeDoc = await db.collection('fee_structures').doc(`fee_${resolvedClassId}`).get();
-      if (!feeDoc.exists) {
+      const feeStructure = await this.getFeeStructure(resolvedClassId, session, term);
+      if (!feeStructure) {
         console.warn('     ⚠️ No fee structure for resolved class — returning 0');
         return 0;
       }
-      resolvedBaseFee = Math.round(Number(feeDoc.data().total) || 0);
-      console.log(`     ℹ️ No historical fee found — using current fee structure: ₦${resolvedBaseFee.toLocaleString()}`);
+      resolvedBaseFee = feeStructure.total;
+      console.log(`     ℹ️ No historical fee found — using fee in force for ${session} ${term}: ₦${resolvedBaseFee.toLocaleString()}`);
     }
     // ─────────────────────────────────────────────────────────────────────────
 
-    const amountDue = this.calculateAdjustedFee(pupilData, resolvedBaseFee, term);
+    const adjustedFee = this.calculateAdjustedFee(pupilData, resolvedBaseFee, term);
+    const familyDiscount = await this.getFamilyDiscount(pupilId, pupilData, adjustedFee, session, term);
+    const optionalFees = await this.getOptionalFees(pupilId, session, term);
+    const amountDue = adjustedFee - (familyDiscount?.amount || 0) + optionalFees.total;
 
     // Check if there are any payments against this term even without a summary doc
     const encodedSession = session.replace(/\//g, '-');
@@ -672,6 +982,31 @@ async _recalculateTermBalance(pupilId, session, term) {
   }
 },
 
+  /**
+   * ═══════════════════════════════════════════════════════════
+   * HELPER: Bank / transfer references
+   * ═══════════════════════════════════════════════════════════
+   */
+  normaliseBankReference(reference) {
+    return String(reference || '').trim().toUpperCase().replace(/\s+/g, ' ');
+  },
+
+  /**
+   * The live (not voided) receipt carrying a bank reference, if any
+   * @returns {Promise<object|null>} payment_transactions data
+   */
+  async findPaymentByReference(reference) {
+    const normalised = this.normaliseBankReference(reference);
+    if (!normalised) return null;
+
+    const snap = await db.collection('payment_transactions')
+      .where('bankReference', '==', normalised)
+      .get();
+
+    const live = snap.docs.map(doc => doc.data()).find(tx => !tx.voided);
+    return live || null;
+  },
+
   /**
    * ═══════════════════════════════════════════════════════════
    * HELPER: Get Previous Session Name
@@ -715,6 +1050,18 @@ async recordPayment(pupilId, pupilName, classId, className, session, term, payme
     }
     console.log(`   Amount to pay: ₦${amountPaid.toLocaleString()}`);
 
+    // A bank/transfer reference can only be on one live receipt
+    const bankReference = this.normaliseBankReference(paymentData.reference);
+    if (bankReference) {
+      const existing = await this.findPaymentByReference(bankReference);
+      if (existing) {
+        throw new Error(
+          `Transfer reference ${bankReference} is already recorded on receipt ${existing.receiptNo} ` +
+          `(${existing.pupilName}, ₦${(Number(existing.amountPaid) || 0).toLocaleString()})`
+        );
+      }
+    }
+
     const encodedSession = session.replace(/\//g, '-');
 
     // ═══════════════════════════════════════════════════════════
@@ -732,20 +1079,25 @@ async recordPayment(pupilId, pupilName, classId, className, session, term, payme
     // STEP 2: Get FRESH base fee from fee structure
     // ═══════════════════════════════════════════════════════════
     console.log(`   Fetching fee structure for class ${classId}...`);
-    const feeDocId = `fee_${classId}`;
-    const feeDoc = await db.collection('fee_structures').doc(feeDocId).get();
+    const feeStructure = await this.getFeeStructure(classId, session, term, true);
 
-    if (!feeDoc.exists) {
+    if (!feeStructure) {
       throw new Error(`Fee structure not configured for class: ${className}`);
     }
 
-    const baseFee = Math.round(Number(feeDoc.data().total) || 0);
+    const baseFee = feeStructure.total;
+    const classFees = feeStructure.fees || {};
     console.log(`   ✓ Base fee: ₦${baseFee.toLocaleString()}`);
 
     // ═══════════════════════════════════════════════════════════
     // STEP 3: Calculate FRESH adjusted fee
     // ═══════════════════════════════════════════════════════════
-    const amountDue = this.calculateAdjustedFee(pupilData, baseFee, term);
+    const adjustedFee = this.calculateAdjustedFee(pupilData, baseFee, term);
+
+    // Family discount is re-resolved fresh — a sibling may have just been added or withdrawn
+    const familyDiscount = await this.getFamilyDiscount(pupilId, pupilData, adjustedFee, session, term, true);
+    const optionalFees = await this.getOptionalFees(pupilId, session, term, true);
+    const amountDue = adjustedFee - (familyDiscount?.amount || 0) + optionalFees.total;
     console.log(`   ✓ Adjusted fee: ₦${amountDue.toLocaleString()}`);
     
     if (amountDue !== baseFee) {
@@ -766,12 +1118,14 @@ async recordPayment(pupilId, pupilName, classId, className, session, term, payme
     console.log(`   Checking payment record: ${paymentRecordId}`);
     
     let currentTotalPaid = 0;
+    let storedHeadsPaid = null;
     
     const existingPaymentDoc = await db.collection('payments').doc(paymentRecordId).get();
     
     if (existingPaymentDoc.exists) {
       const existingData = existingPaymentDoc.data();
       currentTotalPaid = Number(existingData.totalPaid) || 0;
+      storedHeadsPaid = existingData.headsPaid || null;
       
       console.log(`   ✓ Found existing payment record`);
       console.log(`     - Already paid: ₦${currentTotalPaid.toLocaleString()}`);
@@ -866,6 +1220,23 @@ async recordPayment(pupilId, pupilName, classId, className, session, term, payme
       console.log(`   💰 Full payment to current term: ₦${currentTermPayment.toLocaleString()}`);
     }
 
+    // Spread over fee heads — priority order, or the bursar's manual split
+    const headBreakdown = this.buildFeeHeadBreakdown({
+      fees: classFees,
+      amountDue,
+      arrears,
+      totalPaid: currentTotalPaid,
+      headsPaid: storedHeadsPaid,
+      priority: await this.getFeeHeadPriority(true),
+      optionalFees: optionalFees.items
+    });
+    const allocation = this.allocatePayment(headBreakdown, amountPaid, paymentData.allocation || null);
+    const headsPaid = {};
+    headBreakdown.heads.forEach(row => {
+      headsPaid[row.head] = row.paid + (allocation[row.head] || 0);
+    });
+    console.log('   💰 Fee head allocation:', allocation);
+
     // ═══════════════════════════════════════════════════════════
     // STEP 9: Calculate balances BEFORE and AFTER
     // ═══════════════════════════════════════════════════════════
@@ -879,10 +1250,7 @@ async recordPayment(pupilId, pupilName, classId, className, session, term, payme
     // ═══════════════════════════════════════════════════════════
     // STEP 10: Determine payment status
     // ═══════════════════════════════════════════════════════════
-    const paymentStatus =
-      balanceAfter === 0 ? 'paid' :
-      newTotalPaid > 0 ? 'partial' :
-      arrears > 0 ? 'owing_with_arrears' : 'owing';
+    const paymentStatus = this.getPaymentStatus(totalDue, newTotalPaid, arrears);
 
     console.log(`   📌 Payment status: ${paymentStatus}`);
 
@@ -908,20 +1276,27 @@ async recordPayment(pupilId, pupilName, classId, className, session, term, payme
       session,
       term,
       baseFee,
+      feeStructureId: feeStructure.id,
       adjustedFee: amountDue,
       feeAdjustment: baseFee - amountDue,
+      familyDiscount: familyDiscount || null,
+      optionalFees: optionalFees.items,
       amountDue,
       arrears,
       totalDue,
       amountPaid,
       arrearsPayment,
       currentTermPayment,
+      allocation,
+      allocationMode: paymentData.allocation ? 'manual' : 'priority',
       totalPaidBefore: currentTotalPaid,
       totalPaidAfter: newTotalPaid,
       balanceBefore: balanceBefore,
       balanceAfter: balanceAfter,
       status: paymentStatus,
       paymentMethod: paymentData.paymentMethod || 'Cash',
+      bankReference: bankReference || null,
+      bankLineKey: paymentData.bankLineKey || null,
       notes: paymentData.notes || '',
       paymentDate: firebase.firestore.FieldValue.serverTimestamp(),
       receiptNo,
@@ -946,10 +1321,13 @@ async recordPayment(pupilId, pupilName, classId, className, session, term, payme
         term,
         baseFee,
         adjustedFee: amountDue,
+        familyDiscount: familyDiscount || null,
+        optionalFees: optionalFees.items,
         amountDue,
         arrears: arrears,        // ✅ Original arrears — never reduced
         totalDue: totalDue,      // ✅ amountDue + original arrears — never reduced
         totalPaid: newTotalPaid,
+        headsPaid,
         balance: balanceAfter,
         status: paymentStatus,
         lastPaymentDate: firebase.firestore.FieldValue.serverTimestamp(),
@@ -963,17 +1341,22 @@ async recordPayment(pupilId, pupilName, classId, className, session, term, payme
     console.log(`   🎫 Receipt: ${receiptNo}`);
     console.log(`   💳 Balance after payment: ₦${balanceAfter.toLocaleString()}`);
 
+    this.refreshLedgerInBackground(() => this.refreshPupilLedger(pupilId, session, term), `payment ${receiptNo}`);
+
     return {
       success: true,
       receiptNo,
       amountPaid,
       arrearsPayment,
       currentTermPayment,
+      allocation,
       newBalance: balanceAfter,
       totalPaid: newTotalPaid,
       status: paymentStatus,
       baseFee,
-      adjustedFee: amountDue
+      adjustedFee: amountDue,
+      familyDiscount: familyDiscount || null,
+      optionalFees: optionalFees.items
     };
 
   } catch (error) {
@@ -984,150 +1367,1302 @@ async recordPayment(pupilId, pupilName, classId, className, session, term, payme
 
   /**
    * ═══════════════════════════════════════════════════════════
-   * HELPER: Generate Unique Receipt Number
+   * FEE HEADS: Per-head balances and payment allocation
    * ═══════════════════════════════════════════════════════════
    */
-  async generateReceiptNumber() {
-    const date = new Date();
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
+  FEE_HEADS: {
+    tuition: 'Tuition',
+    exam_fee: 'Exam Fee',
+    uniform: 'Uniform',
+    books: 'Books',
+    pta: 'PTA Levy',
+    other: 'Other Fees'
+  },
 
-    const counterId = `receipt_counter_${year}${month}${day}`;
-    const counterRef = db.collection('counters').doc(counterId);
+  _headPriorityCache: null,
 
-    let counter = 1;
+  /**
+   * Known heads in allocation order — saved order first, any missing heads after
+   */
+  normaliseHeadPriority(priority) {
+    const known = Object.keys(this.FEE_HEADS);
+    const saved = (Array.isArray(priority) ? priority : [])
+      .filter((head, index, list) => known.includes(head) && list.indexOf(head) === index);
+    return [...saved, ...known.filter(head => !saved.includes(head))];
+  },
 
-    try {
-      await db.runTransaction(async (transaction) => {
-        const doc = await transaction.get(counterRef);
+  async getFeeHeadPriority(forceRefresh = false) {
+    if (this._headPriorityCache && !forceRefresh) return this._headPriorityCache;
 
-        if (doc.exists) {
-          counter = (doc.data().count || 0) + 1;
-          transaction.update(counterRef, {
-            count: counter,
-            lastUpdated: firebase.firestore.FieldValue.serverTimestamp()
-          });
-        } else {
-          transaction.set(counterRef, {
-            count: 1,
-            date: firebase.firestore.FieldValue.serverTimestamp()
-          });
-        }
-      });
+    try {
+      const doc = await db.collection('settings').doc(FEE_ALLOCATION_DOC).get();
+      this._headPriorityCache = this.normaliseHeadPriority(doc.exists ? doc.data().priority : null);
     } catch (error) {
-      console.error('[FINANCE] Error incrementing counter:', error);
-      counter = Date.now() % 10000;
+      console.warn('[FINANCE] Could not load fee allocation order:', error.message);
+      this._headPriorityCache = this.normaliseHeadPriority(null);
     }
 
-    const random = Math.random().toString(36).substring(2, 8).toUpperCase();
-    return `RCT${year}${month}${day}${String(counter).padStart(4, '0')}${random}`;
+    return this._headPriorityCache;
+  },
+
+  async saveFeeHeadPriority(priority) {
+    const cleaned = this.normaliseHeadPriority(priority);
+
+    await db.collection('settings').doc(FEE_ALLOCATION_DOC).set({
+      priority: cleaned,
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      updatedBy: auth.currentUser?.uid || 'unknown'
+    });
+
+    this._headPriorityCache = cleaned;
+    await this.markLedgerStale('Fee head order changed');
+    return cleaned;
   },
 
   /**
-   * ═══════════════════════════════════════════════════════════
-   * QUERY: Get Receipt Data (Frozen Snapshot)
-   * ═══════════════════════════════════════════════════════════
+   * Split the pupil's term fee across the class fee heads
+   * The rounding remainder goes to the largest head so the heads add up to amountDue.
+   * Fee structures without a breakdown are treated as tuition only.
    */
-  async getReceiptData(receiptNo) {
-    try {
-      const doc = await db.collection('payment_transactions').doc(receiptNo).get();
+  splitFeeByHead(fees, amountDue, priority) {
+    const entries = priority
+      .map(head => ({ head, base: Math.round(Number(fees?.[head]) || 0) }))
+      .filter(entry => entry.base > 0);
 
-      if (!doc.exists) {
-        throw new Error('Receipt not found');
-      }
+    if (entries.length === 0 && amountDue > 0) {
+      entries.push({ head: 'tuition', base: amountDue });
+    }
 
-      return doc.data();
+    const headTotal = entries.reduce((sum, entry) => sum + entry.base, 0);
+    const ratio = headTotal > 0 ? amountDue / headTotal : 0;
 
-    } catch (error) {
-      console.error('[FINANCE] Error getting receipt data:', error);
-      throw error;
+    const rows = entries.map(entry => ({
+      head: entry.head,
+      label: this.FEE_HEADS[entry.head],
+      due: Math.round(entry.base * ratio)
+    }));
+
+    const remainder = amountDue - rows.reduce((sum, row) => sum + row.due, 0);
+    if (remainder !== 0 && rows.length > 0) {
+      rows.reduce((largest, row) => (row.due > largest.due ? row : largest)).due += remainder;
     }
+
+    return rows;
   },
 
   /**
-   * ═══════════════════════════════════════════════════════════
-   * QUERY: Get Pupil Payment Summary (RECALCULATED)
-   * ═══════════════════════════════════════════════════════════
-   * CRITICAL: This now RECALCULATES instead of reading stale data
+   * Due / paid / balance per fee head for a term
+   * Optional items follow the class fee heads in allocation order.
+   * Payments clear arrears first; the rest is current-term money. Stored `headsPaid`
+   * is trusted up to that amount (trimmed from the lowest-priority head if arrears
+   * have since grown); money never allocated — payments from before heads were
+   * tracked — is filled in priority order.
+   * @returns {{arrears: {due: number, paid: number, balance: number},
+   *   heads: Array<{head: string, label: string, due: number, paid: number, balance: number}>}}
    */
-  async getPupilPaymentSummary(pupilId, session, term) {
-    try {
-      if (!pupilId || !session || !term) {
-        throw new Error('pupilId, session, and term are required');
-      }
+  buildFeeHeadBreakdown({ fees, amountDue, arrears, totalPaid, headsPaid, priority, optionalFees = [] }) {
+    const optionalTotal = optionalFees.reduce((sum, item) => sum + item.amount, 0);
+    const heads = [
+      ...this.splitFeeByHead(fees, amountDue - optionalTotal, priority),
+      ...optionalFees.map(item => ({ head: `${OPTIONAL_HEAD_PREFIX}${item.id}`, label: item.name, due: item.amount }))
+    ];
+    const arrearsPaid = Math.min(arrears, Math.max(0, totalPaid));
+    const termPaid = Math.max(0, Math.min(amountDue, totalPaid - arrears));
+
+    heads.forEach(row => {
+      row.paid = Math.min(row.due, Math.max(0, Math.round(Number(headsPaid?.[row.head]) || 0)));
+    });
 
-      // ✅ FIXED: Use canonical calculation instead of reading stored values
-      const result = await this.calculateCurrentOutstanding(pupilId, session, term);
-      
-      // Handle errors from calculation
-      if (result.reason) {
-        return {
-          pupilId,
-          session,
-          term,
-          amountDue: 0,
-          arrears: 0,
-          totalDue: 0,
-          totalPaid: 0,
-          balance: 0,
-          status: 'no_payment',
-          reason: result.reason
-        };
-      }
+    let allocated = heads.reduce((sum, row) => sum + row.paid, 0);
+    for (let i = heads.length - 1; i >= 0 && allocated > termPaid; i--) {
+      const cut = Math.min(heads[i].paid, allocated - termPaid);
+      heads[i].paid -= cut;
+      allocated -= cut;
+    }
 
-      return {
-        pupilId: result.pupilId,
-        pupilName: result.pupilName,
-        classId: result.classId,
-        className: result.className,
-        session: result.session,
-        term: result.term,
-        baseFee: result.baseFee,
-        adjustedFee: result.amountDue,
-        amountDue: result.amountDue,
-        arrears: result.arrears,
-        totalDue: result.totalDue,
-        totalPaid: result.totalPaid,
-        balance: result.balance,
-        status: result.status,
-        lastPaymentDate: null, // Not tracked in canonical calculation
-        lastPaymentAmount: 0,
-        lastReceiptNo: null
-      };
+    let unallocated = termPaid - allocated;
+    heads.forEach(row => {
+      const fill = Math.min(row.due - row.paid, unallocated);
+      row.paid += fill;
+      unallocated -= fill;
+      row.balance = row.due - row.paid;
+    });
 
-    } catch (error) {
-      console.error('[FINANCE] Error getting pupil payment summary:', error);
-      return null;
+    return {
+      arrears: { due: arrears, paid: arrearsPaid, balance: arrears - arrearsPaid },
+      heads
+    };
+  },
+
+  /**
+   * Display name for an allocation key
+   * @param {Array} optionalFees - the optional items snapshot stored with the payment
+   */
+  getFeeHeadLabel(head, optionalFees = []) {
+    if (head === 'arrears') return 'Arrears';
+    if (this.FEE_HEADS[head]) return this.FEE_HEADS[head];
+    if (head.startsWith(OPTIONAL_HEAD_PREFIX)) {
+      const id = head.slice(OPTIONAL_HEAD_PREFIX.length);
+      return (optionalFees || []).find(item => item.id === id)?.name || 'Optional fee';
     }
+    return head;
   },
 
   /**
    * ═══════════════════════════════════════════════════════════
-   * QUERY: Get Payment History (All Transactions)
+   * FEE STRUCTURES: Versioned by session, optionally by term
    * ═══════════════════════════════════════════════════════════
    */
-  async getPupilPaymentHistory(pupilId, session = null, term = null) {
-    try {
-      let query = db.collection('payment_transactions')
-        .where('pupilId', '==', pupilId);
-      
-      if (session) {
-        query = query.where('session', '==', session);
-      }
-      
-      if (term) {
-        query = query.where('term', '==', term);
-      }
-      
-      const snapshot = await query.orderBy('paymentDate', 'desc').get();
-
-      const transactions = [];
-      snapshot.forEach(doc => {
-        transactions.push({ id: doc.id, ...doc.data() });
-      });
+  _feeStructuresCache: null,
+  _feeStructuresCacheAt: 0,
 
-      return transactions;
+  /**
+   * Document ID of a class fee structure for a session, or for one term of it
+   */
+  feeStructureDocId(classId, session, term = null) {
+    const encodedSession = String(session).replace(/\//g, '-');
+    return term ? `fee_${classId}_${encodedSession}_${term}` : `fee_${classId}_${encodedSession}`;
+  },
+
+  /**
+   * Whether a fee_structures doc is the legacy `fee_{classId}` doc or one built by
+   * feeStructureDocId — anything else is a stray duplicate from an older version
+   * @returns {'legacy'|'versioned'|null}
+   */
+  feeStructureKind(docId, data) {
+    if (!data?.classId) return null;
+    if (docId === `fee_${data.classId}`) return 'legacy';
+    if (data.session && docId === this.feeStructureDocId(data.classId, data.session, data.term || null)) {
+      return 'versioned';
+    }
+    return null;
+  },
+
+  /**
+   * Every recognised fee structure document, grouped by class
+   */
+  async getAllFeeStructures(forceRefresh = false) {
+    if (this._feeStructuresCache && !forceRefresh && Date.now() - this._feeStructuresCacheAt < FAMILY_CACHE_MS) {
+      return this._feeStructuresCache;
+    }
+
+    const snap = await db.collection('fee_structures').get();
+    const byClass = {};
+
+    snap.forEach(doc => {
+      const data = doc.data();
+      const kind = this.feeStructureKind(doc.id, data);
+      if (!kind) return;
+      const isLegacy = kind === 'legacy';
+
+      if (!byClass[data.classId]) byClass[data.classId] = [];
+      byClass[data.classId].push({
+        id: doc.id,
+        ...data,
+        session: isLegacy ? null : data.session,
+        term: isLegacy ? null : (data.term || null),
+        total: Math.round(Number(data.total) || 0)
+      });
+    });
+
+    this._feeStructuresCache = byClass;
+    this._feeStructuresCacheAt = Date.now();
+    return byClass;
+  },
+
+  clearFeeStructureCache() {
+    this._feeStructuresCache = null;
+  },
+
+  /**
+   * Pick the fee in force for a period from one class's documents:
+   * the term's own fee, then the session's, then the latest earlier session's,
+   * then the legacy unversioned fee.
+   * @returns {object|null} fee doc data plus `source`: term | session | carried | legacy
+   */
+  pickFeeStructure(docs, session, term = null) {
+    if (!Array.isArray(docs) || docs.length === 0) return null;
+
+    const versions = docs.filter(d => d.session);
+
+    if (term) {
+      const termFee = versions.find(d => d.session === session && d.term === term);
+      if (termFee) return { ...termFee, source: 'term' };
+    }
+
+    const sessionFee = versions.find(d => d.session === session && !d.term);
+    if (sessionFee) return { ...sessionFee, source: 'session' };
+
+    const carried = versions
+      .filter(d => !d.term && d.session < session)
+      .sort((a, b) => b.session.localeCompare(a.session))[0];
+    if (carried) return { ...carried, source: 'carried' };
+
+    const legacy = docs.find(d => !d.session);
+    return legacy ? { ...legacy, source: 'legacy' } : null;
+  },
+
+  /**
+   * The class fee structure in force for a session and term
+   * @returns {Promise<object|null>} { id, classId, className, session, term, fees, total, source }
+   */
+  async getFeeStructure(classId, session, term = null, forceRefresh = false) {
+    if (!classId) return null;
+    const byClass = await this.getAllFeeStructures(forceRefresh);
+    return this.pickFeeStructure(byClass[classId], session, term);
+  },
+
+  /**
+   * Fee structure in force for every class: { classId: structure }
+   */
+  async getFeeStructureMap(session, term = null, forceRefresh = false) {
+    const byClass = await this.getAllFeeStructures(forceRefresh);
+    const map = {};
+    Object.entries(byClass).forEach(([classId, docs]) => {
+      const picked = this.pickFeeStructure(docs, session, term);
+      if (picked) map[classId] = picked;
+    });
+    return map;
+  },
+
+  /**
+   * Raise (or lower) every head by a percentage, rounded to the nearest `roundTo` naira
+   */
+  applyFeeIncrease(fees, percent, roundTo = 1) {
+    const step = Math.max(1, Math.round(Number(roundTo) || 1));
+    const factor = 1 + (Number(percent) || 0) / 100;
+    const raised = {};
+    Object.entries(fees || {}).forEach(([head, value]) => {
+      const amount = Math.round(Number(value) || 0);
+      raised[head] = amount > 0 ? Math.round((amount * factor) / step) * step : 0;
+    });
+    return raised;
+  },
+
+  /**
+   * Copy each class's session fee from one session to another with a % increase.
+   * Term-only fees are not copied. Classes that already have a fee for the target
+   * session are skipped unless `overwrite` is set (the old doc is archived first).
+   * @param {object} options - { roundTo, overwrite, dryRun }
+   * @returns {Promise<{copied: Array, skipped: Array}>}
+   */
+  async copySessionFeeStructures(fromSession, toSession, percent, options = {}) {
+    const { roundTo = 1, overwrite = false, dryRun = false } = options;
+    const pct = Number(percent);
+
+    if (!fromSession || !toSession || fromSession === toSession) {
+      throw new Error('Choose two different sessions');
+    }
+    if (!Number.isFinite(pct) || pct <= -100 || pct > 200) {
+      throw new Error('Increase must be a percentage between -99 and 200');
+    }
+
+    const byClass = await this.getAllFeeStructures(true);
+    const copied = [];
+    const skipped = [];
+    const batch = db.batch();
+
+    Object.entries(byClass).forEach(([classId, docs]) => {
+      const source = this.pickFeeStructure(docs, fromSession, null);
+      const className = source?.className || docs[0].className || classId;
+
+      if (!source) {
+        skipped.push({ classId, className, reason: `No fee for ${fromSession}` });
+        return;
+      }
+
+      const targetId = this.feeStructureDocId(classId, toSession);
+      const existing = docs.find(d => d.id === targetId);
+      if (existing && !overwrite) {
+        skipped.push({ classId, className, reason: `Already set for ${toSession}` });
+        return;
+      }
+
+      const fees = this.applyFeeIncrease(source.fees, pct, roundTo);
+      const total = Object.values(fees).reduce((sum, value) => sum + value, 0);
+      copied.push({ classId, className, oldTotal: source.total, newTotal: total, replaced: !!existing });
+
+      if (dryRun) return;
+
+      if (existing) {
+        batch.set(db.collection('fee_structure_history').doc(), {
+          classId,
+          className: existing.className || className,
+          session: existing.session,
+          fees: existing.fees || {},
+          total: existing.total,
+          archivedAt: firebase.firestore.FieldValue.serverTimestamp(),
+          archivedBy: auth.currentUser?.uid || null,
+          reason: `Replaced by copy from ${fromSession} (+${pct}%)`
+        });
+      }
+
+      batch.set(db.collection('fee_structures').doc(targetId), {
+        classId,
+        className,
+        session: toSession,
+        term: null,
+        fees,
+        total,
+        copiedFrom: { session: fromSession, docId: source.id, percent: pct, roundTo },
+        createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+        updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+        lastModifiedBy: auth.currentUser?.uid || null
+      });
+    });
+
+    if (!dryRun && copied.length > 0) {
+      await batch.commit();
+      this.clearFeeStructureCache();
+    }
+
+    copied.sort((a, b) => a.className.localeCompare(b.className));
+    return { copied, skipped };
+  },
+
+  /**
+   * ═══════════════════════════════════════════════════════════
+   * OPTIONAL FEES: Extras pupils opt into per term
+   * ═══════════════════════════════════════════════════════════
+   */
+  OPTIONAL_FEE_CATEGORIES: {
+    transport: 'Transport',
+    feeding: 'Feeding',
+    lessons: 'Extra Lessons',
+    other: 'Other'
+  },
+
+  _optionalItemsCache: null,
+  _optionalItemsCacheAt: 0,
+
+  /**
+   * All optional fee items, active and inactive, by category then name
+   */
+  async getOptionalFeeItems(forceRefresh = false) {
+    if (this._optionalItemsCache && !forceRefresh && Date.now() - this._optionalItemsCacheAt < FAMILY_CACHE_MS) {
+      return this._optionalItemsCache;
+    }
+
+    try {
+      const snap = await db.collection('fee_items').get();
+      this._optionalItemsCache = snap.docs
+        .map(doc => ({
+          id: doc.id,
+          name: doc.data().name || 'Unnamed item',
+          category: doc.data().category || 'other',
+          amount: Math.round(Number(doc.data().amount) || 0),
+          active: doc.data().active !== false
+        }))
+        .sort((a, b) => a.category.localeCompare(b.category) || a.name.localeCompare(b.name));
+    } catch (error) {
+      console.warn('[FINANCE] Could not load optional fee items:', error.message);
+      this._optionalItemsCache = [];
+    }
+
+    this._optionalItemsCacheAt = Date.now();
+    return this._optionalItemsCache;
+  },
+
+  /**
+   * Create or update an optional fee item (admin only)
+   */
+  async saveOptionalFeeItem(item, itemId = null) {
+    const name = String(item.name || '').trim();
+    const category = this.OPTIONAL_FEE_CATEGORIES[item.category] ? item.category : 'other';
+    const amount = Math.round(Number(item.amount) || 0);
+
+    if (!name) throw new Error('Enter a name for the fee item');
+    if (amount <= 0) throw new Error('Enter the amount charged per term');
+
+    const data = {
+      name,
+      category,
+      amount,
+      active: item.active !== false,
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      updatedBy: auth.currentUser?.uid || 'unknown'
+    };
+
+    if (itemId) {
+      const previous = (await this.getOptionalFeeItems(true)).find(entry => entry.id === itemId);
+      await db.collection('fee_items').doc(itemId).set(data, { merge: true });
+      if (previous && previous.amount !== amount) {
+        await this.markLedgerStale(`Price of ${name} changed`);
+      }
+    } else {
+      data.createdAt = firebase.firestore.FieldValue.serverTimestamp();
+      itemId = (await db.collection('fee_items').add(data)).id;
+    }
+
+    this._optionalItemsCache = null;
+    return itemId;
+  },
+
+  /**
+   * Optional items a pupil takes for a term
+   * @returns {Promise<{items: Array<{id, name, category, amount}>, total: number}>}
+   */
+  async getOptionalFees(pupilId, session, term, forceRefresh = false) {
+    try {
+      const docId = `${pupilId}_${session.replace(/\//g, '-')}_${term}`;
+      const doc = await db.collection('fee_selections').doc(docId).get();
+      const data = doc.exists ? doc.data() : {};
+
+      let items;
+      if (Array.isArray(data.items)) {
+        items = data.items.map(({ id, name, category, amount }) => ({
+          id, name, category, amount: Math.round(Number(amount) || 0)
+        }));
+      } else {
+        const itemIds = Array.isArray(data.itemIds) ? data.itemIds : [];
+        if (itemIds.length === 0) return { items: [], total: 0 };
+
+        const catalogue = await this.getOptionalFeeItems(forceRefresh);
+        items = itemIds
+          .map(id => catalogue.find(item => item.id === id))
+          .filter(Boolean)
+          .map(({ id, name, category, amount }) => ({ id, name, category, amount }));
+      }
+
+      return { items, total: items.reduce((sum, item) => sum + item.amount, 0) };
+    } catch (error) {
+      console.warn(`[FINANCE] Could not load optional fees for ${pupilId}:`, error.message);
+      return { items: [], total: 0 };
+    }
+  },
+
+  /**
+   * Save the optional items a pupil takes for a term (admin only)
+   * A pupil can be on one transport route at a time.
+   */
+  async saveOptionalFeeSelection(pupilId, session, term, itemIds) {
+    const catalogue = await this.getOptionalFeeItems(true);
+    // Items kept from the saved selection keep the price they were charged at
+    const previous = await this.getOptionalFees(pupilId, session, term, true);
+    const chosen = [...new Set(itemIds || [])].map(id => {
+      const item = previous.items.find(entry => entry.id === id) || catalogue.find(entry => entry.id === id);
+      if (!item) throw new Error('One of the selected fee items no longer exists');
+      const { name, category, amount } = item;
+      return { id, name, category, amount };
+    });
+
+    if (chosen.filter(item => item.category === 'transport').length > 1) {
+      throw new Error('Choose only one transport route per term');
+    }
+
+    const docId = `${pupilId}_${session.replace(/\//g, '-')}_${term}`;
+    await db.collection('fee_selections').doc(docId).set({
+      pupilId,
+      session,
+      term,
+      itemIds: chosen.map(item => item.id),
+      items: chosen,
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      updatedBy: auth.currentUser?.uid || 'unknown'
+    });
+
+    this.refreshLedgerInBackground(() => this.refreshPupilLedger(pupilId, session, term), `optional fees for ${pupilId}`);
+    return { items: chosen, total: chosen.reduce((sum, item) => sum + item.amount, 0) };
+  },
+
+  /**
+   * Split a new payment: arrears first, then fee heads
+   * @param {object|null} manual - { head: amount } for the current-term part; null = priority order
+   * @returns {object} { arrears?: number, [head]: number }
+   */
+  allocatePayment(breakdown, amount, manual = null) {
+    const allocation = {};
+    const toArrears = Math.min(amount, breakdown.arrears.balance);
+    if (toArrears > 0) allocation.arrears = toArrears;
+
+    let remaining = amount - toArrears;
+
+    if (manual) {
+      let manualTotal = 0;
+      Object.entries(manual).forEach(([head, value]) => {
+        const headAmount = Math.round(Number(value) || 0);
+        if (headAmount === 0) return;
+
+        const row = breakdown.heads.find(h => h.head === head);
+        if (!row) {
+          throw new Error(`${this.getFeeHeadLabel(head)} is not part of this pupil's fees for the term`);
+        }
+        if (headAmount < 0 || headAmount > row.balance) {
+          throw new Error(`${row.label}: enter between ₦0 and ₦${row.balance.toLocaleString()}`);
+        }
+        allocation[head] = headAmount;
+        manualTotal += headAmount;
+      });
+
+      if (manualTotal !== remaining) {
+        throw new Error(
+          `Fee head amounts add up to ₦${manualTotal.toLocaleString()} but ₦${remaining.toLocaleString()} ` +
+          `of this payment goes to current term fees` +
+          (toArrears > 0 ? ` (₦${toArrears.toLocaleString()} clears arrears first)` : '')
+        );
+      }
+      return allocation;
+    }
+
+    breakdown.heads.forEach(row => {
+      const share = Math.min(row.balance, remaining);
+      if (share > 0) {
+        allocation[row.head] = share;
+        remaining -= share;
+      }
+    });
+
+    return allocation;
+  },
+
+  /**
+   * School-wide totals per fee head from calculateCurrentOutstanding() results
+   * @returns {Array<{head: string, label: string, due: number, paid: number, balance: number, pupils: number}>}
+   *   class heads in priority order, then optional items, arrears last
+   */
+  summariseFeeHeads(results) {
+    const totals = {};
+    const arrears = { head: 'arrears', label: 'Arrears', due: 0, paid: 0, balance: 0, pupils: 0 };
+
+    results.forEach(result => {
+      if (!result?.feeHeads) return;
+      result.feeHeads.heads.forEach(row => {
+        if (!totals[row.head]) totals[row.head] = { head: row.head, label: row.label, due: 0, paid: 0, balance: 0, pupils: 0 };
+        if (row.due > 0) totals[row.head].pupils++;
+        totals[row.head].due += row.due;
+        totals[row.head].paid += row.paid;
+        totals[row.head].balance += row.balance;
+      });
+      if (result.feeHeads.arrears.due > 0) arrears.pupils++;
+      arrears.due += result.feeHeads.arrears.due;
+      arrears.paid += result.feeHeads.arrears.paid;
+      arrears.balance += result.feeHeads.arrears.balance;
+    });
+
+    const order = this.normaliseHeadPriority(this._headPriorityCache);
+    const rows = [
+      ...order.filter(head => totals[head]).map(head => totals[head]),
+      ...Object.values(totals).filter(row => !order.includes(row.head))
+    ];
+    if (arrears.due > 0) rows.push(arrears);
+    return rows;
+  },
+
+  /**
+   * ═══════════════════════════════════════════════════════════
+   * INSTALMENT PLANS: Schedule, progress and overdue tracking
+   * ═══════════════════════════════════════════════════════════
+   */
+  todayISO() {
+    const d = new Date();
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  },
+
+  /**
+   * Fill a stored plan with the term's payments
+   * @returns {null|{instalments: Array, scheduleStatus: 'on_schedule'|'overdue'|'completed',
+   *   overdueAmount: number, nextDue: null|{dueDate: string, amount: number}, planTotal: number, planPaid: number}}
+   */
+  evaluateInstalmentPlan(plan, totalPaid, today = this.todayISO()) {
+    if (!plan || !Array.isArray(plan.instalments) || plan.instalments.length === 0) return null;
+
+    let remaining = Math.max(0, Math.round(Number(totalPaid) || 0) - Math.round(Number(plan.startingPaid) || 0));
+    let overdueAmount = 0;
+    let nextDue = null;
+
+    const instalments = plan.instalments.map((inst, index) => {
+      const amount = Math.round(Number(inst.amount) || 0);
+      const paid = Math.min(amount, remaining);
+      remaining -= paid;
+      const outstanding = amount - paid;
+
+      let status = 'paid';
+      if (outstanding > 0) {
+        if (inst.dueDate < today) {
+          status = 'overdue';
+          overdueAmount += outstanding;
+        } else {
+          status = paid > 0 ? 'partial' : 'upcoming';
+        }
+        if (!nextDue) nextDue = { number: index + 1, dueDate: inst.dueDate, amount: outstanding };
+      }
+
+      return { number: index + 1, amount, dueDate: inst.dueDate, paid, outstanding, status };
+    });
+
+    const planTotal = instalments.reduce((sum, i) => sum + i.amount, 0);
+    const planPaid = instalments.reduce((sum, i) => sum + i.paid, 0);
+
+    return {
+      instalments,
+      scheduleStatus: planPaid >= planTotal ? 'completed' : overdueAmount > 0 ? 'overdue' : 'on_schedule',
+      overdueAmount,
+      nextDue,
+      planTotal,
+      planPaid,
+      notes: plan.notes || ''
+    };
+  },
+
+  /**
+   * Agree an instalment plan for a pupil's term (admin only)
+   * @param {Array<{amount: number, dueDate: string}>} instalments - must add up to the current balance
+   */
+  async saveInstalmentPlan(pupilId, session, term, instalments, notes = '') {
+    const cleaned = (instalments || []).map(inst => ({
+      amount: Math.round(Number(inst.amount) || 0),
+      dueDate: String(inst.dueDate || '').trim()
+    }));
+
+    if (cleaned.length < 2) {
+      throw new Error('A plan needs at least two instalments');
+    }
+    cleaned.forEach((inst, i) => {
+      if (inst.amount <= 0) throw new Error(`Instalment ${i + 1}: enter an amount`);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(inst.dueDate)) throw new Error(`Instalment ${i + 1}: enter a due date`);
+      if (i > 0 && inst.dueDate <= cleaned[i - 1].dueDate) {
+        throw new Error(`Instalment ${i + 1} must be due after instalment ${i}`);
+      }
+    });
+
+    const position = await this.calculateCurrentOutstanding(pupilId, session, term);
+    if (position.reason) {
+      throw new Error(position.reason);
+    }
+    if (position.balance <= 0) {
+      throw new Error('This pupil has nothing outstanding for the term');
+    }
+
+    const planTotal = cleaned.reduce((sum, inst) => sum + inst.amount, 0);
+    if (planTotal !== position.balance) {
+      throw new Error(
+        `Instalments add up to ₦${planTotal.toLocaleString()} but the outstanding balance is ₦${position.balance.toLocaleString()}`
+      );
+    }
+
+    const encodedSession = session.replace(/\//g, '-');
+    await db.collection('payments').doc(`${pupilId}_${encodedSession}_${term}`).set({
+      pupilId,
+      session,
+      term,
+      instalmentPlan: {
+        instalments: cleaned,
+        startingPaid: position.totalPaid,
+        notes: String(notes || '').trim(),
+        createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+        createdBy: auth.currentUser?.uid || 'unknown',
+        createdByEmail: auth.currentUser?.email || ''
+      },
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    this.refreshLedgerInBackground(() => this.refreshLedgerEntry(pupilId, session, term), `instalment plan for ${pupilId}`);
+    return this.evaluateInstalmentPlan({ instalments: cleaned, startingPaid: position.totalPaid }, position.totalPaid);
+  },
+
+  async removeInstalmentPlan(pupilId, session, term) {
+    const encodedSession = session.replace(/\//g, '-');
+    await db.collection('payments').doc(`${pupilId}_${encodedSession}_${term}`).update({
+      instalmentPlan: firebase.firestore.FieldValue.delete(),
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+
+    this.refreshLedgerInBackground(() => this.refreshLedgerEntry(pupilId, session, term), `instalment plan for ${pupilId}`);
+  },
+
+  /**
+   * ═══════════════════════════════════════════════════════════
+   * INVOICES: Termly bills issued before payment
+   * ═══════════════════════════════════════════════════════════
+   */
+  _invoiceSettingsCache: null,
+
+  /**
+   * Bank details printed on invoices
+   * @returns {Promise<{bankName, accountName, accountNumber, note}>}
+   */
+  async getInvoiceSettings(forceRefresh = false) {
+    if (this._invoiceSettingsCache && !forceRefresh) return this._invoiceSettingsCache;
+
+    try {
+      const doc = await db.collection('settings').doc(INVOICE_SETTINGS_DOC).get();
+      const data = doc.exists ? doc.data() : {};
+      this._invoiceSettingsCache = {
+        bankName: data.bankName || '',
+        accountName: data.accountName || '',
+        accountNumber: data.accountNumber || '',
+        note: data.note || ''
+      };
+    } catch (error) {
+      console.warn('[FINANCE] Could not load invoice settings:', error.message);
+      this._invoiceSettingsCache = { bankName: '', accountName: '', accountNumber: '', note: '' };
+    }
+
+    return this._invoiceSettingsCache;
+  },
+
+  async saveInvoiceSettings(settings) {
+    const cleaned = {
+      bankName: String(settings.bankName || '').trim(),
+      accountName: String(settings.accountName || '').trim(),
+      accountNumber: String(settings.accountNumber || '').trim(),
+      note: String(settings.note || '').trim()
+    };
+
+    if (cleaned.accountNumber && !/^\d{10}$/.test(cleaned.accountNumber)) {
+      throw new Error('Account number must be 10 digits (NUBAN)');
+    }
+
+    await db.collection('settings').doc(INVOICE_SETTINGS_DOC).set({
+      ...cleaned,
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      updatedBy: auth.currentUser?.uid || null
+    });
+
+    this._invoiceSettingsCache = cleaned;
+    return cleaned;
+  },
+
+  /**
+   * Number and write one chunk of invoices: INV{year}{00001}.
+   * One counter per calendar year; unlike receipts there is no fallback —
+   * invoice numbers must be unique and gap-free, so the counter is advanced in
+   * the same transaction that writes the invoices. A failed chunk uses no numbers.
+   * @returns {Promise<string[]>} invoice numbers, in chunk order
+   */
+  async _issueInvoiceChunk(chunk, current, dueDate) {
+    const year = new Date().getFullYear();
+    const counterRef = db.collection('counters').doc(`invoice_counter_${year}`);
+
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(counterRef);
+      const first = (doc.exists ? Number(doc.data().count) || 0 : 0) + 1;
+      const numbers = chunk.map((_, i) => `INV${year}${String(first + i).padStart(5, '0')}`);
+
+      chunk.forEach((inv, i) => {
+        transaction.set(db.collection('invoices').doc(numbers[i]), {
+          ...inv,
+          invoiceNo: numbers[i],
+          dueDate,
+          issuedAt: firebase.firestore.FieldValue.serverTimestamp(),
+          issuedBy: auth.currentUser?.uid || null,
+          supersededBy: null
+        });
+
+        const prev = current[inv.pupilId];
+        if (prev) {
+          transaction.update(db.collection('invoices').doc(prev.invoiceNo), { supersededBy: numbers[i] });
+        }
+      });
+
+      transaction.set(counterRef, {
+        count: first + chunk.length - 1,
+        lastUpdated: firebase.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+
+      return numbers;
+    });
+  },
+
+  /**
+   * Invoice figures for one pupil and term (no number yet)
+   * @returns {Promise<object>} invoice data, or { pupilId, pupilName, reason } when nothing is billed
+   */
+  async prepareInvoice(pupilId, session, term) {
+    const position = await this.calculateCurrentOutstanding(pupilId, session, term);
+    if (position.reason) {
+      return { pupilId, pupilName: position.pupilName || '', reason: position.reason };
+    }
+
+    const [pupilDoc, feeStructure] = await Promise.all([
+      db.collection('pupils').doc(pupilId).get(),
+      this.getFeeStructure(position.classId, session, term)
+    ]);
+    const pupilData = pupilDoc.data() || {};
+
+    const heads = Object.entries(feeStructure?.fees || {})
+      .map(([head, value]) => ({ head, label: this.getFeeHeadLabel(head), amount: Math.round(Number(value) || 0) }))
+      .filter(row => row.amount > 0);
+
+    const optionalTotal = position.optionalFees?.total || 0;
+    const familyAmount = position.familyDiscount?.amount || 0;
+    const adjustedFee = position.amountDue - optionalTotal + familyAmount;
+
+    const adjustments = [];
+    const pupilAdjustment = adjustedFee - position.baseFee;
+    if (pupilAdjustment !== 0) {
+      const percent = Number(pupilData.feeAdjustmentPercent) || 0;
+      adjustments.push({
+        label: `${pupilAdjustment < 0 ? 'Scholarship / discount' : 'Fee adjustment'}${percent ? ` (${percent}%)` : ''}`,
+        amount: pupilAdjustment
+      });
+    }
+    if (familyAmount > 0) {
+      adjustments.push({
+        label: `Family discount (child ${position.familyDiscount.position}, ${position.familyDiscount.percent}%)`,
+        amount: -familyAmount
+      });
+    }
+
+    return {
+      pupilId,
+      pupilName: position.pupilName,
+      admissionNo: pupilData.admissionNo || '',
+      parentName: pupilData.parentName || pupilData.guardianName || '',
+      classId: position.classId,
+      className: position.className,
+      session,
+      term,
+      feeStructureId: feeStructure?.id || null,
+      baseFee: position.baseFee,
+      heads,
+      adjustments,
+      optionalFees: (position.optionalFees?.items || []).map(item => ({ name: item.name, amount: item.amount })),
+      amountDue: position.amountDue,
+      arrears: position.arrears,
+      totalDue: position.totalDue,
+      totalPaid: position.totalPaid,
+      balance: position.balance
+    };
+  },
+
+  /**
+   * Issue invoices for pupils for a term. A pupil's current invoice is reused when
+   * the figures and due date are unchanged; otherwise a new number is issued and
+   * the old invoice is marked superseded. New invoices are written in chunks, each
+   * in its own transaction with its numbers; if one fails, earlier chunks stay issued
+   * and issuing again reuses them.
+   * @param {object} options - { dueDate: 'YYYY-MM-DD' | '' }
+   * @returns {Promise<{invoices: Array, skipped: Array}>}
+   */
+  async issueInvoices(pupilIds, session, term, options = {}) {
+    const dueDate = options.dueDate || '';
+    const prepared = [];
+    const skipped = [];
+
+    for (const pupilId of pupilIds) {
+      const invoice = await this.prepareInvoice(pupilId, session, term);
+      if (invoice.reason) skipped.push(invoice);
+      else prepared.push(invoice);
+    }
+
+    const existingSnap = await db.collection('invoices')
+      .where('session', '==', session)
+      .where('term', '==', term)
+      .get();
+    const current = {};
+    existingSnap.forEach(doc => {
+      const data = doc.data();
+      if (!data.supersededBy) current[data.pupilId] = data;
+    });
+
+    const unchanged = inv => {
+      const prev = current[inv.pupilId];
+      return prev &&
+        prev.totalDue === inv.totalDue &&
+        prev.totalPaid === inv.totalPaid &&
+        prev.balance === inv.balance &&
+        (prev.dueDate || '') === dueDate;
+    };
+
+    const toIssue = prepared.filter(inv => !unchanged(inv));
+
+    for (let i = 0; i < toIssue.length; i += INVOICE_CHUNK_SIZE) {
+      const chunk = toIssue.slice(i, i + INVOICE_CHUNK_SIZE);
+      const numbers = await this._issueInvoiceChunk(chunk, current, dueDate);
+      chunk.forEach((inv, j) => {
+        inv.invoiceNo = numbers[j];
+        inv.dueDate = dueDate;
+        inv.issuedAt = new Date();
+      });
+    }
+
+    const invoices = prepared.map(inv => {
+      if (inv.invoiceNo) return inv;
+      const prev = current[inv.pupilId];
+      return { ...prev, issuedAt: prev.issuedAt?.toDate ? prev.issuedAt.toDate() : new Date() };
+    });
+
+    console.log(`🧾 [FINANCE] Invoices: ${toIssue.length} issued, ${invoices.length - toIssue.length} reused, ${skipped.length} skipped`);
+    return { invoices, skipped };
+  },
+
+  /**
+   * ═══════════════════════════════════════════════════════════
+   * HELPER: Generate Unique Receipt Number
+   * ═══════════════════════════════════════════════════════════
+   */
+  async generateReceiptNumber(prefix = 'RCT') {
+    const date = new Date();
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+
+    const counterId = `receipt_counter_${year}${month}${day}`;
+    const counterRef = db.collection('counters').doc(counterId);
+
+    let counter = 1;
+
+    try {
+      await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(counterRef);
+
+        if (doc.exists) {
+          counter = (doc.data().count || 0) + 1;
+          transaction.update(counterRef, {
+            count: counter,
+            lastUpdated: firebase.firestore.FieldValue.serverTimestamp()
+          });
+        } else {
+          transaction.set(counterRef, {
+            count: 1,
+            date: firebase.firestore.FieldValue.serverTimestamp()
+          });
+        }
+      });
+    } catch (error) {
+      console.error('[FINANCE] Error incrementing counter:', error);
+      counter = Date.now() % 10000;
+    }
+
+    const random = Math.random().toString(36).substring(2, 8).toUpperCase();
+    return `${prefix}${year}${month}${day}${String(counter).padStart(4, '0')}${random}`;
+  },
+
+  /**
+   * ═══════════════════════════════════════════════════════════
+   * CORRECTIONS: Void, Reversal and Refund
+   * ═══════════════════════════════════════════════════════════
+   * void     - entry recorded by mistake; the receipt is cancelled
+   * reversal - money never arrived (bounced transfer, failed POS); the receipt is cancelled
+   * refund   - money handed back to the payer; all or part of a receipt, which stays valid
+   *
+   * Each correction is its own payment_transactions document with a NEGATIVE
+   * amountPaid and `originalReceiptNo`, so summing a term's transactions still
+   * gives what the school actually holds.
+   */
+  PAYMENT_CORRECTIONS: {
+    void:     { prefix: 'VOD', label: 'Void',     cancelsReceipt: true },
+    reversal: { prefix: 'REV', label: 'Reversal', cancelsReceipt: true },
+    refund:   { prefix: 'RFD', label: 'Refund',   cancelsReceipt: false }
+  },
+
+  /**
+   * @param {string} originalReceiptNo - receipt of the payment being corrected
+   * @param {'void'|'reversal'|'refund'} type
+   * @param {{reason: string, amount?: number}} details - amount is for refunds only
+   */
+  async reversePayment(originalReceiptNo, type, details = {}) {
+    try {
+      const correction = this.PAYMENT_CORRECTIONS[type];
+      if (!correction) {
+        throw new Error(`Unknown correction type: ${type}`);
+      }
+
+      const reason = String(details.reason || '').trim();
+      if (reason.length < 5) {
+        throw new Error('Please give a reason for this correction (at least 5 characters)');
+      }
+
+      const originalRef = db.collection('payment_transactions').doc(originalReceiptNo);
+      const originalDoc = await originalRef.get();
+      if (!originalDoc.exists) {
+        throw new Error('Original receipt not found');
+      }
+
+      const original = originalDoc.data();
+      if (original.transactionType) {
+        throw new Error('Only payment receipts can be voided, reversed or refunded');
+      }
+
+      const { pupilId, session, term } = original;
+      const encodedSession = session.replace(/\//g, '-');
+      const paymentRef = db.collection('payments').doc(`${pupilId}_${encodedSession}_${term}`);
+
+      // Fresh fee position for the term, same as recordPayment
+      const position = await this.calculateCurrentOutstanding(pupilId, session, term);
+      const correctionNo = await this.generateReceiptNumber(correction.prefix);
+      const correctionRef = db.collection('payment_transactions').doc(correctionNo);
+      const auditRef = db.collection('audit_log').doc();
+
+      let result;
+
+      await db.runTransaction(async (transaction) => {
+        const [originalSnap, paymentSnap] = await Promise.all([
+          transaction.get(originalRef),
+          transaction.get(paymentRef)
+        ]);
+
+        const current = originalSnap.data();
+        if (current.voided) {
+          throw new Error(`Receipt ${originalReceiptNo} has already been ${current.voidType === 'reversal' ? 'reversed' : 'voided'}`);
+        }
+
+        const paid = Math.round(Number(current.amountPaid) || 0);
+        const alreadyRefunded = Math.round(Number(current.refundedAmount) || 0);
+        const heldOnReceipt = paid - alreadyRefunded;
+
+        const amount = correction.cancelsReceipt
+          ? heldOnReceipt
+          : Math.round(Number(details.amount) || 0);
+
+        if (heldOnReceipt <= 0) {
+          throw new Error(`Receipt ${originalReceiptNo} has already been fully refunded`);
+        }
+        if (amount <= 0) {
+          throw new Error('Invalid refund amount');
+        }
+        if (amount > heldOnReceipt) {
+          throw new Error(`Refund cannot exceed ₦${heldOnReceipt.toLocaleString()} still held on this receipt`);
+        }
+
+        const payment = paymentSnap.exists ? paymentSnap.data() : {};
+        const totalDue = position.reason ? Number(payment.totalDue) || 0 : position.totalDue;
+        const arrears = position.reason ? Number(payment.arrears) || 0 : position.arrears;
+        const totalPaidBefore = Math.round(Number(payment.totalPaid) || 0);
+        const totalPaidAfter = Math.max(0, totalPaidBefore - amount);
+        const balanceBefore = Math.max(0, totalDue - totalPaidBefore);
+        const balanceAfter = Math.max(0, totalDue - totalPaidAfter);
+
+        const status = this.getPaymentStatus(totalDue, totalPaidAfter, arrears);
+
+        // Take the money back off the fee heads: a cancelled receipt undoes its own
+        // allocation; refunds (and receipts from before heads were tracked) come off
+        // the lowest-priority heads first, then arrears.
+        // Start from the headsPaid read in this transaction so a payment recorded
+        // meanwhile keeps its allocation; only terms with no stored map fall back
+        // to the derived breakdown. Stored heads the current breakdown lacks — items
+        // since deselected, or every head when the position has a `reason` (alumni,
+        // not enrolled) — are carried over so the reversal can reach them too; refunds
+        // take from them before the billed heads.
+        const allocation = {};
+        let headsPaid = null;
+        const storedHeadsPaid = payment.headsPaid || null;
+        if (position.feeHeads || storedHeadsPaid) {
+          const storedAmount = head => Math.max(0, Math.round(Number(storedHeadsPaid?.[head]) || 0));
+          headsPaid = {};
+          (position.feeHeads?.heads || []).forEach(row => {
+            headsPaid[row.head] = storedHeadsPaid ? storedAmount(row.head) : row.paid;
+          });
+          Object.keys(storedHeadsPaid || {}).forEach(head => {
+            if (!(head in headsPaid)) headsPaid[head] = storedAmount(head);
+          });
+
+          let toRemove = amount;
+          const takeBack = (head, wanted) => {
+            const cut = Math.min(wanted, headsPaid[head] || 0, toRemove);
+            if (cut > 0) {
+              headsPaid[head] -= cut;
+              allocation[head] = -cut;
+              toRemove -= cut;
+            }
+          };
+
+          if (correction.cancelsReceipt && current.allocation) {
+            Object.entries(current.allocation)
+              .filter(([head]) => head !== 'arrears')
+              .forEach(([head, value]) => takeBack(head, Number(value) || 0));
+          } else {
+            Object.keys(headsPaid).reverse().forEach(head => takeBack(head, toRemove));
+          }
+          if (toRemove > 0) allocation.arrears = -toRemove;
+        }
+
+        transaction.set(correctionRef, {
+          transactionType: type,
+          originalReceiptNo,
+          reason,
+          pupilId,
+          pupilName: current.pupilName,
+          classId: current.classId,
+          className: current.className,
+          session,
+          term,
+          amountPaid: -amount,
+          allocation,
+          totalDue,
+          totalPaidBefore,
+          totalPaidAfter,
+          balanceBefore,
+          balanceAfter,
+          status,
+          paymentMethod: current.paymentMethod || 'Cash',
+          notes: `${correction.label} of receipt ${originalReceiptNo}: ${reason}`,
+          paymentDate: firebase.firestore.FieldValue.serverTimestamp(),
+          receiptNo: correctionNo,
+          recordedBy: auth.currentUser.uid,
+          recordedByEmail: auth.currentUser.email
+        });
+
+        transaction.update(originalRef, correction.cancelsReceipt
+          ? {
+              voided: true,
+              voidType: type,
+              voidReason: reason,
+              voidReceiptNo: correctionNo,
+              voidedAt: firebase.firestore.FieldValue.serverTimestamp(),
+              voidedBy: auth.currentUser.uid,
+              voidedByEmail: auth.currentUser.email
+            }
+          : {
+              refundedAmount: alreadyRefunded + amount,
+              refundReceiptNos: firebase.firestore.FieldValue.arrayUnion(correctionNo)
+            });
+
+        transaction.set(paymentRef, {
+          totalDue,
+          totalPaid: totalPaidAfter,
+          ...(headsPaid ? { headsPaid } : {}),
+          balance: balanceAfter,
+          status,
+          lastCorrection: {
+            type,
+            receiptNo: correctionNo,
+            originalReceiptNo,
+            amount
+          },
+          updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+
+        transaction.set(auditRef, {
+          action: `${type}_payment`,
+          collection: 'payment_transactions',
+          documentId: originalReceiptNo,
+          changes: {
+            pupilName: current.pupilName,
+            session,
+            term,
+            originalAmount: paid,
+            amount,
+            correctionReceiptNo: correctionNo,
+            reason,
+            totalPaidBefore,
+            totalPaidAfter
+          },
+          performedBy: auth.currentUser.uid,
+          performedByEmail: auth.currentUser.email,
+          timestamp: firebase.firestore.FieldValue.serverTimestamp(),
+          userAgent: navigator.userAgent
+        });
+
+        result = { success: true, receiptNo: correctionNo, amount, totalPaid: totalPaidAfter, newBalance: balanceAfter, status };
+      });
+
+      console.log(`✅ [FINANCE] ${correction.label} ${correctionNo} recorded against ${originalReceiptNo}`);
+      this.refreshLedgerInBackground(() => this.refreshPupilLedger(pupilId, session, term), `correction ${correctionNo}`);
+      return result;
+
+    } catch (error) {
+      console.error('❌ [FINANCE] Error recording payment correction:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * ═══════════════════════════════════════════════════════════
+   * QUERY: Get Receipt Data (Frozen Snapshot)
+   * ═══════════════════════════════════════════════════════════
+   */
+  async getReceiptData(receiptNo) {
+    try {
+      const doc = await db.collection('payment_transactions').doc(receiptNo).get();
+
+      if (!doc.exists) {
+        throw new Error('Receipt not found');
+      }
+
+      return doc.data();
+
+    } catch (error) {
+      console.error('[FINANCE] Error getting receipt data:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * ═══════════════════════════════════════════════════════════
+   * QUERY: Get Pupil Payment Summary (RECALCULATED)
+   * ═══════════════════════════════════════════════════════════
+   * CRITICAL: This now RECALCULATES instead of reading stale data
+   */
+  async getPupilPaymentSummary(pupilId, session, term) {
+    try {
+      if (!pupilId || !session || !term) {
+        throw new Error('pupilId, session, and term are required');
+      }
+
+      // ✅ FIXED: Use canonical calculation instead of reading stored values
+      const result = await this.calculateCurrentOutstanding(pupilId, session, term);
+      
+      // Handle errors from calculation
+      if (result.reason) {
+        return {
+          pupilId,
+          session,
+          term,
+          amountDue: 0,
+          arrears: 0,
+          totalDue: 0,
+          totalPaid: 0,
+          balance: 0,
+          status: 'no_payment',
+          reason: result.reason
+        };
+      }
+
+      return {
+        pupilId: result.pupilId,
+        pupilName: result.pupilName,
+        classId: result.classId,
+        className: result.className,
+        session: result.session,
+        term: result.term,
+        baseFee: result.baseFee,
+        adjustedFee: result.amountDue,
+        amountDue: result.amountDue,
+        familyDiscount: result.familyDiscount || null,
+        arrears: result.arrears,
+        totalDue: result.totalDue,
+        totalPaid: result.totalPaid,
+        balance: result.balance,
+        status: result.status,
+        lastPaymentDate: null, // Not tracked in canonical calculation
+        lastPaymentAmount: 0,
+        lastReceiptNo: null
+      };
+
+    } catch (error) {
+      console.error('[FINANCE] Error getting pupil payment summary:', error);
+      return null;
+    }
+  },
+
+  /**
+   * ═══════════════════════════════════════════════════════════
+   * QUERY: Get Payment History (All Transactions)
+   * ═══════════════════════════════════════════════════════════
+   */
+  async getPupilPaymentHistory(pupilId, session = null, term = null) {
+    try {
+      let query = db.collection('payment_transactions')
+        .where('pupilId', '==', pupilId);
+      
+      if (session) {
+        query = query.where('session', '==', session);
+      }
+      
+      if (term) {
+        query = query.where('term', '==', term);
+      }
+      
+      const snapshot = await query.orderBy('paymentDate', 'desc').get();
+
+      const transactions = [];
+      snapshot.forEach(doc => {
+        transactions.push({ id: doc.id, ...doc.data() });
+      });
+
+      return transactions;
 
     } catch (error) {
       console.error('[FINANCE] Error getting payment history:', error);
@@ -1137,29 +2672,18 @@ async recordPayment(pupilId, pupilName, classId, className, session, term, payme
 
   /**
    * ═══════════════════════════════════════════════════════════
-   * REPORT: Outstanding Fees (RECALCULATED)
+   * REPORT: Outstanding Fees (from balance ledger)
    * ═══════════════════════════════════════════════════════════
    */
   async getOutstandingFeesReport(classId = null, session, term = null) {
     try {
-      // Get all pupils (filter by class if specified)
-      let pupilQuery = db.collection('pupils');
-      if (classId) {
-        pupilQuery = pupilQuery.where('class.id', '==', classId);
-      }
-      
-      const pupilsSnap = await pupilQuery.get();
+      // Precomputed balances (filter by class if specified)
+      const entries = await this.getLedgerResults(session, term || 'First Term', { classId });
       const outstanding = [];
 
-      for (const pupilDoc of pupilsSnap.docs) {
-        const pupilId = pupilDoc.id;
-        const pupilData = pupilDoc.data();
-        
-        // Use canonical calculation for each pupil
-        const result = await this.calculateCurrentOutstanding(pupilId, session, term || 'First Term');
-        
-        // Skip if no fee configured or no balance
-        if (result.reason || result.balance <= 0) {
+      for (const result of entries) {
+        // Skip if no balance
+        if (result.balance <= 0) {
           continue;
         }
 
@@ -1173,6 +2697,7 @@ async recordPayment(pupilId, pupilName, classId, className, session, term, payme
           baseFee: result.baseFee,
           adjustedFee: result.amountDue,
           amountDue: result.amountDue,
+          familyDiscount: result.familyDiscount || null,
           arrears: result.arrears,
           totalDue: result.totalDue,
           totalPaid: result.totalPaid,
@@ -1194,13 +2719,607 @@ async recordPayment(pupilId, pupilName, classId, className, session, term, payme
 
   /**
    * ═══════════════════════════════════════════════════════════
-   * REPORT: Financial Summary (RECALCULATED)
+   * BALANCE LEDGER: Precomputed per-pupil, per-term positions
+   * ═══════════════════════════════════════════════════════════
+   * School-wide reports read fee_ledger instead of recalculating every pupil.
+   * Entries are refreshed after payments, corrections, fee changes and pupil
+   * edits; school-wide changes (discount rules, fee head order) mark the ledger
+   * stale, and verifyLedger() recomputes it from source and repairs drift.
+   */
+  ledgerDocId(pupilId, session, term) {
+    return `${pupilId}_${session.replace(/\//g, '-')}_${term}`;
+  },
+
+  ledgerTermKey(session, term) {
+    return `${session.replace(/\//g, '-')}_${term}`;
+  },
+
+  /**
+   * The term after session/term, crossing into the next session after Third Term
+   */
+  getNextTerm(session, term) {
+    const index = AGEING_TERM_ORDER.indexOf(term);
+    if (index >= 0 && index < AGEING_TERM_ORDER.length - 1) {
+      return { session, term: AGEING_TERM_ORDER[index + 1] };
+    }
+
+    const match = String(session).match(/^(\d{4})\/(\d{4})$/);
+    if (!match) return null;
+    return { session: `${Number(match[1]) + 1}/${Number(match[2]) + 1}`, term: 'First Term' };
+  },
+
+  _termSequence(session, term) {
+    const year = parseInt(String(session).split('/')[0], 10) || 0;
+    return year * 10 + AGEING_TERM_ORDER.indexOf(term);
+  },
+
+  _buildLedgerEntry(result, pupilData, storedPlan) {
+    return {
+      pupilId: result.pupilId,
+      pupilName: result.pupilName,
+      classId: result.classId,
+      className: result.className,
+      session: result.session,
+      term: result.term,
+      isAlumni: pupilData.status === 'alumni' || pupilData.isActive === false,
+      baseFee: result.baseFee,
+      amountDue: result.amountDue,
+      familyDiscount: result.familyDiscount || null,
+      optionalFeesTotal: result.optionalFees?.total || 0,
+      arrears: result.arrears,
+      totalDue: result.totalDue,
+      totalPaid: result.totalPaid,
+      balance: result.balance,
+      credit: result.credit || 0,
+      status: result.status,
+      feeHeads: result.feeHeads || null,
+      instalmentPlan: storedPlan || null
+    };
+  },
+
+  /**
+   * Recompute one pupil's ledger entry from source
+   * @returns {Promise<object|null>} the entry, or null when the pupil has no fee for the term
+   */
+  async refreshLedgerEntry(pupilId, session, term) {
+    const docId = this.ledgerDocId(pupilId, session, term);
+    const ref = db.collection(LEDGER_COLLECTION).doc(docId);
+
+    const [pupilDoc, paymentDoc] = await Promise.all([
+      db.collection('pupils').doc(pupilId).get(),
+      db.collection('payments').doc(docId).get()
+    ]);
+
+    if (!pupilDoc.exists) {
+      await ref.delete();
+      return null;
+    }
+
+    const result = await this.calculateCurrentOutstanding(pupilId, session, term);
+    if (result.reason) {
+      await ref.delete();
+      return null;
+    }
+
+    const entry = this._buildLedgerEntry(
+      result,
+      pupilDoc.data(),
+      paymentDoc.exists ? paymentDoc.data().instalmentPlan : null
+    );
+
+    await ref.set({ ...entry, updatedAt: firebase.firestore.FieldValue.serverTimestamp() });
+    return entry;
+  },
+
+  /**
+   * Refresh a pupil from session/term up to the current term, so arrears
+   * carried forward stay in step (defaults to the current term only)
+   */
+  async refreshPupilLedger(pupilId, session = null, term = null) {
+    const current = await window.getCurrentSettings();
+    let cursor = { session: session || current.session, term: term || current.term };
+    const last = Math.max(this._termSequence(cursor.session, cursor.term), this._termSequence(current.session, current.term));
+
+    for (let i = 0; cursor && i <= AGEING_MAX_TERMS; i++) {
+      await this.refreshLedgerEntry(pupilId, cursor.session, cursor.term);
+      if (this._termSequence(cursor.session, cursor.term) >= last) break;
+      cursor = this.getNextTerm(cursor.session, cursor.term);
+    }
+  },
+
+  /**
+   * Refresh the pupil and their siblings for the current term (family discount positions)
+   */
+  async refreshFamilyLedger(pupilId, pupilData) {
+    const current = await window.getCurrentSettings();
+    const members = pupilData ? await this.getFamilyMembers(pupilData, current.session, current.term, true) : [];
+    const ids = [...new Set([pupilId, ...members.map(member => member.id)])];
+
+    for (const id of ids) {
+      await this.refreshLedgerEntry(id, current.session, current.term);
+    }
+  },
+
+  /**
+   * Refresh every pupil in a class for a term (after a fee structure change)
+   */
+  async refreshClassLedger(classId, session = null, term = null) {
+    const current = await window.getCurrentSettings();
+    const pupilsSnap = await db.collection('pupils').where('class.id', '==', classId).get();
+
+    for (const doc of pupilsSnap.docs) {
+      await this.refreshLedgerEntry(doc.id, session || current.session, term || current.term);
+    }
+    console.log(`📒 [FINANCE] Ledger refreshed for ${pupilsSnap.size} pupil(s) in class ${classId}`);
+  },
+
+  /**
+   * Run a ledger refresh without blocking the caller; failures only leave drift
+   * for verifyLedger() to repair
+   */
+  refreshLedgerInBackground(task, label) {
+    Promise.resolve()
+      .then(task)
+      .catch(error => {
+        console.warn(`[FINANCE] Ledger refresh failed (${label}):`, error.message);
+        this.markLedgerStale(`Refresh failed: ${label}`).catch(() => {});
+      });
+  },
+
+  async removePupilLedger(pupilId) {
+    const snap = await db.collection(LEDGER_COLLECTION).where('pupilId', '==', pupilId).get();
+    if (snap.empty) return;
+
+    const batch = db.batch();
+    snap.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+  },
+
+  async getLedgerStatus() {
+    const doc = await db.collection('settings').doc(LEDGER_STATUS_DOC).get();
+    return doc.exists ? doc.data() : { stale: false, terms: {} };
+  },
+
+  /**
+   * Flag that a school-wide change may have moved balances the ledger cannot refresh cheaply
+   */
+  async markLedgerStale(reason) {
+    await db.collection('settings').doc(LEDGER_STATUS_DOC).set({
+      stale: true,
+      staleReason: reason,
+      staleAt: firebase.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+  },
+
+  /**
+   * Ledger entries for a term, shaped like calculateCurrentOutstanding() results.
+   * Builds the term from source the first time it is read.
+   * @param {object} options - { classId }
+   */
+  async getLedgerResults(session, term, options = {}) {
+    const status = await this.getLedgerStatus();
+    if (!status.terms?.[this.ledgerTermKey(session, term)]) {
+      console.log(`📒 [FINANCE] No ledger for ${session} ${term} yet — building from source`);
+      await this.verifyLedger(session, term, { repair: true });
+    }
+
+    let query = db.collection(LEDGER_COLLECTION)
+      .where('session', '==', session)
+      .where('term', '==', term);
+    if (options.classId) query = query.where('classId', '==', options.classId);
+
+    const snap = await query.get();
+    return snap.docs.map(doc => {
+      const entry = doc.data();
+      return {
+        ...entry,
+        instalmentPlan: this.evaluateInstalmentPlan(entry.instalmentPlan, entry.totalPaid)
+      };
+    });
+  },
+
+  async getLedgerMap(session, term, options = {}) {
+    const entries = await this.getLedgerResults(session, term, options);
+    return Object.fromEntries(entries.map(entry => [entry.pupilId, entry]));
+  },
+
+  /**
+   * Recompute every pupil for a term from source and compare with the ledger
+   * @param {object} options - { repair: write corrected entries, onProgress(done, total) }
+   * @returns {Promise<{checked, skipped, errors, drift: Array<{pupilId, pupilName, issue, fields}>}>}
+   */
+  async verifyLedger(session, term, options = {}) {
+    const repair = options.repair !== false;
+
+    const [pupilsSnap, ledgerSnap] = await Promise.all([
+      db.collection('pupils').get(),
+      db.collection(LEDGER_COLLECTION).where('session', '==', session).where('term', '==', term).get()
+    ]);
+
+    const ledger = {};
+    ledgerSnap.forEach(doc => { ledger[doc.data().pupilId] = { ref: doc.ref, data: doc.data() }; });
+
+    const drift = [];
+    let checked = 0;
+    let skipped = 0;
+    let errors = 0;
+    let done = 0;
+
+    for (const pupilDoc of pupilsSnap.docs) {
+      const pupilId = pupilDoc.id;
+      const existing = ledger[pupilId];
+      delete ledger[pupilId];
+
+      try {
+        const result = await this.calculateCurrentOutstanding(pupilId, session, term);
+
+        if (result.reason) {
+          skipped++;
+          if (existing) {
+            drift.push({ pupilId, pupilName: existing.data.pupilName, issue: 'orphaned', fields: [] });
+            if (repair) await existing.ref.delete();
+          }
+          continue;
+        }
+
+        checked++;
+        const paymentDoc = await db.collection('payments').doc(this.ledgerDocId(pupilId, session, term)).get();
+        const entry = this._buildLedgerEntry(
+          result,
+          pupilDoc.data(),
+          paymentDoc.exists ? paymentDoc.data().instalmentPlan : null
+        );
+
+        let issue = null;
+        let fields = [];
+        if (!existing) {
+          issue = 'missing';
+        } else {
+          fields = LEDGER_CHECK_FIELDS
+            .filter(field => existing.data[field] !== entry[field])
+            .map(field => ({ field, ledger: existing.data[field], actual: entry[field] }));
+          if (fields.length > 0) issue = 'drift';
+        }
+
+        if (issue) {
+          drift.push({ pupilId, pupilName: entry.pupilName, className: entry.className, issue, fields });
+          if (repair) {
+            await db.collection(LEDGER_COLLECTION).doc(this.ledgerDocId(pupilId, session, term)).set({
+              ...entry,
+              updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+            });
+          }
+        }
+
+      } catch (error) {
+        console.error(`[FINANCE] Ledger check failed for pupil ${pupilId}:`, error.message);
+        errors++;
+      } finally {
+        done++;
+        options.onProgress?.(done, pupilsSnap.size);
+      }
+    }
+
+    // Entries for pupils who no longer exist
+    for (const [pupilId, existing] of Object.entries(ledger)) {
+      drift.push({ pupilId, pupilName: existing.data.pupilName, issue: 'orphaned', fields: [] });
+      if (repair) await existing.ref.delete();
+    }
+
+    const summary = {
+      checked,
+      skipped,
+      errors,
+      driftCount: drift.filter(d => d.issue === 'drift').length,
+      missingCount: drift.filter(d => d.issue === 'missing').length,
+      orphanedCount: drift.filter(d => d.issue === 'orphaned').length,
+      repaired: repair
+    };
+
+    const statusUpdate = {
+      terms: {
+        [this.ledgerTermKey(session, term)]: {
+          ...summary,
+          session,
+          term,
+          verifiedAt: firebase.firestore.FieldValue.serverTimestamp(),
+          verifiedBy: auth.currentUser?.email || null
+        }
+      }
+    };
+    // A repaired run of the current term clears the stale flag
+    const current = await window.getCurrentSettings();
+    if (repair && errors === 0 && current.session === session && current.term === term) {
+      statusUpdate.stale = false;
+      statusUpdate.staleReason = null;
+    }
+    await db.collection('settings').doc(LEDGER_STATUS_DOC).set(statusUpdate, { merge: true });
+
+    console.log(`📒 [FINANCE] Ledger verified for ${session} ${term}: ${checked} checked, ${drift.length} issue(s)${repair ? ' repaired' : ''}`);
+    return { session, term, ...summary, drift };
+  },
+
+  /**
+   * ═══════════════════════════════════════════════════════════
+   * REPORT: Debtor Ageing
+   * ═══════════════════════════════════════════════════════════
+   * Payments settle the oldest debt first (arrears before the current term),
+   * so a balance is aged by walking the same term-by-term cascade as
+   * calculateCompleteArrears: each term's own charge that is still unpaid
+   * lands in the bucket for that term's age.
+   */
+  AGEING_BUCKETS: [
+    { key: 'currentTerm', label: 'Current Term' },
+    { key: 'previousTerm', label: 'Previous Term' },
+    { key: 'previousSession', label: 'Previous Session' },
+    { key: 'older', label: 'Older' }
+  ],
+
+  /**
+   * The term before session/term, crossing into the previous session after First Term
+   * @returns {{session: string, term: string}|null}
+   */
+  getPreviousTerm(session, term) {
+    const index = AGEING_TERM_ORDER.indexOf(term);
+    if (index > 0) return { session, term: AGEING_TERM_ORDER[index - 1] };
+
+    const previousSession = this.getPreviousSessionName(session);
+    return previousSession ? { session: previousSession, term: 'Third Term' } : null;
+  },
+
+  /**
+   * Ageing bucket for a charge raised in session/term, seen from currentSession/currentTerm.
+   * Earlier terms of the current session count as "previous term".
+   */
+  getAgeingBucket(session, term, currentSession, currentTerm) {
+    if (session === currentSession) {
+      return term === currentTerm ? 'currentTerm' : 'previousTerm';
+    }
+
+    const previous = this.getPreviousTerm(currentSession, currentTerm);
+    if (previous && previous.session === session && previous.term === term) return 'previousTerm';
+
+    return session === this.getPreviousSessionName(currentSession) ? 'previousSession' : 'older';
+  },
+
+  /**
+   * Stored figures for a past term, recalculated when no payment record exists
+   */
+  async _getTermLedgerEntry(pupilId, session, term) {
+    const docId = `${pupilId}_${session.replace(/\//g, '-')}_${term}`;
+    const doc = await db.collection('payments').doc(docId).get();
+
+    if (doc.exists) {
+      const data = doc.data();
+      return {
+        amountDue: Number(data.amountDue) || 0,
+        arrears: Number(data.arrears) || 0,
+        totalPaid: Number(data.totalPaid) || 0
+      };
+    }
+
+    try {
+      const result = await this.calculateCurrentOutstanding(pupilId, session, term);
+      if (result.reason) return null;
+      return { amountDue: result.amountDue, arrears: result.arrears, totalPaid: result.totalPaid };
+    } catch (error) {
+      console.warn(`[FINANCE] No ledger figures for ${session} ${term}:`, error.message);
+      return null;
+    }
+  },
+
+  /**
+   * Split a pupil's outstanding balance by the term each unpaid naira was charged in
+   * @param {object} position - calculateCurrentOutstanding() result for session/term
+   * @returns {Promise<{buckets: object, periods: Array<{session, term, bucket, amount}>, termsOwing: number, oldest: object|null}>}
+   */
+  async calculateDebtAgeing(pupilId, session, term, position) {
+    const buckets = Object.fromEntries(this.AGEING_BUCKETS.map(b => [b.key, 0]));
+
+    // Walk back while a term carried arrears in, newest first
+    const entries = [{ session, term, amountDue: position.amountDue, arrears: position.arrears, totalPaid: position.totalPaid }];
+    let cursor = this.getPreviousTerm(session, term);
+
+    while (entries[entries.length - 1].arrears > 0 && cursor && entries.length <= AGEING_MAX_TERMS) {
+      const entry = await this._getTermLedgerEntry(pupilId, cursor.session, cursor.term);
+      if (!entry) break;
+      entries.push({ ...cursor, ...entry });
+      cursor = this.getPreviousTerm(cursor.session, cursor.term);
+    }
+
+    // Replay forwards: each term's payments clear the oldest debt first
+    let unpaid = [];
+    const oldestEntry = entries[entries.length - 1];
+    if (oldestEntry.arrears > 0) {
+      // Cascade ran out (no earlier record or depth limit): the rest is at least this old
+      unpaid.push({ session: cursor?.session || '', term: cursor?.term || '', amount: oldestEntry.arrears });
+    }
+
+    const clearOldest = (amount) => {
+      let left = amount;
+      unpaid.forEach(item => {
+        const cleared = Math.min(item.amount, left);
+        item.amount -= cleared;
+        left -= cleared;
+      });
+      unpaid = unpaid.filter(item => item.amount > 0);
+      return left;
+    };
+
+    for (let i = entries.length - 1; i >= 0; i--) {
+      const entry = entries[i];
+      const carried = unpaid.reduce((sum, item) => sum + item.amount, 0);
+
+      // Stored arrears can differ from the previous term's balance (fee edits, credits)
+      if (entry.arrears > carried) {
+        if (unpaid.length > 0) unpaid[0].amount += entry.arrears - carried;
+        else if (i < entries.length - 1) unpaid.push({ ...entries[i + 1], amount: entry.arrears });
+      } else if (entry.arrears < carried) {
+        clearOldest(carried - entry.arrears);
+      }
+
+      const overpaid = clearOldest(entry.totalPaid);
+      const own = Math.max(0, entry.amountDue - overpaid);
+      if (own > 0) unpaid.push({ session: entry.session, term: entry.term, amount: own });
+    }
+
+    // Line up with the live balance (credits and rounding)
+    const total = unpaid.reduce((sum, item) => sum + item.amount, 0);
+    if (total > position.balance) clearOldest(total - position.balance);
+
+    const periods = unpaid.reverse().map(item => {
+      const bucket = item.session
+        ? this.getAgeingBucket(item.session, item.term, session, term)
+        : 'older';
+      buckets[bucket] += item.amount;
+      return { session: item.session, term: item.term, bucket, amount: item.amount };
+    });
+
+    return {
+      buckets,
+      periods,
+      termsOwing: periods.length,
+      oldest: periods.length > 0 ? periods[periods.length - 1] : null
+    };
+  },
+
+  /**
+   * Ageing breakdown for every pupil owing in session/term.
+   * Owing pupils come from the fee ledger; only they get the per-term breakdown.
+   * @param {object} options - { classId, chronicTerms: pupils owing for at least this many terms are chronic defaulters }
+   * @returns {Promise<{rows: Array, totals: object, byClass: Array, defaulters: Array}>}
+   */
+  async getDebtorAgeingReport(session, term, options = {}) {
+    const chronicTerms = Math.max(1, parseInt(options.chronicTerms, 10) || 2);
+
+    const ledger = await this.getLedgerMap(session, term, { classId: options.classId });
+    const owing = Object.values(ledger).filter(entry => entry.balance > 0);
+
+    // Contact details for the owing pupils only
+    const pupilsById = {};
+    await Promise.all(owing.map(async entry => {
+      const doc = await db.collection('pupils').doc(entry.pupilId).get();
+      pupilsById[entry.pupilId] = doc.exists ? doc.data() : {};
+    }));
+
+    const rows = [];
+    const totals = { ...Object.fromEntries(this.AGEING_BUCKETS.map(b => [b.key, 0])), balance: 0 };
+    const classTotals = {};
+    let errorCount = 0;
+
+    for (const position of owing) {
+      const pupilData = pupilsById[position.pupilId];
+
+      try {
+        const ageing = await this.calculateDebtAgeing(position.pupilId, session, term, position);
+
+        rows.push({
+          pupilId: position.pupilId,
+          pupilName: position.pupilName,
+          admissionNo: pupilData.admissionNo || '',
+          parentName: pupilData.parentName || '',
+          contact: pupilData.contact || '',
+          classId: position.classId,
+          className: position.className,
+          isAlumni: position.isAlumni,
+          balance: position.balance,
+          ...ageing.buckets,
+          termsOwing: ageing.termsOwing,
+          oldest: ageing.oldest,
+          chronic: ageing.termsOwing >= chronicTerms
+        });
+
+        totals.balance += position.balance;
+        this.AGEING_BUCKETS.forEach(b => { totals[b.key] += ageing.buckets[b.key]; });
+
+        if (!classTotals[position.classId]) {
+          classTotals[position.classId] = {
+            classId: position.classId,
+            className: position.className,
+            pupils: 0,
+            balance: 0,
+            ...Object.fromEntries(this.AGEING_BUCKETS.map(b => [b.key, 0]))
+          };
+        }
+        const cls = classTotals[position.classId];
+        cls.pupils++;
+        cls.balance += position.balance;
+        this.AGEING_BUCKETS.forEach(b => { cls[b.key] += ageing.buckets[b.key]; });
+
+      } catch (error) {
+        console.error(`[FINANCE] Ageing failed for pupil ${position.pupilId}:`, error.message);
+        errorCount++;
+      }
+    }
+
+    rows.sort((a, b) => b.balance - a.balance);
+
+    return {
+      session,
+      term,
+      chronicTerms,
+      generatedAt: new Date(),
+      rows,
+      totals,
+      byClass: Object.values(classTotals).sort((a, b) => a.className.localeCompare(b.className)),
+      defaulters: rows
+        .filter(row => row.chronic)
+        .sort((a, b) => b.termsOwing - a.termsOwing || b.balance - a.balance),
+      errorCount
+    };
+  },
+
+  /**
+   * Outstanding balance per class at the end of each of the last `termsBack` terms,
+   * read from the stored term records (payments collection)
+   * @returns {Promise<{periods: Array<{session, term, label}>, classes: Array<{classId, className, values: number[]}>}>}
+   */
+  async getClassArrearsTrend(session, term, termsBack = 6) {
+    const periods = [];
+    let cursor = { session, term };
+    while (cursor && periods.length < termsBack) {
+      periods.unshift({ ...cursor, label: `${cursor.term.replace(' Term', '')} ${cursor.session}` });
+      cursor = this.getPreviousTerm(cursor.session, cursor.term);
+    }
+
+    const classes = {};
+    const snaps = await Promise.all(periods.map(period =>
+      db.collection('payments')
+        .where('session', '==', period.session)
+        .where('term', '==', period.term)
+        .get()
+    ));
+
+    snaps.forEach((snap, index) => {
+      snap.forEach(doc => {
+        const data = doc.data();
+        if (!data.classId) return;
+        if (!classes[data.classId]) {
+          classes[data.classId] = {
+            classId: data.classId,
+            className: data.className || data.classId,
+            values: periods.map(() => 0)
+          };
+        }
+        classes[data.classId].values[index] += Math.max(0, Number(data.balance) || 0);
+      });
+    });
+
+    return {
+      periods,
+      classes: Object.values(classes).sort((a, b) => a.className.localeCompare(b.className))
+    };
+  },
+
+  /**
+   * ═══════════════════════════════════════════════════════════
+   * REPORT: Financial Summary (from balance ledger)
    * ═══════════════════════════════════════════════════════════
    */
   async getFinancialSummary(session, term = null) {
     try {
-      // Get all pupils
-      const pupilsSnap = await db.collection('pupils').get();
+      // Precomputed balances for every pupil with a fee
+      const entries = await this.getLedgerResults(session, term || 'First Term');
 
       let totalExpected = 0;
       let totalCollected = 0;
@@ -1209,17 +3328,7 @@ async recordPayment(pupilId, pupilName, classId, className, session, term, payme
       let partialPayments = 0;
       let noPayment = 0;
 
-      for (const pupilDoc of pupilsSnap.docs) {
-        const pupilId = pupilDoc.id;
-        
-        // Use canonical calculation
-        const result = await this.calculateCurrentOutstanding(pupilId, session, term || 'First Term');
-        
-        // Skip if no fee configured
-        if (result.reason) {
-          continue;
-        }
-
+      for (const result of entries) {
         totalExpected += result.totalDue;
         totalCollected += result.totalPaid;
         totalOutstanding += result.balance;
@@ -1245,7 +3354,7 @@ async recordPayment(pupilId, pupilName, classId, className, session, term, payme
         paidInFull,
         partialPayments,
         noPayment,
-        totalPupils: pupilsSnap.size
+        totalPupils: entries.length
       };
 
     } catch (error) {
@@ -1264,5 +3373,6 @@ window.calculateSessionBalanceSafe = finance.calculateSessionBalanceSafe.bind(fi
 window._recalculateTermBalance = finance._recalculateTermBalance.bind(finance);
 window.getClassIdSafely = finance.getClassIdSafely.bind(finance);
 window.getPreviousSessionName = finance.getPreviousSessionName.bind(finance);
+window.getFamilyDiscount = finance.getFamilyDiscount.bind(finance);
 
 console.log('✅ Finance module v4.0.0 loaded - FULLY CONSISTENT WITH ADMIN/PUPIL LOGIC');
\ No newline at end of file
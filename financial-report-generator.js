@@ -53,6 +53,196 @@ window.generateComprehensiveFinancialReport = async function() {
   }
 };
 
+/**
+ * ═══════════════════════════════════════════════════════════
+ * DEBTOR AGEING REPORT
+ * ═══════════════════════════════════════════════════════════
+ * @param {object} report - finance.getDebtorAgeingReport() result with `trend`
+ *                          from finance.getClassArrearsTrend()
+ */
+window.generateDebtorAgeingReport = function(report) {
+  try {
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF();
+    const buckets = window.finance.AGEING_BUCKETS;
+    const money = value => `₦${Math.round(value).toLocaleString()}`;
+
+    let yPos = 20;
+
+    doc.setFontSize(18);
+    doc.setFont('helvetica', 'bold');
+    doc.text('FAHMID NURSERY & PRIMARY SCHOOL', 105, yPos, { align: 'center' });
+
+    yPos += 10;
+    doc.setFontSize(14);
+    doc.text('Debtor Ageing & Defaulters Report', 105, yPos, { align: 'center' });
+
+    yPos += 8;
+    doc.setFontSize(10);
+    doc.setFont('helvetica', 'normal');
+    doc.text(`Session: ${report.session} | Term: ${report.term}`, 105, yPos, { align: 'center' });
+
+    yPos += 5;
+    doc.text(`Generated: ${report.generatedAt.toLocaleDateString('en-GB')} ${report.generatedAt.toLocaleTimeString('en-GB')}`, 105, yPos, { align: 'center' });
+
+    yPos += 12;
+
+    // ─────────────────────────────────────────────────────────
+    // 1. AGEING SUMMARY
+    // ─────────────────────────────────────────────────────────
+    doc.setFontSize(12);
+    doc.setFont('helvetica', 'bold');
+    doc.text('1. AGEING SUMMARY', 14, yPos);
+    yPos += 6;
+
+    doc.autoTable({
+      startY: yPos,
+      head: [['Age of Debt', 'Amount', 'Share']],
+      body: [
+        ...buckets.map(b => [
+          b.label,
+          money(report.totals[b.key]),
+          `${report.totals.balance > 0 ? ((report.totals[b.key] / report.totals.balance) * 100).toFixed(1) : 0}%`
+        ]),
+        [`Total (${report.rows.length} pupils)`, money(report.totals.balance), '100%']
+      ],
+      theme: 'grid',
+      headStyles: { fillColor: [0, 178, 255], fontStyle: 'bold' },
+      margin: { left: 14, right: 14 }
+    });
+
+    yPos = doc.lastAutoTable.finalY + 12;
+
+    // ─────────────────────────────────────────────────────────
+    // 2. AGEING BY CLASS
+    // ─────────────────────────────────────────────────────────
+    yPos = checkPageBreak(doc, yPos, 50);
+
+    doc.setFontSize(12);
+    doc.setFont('helvetica', 'bold');
+    doc.text('2. AGEING BY CLASS', 14, yPos);
+    yPos += 6;
+
+    doc.autoTable({
+      startY: yPos,
+      head: [['Class', 'Pupils', ...buckets.map(b => b.label), 'Total']],
+      body: report.byClass.map(cls => [
+        cls.className,
+        cls.pupils,
+        ...buckets.map(b => money(cls[b.key])),
+        money(cls.balance)
+      ]),
+      theme: 'striped',
+      headStyles: { fillColor: [0, 178, 255], fontSize: 9 },
+      bodyStyles: { fontSize: 8 },
+      margin: { left: 14, right: 14 }
+    });
+
+    yPos = doc.lastAutoTable.finalY + 12;
+
+    // ─────────────────────────────────────────────────────────
+    // 3. CHRONIC DEFAULTERS
+    // ─────────────────────────────────────────────────────────
+    yPos = checkPageBreak(doc, yPos, 50);
+
+    doc.setFontSize(12);
+    doc.setFont('helvetica', 'bold');
+    doc.text(`3. CHRONIC DEFAULTERS (owing from ${report.chronicTerms}+ terms)`, 14, yPos);
+    yPos += 6;
+
+    if (report.defaulters.length > 0) {
+      doc.autoTable({
+        startY: yPos,
+        head: [['Pupil', 'Class', 'Terms', 'Owing Since', 'Balance', 'Parent / Contact']],
+        body: report.defaulters.map(row => [
+          row.pupilName + (row.isAlumni ? ' (Alumni)' : ''),
+          row.className,
+          row.termsOwing,
+          row.oldest?.session ? `${row.oldest.term} ${row.oldest.session}` : 'Before records',
+          money(row.balance),
+          [row.parentName, row.contact].filter(Boolean).join(' / ') || '-'
+        ]),
+        theme: 'striped',
+        headStyles: { fillColor: [220, 53, 69], fontSize: 9 },
+        bodyStyles: { fontSize: 8 },
+        margin: { left: 14, right: 14 }
+      });
+      yPos = doc.lastAutoTable.finalY + 12;
+    } else {
+      doc.setFontSize(10);
+      doc.setFont('helvetica', 'normal');
+      doc.text('No chronic defaulters at this threshold.', 14, yPos + 4);
+      yPos += 14;
+    }
+
+    // ─────────────────────────────────────────────────────────
+    // 4. CLASS TREND
+    // ─────────────────────────────────────────────────────────
+    if (report.trend?.classes.length > 0) {
+      yPos = checkPageBreak(doc, yPos, 50);
+
+      doc.setFontSize(12);
+      doc.setFont('helvetica', 'bold');
+      doc.text('4. OUTSTANDING BY CLASS OVER TIME', 14, yPos);
+      yPos += 6;
+
+      doc.autoTable({
+        startY: yPos,
+        head: [['Class', ...report.trend.periods.map(p => p.label)]],
+        body: report.trend.classes.map(cls => [cls.className, ...cls.values.map(money)]),
+        theme: 'striped',
+        headStyles: { fillColor: [0, 178, 255], fontSize: 8 },
+        bodyStyles: { fontSize: 8 },
+        margin: { left: 14, right: 14 }
+      });
+
+      yPos = doc.lastAutoTable.finalY + 12;
+    }
+
+    // ─────────────────────────────────────────────────────────
+    // 5. ALL DEBTORS
+    // ─────────────────────────────────────────────────────────
+    doc.addPage();
+    yPos = 20;
+
+    doc.setFontSize(12);
+    doc.setFont('helvetica', 'bold');
+    doc.text('5. ALL DEBTORS', 14, yPos);
+    yPos += 6;
+
+    doc.autoTable({
+      startY: yPos,
+      head: [['Pupil', 'Class', ...buckets.map(b => b.label), 'Balance']],
+      body: report.rows.map(row => [
+        row.pupilName + (row.isAlumni ? ' (Alumni)' : ''),
+        row.className,
+        ...buckets.map(b => row[b.key] > 0 ? money(row[b.key]) : '-'),
+        money(row.balance)
+      ]),
+      theme: 'striped',
+      headStyles: { fillColor: [0, 178, 255], fontSize: 8 },
+      bodyStyles: { fontSize: 7 },
+      margin: { left: 14, right: 14 }
+    });
+
+    const pageCount = doc.internal.getNumberOfPages();
+    for (let i = 1; i <= pageCount; i++) {
+      doc.setPage(i);
+      doc.setFontSize(8);
+      doc.setTextColor(128);
+      doc.text(`Page ${i} of ${pageCount}`, 105, 290, { align: 'center' });
+      doc.text('CONFIDENTIAL - For Internal Use Only', 14, 290);
+    }
+
+    doc.save(`Debtor_Ageing_${report.session.replace(/\//g, '-')}_${report.term.replace(/\s+/g, '_')}_${new Date().toISOString().split('T')[0]}.pdf`);
+    window.showToast?.('✓ Debtor ageing report downloaded', 'success');
+
+  } catch (error) {
+    console.error('❌ Debtor ageing PDF failed:', error);
+    window.showToast?.(`Failed to generate ageing report: ${error.message}`, 'danger', 8000);
+  }
+};
+
 /**
  * ═══════════════════════════════════════════════════════════
  * DATA GATHERING
@@ -69,8 +259,11 @@ async function gatherFinancialData() {
     
     console.log(`Session: ${session}, Term: ${term}`);
     
-    // Get all pupils (active enrollment)
-    const pupilsSnap = await db.collection('pupils').get();
+    // Get all pupils (active enrollment) and their precomputed balances
+    const [pupilsSnap, ledger] = await Promise.all([
+      db.collection('pupils').get(),
+      window.finance.getLedgerMap(session, term)
+    ]);
     
     if (pupilsSnap.empty) {
       return {
@@ -95,6 +288,7 @@ async function gatherFinancialData() {
     };
     
     const classSummary = {};
+    const ageing = Object.fromEntries(window.finance.AGEING_BUCKETS.map(b => [b.key, 0]));
     
     // Process each pupil
     for (const pupilDoc of pupilsSnap.docs) {
@@ -102,10 +296,10 @@ async function gatherFinancialData() {
       const pupilData = pupilDoc.data();
       
       try {
-        // Use canonical calculation
-        const result = await window.calculateCurrentOutstanding(pupilId, session, term);
+        // Canonical calculation, precomputed in the balance ledger
+        const result = ledger[pupilId];
         
-        if (result.reason) {
+        if (!result) {
           continue; // Skip pupils without fees configured
         }
         
@@ -154,6 +348,12 @@ async function gatherFinancialData() {
         classSummary[result.classId].collected += result.totalPaid;
         classSummary[result.classId].outstanding += result.balance;
         
+        // Age of the outstanding balance
+        if (result.balance > 0) {
+          const debt = await window.finance.calculateDebtAgeing(pupilId, session, term, result);
+          Object.keys(ageing).forEach(key => { ageing[key] += debt.buckets[key]; });
+        }
+        
         // Store payment record
         paymentsByPupil[pupilId] = result;
         
@@ -189,19 +389,24 @@ async function gatherFinancialData() {
       paymentMethods[method] = (paymentMethods[method] || 0) + 1;
     });
     
-    // Get fee structures for reference
-    const feeStructuresSnap = await db.collection('fee_structures').get();
-    const feeStructures = [];
-    
-    feeStructuresSnap.forEach(doc => {
-      const data = doc.data();
-      feeStructures.push({
-        classId: data.classId,
-        className: data.className,
-        total: data.total || 0,
-        fees: data.fees || {}
-      });
-    });
+    // Fee structures in force for the reported session/term
+    const feesInForce = await window.finance.getFeeStructureMap(session, term, true);
+    const feeStructures = Object.values(feesInForce).map(data => ({
+      classId: data.classId,
+      className: data.className,
+      total: data.total || 0,
+      fees: data.fees || {}
+    }));
+    
+    // Expenditure for the income-vs-expenditure statement (voided entries excluded)
+    let expenditure = null;
+    if (window.expenses) {
+      const [expenseList, budgets] = await Promise.all([
+        window.expenses.getExpenses(session, term),
+        window.expenses.getBudgets(session, term)
+      ]);
+      expenditure = window.expenses.summarise(expenseList, budgets);
+    }
     
     console.log(`✓ Gathered data: ${pupils.length} pupils, ${transactions.length} transactions`);
     
@@ -220,9 +425,12 @@ async function gatherFinancialData() {
         totalOutstanding,
         collectionRate: totalExpected > 0 ? (totalCollected / totalExpected) * 100 : 0,
         statusCount,
+        feeHeads: window.finance.summariseFeeHeads(Object.values(paymentsByPupil)),
+        ageing,
         classSummary: Object.values(classSummary).sort((a, b) => a.className.localeCompare(b.className))
       },
-      paymentMethods
+      paymentMethods,
+      expenditure
     };
     
   } catch (error) {
@@ -427,6 +635,9 @@ async function generateCharts(reportData, analytics) {
     // Chart 4: Payment Status Distribution (Doughnut)
     charts.statusDistribution = await createStatusDistributionChart(canvas, ctx, reportData);
     
+    // Chart 5: Expenditure by Category (Doughnut)
+    charts.expenditure = await createExpenditureChart(canvas, ctx, reportData);
+    
     console.log('✓ All charts generated');
     
   } catch (error) {
@@ -581,6 +792,65 @@ function createPaymentMethodsChart(canvas, ctx, reportData) {
   });
 }
 
+/**
+ * Create expenditure by category doughnut chart
+ */
+function createExpenditureChart(canvas, ctx, reportData) {
+  return new Promise((resolve) => {
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    
+    const categories = (reportData.expenditure?.byCategory || []).filter(row => row.spent > 0);
+    
+    if (categories.length === 0) {
+      resolve(null);
+      return;
+    }
+    
+    const colors = [
+      'rgba(220, 53, 69, 0.8)',
+      'rgba(255, 159, 64, 0.8)',
+      'rgba(54, 162, 235, 0.8)',
+      'rgba(75, 192, 192, 0.8)',
+      'rgba(153, 102, 255, 0.8)'
+    ];
+    
+    const chart = new Chart(ctx, {
+      type: 'doughnut',
+      data: {
+        labels: categories.map(row => row.label),
+        datasets: [{
+          data: categories.map(row => row.spent),
+          backgroundColor: colors.slice(0, categories.length),
+          borderColor: '#fff',
+          borderWidth: 2
+        }]
+      },
+      options: {
+        responsive: true,
+        plugins: {
+          legend: {
+            position: 'right'
+          },
+          title: {
+            display: true,
+            text: 'Expenditure by Category',
+            font: {
+              size: 16,
+              weight: 'bold'
+            }
+          }
+        }
+      }
+    });
+    
+    setTimeout(() => {
+      const dataUrl = canvas.toDataURL('image/png');
+      chart.destroy();
+      resolve(dataUrl);
+    }, 500);
+  });
+}
+
 /**
  * Create class efficiency horizontal bar chart
  */
@@ -854,6 +1124,31 @@ function createPDFReport(reportData, analytics, charts) {
   
   yPos = doc.lastAutoTable.finalY + 12;
   
+  // Debtor ageing: when the outstanding balance was charged
+  if (reportData.summary.totalOutstanding > 0) {
+    yPos = checkPageBreak(doc, yPos, 50);
+    
+    doc.setFontSize(10);
+    doc.setFont('helvetica', 'bold');
+    doc.text('Debtor Ageing', 14, yPos);
+    yPos += 6;
+    
+    doc.autoTable({
+      startY: yPos,
+      head: [['Age of Debt', 'Amount', 'Share of Outstanding']],
+      body: window.finance.AGEING_BUCKETS.map(b => [
+        b.label,
+        `₦${reportData.summary.ageing[b.key].toLocaleString()}`,
+        `${((reportData.summary.ageing[b.key] / reportData.summary.totalOutstanding) * 100).toFixed(1)}%`
+      ]),
+      theme: 'grid',
+      headStyles: { fillColor: [0, 178, 255] },
+      margin: { left: 14, right: 14 }
+    });
+    
+    yPos = doc.lastAutoTable.finalY + 12;
+  }
+  
   // ─────────────────────────────────────────────────────────
   // CLASS-LEVEL BREAKDOWN
   // ─────────────────────────────────────────────────────────
@@ -893,6 +1188,140 @@ function createPDFReport(reportData, analytics, charts) {
     yPos += 100;
   }
   
+  // Collections by fee head
+  if (reportData.summary.feeHeads.length > 0) {
+    yPos = checkPageBreak(doc, yPos, 60);
+    
+    doc.setFontSize(10);
+    doc.setFont('helvetica', 'bold');
+    doc.text('Collections by Fee Head', 14, yPos);
+    yPos += 6;
+    
+    doc.autoTable({
+      startY: yPos,
+      head: [['Fee Head', 'Pupils', 'Expected', 'Collected', 'Outstanding', 'Rate']],
+      body: reportData.summary.feeHeads.map(row => [
+        row.label,
+        row.pupils,
+        `₦${row.due.toLocaleString()}`,
+        `₦${row.paid.toLocaleString()}`,
+        `₦${row.balance.toLocaleString()}`,
+        `${row.due > 0 ? ((row.paid / row.due) * 100).toFixed(1) : 0}%`
+      ]),
+      theme: 'striped',
+      headStyles: { fillColor: [0, 178, 255], fontSize: 9 },
+      bodyStyles: { fontSize: 8 },
+      margin: { left: 14, right: 14 }
+    });
+    
+    yPos = doc.lastAutoTable.finalY + 12;
+  }
+  
+  // ─────────────────────────────────────────────────────────
+  // INCOME VS EXPENDITURE
+  // ─────────────────────────────────────────────────────────
+  doc.addPage();
+  yPos = 20;
+  
+  doc.setFontSize(12);
+  doc.setFont('helvetica', 'bold');
+  doc.text('6. INCOME VS EXPENDITURE', 14, yPos);
+  yPos += 8;
+  
+  const expenditure = reportData.expenditure;
+  
+  if (!expenditure) {
+    doc.setFontSize(10);
+    doc.setFont('helvetica', 'normal');
+    doc.text('Expense records are not available.', 14, yPos);
+    yPos += 10;
+  } else {
+    const income = reportData.summary.totalCollected;
+    const net = income - expenditure.total;
+    
+    const statementData = [
+      [{ content: 'INCOME', colSpan: 2, styles: { fontStyle: 'bold', fillColor: [240, 249, 255] } }],
+      ['Fees collected (including arrears)', `₦${income.toLocaleString()}`],
+      [{ content: 'EXPENDITURE', colSpan: 2, styles: { fontStyle: 'bold', fillColor: [254, 242, 242] } }],
+      ...expenditure.byCategory
+        .filter(row => row.spent > 0)
+        .map(row => [`${row.label} (${row.count})`, `₦${row.spent.toLocaleString()}`]),
+      [{ content: 'Total Expenditure', styles: { fontStyle: 'bold' } }, { content: `₦${expenditure.total.toLocaleString()}`, styles: { fontStyle: 'bold' } }],
+      [
+        { content: net >= 0 ? 'NET SURPLUS' : 'NET DEFICIT', styles: { fontStyle: 'bold' } },
+        { content: `₦${Math.abs(net).toLocaleString()}`, styles: { fontStyle: 'bold', textColor: net >= 0 ? [15, 151, 100] : [220, 38, 38] } }
+      ]
+    ];
+    
+    doc.autoTable({
+      startY: yPos,
+      head: [['Statement', 'Amount']],
+      body: statementData,
+      theme: 'grid',
+      headStyles: { fillColor: [0, 178, 255] },
+      columnStyles: { 1: { halign: 'right' } },
+      margin: { left: 14, right: 14 }
+    });
+    
+    yPos = doc.lastAutoTable.finalY + 6;
+    
+    doc.setFontSize(9);
+    doc.setFont('helvetica', 'italic');
+    doc.text(
+      income > 0
+        ? `Expenditure used ${((expenditure.total / income) * 100).toFixed(1)}% of fees collected this term.`
+        : 'No fees have been collected this term.',
+      14, yPos
+    );
+    yPos += 10;
+    
+    // Budget vs actual, only when budgets have been set
+    if (expenditure.totalBudget > 0) {
+      yPos = checkPageBreak(doc, yPos, 60);
+      
+      doc.setFontSize(10);
+      doc.setFont('helvetica', 'bold');
+      doc.text('Budget vs Actual', 14, yPos);
+      yPos += 6;
+      
+      doc.autoTable({
+        startY: yPos,
+        head: [['Category', 'Budget', 'Spent', 'Remaining', 'Used']],
+        body: [
+          ...expenditure.byCategory.map(row => [
+            row.label,
+            row.budget > 0 ? `₦${row.budget.toLocaleString()}` : '-',
+            `₦${row.spent.toLocaleString()}`,
+            row.budget > 0
+              ? `${row.remaining < 0 ? '-' : ''}₦${Math.abs(row.remaining).toLocaleString()}`
+              : '-',
+            row.percentUsed === null ? '-' : `${row.percentUsed.toFixed(1)}%`
+          ]),
+          [
+            'TOTAL',
+            `₦${expenditure.totalBudget.toLocaleString()}`,
+            `₦${expenditure.total.toLocaleString()}`,
+            `₦${(expenditure.totalBudget - expenditure.total).toLocaleString()}`,
+            `${((expenditure.total / expenditure.totalBudget) * 100).toFixed(1)}%`
+          ]
+        ],
+        theme: 'striped',
+        headStyles: { fillColor: [0, 178, 255], fontSize: 9 },
+        bodyStyles: { fontSize: 8 },
+        margin: { left: 14, right: 14 }
+      });
+      
+      yPos = doc.lastAutoTable.finalY + 12;
+    }
+    
+    if (charts.expenditure) {
+      yPos = checkPageBreak(doc, yPos, 100);
+      
+      doc.addImage(charts.expenditure, 'PNG', 14, yPos, 180, 90);
+      yPos += 100;
+    }
+  }
+  
   // ─────────────────────────────────────────────────────────
   // KEY FINDINGS & RECOMMENDATIONS
   // ─────────────────────────────────────────────────────────
@@ -901,7 +1330,7 @@ function createPDFReport(reportData, analytics, charts) {
   
   doc.setFontSize(12);
   doc.setFont('helvetica', 'bold');
-  doc.text('6. KEY FINDINGS & RECOMMENDATIONS', 14, yPos);
+  doc.text('7. KEY FINDINGS & RECOMMENDATIONS', 14, yPos);
   yPos += 10;
   
   doc.setFontSize(10);
@@ -929,7 +1358,7 @@ function createPDFReport(reportData, analytics, charts) {
   
   doc.setFontSize(12);
   doc.setFont('helvetica', 'bold');
-  doc.text('7. METHODOLOGY', 14, yPos);
+  doc.text('8. METHODOLOGY', 14, yPos);
   yPos += 8;
   
   doc.setFontSize(9);
@@ -937,12 +1366,18 @@ function createPDFReport(reportData, analytics, charts) {
   
   const methodology = [
     'All financial data is calculated using the canonical calculateCurrentOutstanding() function,',
-    'ensuring consistency with live system data.',
+    'precomputed per pupil in the balance ledger and verified against source on demand.',
     '',
     'Collection Rate = (Total Collected / Total Expected) × 100',
     'Financial Health Score = Weighted average of collection rate (40%), payment timeliness (30%),',
     'arrears management (20%), and payment distribution (10%).',
     '',
+    'Debtor ageing replays each term\'s payments against the oldest debt first; what remains',
+    'unpaid is grouped by the term it was charged in.',
+    '',
+    'Income vs expenditure compares fees collected this term with recorded expenses for the',
+    'same term. Voided expenses are excluded.',
+    '',
     'Payment timeliness categories:',
     '  • Early: Within 30 days of session start',
     '  • On-time: 31-60 days',
@@ -1044,6 +1479,20 @@ function generateKeyFindings(reportData, analytics) {
     findings.push(`• Most common payment method: ${mostUsedMethod[0]} (${mostUsedMethod[1]} transactions).`);
   }
   
+  // Net position finding
+  const expenditure = reportData.expenditure;
+  if (expenditure && expenditure.total > 0) {
+    const net = reportData.summary.totalCollected - expenditure.total;
+    findings.push(net >= 0
+      ? `• Fees collected exceed expenditure by ₦${net.toLocaleString()} this term.`
+      : `• Expenditure exceeds fees collected by ₦${Math.abs(net).toLocaleString()} this term. Review spending or collection before further commitments.`);
+    
+    const overBudget = expenditure.byCategory.filter(row => row.budget > 0 && row.spent > row.budget);
+    if (overBudget.length > 0) {
+      findings.push(`• Over budget: ${overBudget.map(row => `${row.label} (₦${(row.spent - row.budget).toLocaleString()} over)`).join(', ')}.`);
+    }
+  }
+  
   // Recommendations
   findings.push('');
   findings.push('RECOMMENDATIONS:');
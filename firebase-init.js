@@ -201,6 +201,20 @@ window.handleError = function(error, fallbackMessage = 'An error occurred') {
   return userMessage;
 };
 
+// ============================================
+// HTML ESCAPING - DEFINED ONCE
+// ============================================
+
+/** Escape text for innerHTML and attribute values; null/undefined become '' */
+window.escapeHTML = function(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
 // ============================================
 // GET CURRENT SETTINGS - DEFINED ONCE
 // ============================================
@@ -297,8 +311,11 @@ window.getUserRole = async function(uid) {
 
 /**
  * Check if user has required role
+ * @param {string|string[]} requiredRole - one role, or every role allowed on the page
  */
 window.checkRole = function(requiredRole) {
+  const allowedRoles = Array.isArray(requiredRole) ? requiredRole : [requiredRole];
+
   return new Promise((resolve, reject) => {
     window.auth.onAuthStateChanged(async (user) => {
       if (!user) {
@@ -321,7 +338,7 @@ window.checkRole = function(requiredRole) {
 
         const userData = userDoc.data();
         
-        if (userData.role !== requiredRole) {
+        if (!allowedRoles.includes(userData.role)) {
           window.showToast?.('Access denied. Insufficient permissions.', 'danger');
           await window.auth.signOut();
           setTimeout(() => window.location.href = 'login.html', 2000);
@@ -332,7 +349,8 @@ window.checkRole = function(requiredRole) {
         resolve({
           uid: user.uid,
           email: user.email,
-          role: userData.role
+          role: userData.role,
+          name: userData.name || ''
         });
       } catch (error) {
         console.error('Error checking role:', error);
@@ -506,6 +524,17 @@ window.decodeSession = function(encodedSession) {
   return encodedSession.replace(/-/g, '/');
 };
 
+/**
+ * Ordinal position: 1 → "1st", 2 → "2nd", 11 → "11th", 23 → "23rd"
+ */
+window.formatOrdinal = function(n) {
+  const num = Number(n);
+  const mod100 = num % 100;
+  if (mod100 >= 11 && mod100 <= 13) return `${num}th`;
+  const suffix = { 1: 'st', 2: 'nd', 3: 'rd' }[num % 10] || 'th';
+  return `${num}${suffix}`;
+};
+
 /**
  * Generate payment document ID with encoded session
  */
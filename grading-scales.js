@@ -0,0 +1,447 @@
+/**
+ * FAHMID NURSERY & PRIMARY SCHOOL
+ * Grading Scales Module
+ * Single source of grade letters and remarks for every portal
+ *
+ * @version 1.0.0
+ * @date 2026-03-04
+ *
+ * FIRESTORE SCHEMA — settings/gradingScales
+ * {
+ *   nursery: { name, bands: [...] } | null
+ *   primary: { name, bands: [...] } | null
+ *   updatedAt, updatedBy
+ * }
+ *
+ * A band is { grade: "A1", min: 75, remark: "Excellent" }.
+ * Bands are kept sorted from the highest minimum down; the lowest band must start at 0
+ * so every score out of 100 lands in exactly one band.
+ *
+ * A class uses the scale of its section (classes/{id}.section, shared with
+ * assessment-schemes.js). Classes without a section use the primary scale.
+ */
+
+'use strict';
+
+const GRADING_SCALES_DOC = 'gradingScales';
+
+// The WAEC-style scale every portal used before scales became configurable
+const DEFAULT_GRADING_SCALES = Object.freeze({
+  primary: {
+    name: 'WAEC (A1 – F9)',
+    bands: [
+      { grade: 'A1', min: 75, remark: 'Excellent' },
+      { grade: 'B2', min: 70, remark: 'Very Good' },
+      { grade: 'B3', min: 65, remark: 'Good' },
+      { grade: 'C4', min: 60, remark: 'Credit' },
+      { grade: 'C5', min: 55, remark: 'Credit' },
+      { grade: 'C6', min: 50, remark: 'Credit' },
+      { grade: 'D7', min: 45, remark: 'Pass' },
+      { grade: 'D8', min: 40, remark: 'Fail' },
+      { grade: 'F9', min: 0,  remark: 'Fail' }
+    ]
+  },
+  nursery: {
+    name: 'Simple (A – E)',
+    bands: [
+      { grade: 'A', min: 80, remark: 'Excellent' },
+      { grade: 'B', min: 65, remark: 'Very Good' },
+      { grade: 'C', min: 50, remark: 'Good' },
+      { grade: 'D', min: 40, remark: 'Fair' },
+      { grade: 'E', min: 0,  remark: 'Needs Improvement' }
+    ]
+  }
+});
+
+// Existing stylesheets colour grades by the WAEC letters (.grade-A1 … .grade-F9)
+const GRADE_CSS_LADDER = ['A1', 'B2', 'B3', 'C4', 'C5', 'C6', 'D7', 'D8', 'F9'];
+
+const gradingScales = {
+  DEFAULTS: DEFAULT_GRADING_SCALES,
+
+  _configCache: null,
+
+  /**
+   * Load the saved scales (cached for the page lifetime)
+   */
+  async getConfig(forceRefresh = false) {
+    if (this._configCache && !forceRefresh) return this._configCache;
+
+    try {
+      const doc = await db.collection('settings').doc(GRADING_SCALES_DOC).get();
+      const data = doc.exists ? doc.data() : {};
+      this._configCache = {
+        nursery: data.nursery || null,
+        primary: data.primary || null
+      };
+    } catch (error) {
+      console.error('Error loading grading scales:', error);
+      this._configCache = { nursery: null, primary: null };
+    }
+
+    return this._configCache;
+  },
+
+  /**
+   * Scale for a section from the loaded config, falling back to the built-in default
+   */
+  getScaleForSection(section) {
+    const key = section === 'nursery' ? 'nursery' : 'primary';
+    const stored = this._configCache?.[key];
+    const scale = this.isValid(stored) ? stored : DEFAULT_GRADING_SCALES[key];
+    return { ...scale, bands: this.sortBands(scale.bands), section: key };
+  },
+
+  /**
+   * Resolve the scale that applies to a class
+   */
+  async getScaleForClass(classId) {
+    await this.getConfig();
+    const section = classId && window.assessmentSchemes
+      ? await window.assessmentSchemes.getClassSection(classId)
+      : null;
+    return this.getScaleForSection(section);
+  },
+
+  sortBands(bands) {
+    return (bands || [])
+      .map(b => ({ grade: String(b.grade).trim(), min: Number(b.min), remark: String(b.remark || '').trim() }))
+      .sort((a, b) => b.min - a.min);
+  },
+
+  /**
+   * Validate a scale definition
+   * @returns {{valid: boolean, errors: string[]}}
+   */
+  validate(scale) {
+    const errors = [];
+    const bands = Array.isArray(scale?.bands) ? scale.bands : [];
+
+    if (bands.length < 2) {
+      errors.push('A scale needs at least two grades');
+    }
+
+    const grades = new Set();
+    const mins = new Set();
+
+    bands.forEach((b, i) => {
+      const grade = String(b.grade || '').trim();
+      const min = Number(b.min);
+      const label = grade || `Band ${i + 1}`;
+
+      if (!grade) errors.push(`Band ${i + 1}: grade is required`);
+      else if (grades.has(grade)) errors.push(`${label}: duplicate grade`);
+      grades.add(grade);
+
+      if (b.min === '' || !Number.isFinite(min) || min < 0 || min > 100) {
+        errors.push(`${label}: minimum score must be between 0 and 100`);
+      } else if (mins.has(min)) {
+        errors.push(`${label}: another grade already starts at ${min}`);
+      }
+      mins.add(min);
+    });
+
+    if (bands.length > 0 && !mins.has(0)) {
+      errors.push('The lowest grade must start at 0');
+    }
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  isValid(scale) {
+    return !!scale && this.validate(scale).valid;
+  },
+
+  /**
+   * Band a score falls into (defaults to the primary scale)
+   */
+  getBand(score, scale) {
+    const bands = scale?.bands?.length ? scale.bands : this.getScaleForSection('primary').bands;
+    const value = Number(score) || 0;
+    return bands.find(b => value >= b.min) || bands[bands.length - 1];
+  },
+
+  getGrade(score, scale) {
+    return this.getBand(score, scale).grade;
+  },
+
+  getRemark(score, scale) {
+    return this.getBand(score, scale).remark;
+  },
+
+  /**
+   * CSS class for a grade, mapped onto the existing .grade-A1 … .grade-F9 colours
+   * by the grade's rank in its scale (top band → A1, bottom band → F9)
+   */
+  getGradeClass(grade, scale) {
+    const bands = scale?.bands?.length ? scale.bands : this.getScaleForSection('primary').bands;
+    const index = bands.findIndex(b => b.grade === grade);
+    if (index === -1) return '';
+    if (bands.length === 1) return 'grade-A1';
+
+    const step = Math.round((index / (bands.length - 1)) * (GRADE_CSS_LADDER.length - 1));
+    return `grade-${GRADE_CSS_LADDER[step]}`;
+  },
+
+  /**
+   * Score range of each band, for grading keys on report cards
+   * @returns {Array<{grade, remark, min, max}>}
+   */
+  describe(scale) {
+    const bands = scale?.bands?.length ? scale.bands : this.getScaleForSection('primary').bands;
+    return bands.map((b, i) => ({
+      ...b,
+      max: i === 0 ? 100 : Math.ceil(bands[i - 1].min) - 1
+    }));
+  },
+
+  /**
+   * Persist a section's scale (admin only)
+   * @param {'nursery'|'primary'} section
+   * @param {object|null} scale - null restores the built-in default
+   */
+  async saveScale(section, scale) {
+    if (scale) {
+      const { valid, errors } = this.validate(scale);
+      if (!valid) throw new Error(errors.join('\n'));
+    }
+
+    const value = scale
+      ? { name: (scale.name || '').trim(), bands: this.sortBands(scale.bands) }
+      : firebase.firestore.FieldValue.delete();
+
+    const ref = db.collection('settings').doc(GRADING_SCALES_DOC);
+    const meta = {
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      updatedBy: auth.currentUser?.uid || 'unknown'
+    };
+
+    if ((await ref.get()).exists) {
+      await ref.update({ [section]: value, ...meta });
+    } else if (scale) {
+      await ref.set({ [section]: value, ...meta });
+    }
+
+    this._configCache = null;
+    console.log(`✓ Grading scale saved (${section})`);
+  }
+};
+
+window.gradingScales = gradingScales;
+
+/* ─────────────────────────────────────────────────────────────────
+   ADMIN SETTINGS PANEL
+   Rendered into #grading-scales-container on the Settings page
+───────────────────────────────────────────────────────────────── */
+
+let _scaleEditorState = {
+  section: 'primary',
+  name: '',
+  bands: []
+};
+
+async function loadGradingScalesPanel() {
+  const container = document.getElementById('grading-scales-container');
+  if (!container) return;
+
+  container.innerHTML = `
+    <div style="text-align:center; padding:var(--space-lg); color:var(--color-gray-600);">
+      <div class="spinner" style="margin:0 auto var(--space-sm);"></div>
+      Loading grading scales...
+    </div>`;
+
+  try {
+    await gradingScales.getConfig(true);
+
+    container.innerHTML = `
+      <div class="form-group">
+        <label for="grading-scale-section">Edit scale for</label>
+        <select id="grading-scale-section" onchange="onGradingScaleSectionChange(this.value)">
+          ${Object.entries(SCHOOL_SECTIONS).map(([key, label]) =>
+            `<option value="${key}">${label} section</option>`).join('')}
+        </select>
+        <small id="grading-scale-hint"></small>
+      </div>
+
+      <div class="form-group">
+        <label for="grading-scale-name">Scale name</label>
+        <input type="text" id="grading-scale-name" placeholder="e.g. WAEC (A1 – F9)" style="max-width:280px;">
+      </div>
+
+      <div class="table-container">
+        <table class="responsive-table">
+          <thead>
+            <tr>
+              <th>Grade</th>
+              <th style="text-align:center;">From Score</th>
+              <th style="text-align:center;">Range</th>
+              <th>Remark</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody id="grading-bands-tbody"></tbody>
+        </table>
+      </div>
+
+      <div class="form-actions">
+        <button type="button" class="btn btn-secondary" onclick="addGradingBand()">
+          ➕ Add Grade
+        </button>
+        <button type="button" class="btn" onclick="saveGradingScale()" id="save-grading-scale-btn">
+          💾 Save Scale
+        </button>
+        <button type="button" class="btn btn-danger" onclick="resetGradingScale()" id="reset-grading-scale-btn">
+          Restore Default
+        </button>
+      </div>
+    `;
+
+    onGradingScaleSectionChange(_scaleEditorState.section);
+
+  } catch (error) {
+    console.error('Error loading grading scales panel:', error);
+    container.innerHTML = `<p style="color:var(--color-danger);">Failed to load grading scales.</p>`;
+  }
+}
+
+function onGradingScaleSectionChange(section) {
+  const stored = gradingScales._configCache?.[section];
+  const scale = gradingScales.getScaleForSection(section);
+
+  _scaleEditorState = {
+    section,
+    name: scale.name || '',
+    bands: scale.bands.map(b => ({ ...b }))
+  };
+
+  const select = document.getElementById('grading-scale-section');
+  if (select) select.value = section;
+
+  const nameInput = document.getElementById('grading-scale-name');
+  if (nameInput) nameInput.value = _scaleEditorState.name;
+
+  const hint = document.getElementById('grading-scale-hint');
+  if (hint) {
+    hint.textContent = stored
+      ? 'A custom scale is saved for this section.'
+      : 'Using the built-in default scale for this section.';
+  }
+
+  const resetBtn = document.getElementById('reset-grading-scale-btn');
+  if (resetBtn) resetBtn.disabled = !stored;
+
+  _renderGradingBands();
+}
+
+function _renderGradingBands() {
+  const tbody = document.getElementById('grading-bands-tbody');
+  if (!tbody) return;
+
+  const ranges = gradingScales.describe({ bands: gradingScales.sortBands(
+    _scaleEditorState.bands.filter(b => b.min !== '' && Number.isFinite(Number(b.min)))
+  ) });
+
+  tbody.innerHTML = '';
+  _scaleEditorState.bands.forEach((b, index) => {
+    const range = ranges.find(r => r.grade === String(b.grade).trim() && r.min === Number(b.min));
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td data-label="Grade">
+        <input type="text" value="${b.grade || ''}" data-index="${index}" data-prop="grade"
+               placeholder="e.g. A1" style="width:70px;">
+      </td>
+      <td data-label="From Score" style="text-align:center;">
+        <input type="number" min="0" max="100" step="1" value="${b.min}" data-index="${index}" data-prop="min"
+               style="width:80px;">
+      </td>
+      <td data-label="Range" style="text-align:center; color:#64748b; font-size:0.8125rem;">
+        ${range ? `${range.min}–${range.max}` : '—'}
+      </td>
+      <td data-label="Remark">
+        <input type="text" value="${b.remark || ''}" data-index="${index}" data-prop="remark"
+               placeholder="e.g. Excellent" style="width:100%; max-width:200px;">
+      </td>
+      <td style="text-align:center;">
+        <button type="button" class="btn-small btn-danger" onclick="removeGradingBand(${index})"
+                ${_scaleEditorState.bands.length <= 2 ? 'disabled' : ''}>✕</button>
+      </td>
+    `;
+    tbody.appendChild(tr);
+  });
+
+  tbody.querySelectorAll('[data-prop]').forEach(input => {
+    input.addEventListener('change', e => {
+      const band = _scaleEditorState.bands[parseInt(e.target.dataset.index)];
+      if (!band) return;
+      band[e.target.dataset.prop] = e.target.value;
+      _renderGradingBands();
+    });
+  });
+}
+
+function addGradingBand() {
+  _scaleEditorState.bands.push({ grade: '', min: '', remark: '' });
+  _renderGradingBands();
+}
+
+function removeGradingBand(index) {
+  if (_scaleEditorState.bands.length <= 2) return;
+  _scaleEditorState.bands.splice(index, 1);
+  _renderGradingBands();
+}
+
+async function saveGradingScale() {
+  const btn = document.getElementById('save-grading-scale-btn');
+  const scale = {
+    name: document.getElementById('grading-scale-name')?.value || '',
+    bands: _scaleEditorState.bands
+  };
+
+  const { valid, errors } = gradingScales.validate(scale);
+  if (!valid) {
+    window.showToast?.(`Cannot save scale:\n${errors.join('\n')}`, 'warning', 6000);
+    return;
+  }
+
+  if (btn) {
+    btn.disabled = true;
+    btn.innerHTML = '<span class="btn-loading">Saving...</span>';
+  }
+
+  try {
+    await gradingScales.saveScale(_scaleEditorState.section, scale);
+    window.showToast?.('✓ Grading scale saved. Report cards and portals will use it.', 'success');
+    await loadGradingScalesPanel();
+  } catch (error) {
+    console.error('Error saving grading scale:', error);
+    window.handleError?.(error, 'Failed to save grading scale');
+  } finally {
+    if (btn) {
+      btn.disabled = false;
+      btn.innerHTML = '💾 Save Scale';
+    }
+  }
+}
+
+async function resetGradingScale() {
+  const label = SCHOOL_SECTIONS[_scaleEditorState.section] || _scaleEditorState.section;
+  if (!confirm(`Restore the default grading scale for the ${label} section?`)) return;
+
+  try {
+    await gradingScales.saveScale(_scaleEditorState.section, null);
+    window.showToast?.('✓ Default grading scale restored', 'success');
+    await loadGradingScalesPanel();
+  } catch (error) {
+    console.error('Error restoring grading scale:', error);
+    window.handleError?.(error, 'Failed to restore grading scale');
+  }
+}
+
+window.loadGradingScalesPanel = loadGradingScalesPanel;
+window.onGradingScaleSectionChange = onGradingScaleSectionChange;
+window.addGradingBand = addGradingBand;
+window.removeGradingBand = removeGradingBand;
+window.saveGradingScale = saveGradingScale;
+window.resetGradingScale = resetGradingScale;
+
+console.log('✓ Grading scales module loaded');
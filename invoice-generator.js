@@ -0,0 +1,324 @@
+/**
+ * FAHMID NURSERY & PRIMARY SCHOOL
+ * Term Invoice PDF Generator
+ * Bills sent out before payment — one pupil or a whole class, one page per invoice
+ *
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @requires jsPDF, jspdf-autotable, finance.js
+ *
+ * Figures come from finance.issueInvoices(), which stores each invoice in
+ * invoices/{invoiceNo} so a printed bill can always be traced back.
+ */
+
+'use strict';
+
+/**
+ * ═══════════════════════════════════════════════════════════
+ * PDF RENDERING
+ * ═══════════════════════════════════════════════════════════
+ */
+function formatInvoiceAmount(amount) {
+  const value = Math.round(Number(amount) || 0);
+  return `${value < 0 ? '-' : ''}₦${Math.abs(value).toLocaleString()}`;
+}
+
+function formatInvoiceDate(value) {
+  if (!value) return '';
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return '';
+  return date.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+/**
+ * Draw one invoice on the current page of `doc`
+ */
+function renderInvoicePage(doc, invoice, bank) {
+  let yPos = 20;
+
+  // ─────────────────────────────────────────────────────────
+  // HEADER
+  // ─────────────────────────────────────────────────────────
+  doc.setFontSize(18);
+  doc.setFont('helvetica', 'bold');
+  doc.text('FAHMID NURSERY & PRIMARY SCHOOL', 105, yPos, { align: 'center' });
+
+  yPos += 10;
+  doc.setFontSize(14);
+  doc.text('TERM FEE INVOICE', 105, yPos, { align: 'center' });
+
+  yPos += 8;
+  doc.setFontSize(10);
+  doc.setFont('helvetica', 'normal');
+  doc.text(`Session: ${invoice.session} | Term: ${invoice.term}`, 105, yPos, { align: 'center' });
+
+  // ─────────────────────────────────────────────────────────
+  // BILL TO / INVOICE DETAILS
+  // ─────────────────────────────────────────────────────────
+  yPos += 14;
+  doc.setFont('helvetica', 'bold');
+  doc.text('BILL TO', 14, yPos);
+  doc.text('INVOICE', 130, yPos);
+
+  doc.setFont('helvetica', 'normal');
+  const billTo = [
+    invoice.pupilName,
+    invoice.admissionNo ? `Admission No: ${invoice.admissionNo}` : '',
+    `Class: ${invoice.className}`,
+    invoice.parentName ? `Parent/Guardian: ${invoice.parentName}` : ''
+  ].filter(Boolean);
+  const details = [
+    `Invoice No: ${invoice.invoiceNo}`,
+    `Date Issued: ${formatInvoiceDate(invoice.issuedAt)}`,
+    invoice.dueDate ? `Due Date: ${formatInvoiceDate(invoice.dueDate)}` : ''
+  ].filter(Boolean);
+
+  billTo.forEach((line, i) => doc.text(line, 14, yPos + 6 + i * 5));
+  details.forEach((line, i) => doc.text(line, 130, yPos + 6 + i * 5));
+  yPos += 8 + Math.max(billTo.length, details.length) * 5;
+
+  // ─────────────────────────────────────────────────────────
+  // ITEMS
+  // ─────────────────────────────────────────────────────────
+  const body = invoice.heads.length > 0
+    ? invoice.heads.map(row => [row.label, formatInvoiceAmount(row.amount)])
+    : [['School fees', formatInvoiceAmount(invoice.baseFee)]];
+
+  (invoice.adjustments || []).forEach(row => body.push([row.label, formatInvoiceAmount(row.amount)]));
+  (invoice.optionalFees || []).forEach(item => body.push([`${item.name} (optional)`, formatInvoiceAmount(item.amount)]));
+
+  doc.autoTable({
+    startY: yPos,
+    head: [['Description', 'Amount']],
+    body,
+    foot: [['Current Term Fee', formatInvoiceAmount(invoice.amountDue)]],
+    theme: 'grid',
+    headStyles: { fillColor: [0, 178, 255], fontStyle: 'bold' },
+    footStyles: { fillColor: [241, 245, 249], textColor: [15, 23, 42], fontStyle: 'bold' },
+    columnStyles: { 1: { halign: 'right', cellWidth: 45 } },
+    margin: { left: 14, right: 14 }
+  });
+
+  yPos = doc.lastAutoTable.finalY + 6;
+
+  // ─────────────────────────────────────────────────────────
+  // TOTALS
+  // ─────────────────────────────────────────────────────────
+  const totals = [
+    ['Current Term Fee', formatInvoiceAmount(invoice.amountDue)],
+    ['Arrears from Previous Terms', formatInvoiceAmount(invoice.arrears)],
+    ['Total Due', formatInvoiceAmount(invoice.totalDue)]
+  ];
+  if (invoice.totalPaid > 0) {
+    totals.push(['Less: Paid So Far', formatInvoiceAmount(-invoice.totalPaid)]);
+  }
+  totals.push(['AMOUNT PAYABLE', formatInvoiceAmount(Math.max(0, invoice.balance))]);
+
+  doc.autoTable({
+    startY: yPos,
+    body: totals,
+    theme: 'plain',
+    columnStyles: { 0: { halign: 'right' }, 1: { halign: 'right', cellWidth: 45 } },
+    didParseCell: (data) => {
+      if (data.row.index === totals.length - 1) {
+        data.cell.styles.fontStyle = 'bold';
+        data.cell.styles.fontSize = 12;
+      }
+    },
+    margin: { left: 80, right: 14 }
+  });
+
+  yPos = doc.lastAutoTable.finalY + 10;
+
+  // ─────────────────────────────────────────────────────────
+  // BANK DETAILS
+  // ─────────────────────────────────────────────────────────
+  const bankLines = [
+    bank.bankName ? `Bank: ${bank.bankName}` : '',
+    bank.accountName ? `Account Name: ${bank.accountName}` : '',
+    bank.accountNumber ? `Account Number: ${bank.accountNumber}` : ''
+  ].filter(Boolean);
+
+  if (bankLines.length > 0) {
+    const boxHeight = 12 + bankLines.length * 5 + (bank.note ? 6 : 0);
+    doc.setDrawColor(0, 178, 255);
+    doc.rect(14, yPos, 182, boxHeight);
+
+    doc.setFont('helvetica', 'bold');
+    doc.text('PAYMENT DETAILS', 18, yPos + 7);
+    doc.setFont('helvetica', 'normal');
+    bankLines.forEach((line, i) => doc.text(line, 18, yPos + 13 + i * 5));
+    if (bank.note) {
+      doc.setFontSize(9);
+      doc.text(bank.note, 18, yPos + 13 + bankLines.length * 5 + 1, { maxWidth: 174 });
+      doc.setFontSize(10);
+    }
+    yPos += boxHeight + 8;
+  }
+
+  doc.setFontSize(9);
+  doc.setTextColor(100);
+  doc.text(`Please quote invoice number ${invoice.invoiceNo} when paying. An official receipt is issued for every payment.`, 105, yPos, { align: 'center', maxWidth: 182 });
+  doc.text(`${invoice.invoiceNo} · ${invoice.pupilName}`, 105, 290, { align: 'center' });
+  doc.setTextColor(0);
+  doc.setFontSize(10);
+}
+
+function buildInvoicePDF(invoices, bank) {
+  const { jsPDF } = window.jspdf;
+  const doc = new jsPDF();
+
+  invoices.forEach((invoice, i) => {
+    if (i > 0) doc.addPage();
+    renderInvoicePage(doc, invoice, bank);
+  });
+
+  return doc;
+}
+
+/* ─────────────────────────────────────────────────────────────────
+   ADMIN — RECORD PAYMENT SECTION (Term Invoices)
+───────────────────────────────────────────────────────────────── */
+
+async function runInvoiceJob(buttonId, loadingText, getPupilIds, filename) {
+  const btn = document.getElementById(buttonId);
+  const originalHTML = btn?.innerHTML;
+  if (btn) {
+    btn.disabled = true;
+    btn.innerHTML = `<span class="btn-loading">${loadingText}</span>`;
+  }
+
+  try {
+    if (!window.jspdf?.jsPDF) throw new Error('PDF library not loaded. Please refresh the page.');
+
+    const settings = await window.getCurrentSettings();
+    const pupilIds = await getPupilIds();
+    const dueDate = document.getElementById('invoice-due-date')?.value || '';
+
+    const [{ invoices, skipped }, bank] = await Promise.all([
+      window.finance.issueInvoices(pupilIds, settings.session, settings.term, { dueDate }),
+      window.finance.getInvoiceSettings()
+    ]);
+
+    if (invoices.length === 0) {
+      const reason = skipped[0]?.reason ? ` (${skipped[0].reason})` : '';
+      window.showToast?.(`No invoice to generate${reason}`, 'warning', 6000);
+      return;
+    }
+
+    buildInvoicePDF(invoices, bank).save(filename(invoices, settings));
+
+    let message = `✓ ${invoices.length} invoice(s) generated`;
+    if (skipped.length > 0) {
+      message += `\n\n${skipped.length} pupil(s) skipped: ${skipped.map(s => s.pupilName || s.pupilId).join(', ')}`;
+    }
+    if (!bank.accountNumber) {
+      message += '\n\n⚠️ No bank details set — add them under Fee Management';
+    }
+    window.showToast?.(message, skipped.length > 0 || !bank.accountNumber ? 'warning' : 'success', 7000);
+
+  } catch (error) {
+    console.error('Error generating invoices:', error);
+    window.handleError?.(error, error.message || 'Failed to generate invoices');
+  } finally {
+    if (btn) {
+      btn.disabled = false;
+      btn.innerHTML = originalHTML;
+    }
+  }
+}
+
+async function generatePupilInvoice() {
+  const pupilSelect = document.getElementById('payment-pupil-select');
+  const pupilId = pupilSelect?.value;
+  if (!pupilId) {
+    window.showToast?.('Select a pupil first', 'warning');
+    return;
+  }
+
+  await runInvoiceJob(
+    'pupil-invoice-btn',
+    'Generating invoice...',
+    async () => [pupilId],
+    (invoices) => `Invoice_${invoices[0].invoiceNo}_${invoices[0].pupilName.replace(/\s+/g, '_')}.pdf`
+  );
+}
+
+async function generateClassInvoices() {
+  const classSelect = document.getElementById('payment-class-filter');
+  const classId = classSelect?.value;
+  if (!classId) {
+    window.showToast?.('Select a class first', 'warning');
+    return;
+  }
+  const className = classSelect.options[classSelect.selectedIndex]?.textContent || classId;
+
+  await runInvoiceJob(
+    'class-invoices-btn',
+    'Generating invoices...',
+    async () => {
+      const snapshot = await db.collection('pupils')
+        .where('class.id', '==', classId)
+        .orderBy('name')
+        .get();
+      return snapshot.docs.map(doc => doc.id);
+    },
+    (invoices, settings) => `Invoices_${className.replace(/\s+/g, '_')}_${settings.session.replace(/\//g, '-')}_${settings.term.replace(/\s+/g, '_')}.pdf`
+  );
+}
+
+/* ─────────────────────────────────────────────────────────────────
+   ADMIN — FEE MANAGEMENT SECTION (Invoice Bank Details)
+───────────────────────────────────────────────────────────────── */
+
+async function loadInvoiceSettings() {
+  try {
+    const bank = await window.finance.getInvoiceSettings(true);
+    const fields = {
+      'invoice-bank-name': bank.bankName,
+      'invoice-account-name': bank.accountName,
+      'invoice-account-number': bank.accountNumber,
+      'invoice-note': bank.note
+    };
+    Object.entries(fields).forEach(([id, value]) => {
+      const input = document.getElementById(id);
+      if (input) input.value = value;
+    });
+  } catch (error) {
+    console.error('Error loading invoice settings:', error);
+  }
+}
+
+async function saveInvoiceSettings() {
+  const btn = document.getElementById('save-invoice-settings-btn');
+  const originalHTML = btn?.innerHTML;
+  if (btn) {
+    btn.disabled = true;
+    btn.innerHTML = '<span class="btn-loading">Saving...</span>';
+  }
+
+  try {
+    await window.finance.saveInvoiceSettings({
+      bankName: document.getElementById('invoice-bank-name')?.value,
+      accountName: document.getElementById('invoice-account-name')?.value,
+      accountNumber: document.getElementById('invoice-account-number')?.value,
+      note: document.getElementById('invoice-note')?.value
+    });
+    window.showToast?.('✓ Invoice bank details saved', 'success');
+  } catch (error) {
+    console.error('Error saving invoice settings:', error);
+    window.handleError?.(error, error.message || 'Failed to save bank details');
+  } finally {
+    if (btn) {
+      btn.disabled = false;
+      btn.innerHTML = originalHTML;
+    }
+  }
+}
+
+window.generatePupilInvoice = generatePupilInvoice;
+window.generateClassInvoices = generateClassInvoices;
+window.loadInvoiceSettings = loadInvoiceSettings;
+window.saveInvoiceSettings = saveInvoiceSettings;
+
+console.log('✓ Invoice generator loaded');
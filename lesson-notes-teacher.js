@@ -649,7 +649,10 @@ async function lnSaveNote() {
     let finalTerm       = term;
     let finalWeek       = weekNumber;
 
-    if (_ln_currentDocId) {
+    // Offline: the note goes to the outbox (offline-outbox.js) and syncs on reconnect
+    const queueOffline  = !!window.offlineOutbox?.shouldQueue();
+
+    if (_ln_currentDocId && !queueOffline) {
       // Re-read from existing doc to be safe (fields were disabled)
       const existingDoc = await window.db.collection('lesson_notes').doc(_ln_currentDocId).get();
       if (existingDoc.exists) {
@@ -677,7 +680,7 @@ async function lnSaveNote() {
     };
 
     // --- Build the full document data ---
-    const now = firebase.firestore.FieldValue.serverTimestamp();
+    // (timestamps are added by _lnCommitNote so queued notes stay plain data)
 
     // For a new document, set all fields
     // For an edit, merge (preserves status, submission timestamps, etc.)
@@ -718,9 +721,6 @@ async function lnSaveNote() {
         version:         1,
         editHistory:     [],
 
-        // Timestamps
-        createdAt:       now,
-        updatedAt:       now,
         updatedBy:       window.currentUser.uid,
       };
     } else {
@@ -730,49 +730,29 @@ async function lnSaveNote() {
         ...contentValues,
         // Reset to draft if it was rejected (teacher is correcting it)
         status:          _ln_currentStatus === 'rejected' ? 'draft' : _ln_currentStatus,
-        updatedAt:       now,
         updatedBy:       window.currentUser.uid,
       };
     }
 
-    // --- Firestore write with versioning ---
-    const ref = window.db.collection('lesson_notes').doc(docId);
+    const isEdit = !!_ln_currentDocId;
 
-    if (!_ln_currentDocId) {
-      // New: simple set
-      await ref.set(docData);
+    if (queueOffline) {
+      await window.offlineOutbox.enqueue(
+        'lessonNote',
+        `Lesson note — ${subject}, ${finalTerm} week ${finalWeek || '?'}`,
+        { docId, docData, isEdit }
+      );
       _ln_currentDocId  = docId;
-      _ln_currentStatus = 'draft';
-    } else {
-      // Edit: increment version + cap editHistory array
-      // We fetch current version, then do a transaction-like update
-      const currentSnap = await ref.get();
-      const currentData = currentSnap.data() || {};
-      const newVersion  = (currentData.version || 1) + 1;
-
-      // Build new history (cap at LN_HISTORY_CAP)
-      let history = Array.isArray(currentData.editHistory) ? [...currentData.editHistory] : [];
-      history.push({
-        version:  currentData.version || 1,
-        editedBy: window.currentUser.uid,
-        topic:    currentData.topic       || '',
-        subject:  currentData.subject     || '',
-        development: currentData.development || ''
-        // Keep snapshot lean — just enough for admin to see what changed
-      });
-      if (history.length > LN_HISTORY_CAP) {
-        history = history.slice(history.length - LN_HISTORY_CAP);
-      }
-
-      await ref.set({
-        ...docData,
-        version:      newVersion,
-        editHistory:  history,
-      }, { merge: true });
-
       _ln_currentStatus = docData.status;
+      window.showToast?.('⏳ You are offline — lesson note saved on this device and will sync when you reconnect.', 'warning', 6000);
+      return;
     }
 
+    const ref = window.db.collection('lesson_notes').doc(docId);
+    await _lnCommitNote(docId, docData, isEdit);
+    _ln_currentDocId  = docId;
+    _ln_currentStatus = docData.status;
+
     window.showToast?.('✓ Lesson note saved as draft.', 'success');
 
     // Refresh the list (background, non-blocking)
@@ -801,6 +781,75 @@ async function lnSaveNote() {
   }
 }
 
+/**
+ * Firestore write with versioning — shared by lnSaveNote() and the outbox replay
+ * @param {string}  docId
+ * @param {Object}  docData - note fields without timestamps
+ * @param {boolean} isEdit  - merge into an existing note and bump its version
+ */
+async function _lnCommitNote(docId, docData, isEdit) {
+  const ref = window.db.collection('lesson_notes').doc(docId);
+  const now = firebase.firestore.FieldValue.serverTimestamp();
+
+  if (!isEdit) {
+    // New: simple set
+    await ref.set({ ...docData, createdAt: now, updatedAt: now });
+    return;
+  }
+
+  // Edit: increment version + cap editHistory array
+  // We fetch current version, then do a transaction-like update
+  const currentSnap = await ref.get();
+  const currentData = currentSnap.data() || {};
+  const newVersion  = (currentData.version || 1) + 1;
+
+  // Build new history (cap at LN_HISTORY_CAP)
+  let history = Array.isArray(currentData.editHistory) ? [...currentData.editHistory] : [];
+  history.push({
+    version:  currentData.version || 1,
+    editedBy: window.currentUser.uid,
+    topic:    currentData.topic       || '',
+    subject:  currentData.subject     || '',
+    development: currentData.development || ''
+    // Keep snapshot lean — just enough for admin to see what changed
+  });
+  if (history.length > LN_HISTORY_CAP) {
+    history = history.slice(history.length - LN_HISTORY_CAP);
+  }
+
+  await ref.set({
+    ...docData,
+    updatedAt:    now,
+    version:      newVersion,
+    editHistory:  history,
+  }, { merge: true });
+}
+
+/**
+ * Outbox replay — a conflict when the note was submitted/reviewed or edited
+ * by someone else after it was saved offline
+ */
+async function _lnReplayQueuedNote(payload, entry) {
+  const { docId, docData } = payload;
+  const ref = window.db.collection('lesson_notes').doc(docId);
+  const snap = await ref.get({ source: 'server' });
+
+  if (!entry.force && snap.exists) {
+    const serverStatus = snap.data().status;
+    if (serverStatus === 'pending' || serverStatus === 'approved') {
+      return { conflict: `This note is now ${serverStatus === 'pending' ? 'awaiting approval' : 'approved'}` };
+    }
+    const conflict = await window.offlineOutbox.findConflict(ref, entry);
+    if (conflict) return { conflict };
+  }
+
+  // A note created offline may already exist by now (saved twice) — merge into it
+  await _lnCommitNote(docId, docData, payload.isEdit || snap.exists);
+  return {};
+}
+
+window.offlineOutbox?.registerHandler('lessonNote', _lnReplayQueuedNote);
+
 /* ============================================================
    SUBMIT FOR APPROVAL
    Can be called from the note card (list view) OR in-form.
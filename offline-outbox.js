@@ -0,0 +1,397 @@
+/**
+ * FAHMID NURSERY & PRIMARY SCHOOL
+ * Offline Outbox — offline-outbox.js
+ * Queue teacher writes while offline and replay them when the device reconnects
+ *
+ * @version 1.0.0
+ * @date 2026-03-12
+ *
+ * INDEXEDDB — database "fahmid-offline", store "outbox" (keyPath id, autoIncrement)
+ * {
+ *   id, type,            // 'attendance' | 'results' | 'lessonNote'
+ *   label,               // shown in the pending-sync panel
+ *   payload,             // plain data the type's replay handler needs
+ *   uid,                 // teacher who made the change — only replayed for them
+ *   queuedAt,            // ms, used to detect newer server data
+ *   status,              // 'pending' | 'conflict' | 'failed'
+ *   attempts, error, conflict
+ * }
+ *
+ * Replay: each module registers a handler with registerHandler(type, fn).
+ * fn(payload, entry) writes to Firestore and returns { conflict: message } when the
+ * server copy changed after the entry was queued (nothing is written in that case).
+ * Conflicts stay in the outbox until the teacher overwrites or discards them.
+ *
+ * Triggers: the browser "online" event, page load, and Background Sync — sw.js
+ * handles the "sync-data" tag by asking an open portal page to call flush(),
+ * because Firestore writes need the signed-in client SDK.
+ *
+ * @requires firebase-init.js (auth)
+ */
+
+'use strict';
+
+const OUTBOX_DB_NAME = 'fahmid-offline';
+const OUTBOX_DB_VERSION = 1;
+const OUTBOX_STORE = 'outbox';
+const OUTBOX_SYNC_TAG = 'sync-data';
+
+function openOutboxDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const idb = request.result;
+      if (!idb.objectStoreNames.contains(OUTBOX_STORE)) {
+        idb.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run one request against the outbox store and resolve with its result
+ */
+async function outboxRequest(mode, makeRequest) {
+  const idb = await openOutboxDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = idb.transaction(OUTBOX_STORE, mode);
+      const request = makeRequest(tx.objectStore(OUTBOX_STORE));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } finally {
+    idb.close();
+  }
+}
+
+const offlineOutbox = {
+  _handlers: {},
+  _flushing: false,
+
+  registerHandler(type, handler) {
+    this._handlers[type] = handler;
+  },
+
+  /**
+   * Whether a write should go to the outbox instead of Firestore.
+   * Firestore's own offline cache never resolves a write until the server
+   * acknowledges it, so saving while offline would leave the UI spinning.
+   */
+  shouldQueue() {
+    return typeof indexedDB !== 'undefined' && navigator.onLine === false;
+  },
+
+  isNetworkError(error) {
+    return navigator.onLine === false ||
+      error?.code === 'unavailable' ||
+      /network|offline/i.test(error?.message || '');
+  },
+
+  async getEntries() {
+    const entries = await outboxRequest('readonly', store => store.getAll());
+    return (entries || []).sort((a, b) => a.queuedAt - b.queuedAt);
+  },
+
+  /**
+   * Queue a write for later replay
+   * @param {string} type - registered handler type
+   * @param {string} label - human-readable description
+   * @param {object} payload - structured-cloneable data (no FieldValue sentinels)
+   */
+  async enqueue(type, label, payload) {
+    const uid = auth.currentUser?.uid;
+    if (!uid) throw new Error('Not signed in');
+
+    await outboxRequest('readwrite', store => store.add({
+      type,
+      label,
+      payload,
+      uid,
+      queuedAt: Date.now(),
+      status: 'pending',
+      attempts: 0,
+      error: null,
+      conflict: null
+    }));
+
+    this.requestBackgroundSync();
+    this.refreshIndicator();
+  },
+
+  requestBackgroundSync() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.ready
+      .then(reg => reg.sync?.register(OUTBOX_SYNC_TAG))
+      .catch(err => console.warn('Background sync unavailable:', err));
+  },
+
+  /**
+   * Did someone else change the server copy after the entry was queued?
+   * The teacher's own later writes (e.g. two queued saves of one note) are not conflicts.
+   * @param {firebase.firestore.DocumentReference} ref
+   * @returns {Promise<string|null>} conflict message, or null
+   */
+  async findConflict(ref, entry) {
+    const snap = await ref.get({ source: 'server' });
+    if (!snap.exists) return null;
+
+    const data = snap.data();
+    const updatedAt = data.updatedAt?.toMillis?.() || 0;
+    const updatedBy = data.updatedBy || data.teacherId;
+    if (updatedAt > entry.queuedAt && updatedBy !== entry.uid) {
+      return `Changed on the server by another user at ${new Date(updatedAt).toLocaleString('en-GB')}, after this offline change`;
+    }
+    return null;
+  },
+
+  /**
+   * Replay one entry
+   * @returns {Promise<'synced'|'conflict'|'failed'|'offline'|'skipped'>}
+   */
+  async _replay(entry, force = false) {
+    const handler = this._handlers[entry.type];
+    if (!handler) return 'skipped';
+
+    try {
+      const result = await handler(entry.payload, { ...entry, force });
+
+      if (result?.conflict) {
+        await outboxRequest('readwrite', store => store.put({ ...entry, status: 'conflict', conflict: result.conflict }));
+        return 'conflict';
+      }
+
+      await outboxRequest('readwrite', store => store.delete(entry.id));
+      return 'synced';
+
+    } catch (error) {
+      if (this.isNetworkError(error)) return 'offline';
+
+      console.error(`Outbox replay failed (${entry.type} #${entry.id}):`, error);
+      await outboxRequest('readwrite', store => store.put({
+        ...entry,
+        status: 'failed',
+        attempts: (entry.attempts || 0) + 1,
+        error: error.message || 'Unknown error'
+      }));
+      return 'failed';
+    }
+  },
+
+  /**
+   * Replay every pending/failed entry of the signed-in teacher
+   * @returns {Promise<number>} entries still waiting (conflicts excluded)
+   */
+  async flush() {
+    const uid = auth.currentUser?.uid;
+    if (this._flushing || !uid || navigator.onLine === false) {
+      await this.refreshIndicator();
+      return this.countPending();
+    }
+
+    this._flushing = true;
+    const counts = { synced: 0, conflict: 0, failed: 0 };
+
+    try {
+      const entries = (await this.getEntries())
+        .filter(e => e.uid === uid && e.status !== 'conflict');
+
+      for (const entry of entries) {
+        const outcome = await this._replay(entry);
+        if (outcome === 'offline') break;
+        if (counts[outcome] !== undefined) counts[outcome]++;
+      }
+    } catch (error) {
+      console.error('Outbox flush error:', error);
+    } finally {
+      this._flushing = false;
+    }
+
+    if (counts.synced > 0) {
+      window.showToast?.(`✓ ${counts.synced} offline change(s) synced`, 'success', 4000);
+    }
+    if (counts.conflict > 0) {
+      window.showToast?.(
+        `⚠️ ${counts.conflict} offline change(s) conflict with newer data on the server.\nOpen the sync panel to review them.`,
+        'warning',
+        8000
+      );
+    }
+    if (counts.failed > 0) {
+      window.showToast?.(`${counts.failed} offline change(s) could not be saved — see the sync panel`, 'danger', 6000);
+    }
+
+    await this.refreshIndicator();
+    return this.countPending();
+  },
+
+  async countPending() {
+    const uid = auth.currentUser?.uid;
+    const entries = await this.getEntries().catch(() => []);
+    return entries.filter(e => e.uid === uid && e.status !== 'conflict').length;
+  },
+
+  /**
+   * Apply a conflicting entry anyway, replacing the newer server data
+   */
+  async overwrite(id) {
+    const entry = (await this.getEntries()).find(e => e.id === id);
+    if (!entry) return;
+
+    const outcome = await this._replay(entry, true);
+    if (outcome === 'synced') {
+      window.showToast?.(`✓ Saved: ${entry.label}`, 'success');
+    } else if (outcome === 'offline') {
+      window.showToast?.('Still offline — try again once connected', 'warning');
+    }
+    await this.refreshIndicator();
+  },
+
+  async discard(id) {
+    await outboxRequest('readwrite', store => store.delete(id));
+    await this.refreshIndicator();
+  },
+
+  /* ── Pending-sync indicator ─────────────────────────────────── */
+
+  async refreshIndicator() {
+    const uid = auth.currentUser?.uid;
+    const entries = uid
+      ? (await this.getEntries().catch(() => [])).filter(e => e.uid === uid)
+      : [];
+
+    let indicator = document.getElementById('sync-indicator');
+    if (entries.length === 0 && navigator.onLine !== false) {
+      indicator?.remove();
+      document.getElementById('sync-panel')?.remove();
+      return;
+    }
+
+    if (!indicator) {
+      indicator = document.createElement('button');
+      indicator.id = 'sync-indicator';
+      indicator.type = 'button';
+      indicator.className = 'sync-indicator';
+      indicator.onclick = () => toggleSyncPanel();
+      document.body.appendChild(indicator);
+    }
+
+    const conflicts = entries.filter(e => e.status === 'conflict').length;
+    const failed = entries.filter(e => e.status === 'failed').length;
+    const pending = entries.length - conflicts;
+
+    const parts = [];
+    if (navigator.onLine === false) parts.push('Offline');
+    if (pending > 0) parts.push(`${pending} pending sync`);
+    if (conflicts > 0) parts.push(`${conflicts} conflict${conflicts > 1 ? 's' : ''}`);
+
+    indicator.textContent = `${conflicts > 0 || failed > 0 ? '⚠️' : '⏳'} ${parts.join(' · ')}`;
+    indicator.classList.toggle('sync-indicator--alert', conflicts > 0 || failed > 0);
+
+    if (document.getElementById('sync-panel')) {
+      renderSyncPanel(entries);
+    }
+  }
+};
+
+window.offlineOutbox = offlineOutbox;
+
+/* ─────────────────────────────────────────────────────────────────
+   SYNC PANEL
+───────────────────────────────────────────────────────────────── */
+
+async function toggleSyncPanel() {
+  const existing = document.getElementById('sync-panel');
+  if (existing) {
+    existing.remove();
+    return;
+  }
+
+  const panel = document.createElement('div');
+  panel.id = 'sync-panel';
+  panel.className = 'sync-panel';
+  document.body.appendChild(panel);
+
+  const uid = auth.currentUser?.uid;
+  renderSyncPanel((await offlineOutbox.getEntries()).filter(e => e.uid === uid));
+}
+
+function renderSyncPanel(entries) {
+  const panel = document.getElementById('sync-panel');
+  if (!panel) return;
+
+  const statusText = entry => {
+    if (entry.status === 'conflict') return `<span class="sync-entry__conflict">Conflict: ${entry.conflict}</span>`;
+    if (entry.status === 'failed') return `<span class="sync-entry__conflict">Failed: ${entry.error}</span>`;
+    return 'Waiting for connection';
+  };
+
+  const actions = entry => entry.status === 'conflict'
+    ? `<button class="btn btn-small tp-btn-ghost" onclick="overwriteOutboxEntry(${entry.id})">Keep mine</button>
+       <button class="btn btn-small btn-danger" onclick="discardOutboxEntry(${entry.id})">Use server copy</button>`
+    : `<button class="btn btn-small btn-danger" onclick="discardOutboxEntry(${entry.id})">Discard</button>`;
+
+  panel.innerHTML = `
+    <div class="sync-panel__header">
+      <strong>Offline changes</strong>
+      <button class="btn btn-small tp-btn-ghost" onclick="syncOutboxNow()" ${navigator.onLine === false ? 'disabled' : ''}>Sync now</button>
+    </div>
+    ${entries.length === 0
+      ? '<p class="sync-panel__empty">Nothing waiting to sync.</p>'
+      : entries.map(entry => `
+        <div class="sync-entry">
+          <div class="sync-entry__label">${entry.label}</div>
+          <div class="sync-entry__meta">
+            Saved offline ${new Date(entry.queuedAt).toLocaleString('en-GB')} · ${statusText(entry)}
+          </div>
+          <div class="sync-entry__actions">${actions(entry)}</div>
+        </div>
+      `).join('')}
+  `;
+}
+
+async function syncOutboxNow() {
+  await offlineOutbox.flush();
+}
+
+async function overwriteOutboxEntry(id) {
+  if (!confirm('Replace the newer server data with your offline change?')) return;
+  await offlineOutbox.overwrite(id);
+}
+
+async function discardOutboxEntry(id) {
+  if (!confirm('Discard this offline change? It will not be saved.')) return;
+  await offlineOutbox.discard(id);
+}
+
+window.toggleSyncPanel = toggleSyncPanel;
+window.syncOutboxNow = syncOutboxNow;
+window.overwriteOutboxEntry = overwriteOutboxEntry;
+window.discardOutboxEntry = discardOutboxEntry;
+
+/* ─────────────────────────────────────────────────────────────────
+   TRIGGERS
+───────────────────────────────────────────────────────────────── */
+
+window.addEventListener('online', () => offlineOutbox.flush());
+window.addEventListener('offline', () => offlineOutbox.refreshIndicator());
+
+auth.onAuthStateChanged(user => {
+  if (user) offlineOutbox.flush();
+});
+
+// Background Sync fired in sw.js — replay here and report what is left for this teacher
+if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.addEventListener('message', event => {
+    if (event.data?.type !== 'SYNC_OUTBOX') return;
+    const uid = auth.currentUser?.uid || null;
+    offlineOutbox.flush()
+      .then(remaining => event.ports[0]?.postMessage({ remaining, uid }))
+      .catch(() => event.ports[0]?.postMessage({ remaining: -1, uid }));
+  });
+}
+
+console.log('✓ Offline outbox module loaded');
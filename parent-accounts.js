@@ -0,0 +1,231 @@
+/**
+ * FAHMID NURSERY & PRIMARY SCHOOL
+ * Parent Accounts Module
+ * Parent logins linked to one or more children, plus the admin Parents section
+ *
+ * @version 1.0.0
+ * @date 2026-10-19
+ *
+ * FIRESTORE SCHEMA — users/{uid}
+ * { email, role: 'parent', name, contact, createdAt }
+ *
+ * No link table: a parent's children are the pupils whose `parentEmail`
+ * matches the parent's login email (case-insensitive). Editing a pupil's
+ * parent email in the Pupils form moves the child to that parent.
+ *
+ * The pupil portal (pupil.html) serves both roles; parents get a child switcher
+ * and a combined family fee summary.
+ */
+
+'use strict';
+
+const parentAccounts = {
+  normaliseEmail(email) {
+    return String(email || '').trim().toLowerCase();
+  },
+
+  /**
+   * Pupils linked to a parent email, sorted by name
+   * @returns {Promise<Array<object>>} pupil data with `id`
+   */
+  async getChildren(email) {
+    const normalised = this.normaliseEmail(email);
+    if (!normalised) return [];
+
+    // parentEmail is stored as typed — query the exact and lower-case forms
+    const variants = [...new Set([String(email).trim(), normalised])];
+    const snaps = await Promise.all(variants.map(value =>
+      db.collection('pupils').where('parentEmail', '==', value).get()
+    ));
+
+    const children = {};
+    snaps.forEach(snap => snap.forEach(doc => {
+      children[doc.id] = { id: doc.id, ...doc.data() };
+    }));
+
+    return Object.values(children).sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+  },
+
+  /**
+   * Whether a pupil record belongs to the given parent email
+   */
+  isParentOf(email, pupilData) {
+    const normalised = this.normaliseEmail(email);
+    return !!normalised && this.normaliseEmail(pupilData?.parentEmail) === normalised;
+  }
+};
+
+window.parentAccounts = parentAccounts;
+
+/* ─────────────────────────────────────────────────────────────────
+   ADMIN — PARENTS SECTION
+   Rendered into #parents-table on the Parents page
+───────────────────────────────────────────────────────────────── */
+
+async function loadParents() {
+  const tbody = document.getElementById('parents-table');
+  if (!tbody) return;
+
+  tbody.innerHTML = '<tr><td colspan="5" class="table-loading">Loading parents...</td></tr>';
+
+  try {
+    const [parentsSnap, pupilsSnap] = await Promise.all([
+      db.collection('users').where('role', '==', 'parent').get(),
+      db.collection('pupils').get()
+    ]);
+
+    const childrenByEmail = {};
+    pupilsSnap.forEach(doc => {
+      const key = parentAccounts.normaliseEmail(doc.data().parentEmail);
+      if (!key) return;
+      if (!childrenByEmail[key]) childrenByEmail[key] = [];
+      childrenByEmail[key].push(doc.data().name || 'Unnamed pupil');
+    });
+
+    if (parentsSnap.empty) {
+      tbody.innerHTML = '<tr><td colspan="5" style="text-align:center; color:var(--color-gray-600);">No parent accounts yet. Add one above.</td></tr>';
+      return;
+    }
+
+    const parents = parentsSnap.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => (a.name || a.email).localeCompare(b.name || b.email));
+
+    tbody.innerHTML = parents.map(parent => {
+      const children = childrenByEmail[parentAccounts.normaliseEmail(parent.email)] || [];
+      return `
+        <tr>
+          <td data-label="Name">${parent.name || '-'}</td>
+          <td data-label="Email">${parent.email}</td>
+          <td data-label="Contact">${parent.contact || '-'}</td>
+          <td data-label="Children">
+            ${children.length > 0
+              ? children.sort().join(', ')
+              : '<span style="color:var(--color-warning);">⚠️ No pupil has this parent email</span>'}
+          </td>
+          <td data-label="Actions">
+            <button class="btn-small btn-danger" onclick="deleteItem('users', '${parent.id}')">Delete</button>
+          </td>
+        </tr>
+      `;
+    }).join('');
+
+  } catch (error) {
+    console.error('Error loading parents:', error);
+    window.showToast?.('Failed to load parent accounts. Check connection and try again.', 'danger');
+    tbody.innerHTML = '<tr><td colspan="5" style="text-align:center; color:var(--color-danger);">Error loading parents - please refresh</td></tr>';
+  }
+}
+
+function showParentForm() {
+  const form = document.getElementById('parent-form');
+  if (!form) return;
+  form.style.display = 'block';
+  document.getElementById('parent-name')?.focus();
+}
+
+function cancelParentForm() {
+  document.getElementById('add-parent-form')?.reset();
+  const form = document.getElementById('parent-form');
+  if (form) form.style.display = 'none';
+  const preview = document.getElementById('parent-children-preview');
+  if (preview) preview.innerHTML = '';
+}
+
+/**
+ * Show which pupils the typed email will link to before the account is created
+ */
+async function previewParentChildren() {
+  const preview = document.getElementById('parent-children-preview');
+  const email = document.getElementById('parent-email')?.value.trim();
+  if (!preview) return;
+
+  if (!email) {
+    preview.innerHTML = '';
+    return;
+  }
+
+  try {
+    const children = await parentAccounts.getChildren(email);
+    preview.innerHTML = children.length > 0
+      ? `<div class="alert alert-info">Will be linked to: <strong>${children.map(c => c.name).join(', ')}</strong></div>`
+      : `<div class="alert alert-warning">⚠️ No pupil has <strong>${email}</strong> as parent email. Set it on each child's record in Pupils.</div>`;
+  } catch (error) {
+    console.error('Error previewing parent children:', error);
+    preview.innerHTML = '';
+  }
+}
+
+async function saveParentAccount(event) {
+  event?.preventDefault();
+
+  const name = document.getElementById('parent-name')?.value.trim();
+  const email = document.getElementById('parent-email')?.value.trim();
+  const contact = document.getElementById('parent-contact')?.value.trim();
+  const password = document.getElementById('parent-password')?.value;
+
+  if (!name || !email || !password) {
+    window.showToast?.('All required fields must be filled', 'warning');
+    return;
+  }
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    window.showToast?.('Please enter a valid email address', 'warning');
+    return;
+  }
+
+  const submitBtn = document.querySelector('#add-parent-form button[type="submit"]');
+  const originalHTML = submitBtn?.innerHTML;
+  if (submitBtn) {
+    submitBtn.disabled = true;
+    submitBtn.innerHTML = '<span class="btn-loading">Creating parent...</span>';
+  }
+
+  try {
+    const existingUsers = await db.collection('users').where('email', '==', email).get();
+    if (!existingUsers.empty) {
+      throw new Error('This email is already registered');
+    }
+
+    if (typeof window.createSecondaryUser !== 'function') {
+      throw new Error('User creation system not ready. Please refresh the page and try again.');
+    }
+
+    const uid = await window.createSecondaryUser(email, password);
+    if (!uid) throw new Error('User creation returned no UID');
+
+    await db.collection('users').doc(uid).set({
+      email,
+      role: 'parent',
+      name,
+      contact: contact || '',
+      createdAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+
+    const children = await parentAccounts.getChildren(email);
+    window.showToast?.(
+      `✓ Parent "${name}" added — linked to ${children.length} child(ren)\n\nPassword reset email sent to ${email}`,
+      'success',
+      6000
+    );
+
+    cancelParentForm();
+    await loadParents();
+
+  } catch (error) {
+    console.error('Error creating parent account:', error);
+    window.handleError?.(error, error.message || 'Failed to create parent account');
+  } finally {
+    if (submitBtn) {
+      submitBtn.disabled = false;
+      submitBtn.innerHTML = originalHTML;
+    }
+  }
+}
+
+window.loadParents = loadParents;
+window.showParentForm = showParentForm;
+window.cancelParentForm = cancelParentForm;
+window.previewParentChildren = previewParentChildren;
+window.saveParentAccount = saveParentAccount;
+
+console.log('✓ Parent accounts module loaded');
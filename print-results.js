@@ -15,6 +15,8 @@
 
 let currentPupilId = null;
 let pupilProfile = null;
+let currentGradingScale = null;
+let currentClassId = null;
 
 let currentSettings = {
     term: 'First Term',
@@ -24,12 +26,35 @@ let currentSettings = {
 
 let isInitialized = false;
 
+// 'term' = single-term report, 'cumulative' = all three terms + annual average
+let reportMode = 'term';
+
+// Set when print-results.html?classId=… prints every report card of a class
+let batchClassId = null;
+
+// What the loaders found for the pupil currently rendered (used to flag gaps in batch mode)
+let reportDataStatus = {};
+
 function getSessionFromUrl() {
     const params = new URLSearchParams(window.location.search);
     const s = params.get('session');
     return (s && s !== 'current') ? s : null;
 }
 
+function getBatchClassFromUrl() {
+    return new URLSearchParams(window.location.search).get('classId') || null;
+}
+
+function getTermFromUrl() {
+    const t = new URLSearchParams(window.location.search).get('term');
+    return ['First Term', 'Second Term', 'Third Term'].includes(t) ? t : null;
+}
+
+function getModeFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    return params.get('mode') === 'cumulative' ? 'cumulative' : 'term';
+}
+
 /* ===============================
    DUAL-ROLE AUTH & INITIALIZATION
 ================================ */
@@ -49,7 +74,15 @@ function initPrintResultsWrapper() {
             }
 
             const userRole = userDoc.data().role;
-            if (userRole !== 'admin' && userRole !== 'pupil') {
+            batchClassId = getBatchClassFromUrl();
+
+            // Class teachers may only use the whole-class print for their own class
+            if (batchClassId && (userRole === 'admin' || userRole === 'teacher')) {
+                await initClassBatch(user, userRole);
+                return;
+            }
+
+            if (!['admin', 'pupil', 'parent'].includes(userRole)) {
                 window.location.href = 'index.html';
                 return;
             }
@@ -57,7 +90,18 @@ function initPrintResultsWrapper() {
             const isAdmin = userRole === 'admin';
             const urlParams = new URLSearchParams(window.location.search);
             const urlPupilId = urlParams.get('pupilId');
-            currentPupilId = isAdmin ? urlPupilId || null : user.uid;
+            currentPupilId = (isAdmin || userRole === 'parent') ? urlPupilId || null : user.uid;
+
+            // Parents may only print their own children's reports
+            if (userRole === 'parent') {
+                const pupilDoc = currentPupilId
+                    ? await db.collection('pupils').doc(currentPupilId).get()
+                    : null;
+                if (!pupilDoc?.exists || !window.parentAccounts.isParentOf(user.email, pupilDoc.data())) {
+                    window.location.href = 'pupil.html';
+                    return;
+                }
+            }
 
             if (isAdmin && !currentPupilId) {
                 document.body.innerHTML = `
@@ -114,8 +158,11 @@ function initPrintResultsWrapper() {
             const sessionOverride = getSessionFromUrl();
             if (sessionOverride) currentSettings.session = sessionOverride;
 
+            reportMode = getModeFromUrl();
+
             await fetchPupilProfile(currentPupilId);
             setupTermSelector();
+            setupModeSelector();
             updateReportHeader();
             isInitialized = true;
             await loadReportData();
@@ -130,6 +177,143 @@ function initPrintResultsWrapper() {
 // Call this wrapper once
 initPrintResultsWrapper();
 
+/* ===============================
+   WHOLE-CLASS PRINT (BATCH)
+   print-results.html?classId=…&term=…&session=…
+   Renders one report card per pupil into a single print job,
+   reusing the same loaders as the single-pupil report.
+================================ */
+
+async function initClassBatch(user, userRole) {
+    const classDoc = await db.collection('classes').doc(batchClassId).get();
+
+    if (!classDoc.exists || (userRole === 'teacher' && classDoc.data().teacherId !== user.uid)) {
+        window.location.href = userRole === 'teacher' ? 'teacher.html' : 'admin.html';
+        return;
+    }
+
+    const backLink = document.querySelector('.ctrl a.btn-ghost');
+    if (backLink) {
+        backLink.href = userRole === 'teacher' ? 'teacher.html' : 'admin.html';
+        backLink.textContent = userRole === 'teacher' ? '← Back to Teacher Portal' : '← Back to Admin';
+    }
+
+    await fetchSchoolSettings();
+
+    const sessionOverride = getSessionFromUrl();
+    if (sessionOverride) currentSettings.session = sessionOverride;
+    const termOverride = getTermFromUrl();
+    if (termOverride) currentSettings.term = termOverride;
+    reportMode = getModeFromUrl();
+
+    setupTermSelector();
+    setupModeSelector();
+    isInitialized = true;
+
+    await generateClassReportCards();
+}
+
+async function generateClassReportCards() {
+    const template = document.querySelector('.doc[data-template]') || document.querySelector('.doc');
+    if (!template) return;
+    template.dataset.template = 'true';
+    template.style.display = '';
+
+    let container = document.getElementById('batch-reports');
+    if (!container) {
+        container = document.createElement('div');
+        container.id = 'batch-reports';
+        template.after(container);
+    }
+    container.innerHTML = '';
+
+    let summary = document.getElementById('batch-summary');
+    if (!summary) {
+        summary = document.createElement('div');
+        summary.id = 'batch-summary';
+        summary.className = 'batch-summary no-print';
+        template.before(summary);
+    }
+
+    const pupilsSnap = await db.collection('pupils')
+        .where('class.id', '==', batchClassId)
+        .get();
+
+    const pupils = pupilsSnap.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(p => p.status !== 'alumni' && p.isActive !== false)
+        .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+    const skipped = [];
+    const flagged = [];
+    let printed = 0;
+
+    for (let i = 0; i < pupils.length; i++) {
+        const pupil = pupils[i];
+        summary.innerHTML = `⏳ Preparing report cards… ${i + 1} of ${pupils.length} (${pupil.name || 'Unnamed pupil'})`;
+
+        try {
+            await fetchPupilProfile(pupil.id);
+            updateReportHeader();
+            await loadReportData();
+        } catch (error) {
+            console.error(`Error preparing report card for ${pupil.id}:`, error);
+            skipped.push(`${pupil.name || pupil.id} (failed to load)`);
+            continue;
+        }
+
+        // Only approved results are loaded, so no results means nothing approved yet
+        if (!reportDataStatus.results) {
+            skipped.push(pupil.name || pupil.id);
+            continue;
+        }
+
+        const missing = [
+            ['attendance', 'attendance'],
+            ['behavioral_traits', 'behavioural traits'],
+            ['psychomotor_skills', 'psychomotor skills'],
+            ['remarks', 'remarks']
+        ].filter(([key]) => !reportDataStatus[key]).map(([, label]) => label);
+
+        if (missing.length > 0) {
+            flagged.push({ name: pupil.name || pupil.id, missing });
+        }
+
+        const card = template.cloneNode(true);
+        card.removeAttribute('data-template');
+        card.classList.add('doc--batch');
+        card.querySelectorAll('[id]').forEach(el => el.removeAttribute('id'));
+        container.appendChild(card);
+        printed++;
+    }
+
+    template.style.display = 'none';
+
+    const termLabel = reportMode === 'cumulative' ? 'Cumulative' : currentSettings.term;
+    summary.innerHTML = `
+        <strong>✓ ${printed} report card${printed !== 1 ? 's' : ''} ready</strong>
+        — ${termLabel}, ${currentSettings.session} session. Use “Print Report Card” to print or save all as one PDF.
+        ${skipped.length > 0 ? `
+            <div class="batch-summary__row">
+                <strong>Skipped — no approved results (${skipped.length}):</strong> ${skipped.join(', ')}
+            </div>` : ''}
+        ${flagged.length > 0 ? `
+            <div class="batch-summary__row">
+                <strong>Printed with missing data (${flagged.length}):</strong>
+                <ul>${flagged.map(f => `<li>${f.name} — ${f.missing.join(', ')}</li>`).join('')}</ul>
+            </div>` : ''}
+    `;
+
+    if (printed === 0) {
+        container.innerHTML = `
+            <div class="doc" style="padding:2rem; text-align:center;">
+                No report cards to print — no pupil in this class has approved results for ${termLabel}, ${currentSettings.session}.
+            </div>`;
+    }
+
+    console.log(`✓ Class report cards: ${printed} printed, ${skipped.length} skipped, ${flagged.length} flagged`);
+}
+
 /* ===============================
    FETCH SCHOOL SETTINGS
 ================================ */
@@ -197,6 +381,10 @@ async function fetchPupilProfile(uid) {
 
         setText('student-class', className);
 
+        currentClassId = classId;
+        currentGradingScale = await window.gradingScales.getScaleForClass(classId);
+        renderGradingKey(currentGradingScale);
+
         let teacherName = '-';
         let subjectsList = '-';
 
@@ -250,6 +438,10 @@ function setupTermSelector() {
         currentSettings.term = e.target.value;
         setText('current-term', currentSettings.term);
         updateReportHeader();
+        if (batchClassId) {
+            await generateClassReportCards();
+            return;
+        }
         await loadReportData();
     });
 
@@ -258,12 +450,35 @@ function setupTermSelector() {
     }
 }
 
+function setupModeSelector() {
+    const select = document.getElementById('print-mode');
+    if (!select) return;
+
+    // Replace the node so a repeated auth callback never stacks listeners
+    const newSelect = select.cloneNode(true);
+    newSelect.value = reportMode;
+    select.parentNode.replaceChild(newSelect, select);
+
+    newSelect.addEventListener('change', async e => {
+        reportMode = e.target.value === 'cumulative' ? 'cumulative' : 'term';
+        updateReportHeader();
+        if (batchClassId) {
+            await generateClassReportCards();
+            return;
+        }
+        await loadAcademicResults();
+    });
+}
+
 /* ===============================
    UPDATE HEADER FIELDS
 ================================ */
 
 function updateReportHeader() {
-    setText('report-title', `${currentSettings.term} Report Card - ${currentSettings.session} Session`);
+    const title = reportMode === 'cumulative'
+        ? `Cumulative Report Card - ${currentSettings.session} Session`
+        : `${currentSettings.term} Report Card - ${currentSettings.session} Session`;
+    setText('report-title', title);
     setText('current-session', currentSettings.session || '-');
 
     const urlSession = getSessionFromUrl();
@@ -282,6 +497,7 @@ function updateReportHeader() {
 
 async function loadReportData() {
     resetTraitsAndRemarks();
+    reportDataStatus = {};
 
     try {
         await Promise.all([
@@ -322,6 +538,11 @@ async function loadAcademicResults() {
 
     tbody.innerHTML = loadingRow();
 
+    if (reportMode === 'cumulative') {
+        await loadCumulativeResults(tbody);
+        return;
+    }
+
     try {
         const resultsSnap = await db.collection('results')
             .where('pupilId', '==', currentPupilId)
@@ -334,11 +555,7 @@ async function loadAcademicResults() {
         if (!resultsSnap.empty) {
             resultsSnap.forEach(doc => {
                 const data = doc.data();
-                results.push({
-                    subject: data.subject || 'Unknown Subject',
-                    caScore: typeof data.caScore === 'number' ? data.caScore : 0,
-                    examScore: typeof data.examScore === 'number' ? data.examScore : 0
-                });
+                results.push(toReportResult(data));
             });
         } else {
             const allResultsSnap = await db.collection('results')
@@ -350,21 +567,24 @@ async function loadAcademicResults() {
                 const matchesTerm = data.term === currentSettings.term;
                 const matchesSession = data.session === currentSettings.session;
                 if (isApproved && matchesTerm && matchesSession) {
-                    results.push({
-                        subject: data.subject || 'Unknown Subject',
-                        caScore: typeof data.caScore === 'number' ? data.caScore : 0,
-                        examScore: typeof data.examScore === 'number' ? data.examScore : 0
-                    });
+                    results.push(toReportResult(data));
                 }
             });
         }
 
+        reportDataStatus.results = results.length;
+
         if (results.length === 0) {
             tbody.innerHTML = emptyRow(`No approved results available for ${currentSettings.term}, ${currentSettings.session} session`);
             return;
         }
 
-        renderResults(results, tbody);
+        const [ranking, hidePositions] = await Promise.all([
+            window.resultRankings.getPupilSummary(currentClassId, currentSettings.session, currentSettings.term, currentPupilId),
+            window.resultRankings.positionsHidden(currentClassId)
+        ]);
+
+        renderResults(results, tbody, ranking ? { ...ranking, hidePositions } : null);
 
     } catch (error) {
         tbody.innerHTML = `<tr><td colspan="6" style="text-align:center;">⚠️ Error loading results. Reload page.</td></tr>`;
@@ -372,40 +592,187 @@ async function loadAcademicResults() {
     }
 }
 
-function renderResults(results, tbody) {
+/**
+ * Normalise a results document into the shape the report card renders.
+ * Works for scheme-based results and legacy CA/Exam-only documents.
+ */
+function toReportResult(data) {
+    const breakdown = window.assessmentSchemes.getResultBreakdown(data);
+    return {
+        subject: data.subject || 'Unknown Subject',
+        scheme: breakdown.scheme,
+        components: breakdown.components,
+        caScore: typeof data.caScore === 'number' ? data.caScore : 0,
+        examScore: typeof data.examScore === 'number' ? data.examScore : 0,
+        total: breakdown.total
+    };
+}
+
+/**
+ * Class statistic columns shown after the pupil's own scores when a ranking exists
+ */
+function getStatColumns(ranking) {
+    if (!ranking) return [];
+    const stat = (subject, key) => ranking.subjects[subject]?.[key] ?? '-';
+    const cols = [
+        { label: 'Class Avg', value: subject => stat(subject, 'average') },
+        { label: 'Highest', value: subject => stat(subject, 'highest') },
+        { label: 'Lowest', value: subject => stat(subject, 'lowest') }
+    ];
+    if (!ranking.hidePositions) {
+        cols.push({
+            label: 'Pos.',
+            value: subject => window.resultRankings.ordinal(ranking.subjects[subject]?.position)
+        });
+    }
+    return cols;
+}
+
+function renderAcademicHeader(columns, statColumns = []) {
+    const headRow = document.querySelector('.ac-table thead tr');
+    if (!headRow) return;
+    const sub = text => `<br><span style="font-weight:400;opacity:0.65;">(${text})</span>`;
+    headRow.innerHTML = `
+        <th>Subject</th>
+        ${columns.map(c => `<th>${c.label}${c.max ? sub(c.max) : ''}</th>`).join('')}
+        <th>Total${sub(100)}</th>
+        <th>Grade</th>
+        ${statColumns.map(c => `<th>${c.label}</th>`).join('')}
+        <th>Remark</th>
+    `;
+}
+
+function renderResults(results, tbody, ranking = null) {
     tbody.innerHTML = '';
     results.sort((a, b) => a.subject.localeCompare(b.subject));
 
+    const columns = window.assessmentSchemes.getDisplayColumns(results);
+    const statColumns = getStatColumns(ranking);
+    renderAcademicHeader(columns, statColumns);
+    const labelSpan = columns.length + 1;
+    const valueSpan = 3 + statColumns.length;
+
     let totalScore = 0;
     results.forEach(r => {
-        const ca = r.caScore;
-        const exam = r.examScore;
-        const score = ca + exam;
+        const score = r.total;
+        const grade = getGrade(score);
         totalScore += score;
         tbody.insertAdjacentHTML('beforeend', `
             <tr>
                 <td>${r.subject}</td>
-                <td>${ca}</td>
-                <td>${exam}</td>
+                ${columns.map(c => `<td>${c.value(r)}</td>`).join('')}
                 <td><strong>${score}</strong></td>
-                <td class="grade-${getGrade(score)}">${getGrade(score)}</td>
+                <td class="${window.gradingScales.getGradeClass(grade, currentGradingScale)}">${grade}</td>
+                ${statColumns.map(c => `<td>${c.value(r.subject)}</td>`).join('')}
                 <td>${getRemark(score)}</td>
             </tr>
         `);
     });
 
+    totalScore = Math.round(totalScore * 10) / 10;
     const subjectCount = results.length;
     const average = (totalScore / subjectCount).toFixed(1);
     const avgGrade = getGrade(parseFloat(average));
 
     tbody.insertAdjacentHTML('beforeend', `
         <tr class="summary-row">
-            <td colspan="3"><strong>TOTAL SCORE</strong></td>
-            <td colspan="3"><strong>${totalScore} / ${subjectCount * 100}</strong></td>
+            <td colspan="${labelSpan}"><strong>TOTAL SCORE</strong></td>
+            <td colspan="${valueSpan}"><strong>${totalScore} / ${subjectCount * 100}</strong></td>
+        </tr>
+        <tr class="summary-row">
+            <td colspan="${labelSpan}"><strong>AVERAGE</strong></td>
+            <td colspan="${valueSpan}"><strong>${average}% (${avgGrade})</strong></td>
+        </tr>
+    `);
+
+    if (!ranking) return;
+
+    tbody.insertAdjacentHTML('beforeend', `
+        <tr class="summary-row">
+            <td colspan="${labelSpan}"><strong>CLASS AVERAGE</strong></td>
+            <td colspan="${valueSpan}"><strong>${ranking.classAverage}%</strong></td>
+        </tr>
+        ${ranking.hidePositions ? '' : `
+        <tr class="summary-row">
+            <td colspan="${labelSpan}"><strong>POSITION IN CLASS</strong></td>
+            <td colspan="${valueSpan}"><strong>${window.resultRankings.ordinal(ranking.position)} out of ${ranking.pupilCount}</strong></td>
+        </tr>`}
+    `);
+}
+
+/* ===============================
+   CUMULATIVE (ANNUAL) RESULTS
+================================ */
+
+async function loadCumulativeResults(tbody) {
+    try {
+        const cumulative = await window.cumulativeResults.getForPupil(currentPupilId, currentSettings.session);
+        reportDataStatus.results = cumulative.subjectCount;
+
+        if (cumulative.subjectCount === 0) {
+            renderCumulativeHeader();
+            tbody.innerHTML = emptyRow(`No approved results available for the ${currentSettings.session} session`);
+            return;
+        }
+
+        renderCumulativeResults(cumulative, tbody);
+
+    } catch (error) {
+        tbody.innerHTML = `<tr><td colspan="7" style="text-align:center;">⚠️ Error loading results. Reload page.</td></tr>`;
+        console.error('Error loading cumulative results:', error);
+    }
+}
+
+function renderCumulativeHeader() {
+    const headRow = document.querySelector('.ac-table thead tr');
+    if (!headRow) return;
+    const sub = text => `<br><span style="font-weight:400;opacity:0.65;">(${text})</span>`;
+    headRow.innerHTML = `
+        <th>Subject</th>
+        ${window.cumulativeResults.TERMS.map(t => `<th>${t.replace(' Term', '')}${sub('Term')}</th>`).join('')}
+        <th>Annual${sub('Average')}</th>
+        <th>Grade</th>
+        <th>Remark</th>
+    `;
+}
+
+function renderCumulativeResults(cumulative, tbody) {
+    const terms = window.cumulativeResults.TERMS;
+    renderCumulativeHeader();
+    tbody.innerHTML = '';
+
+    cumulative.subjects.forEach(s => {
+        const grade = getGrade(s.annualAverage);
+        tbody.insertAdjacentHTML('beforeend', `
+            <tr>
+                <td>${s.subject}</td>
+                ${terms.map(t => `<td>${s.terms[t] ?? '-'}</td>`).join('')}
+                <td><strong>${s.annualAverage}</strong></td>
+                <td class="${window.gradingScales.getGradeClass(grade, currentGradingScale)}">${grade}</td>
+                <td>${getRemark(s.annualAverage)}</td>
+            </tr>
+        `);
+    });
+
+    const termCell = (t, key) => {
+        const value = cumulative.termTotals[t][key];
+        return `<td><strong>${value === null || cumulative.termTotals[t].count === 0 ? '-' : value}</strong></td>`;
+    };
+
+    tbody.insertAdjacentHTML('beforeend', `
+        <tr class="summary-row">
+            <td><strong>TERM TOTAL</strong></td>
+            ${terms.map(t => termCell(t, 'total')).join('')}
+            <td colspan="3"></td>
+        </tr>
+        <tr class="summary-row">
+            <td><strong>TERM AVERAGE</strong></td>
+            ${terms.map(t => termCell(t, 'average')).join('')}
+            <td colspan="3"></td>
         </tr>
         <tr class="summary-row">
-            <td colspan="3"><strong>AVERAGE</strong></td>
-            <td colspan="3"><strong>${average}% (${avgGrade})</strong></td>
+            <td colspan="${terms.length + 1}"><strong>CUMULATIVE ANNUAL AVERAGE</strong></td>
+            <td colspan="3"><strong>${cumulative.annualAverage}% (${getGrade(cumulative.annualAverage)})</strong></td>
         </tr>
     `);
 }
@@ -419,10 +786,18 @@ async function loadAttendance() {
     const encodedSession = currentSettings.session.replace(/\//g, '-');
     const docId = `${currentPupilId}_${encodedSession}_${currentSettings.term}`;
     const doc = await db.collection('attendance').doc(docId).get();
+    reportDataStatus.attendance = doc.exists;
     const d = doc.exists ? doc.data() : {};
-    setText('times-opened', typeof d.timesOpened === 'number' ? d.timesOpened : '-');
-    setText('times-present', typeof d.timesPresent === 'number' ? d.timesPresent : '-');
-    setText('times-absent', typeof d.timesAbsent === 'number' ? d.timesAbsent : '-');
+    // Half days from the daily register count ½ present, ½ absent
+    const days = n => (typeof n === 'number' ? (Number.isInteger(n) ? n : n.toFixed(1)) : '-');
+    setText('times-opened', days(d.timesOpened));
+    setText('times-present', days(d.timesPresent));
+    setText('times-absent', days(d.timesAbsent));
+    setText('times-present-note', [
+        d.timesLate ? `incl. ${d.timesLate} late` : '',
+        d.timesHalfDay ? `${d.timesHalfDay} half day${d.timesHalfDay !== 1 ? 's' : ''}` : ''
+    ].filter(Boolean).join(', '));
+    setText('times-absent-note', d.timesExcused ? `incl. ${d.timesExcused} excused` : '');
 }
 
 /* ===============================
@@ -437,6 +812,7 @@ async function loadKeyedCollection(collection, prefix) {
     const encodedSession = currentSettings.session.replace(/\//g, '-');
     const docId = `${currentPupilId}_${encodedSession}_${currentSettings.term}`;
     const doc = await db.collection(collection).doc(docId).get();
+    reportDataStatus[collection] = doc.exists;
     if (!doc.exists) return;
     const data = doc.data();
     Object.entries(data).forEach(([k, v]) => {
@@ -455,6 +831,7 @@ async function loadRemarks() {
     const encodedSession = currentSettings.session.replace(/\//g, '-');
     const docId = `${currentPupilId}_${encodedSession}_${currentSettings.term}`;
     const doc = await db.collection('remarks').doc(docId).get();
+    reportDataStatus.remarks = doc.exists;
     const data = doc.exists ? doc.data() : {};
     setText('teacher-remark', typeof data.teacherRemark === 'string' ? data.teacherRemark : '-');
     setText('head-remark', typeof data.headRemark === 'string' ? data.headRemark : '-');
@@ -490,25 +867,23 @@ function emptyRow(text) {
 }
 
 function getGrade(score) {
-    if (score >= 75) return 'A1';
-    if (score >= 70) return 'B2';
-    if (score >= 65) return 'B3';
-    if (score >= 60) return 'C4';
-    if (score >= 55) return 'C5';
-    if (score >= 50) return 'C6';
-    if (score >= 45) return 'D7';
-    if (score >= 40) return 'D8';
-    return 'F9';
+    return window.gradingScales.getGrade(score, currentGradingScale);
 }
 
 function getRemark(score) {
-    if (score >= 75) return 'Excellent';
-    if (score >= 70) return 'Very Good';
-    if (score >= 65) return 'Good';
-    if (score >= 60) return 'Credit';
-    if (score >= 50) return 'Credit';
-    if (score >= 45) return 'Pass';
-    return 'Fail';
+    return window.gradingScales.getRemark(score, currentGradingScale);
+}
+
+/**
+ * Rebuild the grading key from the pupil's class grading scale
+ */
+function renderGradingKey(scale) {
+    const items = document.getElementById('grading-key-items');
+    if (!items) return;
+
+    items.innerHTML = window.gradingScales.describe(scale).map(b => `
+        <div class="key__item"><strong class="${window.gradingScales.getGradeClass(b.grade, scale)}">${b.grade}</strong>&nbsp;${b.min}–${b.max}&nbsp;·&nbsp;${b.remark}</div>
+    `).join('');
 }
 
 const style = document.createElement('style');
@@ -12,13 +12,20 @@ let currentPupilId = null;
 let currentPupilData = null;
 let currentClassInfo = null;
 
+// Parent accounts (parent-accounts.js): linked children, one shown at a time
+const ACTIVE_CHILD_KEY = 'fahmid_active_child';
+let isParentView = false;
+let linkedChildren = [];
+// Last child picked while a profile was still loading; loaded once that load finishes
+let queuedChildId = null;
+
 // Listener references to prevent duplicates
 let pupilListener = null;
 let classListener = null;
 
-// Enforce pupil access and load profile
-checkRole('pupil')
-    .then(async user => await loadPupilProfile(user))
+// Enforce pupil/parent access and load profile
+checkRole(['pupil', 'parent'])
+    .then(async user => await initPupilPortal(user))
     .catch(() => window.location.href = 'login.html');
 
 // Clean up listeners when page unloads
@@ -68,11 +75,168 @@ function getClassNameFromPupilData(classData) {
   return 'Unknown';
 }
 
+// ============================================
+// PARENT VIEW: CHILD SWITCHER + FAMILY FEES
+// ============================================
+
+async function initPupilPortal(user) {
+    if (user.role !== 'parent') {
+        await loadPupilProfile(user.uid);
+        return;
+    }
+
+    isParentView = true;
+    linkedChildren = await window.parentAccounts.getChildren(user.email);
+
+    if (linkedChildren.length === 0) {
+        window.showToast?.('No children are linked to your account yet. Please contact the school office.', 'warning', 8000);
+        const welcomeEl = document.getElementById('pupil-welcome');
+        if (welcomeEl) welcomeEl.innerHTML = `Hello, <strong>${user.name || user.email}</strong>`;
+        return;
+    }
+
+    const storedId = sessionStorage.getItem(ACTIVE_CHILD_KEY);
+    const activeChild = linkedChildren.find(c => c.id === storedId) || linkedChildren[0];
+
+    renderChildSwitcher(activeChild.id);
+    await loadChildProfile(activeChild.id);
+    await loadFamilyFeeSummary();
+}
+
+function renderChildSwitcher(activeId) {
+    const switcher = document.getElementById('child-switcher');
+    const select = document.getElementById('child-select');
+    if (!switcher || !select) return;
+
+    select.innerHTML = linkedChildren.map(child => `
+        <option value="${child.id}" ${child.id === activeId ? 'selected' : ''}>
+            ${child.name || 'Unnamed'} — ${getClassNameFromPupilData(child.class)}
+        </option>
+    `).join('');
+
+    // A single child needs no switcher, but the label still shows whose record this is
+    select.disabled = linkedChildren.length < 2;
+    switcher.hidden = false;
+}
+
+async function switchChild(pupilId) {
+    if (!isParentView) return;
+    if (!linkedChildren.some(c => c.id === pupilId)) return;
+
+    sessionStorage.setItem(ACTIVE_CHILD_KEY, pupilId);
+
+    // loadPupilProfile ignores re-entry, so remember the pick for when the current load ends
+    if (window.isLoadingProfile) {
+        queuedChildId = pupilId;
+        return;
+    }
+
+    if (pupilId === currentPupilId) return;
+    await loadChildProfile(pupilId);
+}
+
+/**
+ * Load a child's profile, then any child picked while it was loading
+ */
+async function loadChildProfile(pupilId) {
+    await loadPupilProfile(pupilId);
+
+    while (queuedChildId) {
+        const nextId = queuedChildId;
+        queuedChildId = null;
+        if (nextId !== currentPupilId) await loadPupilProfile(nextId);
+    }
+}
+
+/**
+ * Combined current-term fees for every linked child
+ */
+async function loadFamilyFeeSummary() {
+    const section = document.getElementById('pp-family');
+    const container = document.getElementById('family-fee-summary');
+    if (!section || !container || !isParentView) return;
+
+    section.hidden = false;
+    container.innerHTML = '<p style="text-align:center; padding:var(--space-lg); color:var(--color-gray-600);">Loading family fees…</p>';
+
+    try {
+        const settings = await window.getCurrentSettings();
+        const rows = await Promise.all(linkedChildren.map(async child => {
+            const result = await window.calculateCurrentOutstanding(child.id, settings.session, settings.term);
+            return { child, result };
+        }));
+
+        const totals = rows.reduce((sum, { result }) => ({
+            amountDue: sum.amountDue + (result.amountDue || 0),
+            arrears: sum.arrears + (result.arrears || 0),
+            totalPaid: sum.totalPaid + (result.totalPaid || 0),
+            balance: sum.balance + (result.balance || 0)
+        }), { amountDue: 0, arrears: 0, totalPaid: 0, balance: 0 });
+
+        const naira = n => `₦${Math.round(n || 0).toLocaleString()}`;
+
+        container.innerHTML = `
+            <div class="pp-family-table-wrap">
+                <table class="pp-family-table">
+                    <thead>
+                        <tr>
+                            <th>Child</th>
+                            <th>Term Fee</th>
+                            <th>Arrears</th>
+                            <th>Paid</th>
+                            <th>Outstanding</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(({ child, result }) => `
+                            <tr>
+                                <td data-label="Child">
+                                    <button type="button" class="pp-family-child" onclick="switchChild('${child.id}'); document.getElementById('pp-profile')?.scrollIntoView({ behavior: 'smooth' });">
+                                        ${child.name || 'Unnamed'}
+                                    </button>
+                                    <span class="pp-family-meta">${result.reason || getClassNameFromPupilData(child.class)}</span>
+                                    ${result.familyDiscount ? `<span class="pp-family-meta">${result.familyDiscount.rule}</span>` : ''}
+                                </td>
+                                <td data-label="Term Fee">${naira(result.amountDue)}</td>
+                                <td data-label="Arrears">${naira(result.arrears)}</td>
+                                <td data-label="Paid">${naira(result.totalPaid)}</td>
+                                <td data-label="Outstanding" class="${result.balance > 0 ? 'pp-family-owing' : 'pp-family-clear'}">${naira(result.balance)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                    <tfoot>
+                        <tr>
+                            <td>Family total</td>
+                            <td data-label="Term Fee">${naira(totals.amountDue)}</td>
+                            <td data-label="Arrears">${naira(totals.arrears)}</td>
+                            <td data-label="Paid">${naira(totals.totalPaid)}</td>
+                            <td data-label="Outstanding" class="${totals.balance > 0 ? 'pp-family-owing' : 'pp-family-clear'}">${naira(totals.balance)}</td>
+                        </tr>
+                    </tfoot>
+                </table>
+            </div>
+            <p class="pp-family-note">${settings.term} · ${settings.session}. Select a child to see their results, payment history and receipts.</p>
+        `;
+    } catch (error) {
+        console.error('Error loading family fee summary:', error);
+        container.innerHTML = `<p style="text-align:center; color:var(--color-danger); padding:var(--space-lg);">
+            ⚠️ Unable to load family fees. <button class="btn btn-primary" onclick="loadFamilyFeeSummary()">Retry</button>
+        </p>`;
+    }
+}
+
+window.switchChild = switchChild;
+window.loadFamilyFeeSummary = loadFamilyFeeSummary;
+window.getActivePupilId = () => (isParentView ? currentPupilId : null);
+
 // ============================================
 // PUPIL PROFILE
 // ============================================
 
-async function loadPupilProfile(user) {
+/**
+ * @param {string} pupilId - the signed-in pupil, or the child a parent selected
+ */
+async function loadPupilProfile(pupilId) {
     // FIXED: Add loading flag to prevent re-entry
     if (window.isLoadingProfile) {
         console.log('Profile already loading, skipping...');
@@ -94,10 +258,10 @@ async function loadPupilProfile(user) {
             console.log('✓ Detached old class listener');
         }
 
-        const pupilDoc = await db.collection('pupils').doc(user.uid).get();
+        const pupilDoc = await db.collection('pupils').doc(pupilId).get();
 
         if (!pupilDoc.exists) {
-            console.error('No pupil profile found for UID:', user.uid);
+            console.error('No pupil profile found for UID:', pupilId);
             window.showToast?.('No pupil profile found. Contact admin.', 'danger');
             setTimeout(() => window.location.href = 'login.html', 3000);
             window.isLoadingProfile = false;
@@ -250,6 +414,7 @@ async function loadPupilProfile(user) {
 
         await loadResults();
         await loadFeeBalance();
+        await loadAttendanceCalendar();
 
         let pupilUpdateTimeout = null;
         let classUpdateTimeout = null;
@@ -583,6 +748,236 @@ function getClassIdSafely(pupilData) {
 // Make globally available
 window.getClassIdSafely = getClassIdSafely;
 
+// ============================================
+// ATTENDANCE CALENDAR (current term, month view)
+// ============================================
+
+// Per-pupil day history lives on attendance/{pupilId}_{session}_{term}.days,
+// written by recalculateCumulativeTotals() whenever the class register is saved
+let attendanceCalendar = null;
+
+async function loadAttendanceCalendar() {
+    const section = document.getElementById('pp-attendance');
+    const container = document.getElementById('attendance-calendar');
+    if (!section || !container || !currentPupilId) return;
+
+    section.hidden = false;
+    container.innerHTML = `
+        <div style="text-align:center; padding:var(--space-2xl);">
+            <div class="spinner"></div>
+            <p>Loading attendance...</p>
+        </div>
+    `;
+
+    try {
+        const settings = await window.getCurrentSettings();
+        const encodedSession = settings.session.replace(/\//g, '-');
+
+        const [attendanceDoc, calendarEntries] = await Promise.all([
+            db.collection('attendance').doc(`${currentPupilId}_${encodedSession}_${settings.term}`).get(),
+            window.schoolCalendar
+                ? window.schoolCalendar.getCalendarEntries(settings.session, settings.term)
+                : Promise.resolve([])
+        ]);
+
+        const data = attendanceDoc.exists ? attendanceDoc.data() : {};
+        const holidays = {};
+        calendarEntries
+            .filter(entry => window.schoolCalendar.isClosure(entry.type))
+            .forEach(entry => { holidays[entry.date] = entry; });
+        const events = calendarEntries.filter(entry => entry.type !== 'school_day' && !window.schoolCalendar.isClosure(entry.type));
+
+        const days = data.days || {};
+        const dates = [...Object.keys(days), ...Object.keys(holidays)].sort();
+
+        if (dates.length === 0) {
+            container.innerHTML = `
+                <div class="pp-empty">
+                    <p class="pp-empty__title">No Attendance Yet</p>
+                    <p class="pp-empty__text">Daily attendance for ${settings.term} will appear here once the class teacher marks the register.</p>
+                </div>`;
+            return;
+        }
+
+        const today = window.dailyAttendance.getTodayISO().slice(0, 7);
+        const firstMonth = dates[0].slice(0, 7);
+        const lastMonth = dates[dates.length - 1].slice(0, 7);
+        const latestMarked = Object.keys(days).sort().pop()?.slice(0, 7);
+
+        attendanceCalendar = {
+            session: settings.session,
+            term: settings.term,
+            days,
+            excuseReasons: data.excuseReasons || {},
+            holidays,
+            events,
+            // Totals saved before day-by-day history was kept have no days map
+            missingHistory: attendanceDoc.exists && !data.days,
+            firstMonth: today < firstMonth ? today : firstMonth,
+            lastMonth: today > lastMonth ? today : lastMonth,
+            month: today >= firstMonth && today <= lastMonth ? today : (latestMarked || lastMonth)
+        };
+
+        renderAttendanceCalendar();
+    } catch (error) {
+        console.error('Error loading attendance calendar:', error);
+        container.innerHTML = `<p style="text-align:center; color:var(--color-danger); padding:var(--space-lg);">
+            ⚠️ Unable to load attendance. <button class="btn btn-primary" onclick="loadAttendanceCalendar()">Retry</button>
+        </p>`;
+    }
+}
+
+function changeAttendanceMonth(step) {
+    if (!attendanceCalendar) return;
+
+    const [year, month] = attendanceCalendar.month.split('-').map(Number);
+    const next = new Date(year, month - 1 + step, 1);
+    const key = `${next.getFullYear()}-${String(next.getMonth() + 1).padStart(2, '0')}`;
+    if (key < attendanceCalendar.firstMonth || key > attendanceCalendar.lastMonth) return;
+
+    attendanceCalendar.month = key;
+    renderAttendanceCalendar();
+}
+
+/**
+ * Totals for the days that fall on or before lastDate (and on or after firstDate)
+ */
+function tallyAttendanceDays(days, firstDate, lastDate) {
+    const totals = { marked: 0, present: 0, absent: 0, late: 0, excused: 0, halfDay: 0 };
+
+    Object.entries(days).forEach(([date, status]) => {
+        if (date < firstDate || date > lastDate) return;
+        const value = window.dailyAttendance.getPresenceValue(status);
+        totals.marked++;
+        totals.present += value;
+        totals.absent += 1 - value;
+        if (status === 'late') totals.late++;
+        else if (status === 'excused') totals.excused++;
+        else if (status === 'half-day') totals.halfDay++;
+    });
+
+    totals.rate = totals.marked > 0 ? Math.round((totals.present / totals.marked) * 100) : null;
+    return totals;
+}
+
+function renderAttendanceCalendar() {
+    const container = document.getElementById('attendance-calendar');
+    if (!container || !attendanceCalendar) return;
+
+    const { days, excuseReasons, holidays, month } = attendanceCalendar;
+    const statuses = window.dailyAttendance.STATUSES;
+    const reasons = window.dailyAttendance.EXCUSE_REASONS;
+    const dayTypes = window.schoolCalendar?.DAY_TYPES || {};
+
+    const [year, monthIndex] = month.split('-').map(Number);
+    const first = new Date(year, monthIndex - 1, 1);
+    const daysInMonth = new Date(year, monthIndex, 0).getDate();
+    const leadingBlanks = (first.getDay() + 6) % 7; // Monday-first grid
+    const todayISO = window.dailyAttendance.getTodayISO();
+    const monthLabel = first.toLocaleDateString('en-GB', { month: 'long', year: 'numeric' });
+
+    const cells = [];
+    for (let i = 0; i < leadingBlanks; i++) cells.push('<div class="pp-att-day pp-att-day--blank"></div>');
+
+    for (let d = 1; d <= daysInMonth; d++) {
+        const date = `${month}-${String(d).padStart(2, '0')}`;
+        const weekday = new Date(year, monthIndex - 1, d).getDay();
+        const status = days[date];
+        const holiday = holidays[date];
+        let modifier = '';
+        let label = '';
+
+        if (status) {
+            const known = statuses[status] ? status : 'absent';
+            modifier = `pp-att-day--${known}`;
+            label = statuses[known].label;
+            if (known === 'excused' && reasons[excuseReasons[date]]) label += ` — ${reasons[excuseReasons[date]]}`;
+        } else if (holiday) {
+            modifier = 'pp-att-day--holiday';
+            label = `${dayTypes[holiday.type]?.label || 'No school'}${holiday.description ? ` — ${holiday.description}` : ''}`;
+        } else if (weekday === 0 || weekday === 6) {
+            modifier = 'pp-att-day--weekend';
+        } else if (date > todayISO) {
+            modifier = 'pp-att-day--future';
+        } else {
+            modifier = 'pp-att-day--unmarked';
+            label = 'Not marked';
+        }
+
+        cells.push(`
+            <div class="pp-att-day ${modifier}${date === todayISO ? ' pp-att-day--today' : ''}"
+                 ${label ? `title="${label.replace(/"/g, '&quot;')}" aria-label="${d} ${monthLabel}: ${label.replace(/"/g, '&quot;')}"` : ''}>
+                <span class="pp-att-day__num">${d}</span>
+                ${holiday && !status ? `<span class="pp-att-day__tag">${dayTypes[holiday.type]?.icon || ''}</span>` : ''}
+            </div>`);
+    }
+
+    const monthTotals = tallyAttendanceDays(days, `${month}-01`, `${month}-31`);
+    const runningTotals = tallyAttendanceDays(days, '0000-00-00', `${month}-31`);
+    const days1 = n => (Number.isInteger(n) ? n : n.toFixed(1));
+    const totalsRow = (title, t) => `
+        <tr>
+            <th scope="row">${title}</th>
+            <td data-label="Present">${days1(t.present)}</td>
+            <td data-label="Absent">${days1(t.absent)}</td>
+            <td data-label="Late">${t.late}</td>
+            <td data-label="Excused">${t.excused}</td>
+            <td data-label="Half Days">${t.halfDay}</td>
+            <td data-label="Attendance">${t.rate === null ? '—' : `${t.rate}%`}</td>
+        </tr>`;
+
+    // Closures and school events (exams, PTA, ...) falling in this month
+    const holidayList = [...Object.values(holidays), ...attendanceCalendar.events]
+        .filter(entry => entry.date.startsWith(month))
+        .sort((a, b) => a.date.localeCompare(b.date));
+
+    container.innerHTML = `
+        <div class="pp-att-nav">
+            <button type="button" class="pp-att-nav__btn" onclick="changeAttendanceMonth(-1)"
+                    ${month <= attendanceCalendar.firstMonth ? 'disabled' : ''} aria-label="Previous month">‹</button>
+            <span class="pp-att-nav__label">${monthLabel}</span>
+            <button type="button" class="pp-att-nav__btn" onclick="changeAttendanceMonth(1)"
+                    ${month >= attendanceCalendar.lastMonth ? 'disabled' : ''} aria-label="Next month">›</button>
+        </div>
+
+        <div class="pp-att-grid" role="grid" aria-label="Attendance for ${monthLabel}">
+            ${['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].map(day => `<div class="pp-att-weekday">${day}</div>`).join('')}
+            ${cells.join('')}
+        </div>
+
+        <div class="pp-att-legend">
+            ${Object.entries(statuses).map(([status, def]) =>
+                `<span><i class="pp-att-swatch pp-att-day--${status}"></i>${def.label}</span>`).join('')}
+            <span><i class="pp-att-swatch pp-att-day--holiday"></i>Holiday / break</span>
+        </div>
+
+        ${holidayList.length > 0 ? `
+            <ul class="pp-att-holidays">
+                ${holidayList.map(entry => `
+                    <li>${dayTypes[entry.type]?.icon || ''} <strong>${new Date(entry.date + 'T12:00:00').toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short' })}</strong>
+                        ${dayTypes[entry.type]?.label || ''}${entry.description ? ` — ${entry.description}` : ''}</li>`).join('')}
+            </ul>` : ''}
+
+        <div class="pp-family-table-wrap">
+            <table class="pp-family-table pp-att-totals">
+                <thead>
+                    <tr><th></th><th>Present</th><th>Absent</th><th>Late</th><th>Excused</th><th>Half Days</th><th>Attendance</th></tr>
+                </thead>
+                <tbody>
+                    ${totalsRow(first.toLocaleDateString('en-GB', { month: 'long' }), monthTotals)}
+                    ${totalsRow('Term to date', runningTotals)}
+                </tbody>
+            </table>
+        </div>
+        <p class="pp-family-note">${attendanceCalendar.term} · ${attendanceCalendar.session}. A half day counts as half a day present.</p>
+        ${attendanceCalendar.missingHistory ? `
+            <p class="pp-family-note">Day-by-day history appears once the class teacher next saves the register.</p>` : ''}
+    `;
+}
+
+window.loadAttendanceCalendar = loadAttendanceCalendar;
+window.changeAttendanceMonth = changeAttendanceMonth;
+
 /**
  * ✅ FIXED: Load Fee Balance with Correct Fee Structure Lookup
  */
@@ -781,6 +1176,16 @@ async function loadFeeBalance() {
                     </p>
                 </div>
             `;
+        } else if (result.familyDiscount) {
+            const family = result.familyDiscount;
+            specialCaseBadge = `
+                <div style="background: linear-gradient(135deg, #7c3aed 0%, #6d28d9 100%); color: white; padding: var(--space-md); border-radius: var(--radius-md); margin-bottom: var(--space-lg); text-align: center;">
+                    <strong>👨‍👩‍👧 FAMILY DISCOUNT APPLIED</strong>
+                    <p style="margin: var(--space-xs) 0 0; opacity: 0.9; font-size: var(--text-sm);">
+                        ${family.rule} • Saving ₦${family.amount.toLocaleString()} this term
+                    </p>
+                </div>
+            `;
         } else if (amountDue < baseFee && amountDue > 0) {
             const discount = baseFee - amountDue;
             const discountPercent = ((discount / baseFee) * 100).toFixed(0);
@@ -819,6 +1224,47 @@ const arrearsHTML = (arrears > 0 && !arrearsCleared) ? `
         const totalDue = amountDue + arrears;
         const percentPaid = totalDue > 0 ? Math.round((totalPaid / totalDue) * 100) : 0;
 
+        // Instalment plan agreed with the school office
+        const plan = result.instalmentPlan;
+        let planHTML = '';
+        if (plan) {
+            const planColor = plan.scheduleStatus === 'overdue' ? '#dc3545'
+                : plan.scheduleStatus === 'completed' ? '#4CAF50' : '#0f9764';
+            const planLabel = plan.scheduleStatus === 'overdue'
+                ? `Overdue — ₦${plan.overdueAmount.toLocaleString()} past due`
+                : plan.scheduleStatus === 'completed' ? 'Completed' : 'On schedule';
+            const planPercent = plan.planTotal > 0 ? Math.round((plan.planPaid / plan.planTotal) * 100) : 0;
+            const instalmentLabels = {
+                paid: '✓ Paid', partial: 'Part paid', overdue: '⚠️ Overdue', upcoming: 'Upcoming'
+            };
+
+            planHTML = `
+            <div style="background: white; padding: var(--space-xl); border-radius: var(--radius-lg); border: 2px solid ${planColor}; margin-bottom: var(--space-xl);">
+                <div style="display: flex; justify-content: space-between; align-items: center; gap: var(--space-sm); flex-wrap: wrap; margin-bottom: var(--space-md);">
+                    <h3 style="margin: 0; display: flex; align-items: center; gap: var(--space-sm);">
+                        <i data-lucide="calendar-clock" style="width: 20px; height: 20px;"></i>
+                        Payment Plan
+                    </h3>
+                    <span style="color: ${planColor}; font-weight: 600;">${planLabel}</span>
+                </div>
+                <div style="background: #e2e8f0; border-radius: 999px; height: 10px; overflow: hidden; margin-bottom: var(--space-xs);">
+                    <div style="width: ${planPercent}%; height: 100%; background: ${planColor};"></div>
+                </div>
+                <p style="margin: 0 0 var(--space-md); font-size: var(--text-sm); color: var(--color-gray-600);">
+                    ₦${plan.planPaid.toLocaleString()} of ₦${plan.planTotal.toLocaleString()} paid (${planPercent}%)
+                    ${plan.nextDue ? ` • Next: ₦${plan.nextDue.amount.toLocaleString()} due ${plan.nextDue.dueDate}` : ''}
+                </p>
+                <div style="display: grid; gap: var(--space-sm);">
+                    ${plan.instalments.map(inst => `
+                    <div style="display: flex; justify-content: space-between; gap: var(--space-sm); padding: var(--space-sm) var(--space-md); background: ${inst.status === 'overdue' ? '#fef2f2' : '#f8fafc'}; border-radius: var(--radius-sm); font-size: var(--text-sm);">
+                        <span>#${inst.number} • due ${inst.dueDate}</span>
+                        <span><strong>₦${inst.amount.toLocaleString()}</strong> • ${instalmentLabels[inst.status]}</span>
+                    </div>`).join('')}
+                </div>
+            </div>
+            `;
+        }
+
         // Render complete fee section
         feeSection.innerHTML = `
             <div class="section-header">
@@ -845,6 +1291,7 @@ const arrearsHTML = (arrears > 0 && !arrearsCleared) ? `
                     <div style="font-size: var(--text-xs); opacity: 0.9; text-transform: uppercase; margin-bottom: var(--space-xs);">Current Term Fee</div>
                     <div style="font-size: var(--text-3xl); font-weight: 700;">₦${amountDue.toLocaleString()}</div>
                     ${amountDue !== baseFee ? `<div style="font-size: var(--text-xs); opacity: 0.8; margin-top: var(--space-xs);">Base: ₦${baseFee.toLocaleString()}</div>` : ''}
+                    ${result.optionalFees?.items.length > 0 ? `<div style="font-size: var(--text-xs); opacity: 0.8; margin-top: var(--space-xs);">Includes ${result.optionalFees.items.map(item => `${item.name} ₦${item.amount.toLocaleString()}`).join(', ')}</div>` : ''}
                 </div>
 
                 <div style="text-align: center; padding: var(--space-xl); background: linear-gradient(135deg, #4CAF50 0%, #388E3C 100%); color: white; border-radius: var(--radius-lg);">
@@ -861,6 +1308,8 @@ const arrearsHTML = (arrears > 0 && !arrearsCleared) ? `
                 </div>
             </div>
 
+            ${planHTML}
+
             <div style="background: white; padding: var(--space-xl); border-radius: var(--radius-lg); border: 1px solid #e2e8f0;">
                 <h3 style="margin: 0 0 var(--space-lg); display: flex; align-items: center; gap: var(--space-sm);">
                     <i data-lucide="receipt" style="width: 20px; height: 20px;"></i>
@@ -964,10 +1413,20 @@ async function loadAllPaymentHistory(pupilId) {
     flex-wrap: wrap; gap: 8px;
 `;
 
+            // Corrections carry a negative amount; cancelled receipts are struck through
+            const correctionLabel = { void: 'Void', reversal: 'Reversal', refund: 'Refund' }[txn.transactionType];
+            const amountHTML = correctionLabel
+                ? `<span style="color: #b91c1c;">−₦${Math.abs(amountPaid).toLocaleString()}</span>
+                   <span style="font-size: 11px; font-weight: 600; color: #b91c1c; margin-left: 6px;">${correctionLabel} of ${txn.originalReceiptNo}</span>`
+                : txn.voided
+                    ? `<span style="text-decoration: line-through; color: #94a3b8;">₦${amountPaid.toLocaleString()}</span>
+                       <span style="font-size: 11px; font-weight: 700; color: #b91c1c; margin-left: 6px;">${txn.voidType === 'reversal' ? 'REVERSED' : 'VOID'}</span>`
+                    : `₦${amountPaid.toLocaleString()}`;
+
             itemDiv.innerHTML = `
                 <div style="flex: 1; min-width: 0; overflow-wrap: break-word; word-break: break-word;">
                     <div class="payment-amount" style="font-size: 1rem; font-weight: 700; color: #0f172a; margin-bottom: var(--space-xs);">
-                           ₦${amountPaid.toLocaleString()}
+                           ${amountHTML}
                       </div>
                     <div style="font-size: var(--text-sm); color: #64748b; display: flex; flex-direction: column; gap: var(--space-xs);">
                         <div style="display: flex; flex-wrap: wrap; gap: var(--space-md);">
@@ -1254,13 +1713,16 @@ async function loadSessionResults() {
 
     try {
         const selectedSession = sessionSelect?.value || 'current';
+        const gradingScale = await window.gradingScales.getScaleForClass(currentPupilData?.class?.id);
         let resultsSnap;
         let displaySessionName;
+        let sessionName;
 
         // ── Determine session name & fetch results ───────────────────────────────
         if (selectedSession === 'current') {
             const settings = await window.getCurrentSettings();
             const currentSessionName = settings.session;
+            sessionName = currentSessionName;
             displaySessionName = `Current Session (${currentSessionName})`;
 
             // ✅ FIX: Try composite query first, but simplify fallback
@@ -1305,6 +1767,7 @@ async function loadSessionResults() {
         } 
         // Historical session
         else {
+            sessionName = selectedSession;
             displaySessionName = `${selectedSession} Session`;
 
             try {
@@ -1348,15 +1811,21 @@ async function loadSessionResults() {
 
         // ── Process results ──────────────────────────────────────────────────────
         const pupilResults = [];
+        const resultDocs = [];
 
         resultsSnap.forEach(doc => {
             const data = doc.data();
+            resultDocs.push(data);
+            const breakdown = window.assessmentSchemes.getResultBreakdown(data);
             pupilResults.push({
                 term: data.term || 'Unknown Term',
                 subject: data.subject || 'Unknown Subject',
+                scheme: breakdown.scheme,
+                components: breakdown.components,
                 caScore: data.caScore || 0,
                 examScore: data.examScore || 0,
-                total: (data.caScore || 0) + (data.examScore || 0)
+                total: breakdown.total,
+                classId: data.classId || null
             });
         });
 
@@ -1381,9 +1850,22 @@ async function loadSessionResults() {
             terms[r.term].push(r);
         });
 
+        // ── Class positions & statistics (derived rankings, per term) ───────────
+        const rankings = {};
+        await Promise.all(Object.keys(terms).map(async termName => {
+            // Rankings belong to the class the results were entered for, not today's class
+            const classId = terms[termName].find(r => r.classId)?.classId || currentPupilData?.class?.id;
+            const [summary, hidePositions] = await Promise.all([
+                window.resultRankings.getPupilSummary(classId, sessionName, termName, currentPupilId),
+                window.resultRankings.positionsHidden(classId)
+            ]);
+            if (summary) rankings[termName] = { ...summary, hidePositions };
+        }));
+
         // ── Render each term ─────────────────────────────────────────────────────
         ['First Term', 'Second Term', 'Third Term'].forEach(termName => {
             if (!terms[termName]) return;
+            const ranking = rankings[termName] || null;
 
             const termSection = document.createElement('div');
             termSection.className = 'results-term-section';
@@ -1395,6 +1877,26 @@ async function loadSessionResults() {
             heading.style.color = '#0f172a';
             termSection.appendChild(heading);
 
+            const columns = window.assessmentSchemes.getDisplayColumns(terms[termName]);
+            const labelSpan = columns.length + 1;
+
+            const statColumns = [];
+            if (ranking) {
+                const stat = (subject, key) => ranking.subjects[subject]?.[key] ?? '-';
+                statColumns.push(
+                    { label: 'CLASS AVG', value: subject => stat(subject, 'average') },
+                    { label: 'HIGHEST', value: subject => stat(subject, 'highest') },
+                    { label: 'LOWEST', value: subject => stat(subject, 'lowest') }
+                );
+                if (!ranking.hidePositions) {
+                    statColumns.push({
+                        label: 'POS.',
+                        value: subject => window.resultRankings.ordinal(ranking.subjects[subject]?.position)
+                    });
+                }
+            }
+            const valueSpan = 2 + statColumns.length;
+
             const table = document.createElement('table');
 table.className = 'results-table';
 // Add caption for accessibility
@@ -1406,10 +1908,10 @@ table.innerHTML += `
     <thead>
         <tr>
             <th scope="col">SUBJECT</th>
-            <th scope="col">CA (40)</th>
-            <th scope="col">EXAM (60)</th>
+            ${columns.map(c => `<th scope="col">${c.label.toUpperCase()}${c.max ? ` (${c.max})` : ''}</th>`).join('')}
             <th scope="col">TOTAL (100)</th>
             <th scope="col">GRADE</th>
+            ${statColumns.map(c => `<th scope="col">${c.label}</th>`).join('')}
         </tr>
     </thead>
     <tbody></tbody>
@@ -1422,38 +1924,59 @@ table.innerHTML += `
             terms[termName]
                 .sort((a, b) => a.subject.localeCompare(b.subject))
                 .forEach(r => {
-                    const grade = getGrade(r.total);
+                    const grade = window.gradingScales.getGrade(r.total, gradingScale);
                     tbody.innerHTML += `
                         <tr>
                             <td><strong>${r.subject}</strong></td>
-                            <td style="text-align:center;">${r.caScore}</td>
-                            <td style="text-align:center;">${r.examScore}</td>
+                            ${columns.map(c => `<td style="text-align:center;">${c.value(r)}</td>`).join('')}
                             <td style="text-align:center;font-weight:bold;">${r.total}</td>
-                            <td style="text-align:center;" class="grade-${grade}">${grade}</td>
+                            <td style="text-align:center;" class="${window.gradingScales.getGradeClass(grade, gradingScale)}">${grade}</td>
+                            ${statColumns.map(c => `<td style="text-align:center;">${c.value(r.subject)}</td>`).join('')}
                         </tr>`;
                     termTotal += r.total;
                     subjectCount++;
                 });
 
             if (subjectCount > 0) {
+                termTotal = Math.round(termTotal * 10) / 10;
                 const average = (termTotal / subjectCount).toFixed(1);
-                const avgGrade = getGrade(parseFloat(average));
+                const avgGrade = window.gradingScales.getGrade(parseFloat(average), gradingScale);
 
                 tbody.innerHTML += `
                     <tr class="summary-row">
-                        <td colspan="3"><strong>TOTAL SCORE</strong></td>
-                        <td colspan="2"><strong>${termTotal} / ${subjectCount * 100}</strong></td>
+                        <td colspan="${labelSpan}"><strong>TOTAL SCORE</strong></td>
+                        <td colspan="${valueSpan}"><strong>${termTotal} / ${subjectCount * 100}</strong></td>
                     </tr>
                     <tr class="summary-row">
-                        <td colspan="3"><strong>AVERAGE</strong></td>
-                        <td colspan="2"><strong>${average}% (${avgGrade})</strong></td>
+                        <td colspan="${labelSpan}"><strong>AVERAGE</strong></td>
+                        <td colspan="${valueSpan}"><strong>${average}% (${avgGrade})</strong></td>
                     </tr>`;
             }
 
+            if (ranking) {
+                tbody.innerHTML += `
+                    <tr class="summary-row">
+                        <td colspan="${labelSpan}"><strong>CLASS AVERAGE</strong></td>
+                        <td colspan="${valueSpan}"><strong>${ranking.classAverage}%</strong></td>
+                    </tr>
+                    ${ranking.hidePositions ? '' : `
+                    <tr class="summary-row">
+                        <td colspan="${labelSpan}"><strong>POSITION IN CLASS</strong></td>
+                        <td colspan="${valueSpan}"><strong>${window.resultRankings.ordinal(ranking.position)} out of ${ranking.pupilCount}</strong></td>
+                    </tr>`}`;
+            }
+
             termSection.appendChild(table);
             container.appendChild(termSection);
         });
 
+        // ── Cumulative (annual) summary once more than one term is published ────
+        const cumulative = window.cumulativeResults.build(resultDocs);
+        const termsWithResults = Object.keys(terms).filter(t => window.cumulativeResults.TERMS.includes(t));
+        if (termsWithResults.length > 1) {
+            container.appendChild(renderCumulativeSection(cumulative, gradingScale));
+        }
+
         console.log(`✓ Rendered ${pupilResults.length} approved results for ${displaySessionName}`);
 
     } catch (error) {
@@ -1465,24 +1988,65 @@ table.innerHTML += `
     }
 }
 
-// Make function globally available
-window.loadSessionResults = loadSessionResults;
+/**
+ * First / second / third term totals side by side with the annual average
+ */
+function renderCumulativeSection(cumulative, gradingScale) {
+    const termNames = window.cumulativeResults.TERMS;
+    const section = document.createElement('div');
+    section.className = 'results-term-section';
+    section.style.marginBottom = 'var(--space-2xl)';
+
+    const annualGrade = window.gradingScales.getGrade(cumulative.annualAverage, gradingScale);
+    const termCell = (t, key) => {
+        const value = cumulative.termTotals[t][key];
+        return `<td style="text-align:center;"><strong>${cumulative.termTotals[t].count === 0 ? '-' : value}</strong></td>`;
+    };
+
+    section.innerHTML = `
+        <h3 style="margin-bottom:var(--space-md); color:#0f172a;">Cumulative (Annual) Summary</h3>
+        <table class="results-table">
+            <caption class="visually-hidden">Cumulative annual results</caption>
+            <thead>
+                <tr>
+                    <th scope="col">SUBJECT</th>
+                    ${termNames.map(t => `<th scope="col">${t.toUpperCase()}</th>`).join('')}
+                    <th scope="col">ANNUAL AVG</th>
+                    <th scope="col">GRADE</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${cumulative.subjects.map(s => {
+                    const grade = window.gradingScales.getGrade(s.annualAverage, gradingScale);
+                    return `
+                        <tr>
+                            <td><strong>${s.subject}</strong></td>
+                            ${termNames.map(t => `<td style="text-align:center;">${s.terms[t] ?? '-'}</td>`).join('')}
+                            <td style="text-align:center;font-weight:bold;">${s.annualAverage}</td>
+                            <td style="text-align:center;" class="${window.gradingScales.getGradeClass(grade, gradingScale)}">${grade}</td>
+                        </tr>`;
+                }).join('')}
+                <tr class="summary-row">
+                    <td><strong>TERM AVERAGE</strong></td>
+                    ${termNames.map(t => termCell(t, 'average')).join('')}
+                    <td colspan="2"></td>
+                </tr>
+                <tr class="summary-row">
+                    <td colspan="${termNames.length + 1}"><strong>CUMULATIVE ANNUAL AVERAGE</strong></td>
+                    <td colspan="2"><strong>${cumulative.annualAverage}% (${annualGrade})</strong></td>
+                </tr>
+            </tbody>
+        </table>
+        <button type="button" class="btn btn-secondary" style="margin-top:var(--space-md);"
+                onclick="openPrintReport('cumulative')">🖨️ Print Cumulative Report</button>
+    `;
 
-// ============================================
-// GRADE CALCULATION
-// ============================================
-function getGrade(score) {
-    if (score >= 75) return 'A1';
-    if (score >= 70) return 'B2';
-    if (score >= 65) return 'B3';
-    if (score >= 60) return 'C4';
-    if (score >= 55) return 'C5';
-    if (score >= 50) return 'C6';
-    if (score >= 45) return 'D7';
-    if (score >= 40) return 'D8';
-    return 'F9';
+    return section;
 }
 
+// Make function globally available
+window.loadSessionResults = loadSessionResults;
+
 // Add CSS for spinner animation if not already in styles.css
 const style = document.createElement('style');
 style.textContent = `
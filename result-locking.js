@@ -116,6 +116,13 @@ async isLocked(classId, term, subject, session) {
           previousLockDate: currentData.lockedAt ? currentData.lockedAt.toDate().toISOString() : null
         })
       }, { merge: true });
+
+      // Rankings are derived data — rebuild so they match what is approved now
+      try {
+        await window.resultRankings?.refresh(classId, session, term);
+      } catch (rankingError) {
+        console.error('⚠️ Rankings could not be updated:', rankingError);
+      }
       
       console.log(`✓ Results unlocked: ${className} - ${term} - ${subject}`);
       return { success: true };
@@ -368,6 +375,13 @@ async approveResults(submissionId, adminUid) {
 
     console.log(`✅ Results approved and published: ${className} - ${term} - ${subject}`);
 
+    // Rankings are derived data — a failure here must not undo the approval
+    try {
+      await window.resultRankings?.refresh(classId, session, term);
+    } catch (rankingError) {
+      console.error('⚠️ Rankings could not be updated:', rankingError);
+    }
+
     return {
       success: true,
       message: 'Results approved and published to pupils successfully'
@@ -0,0 +1,381 @@
+/**
+ * FAHMID NURSERY & PRIMARY SCHOOL
+ * Result Rankings Module
+ * Class position, subject position and class statistics for report cards
+ *
+ * @version 1.0.0
+ * @date 2026-03-06
+ *
+ * FIRESTORE SCHEMA — result_rankings/{classId}_{encodedSession}_{term}
+ * {
+ *   classId, session, term,
+ *   pupilCount, classAverage,
+ *   subjects: { <subject>: { average, highest, lowest, count } },
+ *   pupils:   { <pupilId>: { total, average, subjectCount, position,
+ *                            subjects: { <subject>: position } } },
+ *   computedAt, computedBy
+ * }
+ *
+ * FIRESTORE SCHEMA — result_rankings/{classId}_{encodedSession}_{term}_{pupilId}
+ * {
+ *   classId, session, term, pupilId,
+ *   position, pupilCount, total, average, subjectCount, classAverage,
+ *   subjects: { <subject>: { average, highest, lowest, count, position } },
+ *   computedAt
+ * }
+ *
+ * The class document holds every pupil's totals and is for staff only. Pupil and
+ * parent portals read the per-pupil summary, which carries just that pupil's
+ * positions and the class-wide aggregates.
+ *
+ * Rankings are derived from approved `results` only and are rebuilt whenever a
+ * subject for that class/term is approved. Ties share a position (1st, 2nd, 2nd, 4th).
+ *
+ * Display option — settings/reportOptions
+ * { hidePositions: { nursery: true, primary: false } }
+ */
+
+'use strict';
+
+const RANKINGS_COLLECTION = 'result_rankings';
+const REPORT_OPTIONS_DOC = 'reportOptions';
+
+const resultRankings = {
+  _optionsCache: null,
+
+  /**
+   * Ranking document ID for a class/session/term
+   */
+  getRankingId(classId, session, term) {
+    const encodedSession = String(session || '').replace(/\//g, '-');
+    return `${classId}_${encodedSession}_${term}`;
+  },
+
+  /**
+   * Per-pupil summary document ID
+   */
+  getSummaryId(classId, session, term, pupilId) {
+    return `${this.getRankingId(classId, session, term)}_${pupilId}`;
+  },
+
+  /**
+   * Competition ranking — equal scores share a position, the next one skips
+   * @param {Array<{id: string, score: number}>} entries
+   * @returns {Object<string, number>} id → position
+   */
+  rank(entries) {
+    const sorted = entries.slice().sort((a, b) => b.score - a.score);
+    const positions = {};
+    sorted.forEach((entry, index) => {
+      const prev = sorted[index - 1];
+      positions[entry.id] = prev && prev.score === entry.score
+        ? positions[prev.id]
+        : index + 1;
+    });
+    return positions;
+  },
+
+  /**
+   * 1 → "1st", 2 → "2nd", 11 → "11th", 23 → "23rd"
+   */
+  ordinal(n) {
+    return Number(n) ? window.formatOrdinal(n) : '-';
+  },
+
+  /**
+   * Rebuild and store the ranking for one class/term from approved results
+   * @returns {Promise<object|null>} the stored ranking, or null when there are no results
+   */
+  async refresh(classId, session, term) {
+    if (!classId || !session || !term) return null;
+
+    // Class + term only, session/status filtered client-side (avoids a composite index)
+    const snap = await db.collection('results')
+      .where('classId', '==', classId)
+      .where('term', '==', term)
+      .get();
+
+    const bySubject = {};
+    const byPupil = {};
+
+    snap.forEach(doc => {
+      const data = doc.data();
+      if (data.session !== session) return;
+      if (data.status && data.status !== 'approved') return;
+      if (!data.pupilId || !data.subject) return;
+
+      const total = window.assessmentSchemes.getResultTotal(data);
+
+      if (!bySubject[data.subject]) bySubject[data.subject] = [];
+      bySubject[data.subject].push({ id: data.pupilId, score: total });
+
+      if (!byPupil[data.pupilId]) byPupil[data.pupilId] = { total: 0, subjectCount: 0, subjects: {} };
+      byPupil[data.pupilId].total += total;
+      byPupil[data.pupilId].subjectCount++;
+    });
+
+    const collection = db.collection(RANKINGS_COLLECTION);
+    const ref = collection.doc(this.getRankingId(classId, session, term));
+    const pupilIds = Object.keys(byPupil);
+
+    // Summaries of pupils no longer ranked (e.g. results unapproved) must go too
+    const previous = await ref.get().catch(() => null);
+    const stalePupilIds = Object.keys(previous?.exists ? previous.data().pupils || {} : {})
+      .filter(id => !byPupil[id]);
+
+    if (pupilIds.length === 0) {
+      const batch = db.batch();
+      batch.delete(ref);
+      stalePupilIds.forEach(id => batch.delete(collection.doc(this.getSummaryId(classId, session, term, id))));
+      await batch.commit().catch(() => {});
+      return null;
+    }
+
+    const round1 = n => Math.round(n * 10) / 10;
+
+    const subjects = {};
+    Object.entries(bySubject).forEach(([subject, entries]) => {
+      const scores = entries.map(e => e.score);
+      subjects[subject] = {
+        average: round1(scores.reduce((s, x) => s + x, 0) / scores.length),
+        highest: Math.max(...scores),
+        lowest: Math.min(...scores),
+        count: scores.length
+      };
+
+      const positions = this.rank(entries);
+      Object.entries(positions).forEach(([pupilId, position]) => {
+        byPupil[pupilId].subjects[subject] = position;
+      });
+    });
+
+    // Overall position is by average so pupils offering fewer subjects are not penalised
+    const overallEntries = pupilIds.map(id => ({
+      id,
+      score: round1(byPupil[id].total / byPupil[id].subjectCount)
+    }));
+    const overallPositions = this.rank(overallEntries);
+
+    const pupils = {};
+    overallEntries.forEach(({ id, score }) => {
+      pupils[id] = {
+        total: round1(byPupil[id].total),
+        average: score,
+        subjectCount: byPupil[id].subjectCount,
+        position: overallPositions[id],
+        subjects: byPupil[id].subjects
+      };
+    });
+
+    const ranking = {
+      classId,
+      session,
+      term,
+      pupilCount: pupilIds.length,
+      classAverage: round1(overallEntries.reduce((s, e) => s + e.score, 0) / overallEntries.length),
+      subjects,
+      pupils,
+      computedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      computedBy: auth.currentUser?.uid || 'system'
+    };
+
+    const batch = db.batch();
+    batch.set(ref, ranking);
+    pupilIds.forEach(id => {
+      batch.set(collection.doc(this.getSummaryId(classId, session, term, id)),
+        this.buildPupilSummary(ranking, id));
+    });
+    stalePupilIds.forEach(id => batch.delete(collection.doc(this.getSummaryId(classId, session, term, id))));
+    await batch.commit();
+    console.log(`✓ Rankings updated: ${classId} · ${session} · ${term} (${pupilIds.length} pupils)`);
+    return ranking;
+  },
+
+  /**
+   * Read a stored ranking (null when none has been computed yet)
+   */
+  async getRanking(classId, session, term) {
+    if (!classId || !session || !term) return null;
+    try {
+      const doc = await db.collection(RANKINGS_COLLECTION)
+        .doc(this.getRankingId(classId, session, term))
+        .get();
+      return doc.exists ? doc.data() : null;
+    } catch (error) {
+      console.error('Error loading result ranking:', error);
+      return null;
+    }
+  },
+
+  /**
+   * One pupil's view of a ranking: overall position plus per-subject stats.
+   * Contains no other pupil's figures.
+   */
+  buildPupilSummary(ranking, pupilId) {
+    const pupil = ranking.pupils[pupilId];
+
+    const subjects = {};
+    Object.entries(ranking.subjects || {}).forEach(([subject, stats]) => {
+      subjects[subject] = {
+        ...stats,
+        position: pupil.subjects?.[subject] || null
+      };
+    });
+
+    return {
+      classId: ranking.classId,
+      session: ranking.session,
+      term: ranking.term,
+      pupilId,
+      position: pupil.position,
+      pupilCount: ranking.pupilCount,
+      total: pupil.total,
+      average: pupil.average,
+      subjectCount: pupil.subjectCount,
+      classAverage: ranking.classAverage,
+      subjects,
+      computedAt: ranking.computedAt
+    };
+  },
+
+  /**
+   * Read one pupil's summary document (null when none has been computed yet)
+   * @returns {Promise<object|null>}
+   */
+  async getPupilSummary(classId, session, term, pupilId) {
+    if (!classId || !session || !term || !pupilId) return null;
+    try {
+      const doc = await db.collection(RANKINGS_COLLECTION)
+        .doc(this.getSummaryId(classId, session, term, pupilId))
+        .get();
+      return doc.exists ? doc.data() : null;
+    } catch (error) {
+      console.error('Error loading pupil ranking summary:', error);
+      return null;
+    }
+  },
+
+  async getOptions(forceRefresh = false) {
+    if (this._optionsCache && !forceRefresh) return this._optionsCache;
+
+    try {
+      const doc = await db.collection('settings').doc(REPORT_OPTIONS_DOC).get();
+      const data = doc.exists ? doc.data() : {};
+      this._optionsCache = { hidePositions: data.hidePositions || {} };
+    } catch (error) {
+      console.error('Error loading report options:', error);
+      this._optionsCache = { hidePositions: {} };
+    }
+
+    return this._optionsCache;
+  },
+
+  /**
+   * Whether positions should be hidden for a class (by its section)
+   */
+  async positionsHidden(classId) {
+    const [options, section] = await Promise.all([
+      this.getOptions(),
+      window.assessmentSchemes?.getClassSection(classId) ?? null
+    ]);
+    return !!(section && options.hidePositions[section]);
+  },
+
+  async setPositionsHidden(section, hidden) {
+    await db.collection('settings').doc(REPORT_OPTIONS_DOC).set({
+      hidePositions: { [section]: !!hidden },
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      updatedBy: auth.currentUser?.uid || 'unknown'
+    }, { merge: true });
+    this._optionsCache = null;
+  }
+};
+
+window.resultRankings = resultRankings;
+
+/* ─────────────────────────────────────────────────────────────────
+   ADMIN SETTINGS PANEL
+   Rendered into #report-positions-container on the Settings page
+───────────────────────────────────────────────────────────────── */
+
+async function loadReportPositionsPanel() {
+  const container = document.getElementById('report-positions-container');
+  if (!container) return;
+
+  const options = await resultRankings.getOptions(true);
+
+  container.innerHTML = Object.entries(SCHOOL_SECTIONS).map(([key, label]) => `
+    <label style="display:flex; align-items:center; gap:0.5rem; margin-bottom:0.5rem; font-size:0.875rem;">
+      <input type="checkbox" ${options.hidePositions[key] ? 'checked' : ''}
+             onchange="toggleHidePositions('${key}', this.checked)">
+      Hide class and subject positions for ${label} classes
+    </label>
+  `).join('') + `
+    <p style="font-size:0.8125rem; color:#64748b; margin:0.75rem 0 1rem;">
+      Class averages, highest and lowest scores are still shown.
+    </p>
+    <div class="form-actions">
+      <button type="button" class="btn btn-secondary" onclick="rebuildCurrentTermRankings()" id="rebuild-rankings-btn">
+        🔄 Recalculate Positions (Current Term)
+      </button>
+    </div>
+  `;
+}
+
+/**
+ * Recompute rankings for every class in the current session/term —
+ * useful for results approved before rankings (or per-pupil summaries) existed
+ */
+async function rebuildCurrentTermRankings() {
+  const btn = document.getElementById('rebuild-rankings-btn');
+  if (btn) {
+    btn.disabled = true;
+    btn.innerHTML = '<span class="btn-loading">Recalculating...</span>';
+  }
+
+  try {
+    const settings = await window.getCurrentSettings();
+    const classesSnap = await db.collection('classes').get();
+    let updated = 0;
+
+    for (const classDoc of classesSnap.docs) {
+      const ranking = await resultRankings.refresh(classDoc.id, settings.session, settings.term);
+      if (ranking) updated++;
+    }
+
+    window.showToast?.(
+      `✓ Positions recalculated for ${updated} class(es) — ${settings.term}, ${settings.session}`,
+      'success',
+      5000
+    );
+  } catch (error) {
+    console.error('Error rebuilding rankings:', error);
+    window.handleError?.(error, 'Failed to recalculate positions');
+  } finally {
+    if (btn) {
+      btn.disabled = false;
+      btn.innerHTML = '🔄 Recalculate Positions (Current Term)';
+    }
+  }
+}
+
+async function toggleHidePositions(section, hidden) {
+  try {
+    await resultRankings.setPositionsHidden(section, hidden);
+    window.showToast?.(
+      `✓ Positions ${hidden ? 'hidden' : 'shown'} for ${SCHOOL_SECTIONS[section] || section} classes`,
+      'success',
+      2500
+    );
+  } catch (error) {
+    console.error('Error saving report options:', error);
+    window.handleError?.(error, 'Failed to save report card option');
+    await loadReportPositionsPanel();
+  }
+}
+
+window.loadReportPositionsPanel = loadReportPositionsPanel;
+window.toggleHidePositions = toggleHidePositions;
+window.rebuildCurrentTermRankings = rebuildCurrentTermRankings;
+
+console.log('✓ Result rankings module loaded');
@@ -0,0 +1,494 @@
+/**
+ * FAHMID NURSERY & PRIMARY SCHOOL
+ * Results Import — results-import.js
+ * Import scores from a CSV / Excel sheet into the teacher results entry table
+ *
+ * @version 1.0.0
+ * @date 2026-03-10
+ *
+ * Flow: pick file → parse with SheetJS → match rows to pupils of the selected
+ * class → validated preview (unknown pupils, out-of-range scores, duplicates)
+ * → write valid rows to results_draft through teacher.js writeResultDrafts().
+ * Blank score cells leave the saved draft score for that component unchanged.
+ *
+ * Accepted columns (header row, case-insensitive):
+ *   Pupil ID                                     — exact match (downloaded score sheets)
+ *   Admission No / Admission Number / Adm No     — preferred match for hand-made sheets
+ *   Pupil Name / Name                            — fallback pupil match
+ *   one column per assessment component, by label or key ("CA 1", "Exam (60)")
+ *
+ * downloadScoreSheetTemplate() produces a matching XLSX for offline marking:
+ * pupil ID, admission number and name pre-filled and locked, score columns editable.
+ *
+ * @requires teacher.js (window._getResultsEntryContext, window._writeResultDrafts,
+ *                       window._loadSavedResultScores, window.loadResultsTable)
+ * @requires SheetJS (XLSX)
+ */
+
+'use strict';
+
+const IMPORT_ID_HEADERS = ['pupil id'];
+const IMPORT_ADMISSION_HEADERS = ['admission no', 'admission number', 'admission', 'adm no', 'admno', 'reg no'];
+const IMPORT_NAME_HEADERS = ['pupil name', 'name', 'pupil', 'student name', 'full name'];
+
+// Parsed rows awaiting confirmation
+let _pendingImport = null;
+
+/**
+ * Lower-case, drop "(max)" suffixes and collapse whitespace: "CA 1 (20)" → "ca 1"
+ */
+function normaliseImportHeader(header) {
+  return String(header || '')
+    .toLowerCase()
+    .replace(/\(.*?\)/g, '')
+    .replace(/[._-]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function normaliseImportName(name) {
+  return String(name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function openResultsImport() {
+  const ctx = window._getResultsEntryContext?.();
+
+  if (!ctx?.term || !ctx?.subject || !ctx?.selectedClass) {
+    window.showToast?.('Select class, term and subject before importing', 'warning');
+    return;
+  }
+  if (!ctx.scheme) {
+    window.showToast?.('Results table is still loading. Please wait a moment.', 'warning');
+    return;
+  }
+  if (ctx.locked) {
+    window.showToast?.('These results are locked or awaiting approval and cannot be changed', 'warning', 5000);
+    return;
+  }
+  if (typeof XLSX === 'undefined') {
+    window.showToast?.('Spreadsheet library failed to load. Check your connection and reload.', 'danger');
+    return;
+  }
+
+  const input = document.getElementById('results-import-file');
+  if (input) {
+    input.value = '';
+    input.click();
+  }
+}
+
+async function handleResultsImportFile(event) {
+  const file = event.target.files?.[0];
+  if (!file) return;
+
+  const ctx = window._getResultsEntryContext();
+
+  try {
+    const buffer = await file.arrayBuffer();
+    const workbook = XLSX.read(buffer, { type: 'array' });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', blankrows: false });
+
+    // Blank cells fall back to these, so a partly filled sheet never zeroes saved scores
+    const saved = await window._loadSavedResultScores(ctx.pupils, ctx.term, ctx.subject);
+
+    const parsed = parseResultsImport(rows, ctx, saved);
+    if (parsed.error) {
+      window.showToast?.(parsed.error, 'danger', 7000);
+      return;
+    }
+
+    _pendingImport = { ...parsed, ctx, fileName: file.name };
+    renderResultsImportPreview();
+
+  } catch (error) {
+    console.error('Error reading import file:', error);
+    window.handleError?.(error, 'Could not read the file. Use a .csv or .xlsx file.');
+  }
+}
+
+/**
+ * Match spreadsheet rows to pupils and validate every score
+ * @param {Array<Array>} rows - sheet rows, first row is the header
+ * @param {Object<string, Object<string, number>>} saved - pupilId → saved draft scores
+ * @returns {{error?: string, components, rows: Array, missingPupils: Array}}
+ */
+function parseResultsImport(rows, ctx, saved = {}) {
+  if (!rows || rows.length < 2) {
+    return { error: 'The file has no data rows' };
+  }
+
+  // The header is the first row that names a pupil column (templates may carry a title row)
+  const headerIndex = rows.findIndex(r => r.some(cell => {
+    const h = normaliseImportHeader(cell);
+    return IMPORT_ID_HEADERS.includes(h) || IMPORT_ADMISSION_HEADERS.includes(h) || IMPORT_NAME_HEADERS.includes(h);
+  }));
+  if (headerIndex === -1) {
+    return { error: 'No "Admission No" or "Pupil Name" column found in the header row' };
+  }
+
+  const headers = rows[headerIndex].map(normaliseImportHeader);
+  const idCol = headers.findIndex(h => IMPORT_ID_HEADERS.includes(h));
+  const admissionCol = headers.findIndex(h => IMPORT_ADMISSION_HEADERS.includes(h));
+  const nameCol = headers.findIndex(h => IMPORT_NAME_HEADERS.includes(h));
+
+  const components = ctx.scheme.components.map(c => ({
+    ...c,
+    col: headers.findIndex(h => h === normaliseImportHeader(c.label) || h === normaliseImportHeader(c.key))
+  }));
+
+  const missingColumns = components.filter(c => c.col === -1).map(c => c.label);
+  if (missingColumns.length > 0) {
+    return { error: `Missing score column(s): ${missingColumns.join(', ')}` };
+  }
+
+  const byId = {};
+  const byAdmission = {};
+  const byName = {};
+  ctx.pupils.forEach(p => {
+    byId[p.id] = p;
+    if (p.admissionNo) byAdmission[String(p.admissionNo).trim().toLowerCase()] = p;
+    const key = normaliseImportName(p.name);
+    byName[key] = byName[key] ? [...byName[key], p] : [p];
+  });
+
+  const parsedRows = rows.slice(headerIndex + 1).map((row, i) => {
+    const pupilId = idCol >= 0 ? String(row[idCol] ?? '').trim() : '';
+    const admission = admissionCol >= 0 ? String(row[admissionCol] ?? '').trim() : '';
+    const name = nameCol >= 0 ? String(row[nameCol] ?? '').trim() : '';
+    const errors = [];
+    const warnings = [];
+
+    let pupil = null;
+    if (pupilId && byId[pupilId]) {
+      pupil = byId[pupilId];
+    } else if (admission && byAdmission[admission.toLowerCase()]) {
+      pupil = byAdmission[admission.toLowerCase()];
+    } else if (name) {
+      const matches = byName[normaliseImportName(name)] || [];
+      if (matches.length === 1) pupil = matches[0];
+      if (matches.length > 1) errors.push('Name matches more than one pupil — add the admission number');
+    }
+    if (!pupil && errors.length === 0) {
+      errors.push(admission || name ? 'Pupil not found in this class' : 'No admission number or name');
+    }
+
+    // Start from the saved draft; only filled cells overwrite it
+    const existing = pupil ? (saved[pupil.id] || {}) : {};
+    const scores = { ...existing };
+    const cells = {};
+    const unchanged = [];
+    components.forEach(c => {
+      const raw = row[c.col];
+      cells[c.key] = raw;
+
+      if (raw === '' || raw === null || raw === undefined) {
+        unchanged.push(c.key);
+        return;
+      }
+
+      const value = Number(raw);
+      if (!Number.isFinite(value)) {
+        errors.push(`${c.label}: "${raw}" is not a number`);
+      } else if (value < 0 || value > Number(c.max)) {
+        errors.push(`${c.label}: ${value} is outside 0–${c.max}`);
+      } else {
+        scores[c.key] = value;
+      }
+    });
+
+    // A row with no scores at all changes nothing and is not written
+    const empty = unchanged.length === components.length;
+    if (empty && errors.length === 0) {
+      warnings.push('No scores — left unchanged');
+    }
+
+    return { rowNumber: headerIndex + i + 2, admission, name, pupil, scores, cells, unchanged, empty, errors, warnings };
+  });
+
+  // Duplicates: every row for a pupil matched more than once is held back
+  const counts = {};
+  parsedRows.forEach(r => { if (r.pupil) counts[r.pupil.id] = (counts[r.pupil.id] || 0) + 1; });
+  parsedRows.forEach(r => {
+    if (r.pupil && counts[r.pupil.id] > 1) {
+      r.errors.push(`Duplicate — ${r.pupil.name} appears ${counts[r.pupil.id]} times`);
+    }
+  });
+
+  const importedIds = new Set(parsedRows.filter(r => r.pupil).map(r => r.pupil.id));
+  const missingPupils = ctx.pupils.filter(p => !importedIds.has(p.id));
+
+  return { components, rows: parsedRows, missingPupils };
+}
+
+function renderResultsImportPreview() {
+  const panel = document.getElementById('results-import-preview');
+  if (!panel || !_pendingImport) return;
+
+  const { components, rows, missingPupils, ctx, fileName } = _pendingImport;
+  const valid = rows.filter(r => r.errors.length === 0 && !r.empty);
+  const invalid = rows.filter(r => r.errors.length > 0).length;
+  // File contents are untrusted — escape before they reach innerHTML
+  const esc = window.escapeHTML;
+
+  const scoreCell = (r, c) => {
+    if (!r.unchanged.includes(c.key)) return esc(r.cells[c.key]);
+    const current = r.scores[c.key];
+    return `<span style="color:var(--color-gray-600); font-style:italic;">unchanged${current !== undefined ? ` (${current})` : ''}</span>`;
+  };
+
+  const rowHtml = rows.map(r => {
+    const ok = r.errors.length === 0;
+    const status = ok
+      ? (r.warnings.length ? `<span style="color:#b45309;">⚠️ ${esc(r.warnings.join('; '))}</span>` : '<span style="color:#16a34a;">✓ Ready</span>')
+      : `<span style="color:#dc2626;">✕ ${esc(r.errors.join('; '))}</span>`;
+
+    return `
+      <tr style="${ok ? '' : 'background:#fef2f2;'}">
+        <td data-label="Row">${r.rowNumber}</td>
+        <td data-label="In File">${esc([r.admission, r.name].filter(Boolean).join(' · ')) || '—'}</td>
+        <td data-label="Pupil">${r.pupil ? `<strong>${esc(r.pupil.name)}</strong>` : '—'}</td>
+        ${components.map(c => `<td data-label="${esc(c.label)}" style="text-align:center;">${scoreCell(r, c)}</td>`).join('')}
+        <td data-label="Total" style="text-align:center;">${ok ? window.assessmentSchemes.computeTotal(r.scores, ctx.scheme) : '—'}</td>
+        <td data-label="Status" style="font-size:0.8125rem;">${status}</td>
+      </tr>`;
+  }).join('');
+
+  panel.innerHTML = `
+    <div class="alert alert-info" style="margin-bottom: var(--space-lg);">
+      <strong>📥 Import preview — ${esc(fileName)}</strong>
+      <p style="margin:0.5rem 0;">
+        ${esc(ctx.selectedClass.name)} · ${esc(ctx.term)} · ${esc(ctx.subject)}:
+        <strong>${valid.length}</strong> row(s) ready${invalid ? `, <strong style="color:#dc2626;">${invalid}</strong> row(s) will be skipped` : ''}.
+        ${missingPupils.length ? `<br>${missingPupils.length} pupil(s) not in the file keep their current scores: ${esc(missingPupils.map(p => p.name).join(', '))}.` : ''}
+      </p>
+      <div class="table-container" style="max-height:360px; overflow:auto; background:white;">
+        <table class="responsive-table">
+          <thead>
+            <tr>
+              <th>Row</th>
+              <th>In File</th>
+              <th>Pupil</th>
+              ${components.map(c => `<th style="text-align:center;">${esc(c.label)} (${c.max})</th>`).join('')}
+              <th style="text-align:center;">Total</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>${rowHtml}</tbody>
+        </table>
+      </div>
+      <div style="display:flex; gap:0.5rem; margin-top:var(--space-md); flex-wrap:wrap;">
+        <button type="button" class="btn tp-btn-primary" id="confirm-results-import-btn"
+                onclick="confirmResultsImport()" ${valid.length === 0 ? 'disabled' : ''}>
+          Import ${valid.length} Row(s)
+        </button>
+        <button type="button" class="btn tp-btn-ghost" onclick="cancelResultsImport()">Cancel</button>
+      </div>
+    </div>
+  `;
+  panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+async function confirmResultsImport() {
+  if (!_pendingImport) return;
+
+  const { rows, ctx } = _pendingImport;
+  const current = window._getResultsEntryContext();
+
+  // The teacher may have changed the filters after previewing
+  if (current.term !== ctx.term || current.subject !== ctx.subject || current.selectedClass?.id !== ctx.selectedClass.id) {
+    window.showToast?.('Class, term or subject changed since the preview. Please import again.', 'warning', 6000);
+    cancelResultsImport();
+    return;
+  }
+  if (current.locked) {
+    window.showToast?.('These results are locked or awaiting approval and cannot be changed', 'warning', 5000);
+    return;
+  }
+
+  const pupilResults = {};
+  rows.filter(r => r.errors.length === 0 && !r.empty).forEach(r => {
+    pupilResults[r.pupil.id] = r.scores;
+  });
+
+  const btn = document.getElementById('confirm-results-import-btn');
+  if (btn) {
+    btn.disabled = true;
+    btn.innerHTML = '<span class="btn-loading">Importing...</span>';
+  }
+
+  try {
+    const { queued } = await window._writeResultDrafts(pupilResults, ctx.term, ctx.subject, ctx.selectedClass);
+    cancelResultsImport();
+
+    if (queued) {
+      // Table reloads read the server, so show the queued scores in place
+      document.querySelectorAll('#results-entry-table-container input[data-pupil][data-field]').forEach(input => {
+        const score = pupilResults[input.dataset.pupil]?.[input.dataset.field];
+        if (score !== undefined) input.value = score;
+      });
+      window.showToast?.(
+        `⏳ You are offline — scores for ${Object.keys(pupilResults).length} pupil(s) saved on this device\n\nThey will sync when you reconnect.`,
+        'warning',
+        6000
+      );
+      return;
+    }
+
+    window.showToast?.(
+      `✓ Imported scores for ${Object.keys(pupilResults).length} pupil(s)\n\nℹ️ Saved as drafts — submit for approval when ready.`,
+      'success',
+      6000
+    );
+    await window.loadResultsTable();
+  } catch (error) {
+    console.error('Error importing results:', error);
+    window.handleError?.(error, 'Failed to import scores');
+    if (btn) {
+      btn.disabled = false;
+      btn.textContent = 'Retry Import';
+    }
+  }
+}
+
+function cancelResultsImport() {
+  _pendingImport = null;
+  const panel = document.getElementById('results-import-preview');
+  if (panel) panel.innerHTML = '';
+}
+
+/* ─────────────────────────────────────────────────────────────────
+   SCORE-SHEET TEMPLATE (offline marking)
+───────────────────────────────────────────────────────────────── */
+
+async function downloadScoreSheetTemplate() {
+  const ctx = window._getResultsEntryContext?.();
+
+  if (!ctx?.term || !ctx?.subject || !ctx?.selectedClass) {
+    window.showToast?.('Select class, term and subject before downloading a score sheet', 'warning');
+    return;
+  }
+  if (!ctx.scheme) {
+    window.showToast?.('Results table is still loading. Please wait a moment.', 'warning');
+    return;
+  }
+  if (typeof XLSX === 'undefined') {
+    window.showToast?.('Spreadsheet library failed to load. Check your connection and reload.', 'danger');
+    return;
+  }
+  if (ctx.pupils.length === 0) {
+    window.showToast?.('No pupils in this class', 'warning');
+    return;
+  }
+
+  try {
+    const components = ctx.scheme.components;
+
+    // Pre-fill the saved drafts of every pupil, not just the table page on screen
+    const saved = await window._loadSavedResultScores(ctx.pupils, ctx.term, ctx.subject);
+
+    const pupils = ctx.pupils.slice().sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+    const sheetData = [
+      [`Score Sheet — ${ctx.selectedClass.name} · ${ctx.term} · ${ctx.subject}`],
+      ['Pupil ID', 'Admission No', 'Pupil Name', ...components.map(c => `${c.label} (${c.max})`)],
+      ...pupils.map(p => [
+        p.id,
+        p.admissionNo || '',
+        p.name || '',
+        ...components.map(c => saved[p.id]?.[c.key] ?? null)
+      ])
+    ];
+
+    const wb = XLSX.utils.book_new();
+    const ws = XLSX.utils.aoa_to_sheet(sheetData);
+
+    ws['!cols'] = [
+      { wch: 24 },  // Pupil ID
+      { wch: 15 },  // Admission No
+      { wch: 28 },  // Pupil Name
+      ...components.map(c => ({ wch: Math.max(10, c.label.length + 6) }))
+    ];
+    ws['!merges'] = [{ s: { r: 0, c: 0 }, e: { r: 0, c: 2 + components.length } }];
+
+    // Sheet protection locks every cell; the score columns are unlocked below.
+    // No password: one shipped in client code is public anyway. The lock only guards
+    // the ID columns against accidental edits — it is not a security measure.
+    ws['!protect'] = {};
+
+    XLSX.utils.book_append_sheet(wb, ws, 'Scores');
+
+    const scoreColumns = components.map((c, i) => 3 + i);
+    const data = unlockSheetColumns(XLSX.write(wb, { bookType: 'xlsx', type: 'array' }), 0, scoreColumns, 3);
+
+    const safe = s => String(s).replace(/[^a-z0-9]+/gi, '_').replace(/^_+|_+$/g, '');
+    const filename = `Score_Sheet_${safe(ctx.selectedClass.name)}_${safe(ctx.subject)}_${safe(ctx.term)}.xlsx`;
+
+    const blob = new Blob([data], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    window.URL.revokeObjectURL(url);
+
+    window.showToast?.(`✓ Score sheet downloaded\nFill in the scores and use “Import from Spreadsheet” to upload.`, 'success', 5000);
+
+  } catch (error) {
+    console.error('Error creating score sheet:', error);
+    window.handleError?.(error, 'Failed to create score sheet');
+  }
+}
+
+/**
+ * SheetJS community builds cannot write per-cell protection, so mark the score
+ * columns unlocked directly in the generated package: add an unlocked cell format
+ * to styles.xml and apply it to those columns (and any pre-filled cells in them).
+ * @param {ArrayBuffer} buffer - xlsx package from XLSX.write
+ * @param {number} sheetIndex - zero-based sheet position
+ * @param {number[]} columns - zero-based column indexes to unlock
+ * @param {number} firstRow - first 1-based row to unlock (below the header)
+ * @returns {Uint8Array|Array}
+ */
+function unlockSheetColumns(buffer, sheetIndex, columns, firstRow) {
+  const zip = XLSX.CFB.read(new Uint8Array(buffer), { type: 'array' });
+  const readXml = entry => new TextDecoder().decode(new Uint8Array(entry.content));
+  const writeXml = (entry, xml) => {
+    entry.content = new TextEncoder().encode(xml);
+    entry.size = entry.content.length;
+  };
+
+  const stylesEntry = XLSX.CFB.find(zip, '/xl/styles.xml');
+  let styles = readXml(stylesEntry);
+  const countMatch = styles.match(/<cellXfs count="(\d+)">/);
+  const unlockedXf = Number(countMatch[1]);
+  styles = styles
+    .replace(countMatch[0], `<cellXfs count="${unlockedXf + 1}">`)
+    .replace('</cellXfs>', '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" applyProtection="1"><protection locked="0"/></xf></cellXfs>');
+  writeXml(stylesEntry, styles);
+
+  const letters = columns.map(c => XLSX.utils.encode_col(c));
+  const sheetEntry = XLSX.CFB.find(zip, `/xl/worksheets/sheet${sheetIndex + 1}.xml`);
+  let sheet = readXml(sheetEntry);
+
+  // Column default style covers the empty cells teachers will type into
+  sheet = sheet.replace(/<col min="(\d+)" max="(\d+)"([^>]*?)\/>/g, (match, min, max, rest) =>
+    columns.includes(Number(min) - 1)
+      ? `<col min="${min}" max="${max}"${rest.replace(/ style="\d+"/, '')} style="${unlockedXf}"/>`
+      : match);
+  sheet = sheet.replace(/<c r="([A-Z]+)(\d+)"( s="\d+")?/g, (match, col, row) =>
+    letters.includes(col) && Number(row) >= firstRow ? `<c r="${col}${row}" s="${unlockedXf}"` : match);
+  writeXml(sheetEntry, sheet);
+
+  return XLSX.CFB.write(zip, { fileType: 'zip', type: 'array' });
+}
+
+window.downloadScoreSheetTemplate = downloadScoreSheetTemplate;
+window.openResultsImport = openResultsImport;
+window.handleResultsImportFile = handleResultsImportFile;
+window.confirmResultsImport = confirmResultsImport;
+window.cancelResultsImport = cancelResultsImport;
+
+console.log('✓ Results import module loaded');
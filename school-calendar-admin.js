@@ -2,9 +2,13 @@
  * FAHMID NURSERY & PRIMARY SCHOOL
  * School Calendar Admin Module
  *
- * @version 1.0.0
+ * @version 1.1.0
  * @description Manages school calendar (public holidays, mid-term breaks, special breaks)
  *              so that attendance timesOpened is calculated against actual school days only.
+ *              Also holds school events (resumption, exams, PTA, sports day, open day),
+ *              term dates, yearly recurring holidays and the .ics export.
+ *              The .ics is a one-off download (there is no hosted feed), so
+ *              calendars that imported it do not update — re-download after changes.
  *
  * DESIGN PRINCIPLES:
  * - Zero modification to admin.js logic
@@ -14,14 +18,26 @@
  *
  * FIRESTORE SCHEMA — school_calendar/{docId}
  * {
- *   date:        "2025-09-15"           // YYYY-MM-DD string (also the doc ID)
- *   type:        "public_holiday"       // "public_holiday" | "mid_term_break" | "special_break" | "school_day"
+ *   date:        "2025-09-15"           // YYYY-MM-DD string (also the doc ID for closures)
+ *   type:        "public_holiday"       // any DAY_TYPES key
  *   description: "Nigerian Independence Day"
  *   session:     "2025/2026"           // set automatically from current settings
  *   term:        "First Term"          // set automatically from current settings
+ *   recurring:   true                  // optional — copied from a yearly recurring holiday
+ *   fromTermDates: true                // optional — resumption / term end written by Term Dates
  *   createdAt:   Timestamp
  *   createdBy:   uid
  * }
+ * Events (school open) use "{date}_{type}" as the doc ID so they can share a
+ * day with a closure or another event; closures keep one entry per date.
+ *
+ * FIRESTORE SCHEMA — school_calendar_terms/{session with "/" → "-"}
+ * { session, terms: { "First Term": { start, end }, ... }, updatedAt, updatedBy }
+ *
+ * FIRESTORE SCHEMA — school_calendar_recurring/{MM-DD}
+ * { month, day, type: "public_holiday", description, createdAt, createdBy }
+ * Copied into each term that contains the date when term dates are saved
+ * (or with "Apply to This Term").
  *
  * INTEGRATION NOTE (only two lines need adding to admin.js — see bottom of this file):
  *   1. In loadSectionData() switch statement, add:
@@ -37,18 +53,30 @@ console.log('📅 school-calendar-admin.js loading...');
    CONSTANTS
 ───────────────────────────────────────────────────────────────── */
 
-const CALENDAR_COLLECTION = 'school_calendar';
+const CALENDAR_COLLECTION  = 'school_calendar';
+const TERMS_COLLECTION     = 'school_calendar_terms';
+const RECURRING_COLLECTION = 'school_calendar_recurring';
+const TERM_NAMES           = ['First Term', 'Second Term', 'Third Term'];
 
 const DAY_TYPES = {
   public_holiday: { label: 'Public Holiday',  icon: '🏛️', color: '#dc2626', bg: '#fef2f2' },
   mid_term_break: { label: 'Mid-Term Break',   icon: '🏖️', color: '#d97706', bg: '#fffbeb' },
   special_break:  { label: 'Special Break',    icon: '📢', color: '#7c3aed', bg: '#f5f3ff' },
-  school_day:     { label: 'School Day',       icon: '🏫', color: '#16a34a', bg: '#f0fdf4' }
+  school_day:     { label: 'School Day',       icon: '🏫', color: '#16a34a', bg: '#f0fdf4' },
+  resumption:     { label: 'Resumption',       icon: '🔔', color: '#0369a1', bg: '#f0f9ff' },
+  term_end:       { label: 'Term Ends',        icon: '🏁', color: '#0f766e', bg: '#f0fdfa' },
+  exams:          { label: 'Examinations',     icon: '📝', color: '#b45309', bg: '#fffbeb' },
+  pta_meeting:    { label: 'PTA Meeting',      icon: '👪', color: '#1d4ed8', bg: '#eff6ff' },
+  sports_day:     { label: 'Sports Day',       icon: '🏅', color: '#15803d', bg: '#f0fdf4' },
+  open_day:       { label: 'Open Day',         icon: '🎈', color: '#be185d', bg: '#fdf2f8' }
 };
 
 // These types are NOT counted as school days for attendance
 const NON_SCHOOL_TYPES = new Set(['public_holiday', 'mid_term_break', 'special_break']);
 
+// School is open on these — shown on the news page and in the .ics export
+const EVENT_TYPES = new Set(['resumption', 'term_end', 'exams', 'pta_meeting', 'sports_day', 'open_day']);
+
 /* ─────────────────────────────────────────────────────────────────
    PUBLIC API  (window.schoolCalendar)
    Used by attendance-daily.js to determine valid school days
@@ -56,6 +84,12 @@ const NON_SCHOOL_TYPES = new Set(['public_holiday', 'mid_term_break', 'special_b
 
 window.schoolCalendar = {
 
+  DAY_TYPES,
+
+  isClosure(type) {
+    return NON_SCHOOL_TYPES.has(type);
+  },
+
   /**
    * Get all non-school days for a given session + term
    * Returns a Set of "YYYY-MM-DD" strings
@@ -119,6 +153,109 @@ window.schoolCalendar = {
       console.error('❌ schoolCalendar.getCalendarEntries error:', error);
       return [];
     }
+  },
+
+  /**
+   * Term start/end dates for a session — { "First Term": { start, end }, ... }
+   */
+  async getTermDates(session) {
+    try {
+      const doc = await db.collection(TERMS_COLLECTION).doc(_termsDocId(session)).get();
+      return doc.exists ? (doc.data().terms || {}) : {};
+    } catch (error) {
+      console.error('❌ schoolCalendar.getTermDates error:', error);
+      return {};
+    }
+  },
+
+  /**
+   * Closures and events from `fromDate` on, with consecutive days of the same
+   * entry merged into one { start, end, type, description }
+   */
+  async getUpcomingEvents(fromDate, limit = 6) {
+    const snap = await db.collection(CALENDAR_COLLECTION)
+      .where('date', '>=', fromDate)
+      .orderBy('date', 'asc')
+      .limit(300)
+      .get();
+
+    const entries = [];
+    snap.forEach(doc => {
+      const data = doc.data();
+      if (data.type !== 'school_day') entries.push(data);
+    });
+    return this.groupEntries(entries).slice(0, limit);
+  },
+
+  /**
+   * Merge runs of the same type + description (weekends in between allowed)
+   */
+  groupEntries(entries) {
+    const groups = [];
+    const sorted = [...entries].sort((a, b) => a.date.localeCompare(b.date) || a.type.localeCompare(b.type));
+
+    sorted.forEach(entry => {
+      const match = groups.find(group =>
+        group.type === entry.type &&
+        group.description === (entry.description || '') &&
+        _isNextSchoolDay(group.end, entry.date)
+      );
+      if (match) {
+        match.end = entry.date;
+      } else {
+        groups.push({ start: entry.date, end: entry.date, type: entry.type, description: entry.description || '' });
+      }
+    });
+
+    return groups.sort((a, b) => a.start.localeCompare(b.start));
+  },
+
+  /**
+   * iCalendar (RFC 5545) text for grouped entries — all-day events with
+   * stable UIDs, so importing an updated file replaces rather than duplicates
+   */
+  buildICS(groups, calendarName = 'Fahmid School Calendar') {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Fahmid Nursery & Primary School//School Calendar//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${_icsText(calendarName)}`,
+      'X-WR-TIMEZONE:Africa/Lagos'
+    ];
+
+    groups.forEach(group => {
+      const label = DAY_TYPES[group.type]?.label || group.type;
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${group.start}-${group.type}@fahmid-school`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${group.start.replace(/-/g, '')}`,
+        `DTEND;VALUE=DATE:${_addDays(group.end, 1).replace(/-/g, '')}`,
+        `SUMMARY:${_icsText(group.description ? `${label}: ${group.description}` : label)}`,
+        `CATEGORIES:${_icsText(label)}`,
+        `TRANSP:${NON_SCHOOL_TYPES.has(group.type) ? 'TRANSPARENT' : 'OPAQUE'}`,
+        'END:VEVENT'
+      );
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(_foldICSLine).join('\r\n') + '\r\n';
+  },
+
+  // One-off snapshot: the file is generated in the browser, not served from a feed URL
+  downloadICS(groups, filename, calendarName) {
+    const blob = new Blob([this.buildICS(groups, calendarName)], { type: 'text/calendar;charset=utf-8' });
+    const url  = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href     = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
   }
 };
 
@@ -147,6 +284,7 @@ async function loadSchoolCalendarSection() {
   // Always reload the table on every navigation to this section
   await _loadCalendarTable();
   await _populateCalendarSessionTerm();
+  await Promise.all([_loadTermDates(), _loadRecurringHolidays()]);
 }
 
 // Expose so admin.js loadSectionData can call it
@@ -157,12 +295,19 @@ window.loadSchoolCalendarSection = loadSchoolCalendarSection;
 ───────────────────────────────────────────────────────────────── */
 
 function buildCalendarSectionHTML() {
+  const typeOption = ([type, info]) => `<option value="${type}">${info.icon} ${info.label}</option>`;
+  const closureOptions = Object.entries(DAY_TYPES).filter(([type]) => NON_SCHOOL_TYPES.has(type)).map(typeOption).join('');
+  const eventOptions   = Object.entries(DAY_TYPES).filter(([type]) => EVENT_TYPES.has(type)).map(typeOption).join('');
+  const inputStyle     = 'width:100%; padding:var(--space-sm); border:1px solid var(--color-gray-300); border-radius:var(--radius-sm);';
+  const monthOptions   = Array.from({ length: 12 }, (_, i) =>
+    `<option value="${i + 1}">${new Date(2024, i, 1).toLocaleDateString('en-GB', { month: 'long' })}</option>`).join('');
+
   return `
     <div class="section-header" style="margin-bottom: var(--space-xl);">
       <h2 style="margin:0 0 var(--space-xs);">📅 School Calendar</h2>
       <p style="margin:0; color:var(--color-gray-600); font-size:var(--text-sm);">
-        Mark public holidays, mid-term breaks, and special closures.
-        These days will be excluded from attendance <em>timesOpened</em> calculations automatically.
+        Mark public holidays, mid-term breaks, and special closures, plus school events such as exams and PTA meetings.
+        Closures are excluded from attendance <em>timesOpened</em> calculations automatically; events are shown on the news page.
       </p>
     </div>
 
@@ -185,7 +330,7 @@ function buildCalendarSectionHTML() {
 
     <!-- Add Entry Card -->
     <div class="admin-card" style="margin-bottom: var(--space-xl);">
-      <h3 style="margin-top:0;">➕ Add Non-School Day</h3>
+      <h3 style="margin-top:0;">➕ Add Calendar Entry</h3>
 
       <div style="display:grid; grid-template-columns: repeat(auto-fit, minmax(220px, 1fr)); gap: var(--space-md); margin-bottom: var(--space-md);">
 
@@ -200,16 +345,15 @@ function buildCalendarSectionHTML() {
           <select id="cal-type" class="form-control"
                   style="width:100%; padding:var(--space-sm); border:1px solid var(--color-gray-300); border-radius:var(--radius-sm);">
             <option value="">-- Select Type --</option>
-            <option value="public_holiday">🏛️ Public Holiday</option>
-            <option value="mid_term_break">🏖️ Mid-Term Break</option>
-            <option value="special_break">📢 Special Break / Closure</option>
+            <optgroup label="School closed (not counted for attendance)">${closureOptions}</optgroup>
+            <optgroup label="School event (school open)">${eventOptions}</optgroup>
           </select>
         </div>
 
         <div class="form-group">
           <label for="cal-description">Description <span style="color:red">*</span></label>
           <input type="text" id="cal-description" class="form-control"
-                 placeholder="e.g. Independence Day, Mid-term Break..."
+                 placeholder="e.g. Independence Day, First Term Exams..."
                  style="width:100%; padding:var(--space-sm); border:1px solid var(--color-gray-300); border-radius:var(--radius-sm);">
         </div>
 
@@ -270,6 +414,56 @@ function buildCalendarSectionHTML() {
       </button>
     </div>
 
+    <!-- Term Dates Card -->
+    <div class="admin-card" style="margin-bottom: var(--space-xl);">
+      <h3 style="margin-top:0;">🗓️ Term Dates — <span id="cal-terms-session">—</span></h3>
+      <p style="font-size:var(--text-sm); color:#64748b; margin:0 0 var(--space-md);">
+        Terms must fall within the session dates in School Settings (<span id="cal-session-range">not set</span>).
+        Saving adds Resumption and Term Ends to the calendar and copies in any recurring holidays that fall inside each term.
+      </p>
+      <div style="display:grid; grid-template-columns: minmax(110px, auto) 1fr 1fr; gap: var(--space-sm) var(--space-md); align-items:center; margin-bottom: var(--space-md);">
+        <span></span>
+        <strong style="font-size:var(--text-sm);">Starts</strong>
+        <strong style="font-size:var(--text-sm);">Ends</strong>
+        ${TERM_NAMES.map((term, i) => `
+          <label for="cal-term-start-${i}" style="font-size:var(--text-sm);">${term}</label>
+          <input type="date" id="cal-term-start-${i}" aria-label="${term} start date" style="${inputStyle}">
+          <input type="date" id="cal-term-end-${i}" aria-label="${term} end date" style="${inputStyle}">
+        `).join('')}
+      </div>
+      <button id="cal-terms-save-btn" class="btn btn-primary" onclick="window.saveTermDates()">
+        💾 Save Term Dates
+      </button>
+    </div>
+
+    <!-- Recurring Holidays Card -->
+    <div class="admin-card" style="margin-bottom: var(--space-xl);">
+      <h3 style="margin-top:0;">🔁 Yearly Recurring Holidays</h3>
+      <p style="font-size:var(--text-sm); color:#64748b; margin:0 0 var(--space-md);">
+        Public holidays on the same date every year, e.g. 1 October — Independence Day.
+        Movable holidays (Eid, Easter) still need adding each year above.
+      </p>
+      <div style="display:grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr)); gap: var(--space-md); margin-bottom: var(--space-md); align-items:end;">
+        <div class="form-group">
+          <label for="cal-recurring-month">Month</label>
+          <select id="cal-recurring-month" style="${inputStyle}">${monthOptions}</select>
+        </div>
+        <div class="form-group">
+          <label for="cal-recurring-day">Day</label>
+          <input type="number" id="cal-recurring-day" min="1" max="31" placeholder="1" style="${inputStyle}">
+        </div>
+        <div class="form-group" style="grid-column: span 2;">
+          <label for="cal-recurring-description">Description</label>
+          <input type="text" id="cal-recurring-description" placeholder="e.g. Independence Day" style="${inputStyle}">
+        </div>
+      </div>
+      <div style="display:flex; gap:var(--space-sm); flex-wrap:wrap; margin-bottom: var(--space-md);">
+        <button id="cal-recurring-add-btn" class="btn btn-primary" onclick="window.addRecurringHoliday()">➕ Add Recurring Holiday</button>
+        <button id="cal-recurring-apply-btn" class="btn btn-secondary" onclick="window.applyRecurringHolidays()">📌 Apply to This Term</button>
+      </div>
+      <div id="cal-recurring-list"></div>
+    </div>
+
     <!-- Filter Bar -->
     <div style="
       display: flex;
@@ -284,9 +478,8 @@ function buildCalendarSectionHTML() {
                 onchange="window.applyCalendarFilter()"
                 style="padding:var(--space-xs) var(--space-sm); border:1px solid var(--color-gray-300); border-radius:var(--radius-sm); font-size:var(--text-sm);">
           <option value="">All types</option>
-          <option value="public_holiday">🏛️ Public Holiday</option>
-          <option value="mid_term_break">🏖️ Mid-Term Break</option>
-          <option value="special_break">📢 Special Break</option>
+          ${closureOptions}
+          ${eventOptions}
         </select>
       </div>
 
@@ -294,6 +487,11 @@ function buildCalendarSectionHTML() {
         📥 Export CSV
       </button>
 
+      <button class="btn btn-secondary" style="font-size:var(--text-sm);" onclick="window.exportCalendarICS()"
+              title="One-off download of the whole session for Google, Apple or Outlook calendar. It does not update — export again after changes.">
+        📆 Download .ics (one-off)
+      </button>
+
       <span id="cal-entry-count" style="font-size:var(--text-sm); color:#64748b; margin-left:auto;"></span>
     </div>
 
@@ -435,7 +633,9 @@ window.saveCalendarEntry = async function () {
     let skippedCount = 0;
 
     for (const dateStr of datesToSave) {
-      const docId = dateStr; // Use date string as doc ID — guarantees uniqueness per date
+      // Closures use the date as doc ID — guarantees one closure per date.
+      // Events add the type so they can sit alongside a closure or another event.
+      const docId = NON_SCHOOL_TYPES.has(type) ? dateStr : `${dateStr}_${type}`;
       const docRef = db.collection(CALENDAR_COLLECTION).doc(docId);
 
       // Check if already exists
@@ -617,10 +817,10 @@ function _renderCalendarTable(entries) {
         <td colspan="6" style="text-align:center; padding: var(--space-2xl); color:var(--color-gray-600);">
           <div style="font-size:2rem; margin-bottom:var(--space-md);">📅</div>
           <p style="font-size:var(--text-lg); font-weight:600; margin-bottom:var(--space-sm);">
-            No non-school days marked yet
+            No calendar entries yet
           </p>
           <p style="font-size:var(--text-sm);">
-            Add public holidays and breaks above. Once added, they will be excluded from
+            Add public holidays, breaks and school events above. Holidays and breaks will be excluded from
             attendance <em>timesOpened</em> automatically.
           </p>
         </td>
@@ -661,13 +861,13 @@ function _renderCalendarTable(entries) {
           ${typeInfo.icon} ${typeInfo.label}
         </span>
       </td>
-      <td data-label="Description">${_escapeHTML(entry.description || '—')}</td>
+      <td data-label="Description">${window.escapeHTML(entry.description || '—')}</td>
       <td data-label="Session · Term" style="font-size:var(--text-sm); color:#64748b;">
         ${entry.session || '—'} · ${entry.term || '—'}
       </td>
       <td data-label="Actions">
         <button class="btn-small btn-danger"
-                onclick="window.deleteCalendarEntry('${entry.id}', '${_escapeHTML(entry.date)}')">
+                onclick="window.deleteCalendarEntry('${entry.id}', '${window.escapeHTML(entry.date)}', '${window.escapeHTML(entry.type)}')">
           🗑️ Remove
         </button>
       </td>
@@ -725,10 +925,11 @@ function _renderSummaryBadges(entries) {
     }
   });
 
-  // Grand total
+  // Grand total (closures only — events are school days)
+  const closures = entries.filter(e => NON_SCHOOL_TYPES.has(e.type)).length;
   container.innerHTML += badge(
-    'total non-school day' + (entries.length === 1 ? '' : 's'),
-    entries.length,
+    'total non-school day' + (closures === 1 ? '' : 's'),
+    closures,
     '#0369a1',
     '#eff6ff',
     '📅'
@@ -751,10 +952,11 @@ window.applyCalendarFilter = function () {
    DELETE ENTRY
 ───────────────────────────────────────────────────────────────── */
 
-window.deleteCalendarEntry = async function (docId, dateStr) {
+window.deleteCalendarEntry = async function (docId, dateStr, type) {
+  const closure = !type || NON_SCHOOL_TYPES.has(type);
   if (!confirm(
-    `Remove ${dateStr} from calendar?\n\n` +
-    `This will make it count as a school day again in attendance calculations.\n\n` +
+    `Remove ${closure ? dateStr : `${DAY_TYPES[type]?.label || type} on ${dateStr}`} from calendar?\n\n` +
+    (closure ? `This will make it count as a school day again in attendance calculations.\n\n` : '') +
     `Continue?`
   )) return;
 
@@ -810,10 +1012,341 @@ window.exportCalendarCSV = async function () {
   window.showToast?.(`✅ Exported ${_allCalendarEntries.length} entries`, 'success');
 };
 
+/* ─────────────────────────────────────────────────────────────────
+   EXPORT .ICS (whole current session)
+───────────────────────────────────────────────────────────────── */
+
+window.exportCalendarICS = async function () {
+  try {
+    const settings = await window.getCurrentSettings();
+    const snap = await db.collection(CALENDAR_COLLECTION)
+      .where('session', '==', settings.session)
+      .get();
+
+    const entries = [];
+    snap.forEach(doc => {
+      if (doc.data().type !== 'school_day') entries.push(doc.data());
+    });
+
+    if (entries.length === 0) {
+      window.showToast?.('No entries to export', 'info');
+      return;
+    }
+
+    const groups = window.schoolCalendar.groupEntries(entries);
+    window.schoolCalendar.downloadICS(
+      groups,
+      `school_calendar_${_termsDocId(settings.session)}.ics`,
+      `Fahmid School ${settings.session}`
+    );
+
+    window.showToast?.(`✅ Exported ${groups.length} events — this is a one-off copy; calendars that import it won't update, so share a fresh export after changes`, 'success', 6000);
+  } catch (error) {
+    console.error('❌ exportCalendarICS error:', error);
+    window.showToast?.(`Failed to export: ${error.message}`, 'danger');
+  }
+};
+
+/* ─────────────────────────────────────────────────────────────────
+   TERM DATES (tied to settings.currentSession)
+───────────────────────────────────────────────────────────────── */
+
+async function _loadTermDates() {
+  try {
+    const settings = await window.getCurrentSettings();
+    const terms    = await window.schoolCalendar.getTermDates(settings.session);
+    const start    = _toISODate(settings.currentSession?.startDate);
+    const end      = _toISODate(settings.currentSession?.endDate);
+
+    const sessionEl = document.getElementById('cal-terms-session');
+    const rangeEl   = document.getElementById('cal-session-range');
+    if (sessionEl) sessionEl.textContent = settings.session;
+    if (rangeEl)   rangeEl.textContent   = start && end ? `${_formatDateDisplay(start)} – ${_formatDateDisplay(end)}` : 'not set';
+
+    TERM_NAMES.forEach((term, i) => {
+      const startInput = document.getElementById(`cal-term-start-${i}`);
+      const endInput   = document.getElementById(`cal-term-end-${i}`);
+      if (startInput) { startInput.value = terms[term]?.start || ''; startInput.min = start || ''; startInput.max = end || ''; }
+      if (endInput)   { endInput.value   = terms[term]?.end   || ''; endInput.min   = start || ''; endInput.max   = end || ''; }
+    });
+  } catch (error) {
+    console.error('❌ Could not load term dates:', error);
+  }
+}
+
+window.saveTermDates = async function () {
+  const btn = document.getElementById('cal-terms-save-btn');
+  if (btn) { btn.disabled = true; btn.textContent = '⏳ Saving...'; }
+
+  try {
+    const settings     = await window.getCurrentSettings();
+    const session      = settings.session;
+    const sessionStart = _toISODate(settings.currentSession?.startDate);
+    const sessionEnd   = _toISODate(settings.currentSession?.endDate);
+
+    const terms = {};
+    TERM_NAMES.forEach((term, i) => {
+      const start = document.getElementById(`cal-term-start-${i}`)?.value;
+      const end   = document.getElementById(`cal-term-end-${i}`)?.value;
+      if (!start && !end) return;
+      if (!start || !end) throw new Error(`${term}: enter both the start and end date`);
+      if (end < start) throw new Error(`${term}: the end date is before the start date`);
+      if (sessionStart && start < sessionStart) throw new Error(`${term} starts before the ${session} session (${_formatDateDisplay(sessionStart)})`);
+      if (sessionEnd && end > sessionEnd) throw new Error(`${term} ends after the ${session} session (${_formatDateDisplay(sessionEnd)})`);
+      terms[term] = { start, end };
+    });
+
+    const ordered = TERM_NAMES.filter(term => terms[term]);
+    for (let i = 1; i < ordered.length; i++) {
+      if (terms[ordered[i]].start <= terms[ordered[i - 1]].end) {
+        throw new Error(`${ordered[i]} must start after ${ordered[i - 1]} ends`);
+      }
+    }
+
+    // Resumption / Term Ends entries follow the term dates
+    const markers = {};
+    Object.entries(terms).forEach(([term, { start, end }]) => {
+      markers[`${start}_resumption`] = { date: start, type: 'resumption', description: `${term} begins`, term };
+      markers[`${end}_term_end`]     = { date: end,   type: 'term_end',   description: `${term} ends`, term };
+    });
+
+    const existingSnap = await db.collection(CALENDAR_COLLECTION).where('session', '==', session).get();
+    const batch = db.batch();
+
+    existingSnap.forEach(doc => {
+      if (doc.data().fromTermDates && !markers[doc.id]) batch.delete(doc.ref);
+    });
+    Object.entries(markers).forEach(([docId, marker]) => {
+      batch.set(db.collection(CALENDAR_COLLECTION).doc(docId), {
+        ...marker,
+        session,
+        fromTermDates: true,
+        createdAt:     firebase.firestore.FieldValue.serverTimestamp(),
+        createdBy:     auth.currentUser.uid
+      });
+    });
+    batch.set(db.collection(TERMS_COLLECTION).doc(_termsDocId(session)), {
+      session,
+      terms,
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      updatedBy: auth.currentUser.uid
+    });
+    await batch.commit();
+
+    const added = await _applyRecurringToTerms(session, terms);
+    window.showToast?.(
+      `✅ Term dates saved for ${session}` + (added > 0 ? ` — ${added} recurring holiday(s) added` : ''),
+      'success', 6000
+    );
+
+    await _loadCalendarTable();
+  } catch (error) {
+    console.error('❌ saveTermDates error:', error);
+    window.showToast?.(error.message || 'Failed to save term dates', 'danger', 8000);
+  } finally {
+    if (btn) { btn.disabled = false; btn.textContent = '💾 Save Term Dates'; }
+  }
+};
+
+/* ─────────────────────────────────────────────────────────────────
+   YEARLY RECURRING HOLIDAYS
+───────────────────────────────────────────────────────────────── */
+
+async function _getRecurringHolidays() {
+  const snap = await db.collection(RECURRING_COLLECTION).get();
+  return snap.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Copy recurring holidays into every term whose dates contain them.
+ * Dates that already have a closure are left alone.
+ * @returns {Promise<number>} entries added
+ */
+async function _applyRecurringToTerms(session, terms) {
+  const recurring = await _getRecurringHolidays();
+  if (recurring.length === 0) return 0;
+
+  const batch = db.batch();
+  let added = 0;
+
+  for (const [term, { start, end }] of Object.entries(terms)) {
+    const years = [];
+    for (let year = Number(start.slice(0, 4)); year <= Number(end.slice(0, 4)); year++) years.push(year);
+
+    for (const holiday of recurring) {
+      for (const year of years) {
+        const dateStr = `${year}-${String(holiday.month).padStart(2, '0')}-${String(holiday.day).padStart(2, '0')}`;
+        // 29 Feb outside a leap year rolls over — skip it
+        if (_addDays(dateStr, 0) !== dateStr || dateStr < start || dateStr > end) continue;
+
+        const docRef = db.collection(CALENDAR_COLLECTION).doc(dateStr);
+        if ((await docRef.get()).exists) continue;
+
+        batch.set(docRef, {
+          date:        dateStr,
+          type:        holiday.type || 'public_holiday',
+          description: holiday.description,
+          session,
+          term,
+          recurring:   true,
+          createdAt:   firebase.firestore.FieldValue.serverTimestamp(),
+          createdBy:   auth.currentUser.uid
+        });
+        added++;
+      }
+    }
+  }
+
+  if (added > 0) await batch.commit();
+  return added;
+}
+
+async function _loadRecurringHolidays() {
+  const container = document.getElementById('cal-recurring-list');
+  if (!container) return;
+
+  try {
+    const holidays = await _getRecurringHolidays();
+
+    if (holidays.length === 0) {
+      container.innerHTML = '<p style="font-size:var(--text-sm); color:#94a3b8; margin:0;">No recurring holidays yet.</p>';
+      return;
+    }
+
+    container.innerHTML = `
+      <div class="table-container">
+        <table class="responsive-table">
+          <thead><tr><th>Date</th><th>Description</th><th>Actions</th></tr></thead>
+          <tbody>
+            ${holidays.map(holiday => `
+              <tr>
+                <td data-label="Date" style="font-weight:600;">
+                  ${holiday.day} ${new Date(2024, holiday.month - 1, 1).toLocaleDateString('en-GB', { month: 'long' })}
+                </td>
+                <td data-label="Description">${window.escapeHTML(holiday.description)}</td>
+                <td data-label="Actions">
+                  <button class="btn-small btn-danger" onclick="window.deleteRecurringHoliday('${holiday.id}')">🗑️ Remove</button>
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  } catch (error) {
+    console.error('❌ _loadRecurringHolidays error:', error);
+    container.innerHTML = `<p style="color:var(--color-danger); font-size:var(--text-sm);">Failed to load recurring holidays: ${error.message}</p>`;
+  }
+}
+
+window.addRecurringHoliday = async function () {
+  const month       = Number(document.getElementById('cal-recurring-month')?.value);
+  const day         = Number(document.getElementById('cal-recurring-day')?.value);
+  const description = document.getElementById('cal-recurring-description')?.value.trim();
+
+  // 2024 is a leap year, so 29 February is accepted
+  const daysInMonth = new Date(2024, month, 0).getDate();
+  if (!month || !Number.isInteger(day) || day < 1 || day > daysInMonth) {
+    window.showToast?.('Please enter a valid day for that month', 'warning');
+    return;
+  }
+  if (!description) {
+    window.showToast?.('Please enter a description', 'warning');
+    return;
+  }
+
+  const docId  = `${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  const docRef = db.collection(RECURRING_COLLECTION).doc(docId);
+
+  try {
+    if ((await docRef.get()).exists) {
+      window.showToast?.('That date already has a recurring holiday', 'info');
+      return;
+    }
+
+    await docRef.set({
+      month,
+      day,
+      type:      'public_holiday',
+      description,
+      createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+      createdBy: auth.currentUser.uid
+    });
+
+    document.getElementById('cal-recurring-day').value         = '';
+    document.getElementById('cal-recurring-description').value = '';
+    window.showToast?.(`✅ ${description} added — use "Apply to This Term" or save term dates to add it to the calendar`, 'success', 6000);
+    await _loadRecurringHolidays();
+  } catch (error) {
+    console.error('❌ addRecurringHoliday error:', error);
+    window.showToast?.(`Failed to save: ${error.message}`, 'danger');
+  }
+};
+
+window.deleteRecurringHoliday = async function (docId) {
+  if (!confirm(
+    'Stop repeating this holiday?\n\n' +
+    'Dates already added to term calendars are kept — remove them from the table below if needed.'
+  )) return;
+
+  try {
+    await db.collection(RECURRING_COLLECTION).doc(docId).delete();
+    window.showToast?.('✅ Recurring holiday removed', 'success');
+    await _loadRecurringHolidays();
+  } catch (error) {
+    console.error('❌ deleteRecurringHoliday error:', error);
+    window.showToast?.(`Failed to remove: ${error.message}`, 'danger');
+  }
+};
+
+window.applyRecurringHolidays = async function () {
+  const btn = document.getElementById('cal-recurring-apply-btn');
+  if (btn) { btn.disabled = true; btn.textContent = '⏳ Applying...'; }
+
+  try {
+    const settings = await window.getCurrentSettings();
+    const terms    = await window.schoolCalendar.getTermDates(settings.session);
+
+    if (!terms[settings.term]) {
+      window.showToast?.(`Set the ${settings.term} dates under Term Dates first`, 'warning', 6000);
+      return;
+    }
+
+    const added = await _applyRecurringToTerms(settings.session, { [settings.term]: terms[settings.term] });
+    window.showToast?.(
+      added > 0
+        ? `✅ ${added} recurring holiday(s) added to ${settings.term}`
+        : `ℹ️ No new recurring holidays fall in ${settings.term}`,
+      added > 0 ? 'success' : 'info'
+    );
+
+    await _loadCalendarTable();
+  } catch (error) {
+    console.error('❌ applyRecurringHolidays error:', error);
+    window.showToast?.(`Failed to apply: ${error.message}`, 'danger');
+  } finally {
+    if (btn) { btn.disabled = false; btn.textContent = '📌 Apply to This Term'; }
+  }
+};
+
 /* ─────────────────────────────────────────────────────────────────
    HELPERS
 ───────────────────────────────────────────────────────────────── */
 
+// Session start/end are stored as Timestamps by School Settings. Built from
+// local date parts: toISOString() is UTC, which moves WAT midnight back a day.
+function _toISODate(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return value.slice(0, 10);
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  if (isNaN(date)) return null;
+  const mm = String(date.getMonth() + 1).padStart(2, '0');
+  const dd = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${mm}-${dd}`;
+}
+
 function _formatDateDisplay(dateStr) {
   try {
     const d = new Date(dateStr + 'T00:00:00');
@@ -823,18 +1356,54 @@ function _formatDateDisplay(dateStr) {
   }
 }
 
-function _escapeHTML(str) {
-  if (!str) return '';
-  return str
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;');
+function _termsDocId(session) {
+  return String(session).replace(/\//g, '-');
+}
+
+// Date arithmetic in UTC so the local timezone never shifts the day
+function _addDays(dateStr, days) {
+  const d = new Date(dateStr + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+// True when `next` follows `prev` with only a weekend (or nothing) in between
+function _isNextSchoolDay(prev, next) {
+  if (next <= prev) return next === prev;
+  let cursor = _addDays(prev, 1);
+  while (cursor < next) {
+    const day = new Date(cursor + 'T00:00:00Z').getUTCDay();
+    if (day !== 0 && day !== 6) return false;
+    cursor = _addDays(cursor, 1);
+  }
+  return true;
+}
+
+function _icsText(str) {
+  return String(str || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// RFC 5545: lines longer than 75 octets continue on the next line after a space
+function _foldICSLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (new TextEncoder().encode(current + char).length > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
 }
 
 console.log('✅ school-calendar-admin.js loaded');
-console.log('   → window.schoolCalendar API: getNonSchoolDays, isSchoolDay, filterSchoolDays, getCalendarEntries');
+console.log('   → window.schoolCalendar API: getNonSchoolDays, isSchoolDay, filterSchoolDays, getCalendarEntries, getTermDates, getUpcomingEvents, buildICS');
 console.log('   → Admin section: loadSchoolCalendarSection()');
 
 /*
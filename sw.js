@@ -2,13 +2,13 @@
  * FAHMID NURSERY & PRIMARY SCHOOL
  * Service Worker - Production PWA
  * 
- * @version 2.0.0
- * @date 2026-02-15
+ * @version 2.1.0
+ * @date 2026-10-19
  */
 
 'use strict';
 
-const CACHE_VERSION = 'fahmid-pwa-v2.0.0';
+const CACHE_VERSION = 'fahmid-pwa-v2.1.0';
 const CACHE_NAME = `${CACHE_VERSION}`;
 const MAX_CACHE_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
 
@@ -22,6 +22,7 @@ const PRECACHE_ASSETS = [
   '/styles.css',
   '/script.js',
   '/firebase-init.js',
+  '/offline-outbox.js',
   '/IMG_4628.jpeg'
 ];
 
@@ -210,8 +211,19 @@ self.addEventListener('message', event => {
 });
 
 /**
- * Background Sync - Queue failed requests
+ * Background Sync - Replay the offline outbox (offline-outbox.js)
+ *
+ * Queued writes live in IndexedDB "fahmid-offline"/"outbox". Firestore writes need
+ * the signed-in client SDK, so the worker asks an open portal page to replay them.
+ * Rejecting leaves the sync registered and the browser retries later.
+ * Entries are per teacher (uid), so after a flush only the entries of the teacher
+ * signed in on that page are counted — another teacher's queue can't keep it failing.
  */
+const OUTBOX_DB_NAME = 'fahmid-offline';
+const OUTBOX_DB_VERSION = 1;
+const OUTBOX_STORE = 'outbox';
+const OUTBOX_REPLY_TIMEOUT = 60 * 1000;
+
 self.addEventListener('sync', event => {
   
   if (event.tag === 'sync-data') {
@@ -219,9 +231,72 @@ self.addEventListener('sync', event => {
   }
 });
 
+/**
+ * Entries still to replay; all users' when uid is null
+ */
+function countPendingOutbox(uid = null) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const idb = request.result;
+      if (!idb.objectStoreNames.contains(OUTBOX_STORE)) {
+        idb.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+      }
+    };
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const idb = request.result;
+      const getAll = idb.transaction(OUTBOX_STORE, 'readonly').objectStore(OUTBOX_STORE).getAll();
+      getAll.onsuccess = () => {
+        idb.close();
+        resolve(getAll.result
+          .filter(entry => entry.status !== 'conflict' && (uid === null || entry.uid === uid))
+          .length);
+      };
+      getAll.onerror = () => {
+        idb.close();
+        reject(getAll.error);
+      };
+    };
+  });
+}
+
+/**
+ * Ask one window to flush its outbox; resolves with { remaining, uid }, or null
+ */
+function requestClientFlush(client) {
+  return new Promise(resolve => {
+    const channel = new MessageChannel();
+    const timer = setTimeout(() => resolve(null), OUTBOX_REPLY_TIMEOUT);
+    channel.port1.onmessage = event => {
+      clearTimeout(timer);
+      resolve(event.data || null);
+    };
+    client.postMessage({ type: 'SYNC_OUTBOX' }, [channel.port2]);
+  });
+}
+
 async function syncPendingData() {
-  // Implement sync logic as needed
-  return Promise.resolve();
+  if (await countPendingOutbox() === 0) return;
+
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  if (windows.length === 0) {
+    throw new Error('No open portal page to replay queued writes');
+  }
+
+  // One page at a time so two tabs never replay the same entry;
+  // pages without the outbox (public pages) never reply
+  let reply = null;
+  for (const client of windows) {
+    reply = await requestClientFlush(client);
+    if (reply !== null) break;
+  }
+
+  const remaining = await countPendingOutbox(reply?.uid || null);
+  if (remaining > 0) {
+    throw new Error(`${remaining} queued write(s) still waiting`);
+  }
+  console.log('[SW] Offline outbox synced');
 }
 
 /**
@@ -693,6 +693,46 @@ function populateSubjectsForClass(classId) {
     console.log(`✓ Populated ${subjects.length} subject(s) for ${cls.name}`);
 }
 
+// Assessment scheme in force for the class currently shown in the entry table
+let currentResultsScheme = null;
+
+/**
+ * Pupils of one class, as listed in the results entry table
+ */
+function getClassPupils(classId) {
+  return allPupils.filter(p => p.class?.id === classId);
+}
+
+/**
+ * Saved draft scores of the current session for a list of pupils.
+ * Shared by the entry table and the score-sheet template (results-import.js).
+ * @returns {Promise<{resultsMap: Object<string, Object<string, number>>, schemeSignatures: string[]}>}
+ */
+async function loadSavedResultScores(pupils, term, subject, currentSession) {
+  const resultsMap = {};
+  const schemeSignatures = [];
+
+  // Query from DRAFT collection (filtered pupils only)
+  for (const pupil of pupils) {
+    const docId = `${pupil.id}_${term}_${subject}`;
+    const draftDoc = await db.collection('results_draft').doc(docId).get();
+
+    if (draftDoc.exists) {
+      const data = draftDoc.data();
+      if (data.session === currentSession) {
+        // Legacy drafts (caScore/examScore only) map onto the "ca"/"exam" keys
+        const breakdown = window.assessmentSchemes.getResultBreakdown(data);
+        const scores = {};
+        breakdown.components.forEach(c => { scores[c.key] = c.score; });
+        resultsMap[pupil.id] = scores;
+        schemeSignatures.push(window.assessmentSchemes.signature(breakdown.scheme));
+      }
+    }
+  }
+
+  return { resultsMap, schemeSignatures };
+}
+
 async function loadResultsTable() {
   const container = document.getElementById('results-entry-table-container');
   const saveBtn = document.getElementById('save-results-btn');
@@ -700,6 +740,9 @@ async function loadResultsTable() {
   const subject = document.getElementById('result-subject')?.value;
   const classSelect = document.getElementById('result-class');
   const selectedClassId = classSelect?.value;
+
+  // A pending spreadsheet preview belongs to the previous class/term/subject
+  window.cancelResultsImport?.();
   
   if (!container || !term || !subject || !selectedClassId) {
     if (container) container.innerHTML = '';
@@ -708,7 +751,7 @@ async function loadResultsTable() {
   }
 
   // ✅ FIX: Filter pupils to only those in the selected class
-  const classFilteredPupils = allPupils.filter(p => p.class?.id === selectedClassId);
+  const classFilteredPupils = getClassPupils(selectedClassId);
 
   if (classFilteredPupils.length === 0) {
     container.innerHTML = '<p style="text-align:center; color:var(--color-gray-600);">No pupils found in this class.</p>';
@@ -719,24 +762,20 @@ async function loadResultsTable() {
   try {
     const settings = await window.getCurrentSettings();
     const currentSession = settings.session;
+
+    const scheme = await window.assessmentSchemes.getSchemeForClass(selectedClassId);
+    currentResultsScheme = scheme;
+    const schemeSignature = window.assessmentSchemes.signature(scheme);
     
-    const resultsMap = {};
-    
-    // Query from DRAFT collection (filtered pupils only)
-    for (const pupil of classFilteredPupils) {
-      const docId = `${pupil.id}_${term}_${subject}`;
-      const draftDoc = await db.collection('results_draft').doc(docId).get();
-      
-      if (draftDoc.exists) {
-        const data = draftDoc.data();
-        if (data.session === currentSession) {
-          resultsMap[pupil.id] = {
-            ca: data.caScore || 0,
-            exam: data.examScore || 0
-          };
-        }
-      }
-    }
+    const { resultsMap, schemeSignatures } = await loadSavedResultScores(classFilteredPupils, term, subject, currentSession);
+    const hasSchemeMismatch = schemeSignatures.some(sig => sig !== schemeSignature);
+
+    const schemeNotice = hasSchemeMismatch ? `
+      <div class="alert alert-warning" style="margin-bottom: var(--space-lg);">
+        ⚠️ Some saved scores were entered under a different assessment scheme.
+        Scores are shown against the current scheme — please review them before saving.
+      </div>
+    ` : '';
     
     // ✅ Check for rejection reason
     let rejectionBanner = '';
@@ -782,16 +821,20 @@ async function loadResultsTable() {
     }
     
     // Render table
+    const componentHeaders = scheme.components
+      .map(c => `<th>${c.label} (${c.max})</th>`)
+      .join('');
+
     container.innerHTML = `
       ${rejectionBanner}
+      ${schemeNotice}
       <div class="table-container">
         <table class="responsive-table" id="results-table">
           <thead>
             <tr>
               <th>Pupil Name</th>
-              <th>CA Score (40)</th>
-              <th>Exam Score (60)</th>
-              <th>Total</th>
+              ${componentHeaders}
+              <th>Total (100)</th>
             </tr>
           </thead>
           <tbody></tbody>
@@ -800,24 +843,21 @@ async function loadResultsTable() {
     `;
     
     paginateTable(classFilteredPupils, 'results-table', 20, (pupil, tbody) => {
-      const existing = resultsMap[pupil.id] || { ca: 0, exam: 0 };
-      const total = existing.ca + existing.exam;
+      const existing = resultsMap[pupil.id] || {};
+      const total = window.assessmentSchemes.computeTotal(existing, scheme);
+
+      const componentCells = scheme.components.map(c => `
+        <td data-label="${c.label} (${c.max})">
+          <input type="number" min="0" max="${c.max}" step="0.5" value="${existing[c.key] || ''}" 
+                 data-pupil="${pupil.id}" data-field="${c.key}" data-max="${c.max}" data-label="${c.label}"
+                 style="width:100%; max-width:100px;"
+                 placeholder="0-${c.max}">
+        </td>`).join('');
       
       const tr = document.createElement('tr');
       tr.innerHTML = `
         <td data-label="Pupil Name">${pupil.name}</td>
-        <td data-label="CA Score (40)">
-          <input type="number" min="0" max="40" step="0.5" value="${existing.ca || ''}" 
-                 data-pupil="${pupil.id}" data-field="ca" 
-                 style="width:100%; max-width:100px;"
-                 placeholder="0-40">
-        </td>
-        <td data-label="Exam Score (60)">
-          <input type="number" min="0" max="60" step="0.5" value="${existing.exam || ''}" 
-                 data-pupil="${pupil.id}" data-field="exam" 
-                 style="width:100%; max-width:100px;"
-                 placeholder="0-60">
-        </td>
+        ${componentCells}
         <td data-label="Total">${total > 0 ? total : '-'}</td>
       `;
       tbody.appendChild(tr);
@@ -827,15 +867,14 @@ async function loadResultsTable() {
     
     container.querySelectorAll('input[type="number"]').forEach(input => {
       input.addEventListener('input', (e) => {
-        const field = e.target.dataset.field;
-        const max = field === 'ca' ? 40 : 60;
+        const max = parseFloat(e.target.dataset.max) || 0;
         let value = parseFloat(e.target.value);
         
         if (value > max) {
           e.target.value = max;
           value = max;
           window.showToast?.(
-            `Maximum score for ${field === 'ca' ? 'CA' : 'Exam'} is ${max}`,
+            `Maximum score for ${e.target.dataset.label} is ${max}`,
             'warning',
             3000
           );
@@ -847,14 +886,14 @@ async function loadResultsTable() {
         }
         
         const row = e.target.closest('tr');
-        const caInput = row.querySelector('[data-field="ca"]');
-        const examInput = row.querySelector('[data-field="exam"]');
-        const ca = parseFloat(caInput?.value) || 0;
-        const exam = parseFloat(examInput?.value) || 0;
+        const rowScores = {};
+        row.querySelectorAll('input[data-field]').forEach(inp => {
+          rowScores[inp.dataset.field] = parseFloat(inp.value) || 0;
+        });
         const totalCell = row.querySelector('td:last-child');
         
         if (totalCell) {
-          const total = ca + exam;
+          const total = window.assessmentSchemes.computeTotal(rowScores, scheme);
           totalCell.textContent = total > 0 ? total.toFixed(1) : '-';
           
           totalCell.style.fontWeight = 'bold';
@@ -1352,6 +1391,112 @@ window.submitResultsForApproval = submitResultsForApproval;
 // Add flag to prevent simultaneous saves
 let isSavingResults = false;
 
+/**
+ * Write raw component scores to results_draft for one class/term/subject.
+ * Shared by saveAllResults() and the spreadsheet import (results-import.js).
+ * While offline the drafts go to the outbox (offline-outbox.js) instead.
+ * @param {Object<string, Object<string, number>>} pupilResults - pupilId → { componentKey: score }
+ * @returns {Promise<{queued: boolean}>}
+ */
+async function writeResultDrafts(pupilResults, term, subject, selectedClass) {
+  const settings = await window.getCurrentSettings();
+  const currentSession = settings.session || 'Unknown';
+  const sessionStartYear = settings.currentSession?.startYear;
+  const sessionEndYear = settings.currentSession?.endYear;
+
+  const drafts = [];
+
+  for (const [pupilId, scores] of Object.entries(pupilResults)) {
+    const pupil = allPupils.find(p => p.id === pupilId);
+    const pupilName = pupil?.name || 'Unknown';
+
+    // ✅ FIX: Use the selector's value for classId/className, not assignedClasses[0]
+    const classId = selectedClass.id;
+    const className = selectedClass.name;
+
+    drafts.push({
+      id: `${pupilId}_${term}_${subject}`,
+      data: {
+        pupilId,
+        pupilName,
+        classId,
+        className,
+        term,
+        subject,
+        session: currentSession,
+        sessionStartYear,
+        sessionEndYear,
+        sessionTerm: `${currentSession}_${term}`,
+        ...window.assessmentSchemes.buildResultFields(scores, currentResultsScheme),
+        teacherId: currentUser.uid,
+        status: 'draft',
+        updatedBy: currentUser.uid
+      }
+    });
+  }
+
+  if (window.offlineOutbox?.shouldQueue()) {
+    const submissionId = `${selectedClass.id}_${currentSession.replace(/\//g, '-')}_${term}_${subject}`;
+    await window.offlineOutbox.enqueue('results', `${subject} scores — ${selectedClass.name}, ${term}`, { drafts, submissionId });
+    return { queued: true };
+  }
+
+  await commitResultDrafts(drafts);
+  return { queued: false };
+}
+
+async function commitResultDrafts(drafts) {
+  const batch = db.batch();
+  drafts.forEach(({ id, data }) => {
+    batch.set(db.collection('results_draft').doc(id), {
+      ...data,
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+  });
+  await batch.commit();
+}
+
+/**
+ * Outbox replay — a conflict when the subject has since been submitted or
+ * approved, or any pupil's draft was edited after the scores were queued
+ */
+async function replayQueuedResultDrafts(payload, entry) {
+  if (!entry.force) {
+    const submission = await db.collection('result_submissions').doc(payload.submissionId).get({ source: 'server' });
+    const submissionStatus = submission.exists ? submission.data().status : null;
+    if (submissionStatus === 'pending' || submissionStatus === 'approved') {
+      return { conflict: `These results are now ${submissionStatus === 'pending' ? 'awaiting approval' : 'approved'}` };
+    }
+
+    for (const { id, data } of payload.drafts) {
+      const conflict = await window.offlineOutbox.findConflict(db.collection('results_draft').doc(id), entry);
+      if (conflict) return { conflict: `${data.pupilName}: ${conflict}` };
+    }
+  }
+
+  await commitResultDrafts(payload.drafts);
+  return {};
+}
+
+window.offlineOutbox?.registerHandler('results', replayQueuedResultDrafts);
+
+/**
+ * Open every report card of the selected class/term as one print job
+ */
+function printClassReportCards() {
+  const term = document.getElementById('result-term')?.value;
+  const classId = document.getElementById('result-class')?.value;
+
+  if (!classId) {
+    window.showToast?.('Please select a class first', 'warning');
+    return;
+  }
+
+  const params = new URLSearchParams({ classId });
+  if (term) params.set('term', term);
+  window.open(`print-results.html?${params.toString()}`, '_blank');
+}
+
 async function saveAllResults() {
   if (isSavingResults) {
     console.log('Save already in progress, ignoring click');
@@ -1382,11 +1527,15 @@ async function saveAllResults() {
     return;
   }
 
+  if (!currentResultsScheme) {
+    window.showToast?.('Assessment scheme not loaded. Please reload the results table.', 'warning');
+    return;
+  }
+
   let hasInvalidScores = false;
   inputs.forEach(input => {
-    const field = input.dataset.field;
     const value = parseFloat(input.value) || 0;
-    const max = field === 'ca' ? 40 : 60;
+    const max = parseFloat(input.dataset.max) || 0;
     if (value > max) { hasInvalidScores = true; input.style.borderColor = '#f44336'; input.value = max; }
     if (value < 0)  { hasInvalidScores = true; input.style.borderColor = '#f44336'; input.value = 0; }
   });
@@ -1414,13 +1563,6 @@ async function saveAllResults() {
   }
 
   try {
-    const settings = await window.getCurrentSettings();
-    const currentSession = settings.session || 'Unknown';
-    const sessionStartYear = settings.currentSession?.startYear;
-    const sessionEndYear = settings.currentSession?.endYear;
-
-    const batch = db.batch();
-
     const pupilResults = {};
     inputs.forEach(input => {
       const pupilId = input.dataset.pupil;
@@ -1430,44 +1572,20 @@ async function saveAllResults() {
       pupilResults[pupilId][field] = value;
     });
 
-    for (const [pupilId, scores] of Object.entries(pupilResults)) {
-      const pupil = allPupils.find(p => p.id === pupilId);
-      const pupilName = pupil?.name || 'Unknown';
-
-      // ✅ FIX: Use the selector's value for classId/className, not assignedClasses[0]
-      const classId = selectedClass.id;
-      const className = selectedClass.name;
+    const { queued } = await writeResultDrafts(pupilResults, term, subject, selectedClass);
 
-      const docId = `${pupilId}_${term}_${subject}`;
-      const ref = db.collection('results_draft').doc(docId);
-
-      batch.set(ref, {
-        pupilId,
-        pupilName,
-        classId,
-        className,
-        term,
-        subject,
-        session: currentSession,
-        sessionStartYear,
-        sessionEndYear,
-        sessionTerm: `${currentSession}_${term}`,
-        caScore:   scores.ca   !== undefined ? scores.ca   : 0,
-        examScore: scores.exam !== undefined ? scores.exam : 0,
-        teacherId: currentUser.uid,
-        status: 'draft',
-        updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
-        updatedBy: currentUser.uid
-      }, { merge: true });
+    if (queued) {
+      window.showToast?.(
+        '⏳ You are offline — scores saved on this device\n\nThey will sync to your workspace when you reconnect.',
+        'warning', 6000
+      );
+    } else {
+      window.showToast?.(
+        '✓ Results saved to your workspace\n\nℹ️ Not visible to pupils yet — submit for approval when ready.',
+        'success', 6000
+      );
     }
 
-    await batch.commit();
-
-    window.showToast?.(
-      '✓ Results saved to your workspace\n\nℹ️ Not visible to pupils yet — submit for approval when ready.',
-      'success', 6000
-    );
-
   } catch (err) {
     console.error('Error saving results:', err);
     window.showToast?.(`Failed to save results: ${err.message || 'Unknown error'}`, 'danger', 6000);
@@ -1550,13 +1668,13 @@ async function loadAttendanceSection() {
                  placeholder="0">
         </td>
         <td data-label="Times Present">
-          <input type="number" min="0" value="${existing.timesPresent || ''}"
+          <input type="number" min="0" step="0.5" value="${existing.timesPresent || ''}"
                  data-pupil="${pupil.id}" data-field="timesPresent"
                  style="width:100%; max-width:100px;"
                  placeholder="0">
         </td>
         <td data-label="Times Absent">
-          <input type="number" min="0" value="${existing.timesAbsent || ''}"
+          <input type="number" min="0" step="0.5" value="${existing.timesAbsent || ''}"
                  data-pupil="${pupil.id}" data-field="timesAbsent"
                  style="width:100%; max-width:100px;"
                  placeholder="0">
@@ -1597,7 +1715,8 @@ async function saveAllAttendance() {
   inputs.forEach(input => {
     const pupilId = input.dataset.pupil;
     const field = input.dataset.field;
-    const value = parseInt(input.value) || 0;
+    // Half days from the daily register give .5 values
+    const value = parseFloat(input.value) || 0;
 
     if (value < 0) {
       const pupilName = input.closest('tr')?.querySelector('td:first-child')?.textContent || 'Unknown';
@@ -2310,11 +2429,14 @@ async function loadPromotionPupils() {
     const pupilsWithScores = await Promise.all(
       allPupils.map(async pupil => {
         // BUG 4 FIX: Pass currentSession so only this year's results are used
-        const average = await calculatePupilAverage(pupil.id, currentTerm, currentSession);
+        // Promotion is decided on the cumulative annual average, as on the third-term report card
+        const gradingScale = await window.gradingScales.getScaleForClass(pupil.class?.id);
+        const average = await calculatePupilAverage(pupil.id, currentTerm, currentSession, gradingScale, 'annual');
         return {
           ...pupil,
           average: average.average,
-          grade: average.grade
+          grade: average.grade,
+          gradeClass: average.grade ? window.gradingScales.getGradeClass(average.grade, gradingScale) : ''
         };
       })
     );
@@ -2326,7 +2448,7 @@ async function loadPromotionPupils() {
     pupilsWithScores.forEach(pupil => {
       const tr = document.createElement('tr');
       const avgDisplay = pupil.average > 0 ? `${pupil.average.toFixed(1)}%` : 'No results';
-      const gradeClass = pupil.grade ? `grade-${pupil.grade}` : '';
+      const gradeClass = pupil.gradeClass;
 
       tr.innerHTML = `
         <td style="text-align:center;">
@@ -2357,8 +2479,22 @@ async function loadPromotionPupils() {
 }
 
 // BUG 4 FIX: Added `session` parameter — only returns results from the current school year
-async function calculatePupilAverage(pupilId, term, session) {
+// `scale` is the class's grading scale (grading-scales.js); defaults to the primary scale
+// `mode` 'annual' returns the cumulative annual average over all terms of `session`
+// (same figure as the cumulative report card — see cumulative-results.js); `term` is ignored
+async function calculatePupilAverage(pupilId, term, session, scale = null, mode = 'term') {
   try {
+    if (mode === 'annual' && session) {
+      const cumulative = await window.cumulativeResults.getForPupil(pupilId, session);
+      if (cumulative.subjectCount === 0) {
+        return { average: 0, grade: null };
+      }
+      return {
+        average: cumulative.annualAverage,
+        grade: window.gradingScales.getGrade(cumulative.annualAverage, scale)
+      };
+    }
+
     let resultsSnap;
 
     if (session) {
@@ -2384,17 +2520,14 @@ async function calculatePupilAverage(pupilId, term, session) {
     let subjectCount = 0;
 
     resultsSnap.forEach(doc => {
-      const data = doc.data();
-      const ca = parseFloat(data.caScore) || 0;
-      const exam = parseFloat(data.examScore) || 0;
-      const score = ca + exam;
+      const score = window.assessmentSchemes.getResultTotal(doc.data());
 
       totalScore += score;
       subjectCount++;
     });
 
     const average = subjectCount > 0 ? Math.round((totalScore / subjectCount) * 10) / 10 : 0;
-    const grade = getGradeFromScore(average);
+    const grade = window.gradingScales.getGrade(average, scale);
 
     return { average, grade };
 
@@ -2404,18 +2537,6 @@ async function calculatePupilAverage(pupilId, term, session) {
   }
 }
 
-function getGradeFromScore(score) {
-  if (score >= 75) return 'A1';
-  if (score >= 70) return 'B2';
-  if (score >= 65) return 'B3';
-  if (score >= 60) return 'C4';
-  if (score >= 55) return 'C5';
-  if (score >= 50) return 'C6';
-  if (score >= 45) return 'D7';
-  if (score >= 40) return 'D8';
-  return 'F9';
-}
-
 function selectAllForPromotion() {
   document.querySelectorAll('.pupil-promote-checkbox').forEach(checkbox => {
     checkbox.checked = true;
@@ -2603,12 +2724,37 @@ window.submitPromotionRequest = submitPromotionRequest;
 // Export all functions used by HTML
 window.loadResultsTable = loadResultsTable;
 window.saveAllResults = saveAllResults;
+window.printClassReportCards = printClassReportCards;
 window.saveAllAttendance = saveAllAttendance;
 window.loadRemarksData = loadRemarksData;
 window.saveRemarks = saveRemarks;
 window.loadAttendanceSection = loadAttendanceSection;
 window.paginateTable = paginateTable; // ← EXPOSE FOR ATTENDANCE UI
 
+// Results entry context + draft writer (used by results-import.js)
+window._getResultsEntryContext = function() {
+  const term = document.getElementById('result-term')?.value;
+  const subject = document.getElementById('result-subject')?.value;
+  const classId = document.getElementById('result-class')?.value;
+  const selectedClass = assignedClasses.find(c => c.id === classId) || null;
+
+  return {
+    term,
+    subject,
+    selectedClass,
+    scheme: currentResultsScheme,
+    pupils: getClassPupils(classId),
+    // Inputs are disabled while results are locked or awaiting approval
+    locked: !!document.querySelector('#results-entry-table-container input[type="number"]:disabled')
+  };
+};
+window._writeResultDrafts = writeResultDrafts;
+window._loadSavedResultScores = async function(pupils, term, subject) {
+  const settings = await window.getCurrentSettings();
+  const { resultsMap } = await loadSavedResultScores(pupils, term, subject, settings.session);
+  return resultsMap;
+};
+
 // Helper for manual attendance save (used by attendance-teacher-ui.js)
 window._saveAttendanceFromInputs = async function(inputs, term) {
   if (!inputs.length || !term) {
@@ -2622,7 +2768,7 @@ window._saveAttendanceFromInputs = async function(inputs, term) {
   inputs.forEach(input => {
     const pupilId = input.dataset.pupil;
     const field   = input.dataset.field;
-    const value   = parseInt(input.value) || 0;
+    const value   = parseFloat(input.value) || 0;
     if (value < 0) { validationErrors.push(`Negative value for ${field}`); return; }
     if (!pupilData[pupilId]) pupilData[pupilId] = {};
     pupilData[pupilId][field] = value;